@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const path = require('path');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config({ path: path.join(__dirname, '../.env') });
+
+// Import models
+const Trade = require('../src/models/Trade');
+const Counter = require('../src/models/Counter');
+const { connectDB } = require('../src/config/database');
+
+/**
+ * Script to repair trade numbers before the atomic trade number counters are used
+ * - assigns trades without a numbering scope to the global one
+ * - gives every duplicate trade number except the oldest trade's a new number
+ * - starts each counter after the highest number used in its scope
+ * - builds the unique trade number index
+ * Usage: node scripts/repairTradeNumbers.js [--dry-run]
+ */
+async function repairTradeNumbers() {
+    const dryRun = process.argv.includes('--dry-run');
+
+    try {
+        // Connect to database
+        await connectDB();
+        console.log('✅ Connected to database');
+
+        // Trades numbered before scopes were recorded belong to the global scope
+        const unscoped = await Trade.countDocuments({ tradeNumberScope: null });
+        console.log(`📋 Trades without a numbering scope: ${unscoped}`);
+        if (!dryRun && unscoped > 0) {
+            await Trade.updateMany({ tradeNumberScope: null }, { $set: { tradeNumberScope: 'global' } });
+        }
+
+        // Duplicate numbers within a scope, oldest trade first
+        const duplicates = await Trade.aggregate([
+            { $sort: { createdAt: 1, _id: 1 } },
+            {
+                $group: {
+                    _id: { tradeNumber: '$tradeNumber', scope: { $ifNull: ['$tradeNumberScope', 'global'] } },
+                    tradeIds: { $push: '$_id' },
+                    count: { $sum: 1 }
+                }
+            },
+            { $match: { count: { $gt: 1 } } }
+        ]);
+        const toRenumber = duplicates.reduce((sum, group) => sum + group.count - 1, 0);
+        console.log(`🔁 Duplicate trade numbers: ${duplicates.length} (${toRenumber} trades to renumber)`);
+
+        // Highest number used in each scope
+        const scopes = await Trade.aggregate([
+            {
+                $group: {
+                    _id: { $ifNull: ['$tradeNumberScope', 'global'] },
+                    lastTradeNumber: { $max: '$tradeNumber' }
+                }
+            }
+        ]);
+
+        if (dryRun) {
+            duplicates.forEach(group => {
+                console.log(`   #${group._id.tradeNumber} (${group._id.scope}): ${group.count} trades`);
+            });
+            scopes.forEach(scope => {
+                console.log(`   Counter ${Trade.getCounterName(scope._id)} would continue after ${scope.lastTradeNumber}`);
+            });
+            console.log('\n💡 Dry run - nothing was changed');
+            return;
+        }
+
+        for (const scope of scopes) {
+            await Counter.ensureAtLeast(Trade.getCounterName(scope._id), scope.lastTradeNumber);
+        }
+
+        for (const group of duplicates) {
+            const { tradeNumber, scope } = group._id;
+            // The oldest trade keeps its number
+            for (const tradeId of group.tradeIds.slice(1)) {
+                const newTradeNumber = await Trade.getNextTradeNumber(scope);
+                await Trade.updateOne(
+                    { _id: tradeId },
+                    { $set: { tradeNumber: newTradeNumber, 'metadata.previousTradeNumber': tradeNumber } }
+                );
+                console.log(`   Trade ${tradeId}: #${tradeNumber} ➡️ #${newTradeNumber}`);
+            }
+        }
+
+        // Replaces the plain trade number index with the unique one
+        await Trade.syncIndexes();
+        console.log('✅ Unique trade number index in place');
+
+        console.log('\n🎉 Trade numbers repaired successfully!');
+        console.log(`🔁 Renumbered trades: ${toRenumber}`);
+        console.log(`🔢 Counters: ${scopes.length}`);
+        
+    } catch (error) {
+        console.error('❌ Error repairing trade numbers:', error.message);
+        process.exitCode = 1;
+    } finally {
+        // Close database connection
+        await mongoose.connection.close();
+        console.log('\n🔌 Database connection closed');
+    }
+}
+
+// Display usage information
+function showUsage() {
+    console.log('\n📖 Usage:');
+    console.log('node scripts/repairTradeNumbers.js [--dry-run]');
+    console.log('\n📋 Options:');
+    console.log('  --dry-run - Report duplicates and counter starts without changing anything');
+    console.log('');
+}
+
+// Check if help is requested
+if (process.argv.includes('--help') || process.argv.includes('-h')) {
+    showUsage();
+    process.exit(0);
+}
+
+// Run the script
+console.log('🚀 Repairing trade numbers...');
+repairTradeNumbers();
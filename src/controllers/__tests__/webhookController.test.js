@@ -0,0 +1,69 @@
+jest.mock('../../config/redis', () => ({ getRedisClient: jest.fn() }));
+jest.mock('../../services/alertQueueService', () => ({ enqueue: jest.fn().mockResolvedValue(undefined) }));
+
+const { getRedisClient } = require('../../config/redis');
+const alertQueueService = require('../../services/alertQueueService');
+const { processAlertWebhook } = require('../webhookController');
+const Alert = require('../../models/Alert');
+const Instrument = require('../../models/Instrument');
+
+const buildRequest = (body) => ({ body, headers: {}, ip: '127.0.0.1' });
+
+const buildResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('webhookController.processAlertWebhook', () => {
+  const payload = { symbol: 'BTCUSDT', timeframe: '15', strategy: 'breakout', signal: 'BUY', price: '100' };
+  let claims;
+
+  beforeEach(() => {
+    claims = new Map();
+    getRedisClient.mockReturnValue({
+      eval: jest.fn(async (script, { keys: [key], arguments: [alertId] }) => {
+        if (claims.has(key)) {
+          return claims.get(key);
+        }
+        claims.set(key, alertId);
+        return null;
+      })
+    });
+    jest.spyOn(Instrument, 'findBySymbolOrAlias').mockResolvedValue(null);
+    jest.spyOn(Alert.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    alertQueueService.enqueue.mockClear();
+  });
+
+  it('suppresses a repeat of an untimed alert received in the next minute', async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] }).setSystemTime(new Date('2024-01-01T12:00:59Z'));
+    const first = buildResponse();
+    await processAlertWebhook(buildRequest(payload), first);
+
+    jest.setSystemTime(new Date('2024-01-01T12:01:01Z'));
+    const second = buildResponse();
+    await processAlertWebhook(buildRequest(payload), second);
+
+    const { alertId } = first.json.mock.calls[0][0];
+    expect(second.status).toHaveBeenCalledWith(200);
+    expect(second.json).toHaveBeenCalledWith(expect.objectContaining({ duplicate: true, alertId: alertId.toString() }));
+    expect(alertQueueService.enqueue).toHaveBeenCalledTimes(1);
+  });
+
+  it('queues alerts for different bars', async () => {
+    await processAlertWebhook(buildRequest({ ...payload, timestamp: '2024-01-01T12:00:00Z' }), buildResponse());
+    const second = buildResponse();
+    await processAlertWebhook(buildRequest({ ...payload, timestamp: '2024-01-01T12:15:00Z' }), second);
+
+    expect(second.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Alert received and queued for processing' }));
+    expect(alertQueueService.enqueue).toHaveBeenCalledTimes(2);
+  });
+});
@@ -1,3 +1,4 @@
+const crypto = require('crypto');
 const User = require('../models/User');
 const UserSubscription = require('../models/UserSubscription');
 const Payment = require('../models/Payment');
@@ -5,9 +6,22 @@ const SubscriptionPlan = require('../models/SubscriptionPlan');
 const TelegramUser = require('../models/TelegramUser');
 const Trade = require('../models/Trade');
 const Alert = require('../models/Alert');
+const AlertConfiguration = require('../models/AlertConfiguration');
+const ParsingTemplate = require('../models/ParsingTemplate');
+const SessionCalendar = require('../models/SessionCalendar');
+const Instrument = require('../models/Instrument');
+const Watchlist = require('../models/Watchlist');
+const AlertSource = require('../models/AlertSource');
+const WebhookInboxEntry = require('../models/WebhookInboxEntry');
 const AdminUser = require('../models/AdminUser');
 const paymentService = require('../services/paymentService');
+const alertQueueService = require('../services/alertQueueService');
+const alertProcessingService = require('../services/alertProcessingService');
+const webhookInboxService = require('../services/webhookInboxService');
 const logger = require('../utils/logger');
+const { parsePayload } = require('../utils/payloadParser');
+const { normalizeTimeframe } = require('../utils/timeframes');
+const { validateTradingViewWebhook } = require('../validators/webhookValidators');
 const { validationResult } = require('express-validator');
 
 /**
@@ -829,6 +843,2725 @@ const getSubscriptionPlans = async (req, res) => {
   }
 };
 
+/**
+ * Issue or rotate the webhook token of an alert configuration
+ */
+const rotateConfigWebhookToken = async (req, res) => {
+  try {
+    const { configId } = req.params;
+    
+    const config = await AlertConfiguration.findById(configId);
+    if (!config) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Alert configuration not found'
+      });
+    }
+    
+    const token = await config.rotateWebhookToken();
+    
+    logger.info(`Webhook token rotated for alert configuration: ${config.name} by admin ${req.admin.adminId}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        token,
+        webhookUrl: `${req.protocol}://${req.get('host')}/api/webhooks/tradingview/${token}`,
+        tokenCreatedAt: config.webhook.tokenCreatedAt
+      },
+      message: 'Webhook token issued successfully'
+    });
+  } catch (error) {
+    logger.error('Error rotating configuration webhook token:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to rotate webhook token'
+    });
+  }
+};
+
+/**
+ * Revoke the webhook token of an alert configuration
+ */
+const revokeConfigWebhookToken = async (req, res) => {
+  try {
+    const { configId } = req.params;
+    
+    const config = await AlertConfiguration.findById(configId);
+    if (!config) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Alert configuration not found'
+      });
+    }
+    
+    await config.revokeWebhookToken();
+    
+    logger.info(`Webhook token revoked for alert configuration: ${config.name} by admin ${req.admin.adminId}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        revokedAt: config.webhook.revokedAt
+      },
+      message: 'Webhook token revoked successfully'
+    });
+  } catch (error) {
+    logger.error('Error revoking configuration webhook token:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to revoke webhook token'
+    });
+  }
+};
+
+/**
+ * Set the maximum alert age and future skew of an alert configuration
+ */
+const setConfigAlertAgePolicy = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { configId } = req.params;
+    const config = await AlertConfiguration.findById(configId);
+    
+    if (!config) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Alert configuration not found'
+      });
+    }
+    
+    ['maxAgeSeconds', 'maxFutureSkewSeconds', 'notifyAdmins'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        config.validation.alertAge[field] = req.body[field] === null ? undefined : req.body[field];
+      }
+    });
+    
+    await config.save();
+    
+    logger.info(`Alert age policy updated for alert configuration: ${config.name} by admin ${req.admin.adminId}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: { alertAge: config.validation.alertAge },
+      message: 'Alert age policy updated successfully'
+    });
+  } catch (error) {
+    logger.error('Error setting configuration alert age policy:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to set alert age policy'
+    });
+  }
+};
+
+/**
+ * Set the volume filter of an alert configuration
+ */
+const setConfigVolumeFilter = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { configId } = req.params;
+    const config = await AlertConfiguration.findById(configId);
+    
+    if (!config) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Alert configuration not found'
+      });
+    }
+    
+    const volumeFilter = config.filters.volumeFilter;
+    ['enabled', 'mode', 'minVolume', 'minRelativeVolume', 'lookbackAlerts', 'minSamples'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        volumeFilter[field] = req.body[field] === null ? undefined : req.body[field];
+      }
+    });
+    
+    // An enabled filter needs the threshold of its mode
+    const threshold = volumeFilter.mode === 'relative' ? 'minRelativeVolume' : 'minVolume';
+    if (volumeFilter.enabled && !volumeFilter[threshold]) {
+      return res.status(400).json({
+        status: 'error',
+        message: `${threshold} is required for an enabled ${volumeFilter.mode} volume filter`
+      });
+    }
+    
+    await config.save();
+    
+    logger.info(`Volume filter updated for alert configuration: ${config.name} by admin ${req.admin.adminId}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        volumeFilter: config.filters.volumeFilter,
+        filteredAlerts: config.statistics.filteredAlerts
+      },
+      message: 'Volume filter updated successfully'
+    });
+  } catch (error) {
+    logger.error('Error setting configuration volume filter:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to set volume filter'
+    });
+  }
+};
+
+/**
+ * Assign (or clear) the trading session calendar of an alert configuration
+ */
+const setConfigSession = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { configId } = req.params;
+    const { calendarId, policy } = req.body;
+    
+    if (calendarId) {
+      const calendar = await SessionCalendar.findById(calendarId);
+      if (!calendar) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Session calendar not found'
+        });
+      }
+    }
+    
+    const config = await AlertConfiguration.findById(configId);
+    
+    if (!config) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Alert configuration not found'
+      });
+    }
+    
+    if (calendarId !== undefined) {
+      config.filters.session.calendar = calendarId || undefined;
+    }
+    if (policy !== undefined) {
+      config.filters.session.policy = policy;
+    }
+    
+    await config.save();
+    
+    logger.info(`Trading session updated for alert configuration: ${config.name} by admin ${req.admin.adminId}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: { session: config.filters.session },
+      message: 'Trading session updated successfully'
+    });
+  } catch (error) {
+    logger.error('Error setting configuration trading session:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to set trading session'
+    });
+  }
+};
+
+// Canonical symbols for symbols given by admins, with those the registry does not know
+const resolveSymbolList = async (symbols) => {
+  const cache = new Map();
+  const resolved = [];
+  const unknown = [];
+  for (const rawSymbol of symbols) {
+    const { symbol, instrument } = await Instrument.resolveSymbol(rawSymbol, cache);
+    resolved.push(symbol);
+    if (!instrument) {
+      unknown.push(symbol);
+    }
+  }
+  return { symbols: [...new Set(resolved)], unknownSymbols: [...new Set(unknown)] };
+};
+
+/**
+ * Set the symbols (single, list, pattern or watchlist) and timeframes an alert configuration covers
+ */
+const setConfigSymbols = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { configId } = req.params;
+    const { watchlistId } = req.body;
+    
+    if (watchlistId) {
+      const watchlist = await Watchlist.findById(watchlistId);
+      if (!watchlist) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Watchlist not found'
+        });
+      }
+    }
+    
+    const config = await AlertConfiguration.findById(configId);
+    
+    if (!config) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Alert configuration not found'
+      });
+    }
+    
+    let unknownSymbols = [];
+    if (req.body.symbol !== undefined) {
+      const resolution = req.body.symbol ? await resolveSymbolList([req.body.symbol]) : null;
+      config.symbol = resolution ? resolution.symbols[0] : undefined;
+      unknownSymbols = resolution ? resolution.unknownSymbols : [];
+    }
+    if (req.body.symbols !== undefined) {
+      const resolution = await resolveSymbolList(req.body.symbols || []);
+      config.symbols = resolution.symbols;
+      unknownSymbols = [...new Set([...unknownSymbols, ...resolution.unknownSymbols])];
+    }
+    if (req.body.symbolPattern !== undefined) {
+      config.symbolPattern = req.body.symbolPattern || undefined;
+    }
+    if (watchlistId !== undefined) {
+      config.watchlist = watchlistId || undefined;
+    }
+    if (req.body.timeframe !== undefined) {
+      config.timeframe = req.body.timeframe || undefined;
+    }
+    if (req.body.timeframes !== undefined) {
+      config.timeframes = req.body.timeframes || [];
+    }
+    
+    await config.save();
+    
+    logger.info(`Symbols updated for alert configuration: ${config.name} by admin ${req.admin.adminId}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        symbol: config.symbol,
+        symbols: config.symbols,
+        symbolPattern: config.symbolPattern,
+        watchlist: config.watchlist,
+        timeframes: config.getTimeframes(),
+        unknownSymbols
+      },
+      message: 'Configuration symbols updated successfully'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    logger.error('Error setting configuration symbols:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to set configuration symbols'
+    });
+  }
+};
+
+/**
+ * Set the take-profit ladder policy of an alert configuration
+ */
+const setConfigTakeProfitLadder = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { configId } = req.params;
+    const config = await AlertConfiguration.findById(configId);
+    
+    if (!config) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Alert configuration not found'
+      });
+    }
+    
+    const ladder = config.tradeManagement.takeProfitLadder;
+    if (req.body.allocations !== undefined) {
+      ladder.allocations = req.body.allocations || [];
+    }
+    if (req.body.breakevenAfterTP1 !== undefined) {
+      ladder.breakevenAfterTP1 = req.body.breakevenAfterTP1;
+    }
+    
+    await config.save();
+    
+    logger.info(`Take-profit ladder updated for alert configuration: ${config.name} by admin ${req.admin.adminId}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: { takeProfitLadder: config.tradeManagement.takeProfitLadder },
+      message: 'Take-profit ladder updated successfully'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    logger.error('Error setting configuration take-profit ladder:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to set take-profit ladder'
+    });
+  }
+};
+
+/**
+ * Set the trade number sequence of an alert configuration
+ */
+const setConfigTradeNumbering = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { configId } = req.params;
+    const config = await AlertConfiguration.findById(configId);
+    
+    if (!config) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Alert configuration not found'
+      });
+    }
+    
+    config.tradeManagement.tradeNumbering = req.body.tradeNumbering || undefined;
+    await config.save();
+    
+    logger.info(`Trade numbering updated for alert configuration: ${config.name} by admin ${req.admin.adminId}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        tradeNumbering: config.tradeManagement.tradeNumbering || null,
+        tradeNumberScope: Trade.getNumberingScope(config)
+      },
+      message: 'Trade numbering updated successfully'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    logger.error('Error setting configuration trade numbering:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to set trade numbering'
+    });
+  }
+};
+
+/**
+ * Set the pending entry policy of an alert configuration
+ */
+const setConfigPendingEntries = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { configId } = req.params;
+    const config = await AlertConfiguration.findById(configId);
+    
+    if (!config) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Alert configuration not found'
+      });
+    }
+    
+    const { pendingEntries } = config.tradeManagement;
+    ['enabled', 'expirySeconds'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        pendingEntries[field] = req.body[field];
+      }
+    });
+    
+    await config.save();
+    
+    logger.info(`Pending entries updated for alert configuration: ${config.name} by admin ${req.admin.adminId}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: { pendingEntries: config.tradeManagement.pendingEntries },
+      message: 'Pending entries updated successfully'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    logger.error('Error setting configuration pending entries:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to set pending entries'
+    });
+  }
+};
+
+/**
+ * Set the signal cooldown of an alert configuration
+ */
+const setConfigCooldown = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { configId } = req.params;
+    const config = await AlertConfiguration.findById(configId);
+    
+    if (!config) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Alert configuration not found'
+      });
+    }
+    
+    const { cooldown } = config.filters;
+    ['enabled', 'seconds', 'mode'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        cooldown[field] = req.body[field];
+      }
+    });
+    
+    await config.save();
+    
+    logger.info(`Cooldown updated for alert configuration: ${config.name} by admin ${req.admin.adminId}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: { cooldown: config.filters.cooldown },
+      message: 'Cooldown updated successfully'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    logger.error('Error setting configuration cooldown:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to set cooldown'
+    });
+  }
+};
+
+/**
+ * Set the source configurations and agreement rule of a confluence configuration
+ */
+const setConfigConfluence = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { configId } = req.params;
+    const { sources, windowSeconds, minSources } = req.body;
+    const config = await AlertConfiguration.findById(configId);
+    
+    if (!config) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Alert configuration not found'
+      });
+    }
+    
+    if (sources) {
+      const sourceIds = [...new Set(sources)];
+      const sourceConfigs = await AlertConfiguration.find({ _id: { $in: sourceIds } });
+      if (sourceConfigs.length !== sourceIds.length) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Source configuration not found'
+        });
+      }
+      if (sourceConfigs.some(source => source.type === 'confluence')) {
+        return res.status(400).json({
+          status: 'error',
+          message: 'Confluence configurations cannot be sources of another confluence'
+        });
+      }
+      config.type = 'confluence';
+      config.confluence.sources = sourceIds;
+    } else if (sources === null) {
+      config.type = 'standard';
+      config.confluence = {};
+    }
+    if (windowSeconds !== undefined) {
+      config.confluence.windowSeconds = windowSeconds;
+    }
+    if (minSources !== undefined) {
+      config.confluence.minSources = minSources === null ? undefined : minSources;
+    }
+    
+    await config.save();
+    
+    logger.info(`Confluence updated for alert configuration: ${config.name} by admin ${req.admin.adminId}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: { type: config.type, confluence: config.confluence },
+      message: 'Confluence updated successfully'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    logger.error('Error setting configuration confluence:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to set confluence'
+    });
+  }
+};
+
+/**
+ * Replace the conditions (rules engine) of an alert configuration
+ */
+const setConfigConditions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { configId } = req.params;
+    const config = await AlertConfiguration.findById(configId);
+    
+    if (!config) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Alert configuration not found'
+      });
+    }
+    
+    config.conditions = req.body.conditions;
+    await config.save();
+    
+    logger.info(`Conditions updated for alert configuration: ${config.name} by admin ${req.admin.adminId}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: { conditions: config.conditions },
+      message: 'Conditions updated successfully'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    logger.error('Error setting configuration conditions:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to set conditions'
+    });
+  }
+};
+
+/**
+ * Run sample alerts through the conditions of an alert configuration (or draft conditions)
+ */
+const testConfigConditions = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { configId } = req.params;
+    const { alerts, conditions, trades, at } = req.body;
+    const config = await AlertConfiguration.findById(configId);
+    
+    if (!config) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Alert configuration not found'
+      });
+    }
+    
+    // Sample open trades only need the side they were opened on
+    const openTrades = trades
+      ? trades.map(trade => ({ tradeData: { signal: trade.signal } }))
+      : null;
+    
+    const results = alerts.map(sample => {
+      const alertData = {
+        symbol: sample.symbol ? String(sample.symbol).toUpperCase() : config.symbol || config.symbols[0],
+        timeframe: normalizeTimeframe(sample.timeframe) || sample.timeframe || config.getTimeframes()[0],
+        strategy: sample.strategy || config.strategy,
+        signal: sample.signal ? String(sample.signal).toUpperCase() : undefined,
+        price: sample.price !== undefined ? parseFloat(sample.price) : undefined,
+        takeProfitPrice: sample.takeProfitPrice !== undefined ? parseFloat(sample.takeProfitPrice) : undefined,
+        stopLossPrice: sample.stopLossPrice !== undefined ? parseFloat(sample.stopLossPrice) : undefined,
+        volume: sample.volume !== undefined ? parseFloat(sample.volume) : undefined,
+        additionalData: {
+          tradeNumber: sample.tradeNumber,
+          originalEntry: sample.originalEntry,
+          metadata: sample.metadata
+        }
+      };
+      
+      return {
+        sample,
+        ...config.evaluateConditions(alertData, {
+          now: at ? new Date(at) : new Date(),
+          openTrades,
+          conditions: conditions || config.conditions
+        })
+      };
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: { results }
+    });
+  } catch (error) {
+    logger.error('Error testing configuration conditions:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to test conditions'
+    });
+  }
+};
+
+/**
+ * Get all parsing templates
+ */
+const getParsingTemplates = async (req, res) => {
+  try {
+    const { status } = req.query;
+    
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
+    
+    const templates = await ParsingTemplate.find(query).sort({ name: 1 });
+    
+    res.status(200).json({
+      status: 'success',
+      data: { templates }
+    });
+  } catch (error) {
+    logger.error('Error fetching parsing templates:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch parsing templates'
+    });
+  }
+};
+
+/**
+ * Create parsing template
+ */
+const createParsingTemplate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, format, options, fieldMap, defaults, samples, isActive } = req.body;
+    
+    const template = new ParsingTemplate({
+      name,
+      description,
+      format,
+      options,
+      fieldMap,
+      defaults,
+      samples,
+      status: isActive === false ? 'inactive' : 'active',
+      createdBy: req.admin.adminId
+    });
+    await template.save();
+    
+    logger.info(`Parsing template created: ${template.name} by admin ${req.admin.adminId}`);
+    
+    res.status(201).json({
+      status: 'success',
+      data: { template },
+      message: 'Parsing template created successfully'
+    });
+  } catch (error) {
+    logger.error('Error creating parsing template:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Parsing template with this name already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create parsing template'
+    });
+  }
+};
+
+/**
+ * Update parsing template
+ */
+const updateParsingTemplate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { templateId } = req.params;
+    const template = await ParsingTemplate.findById(templateId);
+    
+    if (!template) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Parsing template not found'
+      });
+    }
+    
+    ['name', 'description', 'format', 'options', 'fieldMap', 'defaults', 'samples'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        template[field] = req.body[field];
+      }
+    });
+    if (req.body.isActive !== undefined) {
+      template.status = req.body.isActive ? 'active' : 'inactive';
+    }
+    
+    await template.save();
+    
+    logger.info(`Parsing template updated: ${template.name} by admin ${req.admin.adminId}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: { template },
+      message: 'Parsing template updated successfully'
+    });
+  } catch (error) {
+    logger.error('Error updating parsing template:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Parsing template with this name already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update parsing template'
+    });
+  }
+};
+
+/**
+ * Delete parsing template
+ */
+const deleteParsingTemplate = async (req, res) => {
+  try {
+    const { templateId } = req.params;
+    
+    // Check if template is used by any alert configuration
+    const linkedConfigs = await AlertConfiguration.countDocuments({ parsingTemplate: templateId });
+    
+    if (linkedConfigs > 0) {
+      return res.status(409).json({
+        status: 'error',
+        message: `Cannot delete template used by ${linkedConfigs} alert configurations`
+      });
+    }
+    
+    const template = await ParsingTemplate.findByIdAndDelete(templateId);
+    
+    if (!template) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Parsing template not found'
+      });
+    }
+    
+    logger.info(`Parsing template deleted: ${template.name} by admin ${req.admin.adminId}`);
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Parsing template deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting parsing template:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete parsing template'
+    });
+  }
+};
+
+/**
+ * Test a saved or draft parsing template against sample payloads
+ */
+const testParsingTemplate = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    let definition;
+    let samples = req.body.samples;
+    
+    if (req.params.templateId) {
+      const template = await ParsingTemplate.findById(req.params.templateId);
+      if (!template) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Parsing template not found'
+        });
+      }
+      const { format, options, fieldMap, defaults } = template.toObject();
+      definition = { format, options, fieldMap, defaults };
+      samples = samples || template.samples;
+    } else {
+      definition = req.body.template;
+    }
+    
+    if (!definition || !definition.format) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A saved template or a template definition with a format is required'
+      });
+    }
+    
+    if (!samples || samples.length === 0) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'At least one sample payload is required'
+      });
+    }
+    
+    const results = [];
+    for (const sample of samples) {
+      try {
+        const { payload, extracted } = parsePayload(sample, definition);
+        
+        // Run the same rules the webhook endpoint applies
+        const webhookReq = { body: payload };
+        await Promise.all(validateTradingViewWebhook.map(rule => rule.run(webhookReq)));
+        const validationErrors = validationResult(webhookReq).array().map(error => ({
+          field: error.path,
+          message: error.msg
+        }));
+        
+        results.push({
+          sample,
+          valid: validationErrors.length === 0,
+          payload,
+          extracted,
+          errors: validationErrors
+        });
+      } catch (error) {
+        results.push({
+          sample,
+          valid: false,
+          errors: [{ message: error.message }]
+        });
+      }
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        passed: results.filter(result => result.valid).length,
+        failed: results.filter(result => !result.valid).length,
+        results
+      }
+    });
+  } catch (error) {
+    logger.error('Error testing parsing template:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to test parsing template'
+    });
+  }
+};
+
+/**
+ * Assign (or clear) the parsing template of an alert configuration
+ */
+const setConfigParsingTemplate = async (req, res) => {
+  try {
+    const { configId } = req.params;
+    const { templateId } = req.body;
+    
+    if (templateId) {
+      const template = await ParsingTemplate.findById(templateId);
+      if (!template) {
+        return res.status(404).json({
+          status: 'error',
+          message: 'Parsing template not found'
+        });
+      }
+    }
+    
+    const config = await AlertConfiguration.findByIdAndUpdate(
+      configId,
+      templateId ? { parsingTemplate: templateId } : { $unset: { parsingTemplate: 1 } },
+      { new: true }
+    );
+    
+    if (!config) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Alert configuration not found'
+      });
+    }
+    
+    logger.info(`Parsing template ${templateId ? 'assigned to' : 'removed from'} alert configuration: ${config.name} by admin ${req.admin.adminId}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: { config },
+      message: 'Parsing template updated successfully'
+    });
+  } catch (error) {
+    logger.error('Error setting configuration parsing template:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to set parsing template'
+    });
+  }
+};
+
+/**
+ * Get all session calendars
+ */
+const getSessionCalendars = async (req, res) => {
+  try {
+    const { status, exchange } = req.query;
+    
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
+    if (exchange) {
+      query.exchange = exchange.toUpperCase();
+    }
+    
+    const calendars = await SessionCalendar.find(query).sort({ name: 1 });
+    
+    res.status(200).json({
+      status: 'success',
+      data: { calendars }
+    });
+  } catch (error) {
+    logger.error('Error fetching session calendars:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch session calendars'
+    });
+  }
+};
+
+/**
+ * Create session calendar
+ */
+const createSessionCalendar = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, exchange, timezone, sessions, holidays, isActive } = req.body;
+    
+    const calendar = new SessionCalendar({
+      name,
+      description,
+      exchange,
+      timezone,
+      sessions,
+      holidays,
+      status: isActive === false ? 'inactive' : 'active',
+      createdBy: req.admin.adminId
+    });
+    await calendar.save();
+    
+    logger.info(`Session calendar created: ${calendar.name} by admin ${req.admin.adminId}`);
+    
+    res.status(201).json({
+      status: 'success',
+      data: { calendar },
+      message: 'Session calendar created successfully'
+    });
+  } catch (error) {
+    logger.error('Error creating session calendar:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Session calendar with this name already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create session calendar'
+    });
+  }
+};
+
+/**
+ * Update session calendar
+ */
+const updateSessionCalendar = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { calendarId } = req.params;
+    const calendar = await SessionCalendar.findById(calendarId);
+    
+    if (!calendar) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Session calendar not found'
+      });
+    }
+    
+    ['name', 'description', 'exchange', 'timezone', 'sessions', 'holidays'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        calendar[field] = req.body[field];
+      }
+    });
+    if (req.body.isActive !== undefined) {
+      calendar.status = req.body.isActive ? 'active' : 'inactive';
+    }
+    
+    await calendar.save();
+    
+    logger.info(`Session calendar updated: ${calendar.name} by admin ${req.admin.adminId}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: { calendar },
+      message: 'Session calendar updated successfully'
+    });
+  } catch (error) {
+    logger.error('Error updating session calendar:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Session calendar with this name already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update session calendar'
+    });
+  }
+};
+
+/**
+ * Delete session calendar
+ */
+const deleteSessionCalendar = async (req, res) => {
+  try {
+    const { calendarId } = req.params;
+    
+    // Check if calendar is used by any alert configuration
+    const linkedConfigs = await AlertConfiguration.countDocuments({ 'filters.session.calendar': calendarId });
+    
+    if (linkedConfigs > 0) {
+      return res.status(409).json({
+        status: 'error',
+        message: `Cannot delete calendar used by ${linkedConfigs} alert configurations`
+      });
+    }
+    
+    const calendar = await SessionCalendar.findByIdAndDelete(calendarId);
+    
+    if (!calendar) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Session calendar not found'
+      });
+    }
+    
+    logger.info(`Session calendar deleted: ${calendar.name} by admin ${req.admin.adminId}`);
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Session calendar deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting session calendar:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete session calendar'
+    });
+  }
+};
+
+/**
+ * Add holidays to a session calendar (existing dates are renamed)
+ */
+const addSessionCalendarHolidays = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const calendar = await SessionCalendar.findById(req.params.calendarId);
+    
+    if (!calendar) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Session calendar not found'
+      });
+    }
+    
+    req.body.holidays.forEach(({ date, name }) => {
+      const existing = calendar.getHoliday(date);
+      if (existing) {
+        existing.name = name;
+      } else {
+        calendar.holidays.push({ date, name });
+      }
+    });
+    calendar.holidays.sort((a, b) => a.date.localeCompare(b.date));
+    
+    await calendar.save();
+    
+    logger.info(`${req.body.holidays.length} holidays added to session calendar: ${calendar.name} by admin ${req.admin.adminId}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: { holidays: calendar.holidays },
+      message: 'Holidays added successfully'
+    });
+  } catch (error) {
+    logger.error('Error adding session calendar holidays:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to add holidays'
+    });
+  }
+};
+
+/**
+ * Remove a holiday from a session calendar
+ */
+const deleteSessionCalendarHoliday = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { calendarId, date } = req.params;
+    const calendar = await SessionCalendar.findById(calendarId);
+    
+    if (!calendar) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Session calendar not found'
+      });
+    }
+    
+    const holiday = calendar.getHoliday(date);
+    if (!holiday) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Holiday not found'
+      });
+    }
+    
+    calendar.holidays.pull(holiday._id);
+    await calendar.save();
+    
+    logger.info(`Holiday ${date} removed from session calendar: ${calendar.name} by admin ${req.admin.adminId}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: { holidays: calendar.holidays },
+      message: 'Holiday removed successfully'
+    });
+  } catch (error) {
+    logger.error('Error removing session calendar holiday:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to remove holiday'
+    });
+  }
+};
+
+/**
+ * Check whether a session calendar is open now (or at a given time)
+ */
+const getSessionCalendarStatus = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const calendar = await SessionCalendar.findById(req.params.calendarId);
+    
+    if (!calendar) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Session calendar not found'
+      });
+    }
+    
+    const at = req.query.at ? new Date(req.query.at) : new Date();
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        calendar: calendar.name,
+        timezone: calendar.timezone,
+        at,
+        ...calendar.checkSession(at)
+      }
+    });
+  } catch (error) {
+    logger.error('Error checking session calendar status:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to check session calendar status'
+    });
+  }
+};
+
+// Tickers of an instrument that another instrument already uses as symbol or alias
+const findTickerConflicts = async (instrument) => {
+  const tickers = [instrument.symbol, ...instrument.aliases];
+  const conflicting = await Instrument.findConflicting(tickers, instrument._id);
+  return conflicting.flatMap(other =>
+    [other.symbol, ...other.aliases]
+      .filter(ticker => tickers.includes(ticker))
+      .map(ticker => `${ticker} is already used by ${other.symbol}`)
+  );
+};
+
+// Clear the unknown flag on stored alerts whose symbols the registry now resolves
+const clearResolvedUnknownSymbols = async () => {
+  const rawSymbols = await Alert.distinct('alertData.rawSymbol', { 'alertData.unknownSymbol': true });
+  const resolved = [];
+  for (const rawSymbol of rawSymbols) {
+    const { instrument } = await Instrument.resolveSymbol(rawSymbol);
+    if (instrument) {
+      resolved.push(rawSymbol);
+    }
+  }
+  
+  if (resolved.length > 0) {
+    await Alert.updateMany(
+      { 'alertData.unknownSymbol': true, 'alertData.rawSymbol': { $in: resolved } },
+      { $set: { 'alertData.unknownSymbol': false } }
+    );
+  }
+  return resolved;
+};
+
+/**
+ * Get all instruments
+ */
+const getInstruments = async (req, res) => {
+  try {
+    const { status, assetClass, search } = req.query;
+    
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
+    if (assetClass) {
+      query.assetClass = assetClass;
+    }
+    if (search) {
+      const pattern = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      query.$or = [{ symbol: pattern }, { aliases: pattern }, { name: pattern }];
+    }
+    
+    const instruments = await Instrument.find(query).sort({ symbol: 1 });
+    
+    res.status(200).json({
+      status: 'success',
+      data: { instruments }
+    });
+  } catch (error) {
+    logger.error('Error fetching instruments:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch instruments'
+    });
+  }
+};
+
+/**
+ * Create instrument
+ */
+const createInstrument = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { symbol, name, assetClass, exchanges, aliases, isActive } = req.body;
+    
+    const instrument = new Instrument({
+      symbol,
+      name,
+      assetClass,
+      exchanges,
+      aliases,
+      status: isActive === false ? 'inactive' : 'active',
+      createdBy: req.admin.adminId
+    });
+    
+    const conflicts = await findTickerConflicts(instrument);
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Symbol or aliases already registered',
+        errors: conflicts
+      });
+    }
+    
+    await instrument.save();
+    const resolvedSymbols = await clearResolvedUnknownSymbols();
+    
+    logger.info(`Instrument created: ${instrument.symbol} by admin ${req.admin.adminId}`);
+    
+    res.status(201).json({
+      status: 'success',
+      data: { instrument, resolvedSymbols },
+      message: 'Instrument created successfully'
+    });
+  } catch (error) {
+    logger.error('Error creating instrument:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Instrument with this symbol already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create instrument'
+    });
+  }
+};
+
+/**
+ * Update instrument
+ */
+const updateInstrument = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { instrumentId } = req.params;
+    const instrument = await Instrument.findById(instrumentId);
+    
+    if (!instrument) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Instrument not found'
+      });
+    }
+    
+    ['symbol', 'name', 'assetClass', 'exchanges', 'aliases'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        instrument[field] = req.body[field];
+      }
+    });
+    if (req.body.isActive !== undefined) {
+      instrument.status = req.body.isActive ? 'active' : 'inactive';
+    }
+    
+    const conflicts = await findTickerConflicts(instrument);
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Symbol or aliases already registered',
+        errors: conflicts
+      });
+    }
+    
+    await instrument.save();
+    const resolvedSymbols = await clearResolvedUnknownSymbols();
+    
+    logger.info(`Instrument updated: ${instrument.symbol} by admin ${req.admin.adminId}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: { instrument, resolvedSymbols },
+      message: 'Instrument updated successfully'
+    });
+  } catch (error) {
+    logger.error('Error updating instrument:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Instrument with this symbol already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update instrument'
+    });
+  }
+};
+
+/**
+ * Delete instrument
+ */
+const deleteInstrument = async (req, res) => {
+  try {
+    const { instrumentId } = req.params;
+    const instrument = await Instrument.findById(instrumentId);
+    
+    if (!instrument) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Instrument not found'
+      });
+    }
+    
+    // Configurations on the symbol would stop receiving alerts sent under its aliases
+    const linkedConfigs = await AlertConfiguration.countDocuments({
+      $or: [{ symbol: instrument.symbol }, { symbols: instrument.symbol }]
+    });
+    
+    if (linkedConfigs > 0) {
+      return res.status(409).json({
+        status: 'error',
+        message: `Cannot delete instrument used by ${linkedConfigs} alert configurations`
+      });
+    }
+    
+    await instrument.deleteOne();
+    
+    logger.info(`Instrument deleted: ${instrument.symbol} by admin ${req.admin.adminId}`);
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Instrument deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting instrument:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete instrument'
+    });
+  }
+};
+
+/**
+ * Add aliases to an instrument (e.g. to map unknown symbols)
+ */
+const addInstrumentAliases = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const instrument = await Instrument.findById(req.params.instrumentId);
+    
+    if (!instrument) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Instrument not found'
+      });
+    }
+    
+    instrument.aliases = [...instrument.aliases, ...req.body.aliases.map(alias => alias.toUpperCase())];
+    
+    const conflicts = await findTickerConflicts(instrument);
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Aliases already registered',
+        errors: conflicts
+      });
+    }
+    
+    await instrument.save();
+    const resolvedSymbols = await clearResolvedUnknownSymbols();
+    
+    logger.info(`Aliases added to instrument: ${instrument.symbol} by admin ${req.admin.adminId}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: { instrument, resolvedSymbols },
+      message: 'Aliases added successfully'
+    });
+  } catch (error) {
+    logger.error('Error adding instrument aliases:', error);
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to add aliases'
+    });
+  }
+};
+
+/**
+ * Show how a received symbol resolves through the instrument registry
+ */
+const resolveInstrumentSymbol = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { symbol, rawSymbol, exchange, instrument } = await Instrument.resolveSymbol(req.query.symbol);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        rawSymbol,
+        symbol,
+        exchange,
+        known: Boolean(instrument),
+        instrument
+      }
+    });
+  } catch (error) {
+    logger.error('Error resolving instrument symbol:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to resolve symbol'
+    });
+  }
+};
+
+/**
+ * Get received symbols not found in the instrument registry
+ */
+const getUnknownSymbols = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const since = req.query.since ? new Date(req.query.since) : null;
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const symbols = await Alert.findUnknownSymbols(since, limit);
+    
+    res.status(200).json({
+      status: 'success',
+      data: { symbols }
+    });
+  } catch (error) {
+    logger.error('Error fetching unknown symbols:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch unknown symbols'
+    });
+  }
+};
+
+/**
+ * Get all watchlists
+ */
+const getWatchlists = async (req, res) => {
+  try {
+    const { status, symbol } = req.query;
+    
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
+    if (symbol) {
+      query.symbols = symbol.toUpperCase();
+    }
+    
+    const watchlists = await Watchlist.find(query).sort({ name: 1 });
+    
+    res.status(200).json({
+      status: 'success',
+      data: { watchlists }
+    });
+  } catch (error) {
+    logger.error('Error fetching watchlists:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch watchlists'
+    });
+  }
+};
+
+/**
+ * Create watchlist
+ */
+const createWatchlist = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, isActive } = req.body;
+    const { symbols, unknownSymbols } = await resolveSymbolList(req.body.symbols);
+    
+    const watchlist = new Watchlist({
+      name,
+      description,
+      symbols,
+      status: isActive === false ? 'inactive' : 'active',
+      createdBy: req.admin.adminId
+    });
+    await watchlist.save();
+    
+    logger.info(`Watchlist created: ${watchlist.name} by admin ${req.admin.adminId}`);
+    
+    res.status(201).json({
+      status: 'success',
+      data: { watchlist, unknownSymbols },
+      message: 'Watchlist created successfully'
+    });
+  } catch (error) {
+    logger.error('Error creating watchlist:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Watchlist with this name already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create watchlist'
+    });
+  }
+};
+
+/**
+ * Update watchlist
+ */
+const updateWatchlist = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { watchlistId } = req.params;
+    const watchlist = await Watchlist.findById(watchlistId);
+    
+    if (!watchlist) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Watchlist not found'
+      });
+    }
+    
+    ['name', 'description'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        watchlist[field] = req.body[field];
+      }
+    });
+    let unknownSymbols = [];
+    if (req.body.symbols !== undefined) {
+      const resolution = await resolveSymbolList(req.body.symbols);
+      watchlist.symbols = resolution.symbols;
+      unknownSymbols = resolution.unknownSymbols;
+    }
+    if (req.body.isActive !== undefined) {
+      watchlist.status = req.body.isActive ? 'active' : 'inactive';
+    }
+    
+    await watchlist.save();
+    
+    logger.info(`Watchlist updated: ${watchlist.name} by admin ${req.admin.adminId}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: { watchlist, unknownSymbols },
+      message: 'Watchlist updated successfully'
+    });
+  } catch (error) {
+    logger.error('Error updating watchlist:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Watchlist with this name already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update watchlist'
+    });
+  }
+};
+
+/**
+ * Add or remove watchlist symbols
+ */
+const updateWatchlistSymbols = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const watchlist = await Watchlist.findById(req.params.watchlistId);
+    
+    if (!watchlist) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Watchlist not found'
+      });
+    }
+    
+    const added = await resolveSymbolList(req.body.add || []);
+    const removed = await resolveSymbolList(req.body.remove || []);
+    watchlist.symbols = [...watchlist.symbols, ...added.symbols]
+      .filter(symbol => !removed.symbols.includes(symbol));
+    
+    await watchlist.save();
+    
+    logger.info(`Watchlist symbols updated: ${watchlist.name} by admin ${req.admin.adminId}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: { watchlist, unknownSymbols: added.unknownSymbols },
+      message: 'Watchlist symbols updated successfully'
+    });
+  } catch (error) {
+    logger.error('Error updating watchlist symbols:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update watchlist symbols'
+    });
+  }
+};
+
+/**
+ * Delete watchlist
+ */
+const deleteWatchlist = async (req, res) => {
+  try {
+    const { watchlistId } = req.params;
+    
+    // Check if watchlist is used by any alert configuration
+    const linkedConfigs = await AlertConfiguration.countDocuments({ watchlist: watchlistId });
+    
+    if (linkedConfigs > 0) {
+      return res.status(409).json({
+        status: 'error',
+        message: `Cannot delete watchlist used by ${linkedConfigs} alert configurations`
+      });
+    }
+    
+    const watchlist = await Watchlist.findByIdAndDelete(watchlistId);
+    
+    if (!watchlist) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Watchlist not found'
+      });
+    }
+    
+    logger.info(`Watchlist deleted: ${watchlist.name} by admin ${req.admin.adminId}`);
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Watchlist deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting watchlist:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete watchlist'
+    });
+  }
+};
+
+/**
+ * Get all alert sources
+ */
+const getAlertSources = async (req, res) => {
+  try {
+    const { status } = req.query;
+    
+    const query = {};
+    if (status) {
+      query.status = status;
+    }
+    
+    const sources = await AlertSource.find(query).sort({ name: 1 });
+    
+    res.status(200).json({
+      status: 'success',
+      data: { sources }
+    });
+  } catch (error) {
+    logger.error('Error fetching alert sources:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch alert sources'
+    });
+  }
+};
+
+/**
+ * Create alert source
+ * The secret is only returned in this response; one is generated when not provided.
+ */
+const createAlertSource = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, displayName, description, auth = {}, fieldMapping, extraDataMapping, signalMap, defaults, isActive } = req.body;
+    const method = auth.method || 'api_key';
+    const secret = method === 'none' ? undefined : auth.secret || crypto.randomBytes(32).toString('hex');
+    
+    const source = new AlertSource({
+      name,
+      displayName,
+      description,
+      auth: {
+        method,
+        headerName: auth.headerName,
+        passphraseField: auth.passphraseField,
+        secret,
+        replayProtection: auth.replayProtection
+      },
+      fieldMapping,
+      extraDataMapping,
+      signalMap,
+      defaults,
+      status: isActive === false ? 'inactive' : 'active',
+      createdBy: req.admin.adminId
+    });
+    await source.save();
+    
+    logger.info(`Alert source created: ${source.name} by admin ${req.admin.adminId}`);
+    
+    res.status(201).json({
+      status: 'success',
+      data: {
+        source,
+        webhookUrl: `${req.protocol}://${req.get('host')}/api/webhooks/sources/${source.name}`
+      },
+      message: 'Alert source created successfully'
+    });
+  } catch (error) {
+    logger.error('Error creating alert source:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Alert source with this name already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to create alert source'
+    });
+  }
+};
+
+/**
+ * Update alert source
+ */
+const updateAlertSource = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { sourceId } = req.params;
+    const source = await AlertSource.findById(sourceId).select('+auth.secret');
+    
+    if (!source) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Alert source not found'
+      });
+    }
+    
+    ['name', 'displayName', 'description', 'fieldMapping', 'extraDataMapping', 'signalMap', 'defaults'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        source[field] = req.body[field];
+      }
+    });
+    ['method', 'headerName', 'passphraseField', 'secret', 'replayProtection'].forEach(field => {
+      if (req.body.auth && req.body.auth[field] !== undefined) {
+        source.auth[field] = req.body.auth[field];
+      }
+    });
+    if (source.auth.method !== 'none' && !source.auth.secret) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'A secret is required for authenticated sources'
+      });
+    }
+    if (req.body.isActive !== undefined) {
+      source.status = req.body.isActive ? 'active' : 'inactive';
+    }
+    
+    await source.save();
+    
+    logger.info(`Alert source updated: ${source.name} by admin ${req.admin.adminId}`);
+    
+    const data = source.toObject();
+    delete data.auth.secret;
+    
+    res.status(200).json({
+      status: 'success',
+      data: { source: data },
+      message: 'Alert source updated successfully'
+    });
+  } catch (error) {
+    logger.error('Error updating alert source:', error);
+    if (error.code === 11000) {
+      return res.status(409).json({
+        status: 'error',
+        message: 'Alert source with this name already exists'
+      });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to update alert source'
+    });
+  }
+};
+
+/**
+ * Delete alert source
+ * Alerts already received keep the source name they were stored with.
+ */
+const deleteAlertSource = async (req, res) => {
+  try {
+    const { sourceId } = req.params;
+    const source = await AlertSource.findByIdAndDelete(sourceId);
+    
+    if (!source) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Alert source not found'
+      });
+    }
+    
+    logger.info(`Alert source deleted: ${source.name} by admin ${req.admin.adminId}`);
+    
+    res.status(200).json({
+      status: 'success',
+      message: 'Alert source deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting alert source:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to delete alert source'
+    });
+  }
+};
+
+/**
+ * Get alert queue statistics
+ */
+const getAlertQueueStats = async (req, res) => {
+  try {
+    const stats = await alertQueueService.getStats();
+    
+    res.status(200).json({
+      status: 'success',
+      data: { queue: stats }
+    });
+  } catch (error) {
+    logger.error('Error fetching alert queue stats:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch alert queue statistics'
+    });
+  }
+};
+
+/**
+ * Get dead-lettered alerts
+ */
+const getDeadLetterAlerts = async (req, res) => {
+  try {
+    const entries = await alertQueueService.getDeadLetters();
+    
+    const alerts = await Alert.find({ _id: { $in: entries.map(entry => entry.alertId) } })
+      .select('source alertData processing.status processing.attempts processing.errors webhook.receivedAt');
+    const alertsById = new Map(alerts.map(alert => [alert._id.toString(), alert]));
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        deadLetters: entries.map(entry => ({
+          ...entry,
+          alert: alertsById.get(entry.alertId) || null
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching dead-lettered alerts:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch dead-lettered alerts'
+    });
+  }
+};
+
+/**
+ * Requeue dead-lettered alerts (one alert, a list of alerts, or all)
+ */
+const retryDeadLetterAlerts = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const alertIds = req.params.alertId ? [req.params.alertId] : req.body.alertIds;
+    const requeued = await alertQueueService.retryDeadLetters(alertIds);
+    
+    if (req.params.alertId && requeued.length === 0) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Alert is not in the dead-letter list'
+      });
+    }
+    
+    logger.info(`Dead-lettered alerts requeued: ${requeued.length} by admin ${req.admin.adminId}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: { requeued },
+      message: `${requeued.length} alerts requeued for processing`
+    });
+  } catch (error) {
+    logger.error('Error retrying dead-lettered alerts:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to retry dead-lettered alerts'
+    });
+  }
+};
+
+/**
+ * Purge dead-lettered alerts (one alert, a list of alerts, or all)
+ */
+const purgeDeadLetterAlerts = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const alertIds = req.params.alertId ? [req.params.alertId] : req.body.alertIds;
+    const purged = await alertQueueService.purgeDeadLetters(alertIds);
+    
+    logger.info(`Dead-lettered alerts purged: ${purged} by admin ${req.admin.adminId}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: { purged },
+      message: `${purged} alerts removed from the dead-letter list`
+    });
+  } catch (error) {
+    logger.error('Error purging dead-lettered alerts:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to purge dead-lettered alerts'
+    });
+  }
+};
+
+/**
+ * Reprocess a failed alert (dry run by default)
+ */
+const reprocessAlert = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { alertId } = req.params;
+    const dryRun = req.body.dryRun !== false;
+    const alert = await Alert.findById(alertId);
+    
+    if (!alert) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Alert not found'
+      });
+    }
+    
+    if (alert.processing.status !== 'failed') {
+      return res.status(409).json({
+        status: 'error',
+        message: `Only failed alerts can be reprocessed (alert is ${alert.processing.status})`
+      });
+    }
+    
+    if (dryRun) {
+      const plan = await alertProcessingService.planAlert(alert);
+      return res.status(200).json({
+        status: 'success',
+        data: { dryRun, plan }
+      });
+    }
+    
+    const queued = await alertQueueService.reprocess(alert._id, req.admin.adminId);
+    
+    logger.info(`Alert ${alert._id} queued for reprocessing by admin ${req.admin.adminId}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: { dryRun, alertId: alert._id, queued },
+      message: queued ? 'Alert queued for reprocessing' : 'Alert is already queued'
+    });
+  } catch (error) {
+    logger.error('Error reprocessing alert:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to reprocess alert'
+    });
+  }
+};
+
+/**
+ * Get alerts quarantined for breaching a configuration's price tolerance
+ */
+const getQuarantinedAlerts = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const query = { 'processing.status': 'quarantined' };
+    if (req.query.symbol) {
+      query['alertData.symbol'] = req.query.symbol.toUpperCase();
+    }
+    
+    const [alerts, total] = await Promise.all([
+      Alert.find(query)
+        .sort({ 'processing.quarantine.quarantinedAt': -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('source alertData processing.quarantine processing.rejections webhook.receivedAt'),
+      Alert.countDocuments(query)
+    ]);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        alerts,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error fetching quarantined alerts:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch quarantined alerts'
+    });
+  }
+};
+
+/**
+ * Release or dismiss a quarantined alert
+ * Released alerts are queued again and skip the price check; dismissed alerts are never distributed.
+ */
+const reviewQuarantinedAlert = (decision) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const alert = await Alert.findById(req.params.alertId);
+    
+    if (!alert) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Alert not found'
+      });
+    }
+    
+    if (alert.processing.status !== 'quarantined') {
+      return res.status(409).json({
+        status: 'error',
+        message: `Only quarantined alerts can be reviewed (alert is ${alert.processing.status})`
+      });
+    }
+    
+    await alert.reviewQuarantine(decision, req.admin.adminId, req.body.note);
+    
+    let queued = false;
+    if (decision === 'released') {
+      queued = await alertQueueService.reprocess(alert._id, req.admin.adminId);
+    }
+    
+    logger.info(`Quarantined alert ${alert._id} ${decision} by admin ${req.admin.adminId}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        alertId: alert._id,
+        decision,
+        queued,
+        quarantine: alert.processing.quarantine
+      },
+      message: decision === 'released' ? 'Alert released for distribution' : 'Alert dismissed'
+    });
+  } catch (error) {
+    logger.error('Error reviewing quarantined alert:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to review quarantined alert'
+    });
+  }
+};
+
+const releaseQuarantinedAlert = reviewQuarantinedAlert('released');
+const dismissQuarantinedAlert = reviewQuarantinedAlert('dismissed');
+
+/**
+ * Replay historical alerts against the current alert configurations (dry run by default)
+ * Users that already received an alert are skipped, so a live replay only reaches
+ * configurations and subscribers the alert did not reach the first time. Replayed exits
+ * only close trades that were open when the alert was received.
+ */
+const replayAlerts = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { from, to, symbol, strategy, source, statuses = ['processed', 'failed'], limit = 100 } = req.body;
+    const dryRun = req.body.dryRun !== false;
+    
+    const query = {
+      'webhook.receivedAt': { $gte: new Date(from), $lte: to ? new Date(to) : new Date() },
+      'processing.status': { $in: statuses }
+    };
+    if (symbol) {
+      query['alertData.symbol'] = symbol.toUpperCase();
+    }
+    if (strategy) {
+      query['alertData.strategy'] = strategy;
+    }
+    if (source) {
+      query.source = source.toLowerCase();
+    }
+    
+    const alerts = await Alert.find(query)
+      .sort({ 'webhook.receivedAt': 1 })
+      .limit(parseInt(limit));
+    
+    if (dryRun) {
+      const plans = [];
+      for (const alert of alerts) {
+        plans.push(await alertProcessingService.planAlert(alert));
+      }
+      
+      return res.status(200).json({
+        status: 'success',
+        data: {
+          dryRun,
+          total: alerts.length,
+          plans
+        }
+      });
+    }
+    
+    const queued = [];
+    const skipped = [];
+    for (const alert of alerts) {
+      const wasQueued = await alertQueueService.reprocess(alert._id, req.admin.adminId);
+      (wasQueued ? queued : skipped).push(alert._id);
+    }
+    
+    logger.info(`Alert replay queued ${queued.length} alerts by admin ${req.admin.adminId}`, { from, to });
+    
+    res.status(200).json({
+      status: 'success',
+      data: {
+        dryRun,
+        total: alerts.length,
+        queued,
+        skipped
+      },
+      message: `${queued.length} alerts queued for replay`
+    });
+  } catch (error) {
+    logger.error('Error replaying alerts:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to replay alerts'
+    });
+  }
+};
+
+/**
+ * Search the webhook inbox
+ */
+const getWebhookInbox = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 50, ...filters } = req.query;
+    const { entries, pagination } = await webhookInboxService.search(filters, {
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+    
+    res.status(200).json({
+      status: 'success',
+      data: { entries, pagination }
+    });
+  } catch (error) {
+    logger.error('Error searching webhook inbox:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to search webhook inbox'
+    });
+  }
+};
+
+/**
+ * Get webhook inbox entry by ID
+ */
+const getWebhookInboxEntry = async (req, res) => {
+  try {
+    const entry = await WebhookInboxEntry.findById(req.params.entryId);
+    
+    if (!entry) {
+      return res.status(404).json({
+        status: 'error',
+        message: 'Webhook inbox entry not found'
+      });
+    }
+    
+    res.status(200).json({
+      status: 'success',
+      data: { entry }
+    });
+  } catch (error) {
+    logger.error('Error fetching webhook inbox entry:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to fetch webhook inbox entry'
+    });
+  }
+};
+
+/**
+ * Resubmit a stored webhook request (optionally with a corrected body)
+ */
+const resubmitWebhookInboxEntry = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await webhookInboxService.resubmit(
+      req.params.entryId,
+      req.admin.adminId,
+      req.body.rawBody !== undefined ? req.body.rawBody : null
+    );
+    
+    logger.info(`Webhook inbox entry ${req.params.entryId} resubmitted by admin ${req.admin.adminId}: ${result.outcome}`);
+    
+    res.status(200).json({
+      status: 'success',
+      data: { resubmission: result },
+      message: `Webhook resubmitted: ${result.outcome}`
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return res.status(error.statusCode).json({
+        status: 'error',
+        message: error.message
+      });
+    }
+    logger.error('Error resubmitting webhook inbox entry:', error);
+    res.status(500).json({
+      status: 'error',
+      message: 'Failed to resubmit webhook'
+    });
+  }
+};
+
 module.exports = {
   getDashboard,
   getUsers,
@@ -848,6 +3581,60 @@ module.exports = {
   updateSubscriptionPlan,
   deleteSubscriptionPlan,
   getSubscriptionPlans,
+  rotateConfigWebhookToken,
+  revokeConfigWebhookToken,
+  setConfigAlertAgePolicy,
+  setConfigVolumeFilter,
+  setConfigSession,
+  setConfigSymbols,
+  setConfigTakeProfitLadder,
+  setConfigTradeNumbering,
+  setConfigPendingEntries,
+  setConfigCooldown,
+  setConfigConfluence,
+  setConfigConditions,
+  testConfigConditions,
+  getParsingTemplates,
+  createParsingTemplate,
+  updateParsingTemplate,
+  deleteParsingTemplate,
+  testParsingTemplate,
+  setConfigParsingTemplate,
+  getSessionCalendars,
+  createSessionCalendar,
+  updateSessionCalendar,
+  deleteSessionCalendar,
+  addSessionCalendarHolidays,
+  deleteSessionCalendarHoliday,
+  getSessionCalendarStatus,
+  getInstruments,
+  createInstrument,
+  updateInstrument,
+  deleteInstrument,
+  addInstrumentAliases,
+  resolveInstrumentSymbol,
+  getUnknownSymbols,
+  getWatchlists,
+  createWatchlist,
+  updateWatchlist,
+  updateWatchlistSymbols,
+  deleteWatchlist,
+  getAlertSources,
+  createAlertSource,
+  updateAlertSource,
+  deleteAlertSource,
+  getAlertQueueStats,
+  getDeadLetterAlerts,
+  retryDeadLetterAlerts,
+  purgeDeadLetterAlerts,
+  reprocessAlert,
+  replayAlerts,
+  getQuarantinedAlerts,
+  releaseQuarantinedAlert,
+  dismissQuarantinedAlert,
+  getWebhookInbox,
+  getWebhookInboxEntry,
+  resubmitWebhookInboxEntry,
   // Temporary mappings
   getUserStats: getAlertStats, // Temporarily map to getAlertStats until proper implementation
   getRevenueStats: getPaymentStats // Temporarily map to getPaymentStats until proper implementation
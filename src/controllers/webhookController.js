@@ -1,57 +1,116 @@
 const crypto = require('crypto');
 const { validationResult } = require('express-validator');
 const Alert = require('../models/Alert');
-const Trade = require('../models/Trade');
+const AlertConfiguration = require('../models/AlertConfiguration');
+const Instrument = require('../models/Instrument');
 const User = require('../models/User');
 const alertProcessingService = require('../services/alertProcessingService');
+const alertDeduplicationService = require('../services/alertDeduplicationService');
+const alertQueueService = require('../services/alertQueueService');
+const { validateTradingViewWebhook } = require('../validators/webhookValidators');
 const logger = require('../utils/logger');
+const { normalizeTimeframe } = require('../utils/timeframes');
+const { SIGNALS, normalizeSignal } = require('../utils/signals');
 
-// Verify TradingView webhook signature (if configured)
-const verifyWebhookSignature = (payload, signature, secret) => {
-  if (!secret || !signature) {
-    return true; // Skip verification if not configured
+// Build an alert document from a validated webhook payload
+// The symbol is resolved through the instrument registry and the timeframe made canonical
+// before matching and dedup.
+const buildAlert = async (payload, context) => {
+  const { timeframe, strategy, signal, price, timestamp } = payload;
+  const volume = parseFloat(payload.volume);
+  const takeProfits = (payload.takeProfits || []).map(target => ({
+    price: parseFloat(target.price),
+    allocation: target.allocation !== undefined && target.allocation !== null ? parseFloat(target.allocation) : undefined
+  }));
+  const resolution = await Instrument.resolveSymbol(payload.symbol, context.symbolCache);
+  const receivedAt = new Date();
+  let entryTrigger;
+  if (payload.limitPrice) {
+    const expiresAt = payload.expiresAt
+      ? new Date(payload.expiresAt)
+      : payload.expiresIn ? new Date(receivedAt.getTime() + parseInt(payload.expiresIn, 10) * 1000) : undefined;
+    entryTrigger = { price: parseFloat(payload.limitPrice), expiresAt };
   }
-  
-  const expectedSignature = crypto
-    .createHmac('sha256', secret)
-    .update(payload)
-    .digest('hex');
-  
-  const providedSignature = signature.replace('sha256=', '');
-  
-  return crypto.timingSafeEqual(
-    Buffer.from(expectedSignature, 'hex'),
-    Buffer.from(providedSignature, 'hex')
+
+  return new Alert({
+    source: context.source,
+    webhook: {
+      receivedAt,
+      rawPayload: context.rawPayload || payload,
+      signature: context.signature,
+      ipAddress: context.clientIP,
+      alertConfigId: context.alertConfigId,
+      rawBody: context.rawBody,
+      parsingTemplateId: context.parsingTemplateId,
+      sourceId: context.sourceId,
+      batchId: context.batchId
+    },
+    alertData: {
+      symbol: resolution.symbol,
+      rawSymbol: resolution.rawSymbol,
+      exchange: resolution.exchange || undefined,
+      instrumentId: resolution.instrument ? resolution.instrument._id : undefined,
+      unknownSymbol: !resolution.instrument,
+      timeframe: normalizeTimeframe(timeframe) || timeframe,
+      strategy,
+      signal: normalizeSignal(signal) || signal.toUpperCase(),
+      price: parseFloat(price),
+      takeProfitPrice: payload.takeProfitPrice ? parseFloat(payload.takeProfitPrice) : takeProfits[0]?.price,
+      takeProfits,
+      stopLossPrice: payload.stopLossPrice ? parseFloat(payload.stopLossPrice) : undefined,
+      entryTrigger,
+      volume: Number.isFinite(volume) ? volume : undefined,
+      timestamp: timestamp ? new Date(timestamp) : new Date(),
+      additionalData: {
+        tradeNumber: payload.tradeNumber,
+        originalEntry: payload.originalEntry,
+        metadata: payload.metadata
+      }
+    },
+    processing: {
+      status: 'received'
+    }
+  });
+};
+
+// Fingerprint an alert so retries and repeated fires of the same bar can be suppressed
+const fingerprintAlert = (alert, payload) => {
+  const fingerprint = alertDeduplicationService.buildFingerprint(
+    alert.alertData,
+    Boolean(payload.timestamp),
+    alert.webhook.alertConfigId
   );
+  alert.webhook.fingerprint = fingerprint;
+  return fingerprint;
 };
 
-// Process TradingView webhook alert
-const processTradingViewWebhook = async (req, res) => {
+// Validate one batch item with the single-alert webhook rules
+const validateBatchItem = async (item) => {
+  const itemReq = { body: item };
+  for (const chain of validateTradingViewWebhook) {
+    await chain.run(itemReq);
+  }
+
+  return validationResult(itemReq).array().map(error => ({
+    field: error.path || error.param,
+    message: error.msg,
+    value: error.value
+  }));
+};
+
+// Process an incoming webhook alert (TradingView or a registered alert source)
+const processAlertWebhook = async (req, res) => {
   try {
     const startTime = Date.now();
     const clientIP = req.ip || req.connection.remoteAddress;
-    
-    // Verify webhook signature if configured
-    const webhookSecret = process.env.TRADINGVIEW_WEBHOOK_SECRET;
-    const signature = req.headers['x-tradingview-signature'];
-    
-    if (webhookSecret && !verifyWebhookSignature(JSON.stringify(req.body), signature, webhookSecret)) {
-      logger.warn('Invalid TradingView webhook signature', {
-        ip: clientIP,
-        signature,
-        body: req.body
-      });
-      return res.status(401).json({
-        success: false,
-        message: 'Invalid webhook signature'
-      });
-    }
+    const source = req.alertSource ? req.alertSource.name : 'tradingview';
     
     // Validate required fields
-    const { symbol, timeframe, strategy, signal, price, timestamp } = req.body;
+    const { symbol, timeframe, strategy, signal, price } = req.body;
     
     if (!symbol || !timeframe || !strategy || !signal || !price) {
-      logger.warn('Invalid TradingView webhook payload - missing required fields', {
+      logger.warn('Invalid webhook payload - missing required fields', {
+        source,
         body: req.body,
         ip: clientIP
       });
@@ -62,63 +121,93 @@ const processTradingViewWebhook = async (req, res) => {
     }
     
     // Validate signal type
-    const validSignals = ['BUY', 'SELL', 'TP_HIT', 'SL_HIT'];
-    if (!validSignals.includes(signal.toUpperCase())) {
-      logger.warn('Invalid signal type in TradingView webhook', {
+    if (!normalizeSignal(signal)) {
+      logger.warn('Invalid signal type in webhook', {
+        source,
         signal,
         body: req.body,
         ip: clientIP
       });
       return res.status(400).json({
         success: false,
-        message: `Invalid signal type. Must be one of: ${validSignals.join(', ')}`
+        message: `Invalid signal type. Must be one of: ${SIGNALS.join(', ')}`
       });
     }
     
     // Create alert record
-    const alert = new Alert({
-      source: 'tradingview',
-      webhook: {
-        receivedAt: new Date(),
-        rawPayload: req.body,
-        signature,
-        ipAddress: clientIP
-      },
-      alertData: {
-        symbol: symbol.toUpperCase(),
-        timeframe,
-        strategy,
-        signal: signal.toUpperCase(),
-        price: parseFloat(price),
-        takeProfitPrice: req.body.takeProfitPrice ? parseFloat(req.body.takeProfitPrice) : undefined,
-        stopLossPrice: req.body.stopLossPrice ? parseFloat(req.body.stopLossPrice) : undefined,
-        timestamp: timestamp ? new Date(timestamp) : new Date(),
-        additionalData: {
-          tradeNumber: req.body.tradeNumber,
-          originalEntry: req.body.originalEntry,
-          metadata: req.body.metadata
-        }
-      },
-      processing: {
-        status: 'received'
-      }
+    const alert = await buildAlert(req.body, {
+      source,
+      clientIP,
+      signature: req.headers['x-tradingview-signature'],
+      rawPayload: req.sourcePayload,
+      rawBody: req.rawBody,
+      alertConfigId: req.alertConfig ? req.alertConfig._id : undefined,
+      parsingTemplateId: req.parsingTemplate ? req.parsingTemplate._id : undefined,
+      sourceId: req.alertSource ? req.alertSource._id : undefined
     });
     
-    await alert.save();
+    // Suppress retries and repeated fires of the same bar
+    const fingerprint = fingerprintAlert(alert, req.body);
+    
+    const originalAlertId = await alertDeduplicationService.claim(fingerprint, alert._id);
+    if (originalAlertId) {
+      alert.processing.status = 'duplicate';
+      alert.processing.duplicateOf = originalAlertId;
+      await alert.save();
+      
+      logger.info('Duplicate webhook alert suppressed', {
+        alertId: alert._id,
+        source,
+        originalAlertId,
+        symbol: alert.alertData.symbol,
+        signal: alert.alertData.signal,
+        strategy: alert.alertData.strategy
+      });
+      
+      return res.status(200).json({
+        success: true,
+        message: 'Duplicate alert ignored',
+        alertId: originalAlertId,
+        duplicate: true,
+        timestamp: new Date().toISOString()
+      });
+    }
+    
+    try {
+      await alert.save();
+    } catch (saveError) {
+      await alertDeduplicationService.release(fingerprint);
+      throw saveError;
+    }
+    
+    if (req.alertConfig) {
+      await AlertConfiguration.updateOne(
+        { _id: req.alertConfig._id },
+        { 'webhook.lastUsedAt': new Date() }
+      );
+    }
+    
+    if (req.alertSource) {
+      await req.alertSource.recordReceived();
+    }
     
-    logger.info('TradingView webhook received and saved', {
+    logger.info('Webhook alert received and saved', {
       alertId: alert._id,
+      source,
+      alertConfigId: alert.webhook.alertConfigId,
       symbol: alert.alertData.symbol,
+      rawSymbol: alert.alertData.rawSymbol,
+      unknownSymbol: alert.alertData.unknownSymbol,
       signal: alert.alertData.signal,
       strategy: alert.alertData.strategy,
       price: alert.alertData.price,
       processingTime: Date.now() - startTime
     });
     
-    // Process the alert asynchronously using the alert processing service
-    alertProcessingService.processAlert(alert._id);
+    // Hand the alert to the durable processing queue
+    await alertQueueService.enqueue(alert._id);
     
-    // Return immediate response to TradingView
+    // Return immediate response to the sender
     res.status(200).json({
       success: true,
       message: 'Alert received and queued for processing',
@@ -127,7 +216,7 @@ const processTradingViewWebhook = async (req, res) => {
     });
     
   } catch (error) {
-    logger.error('Error processing TradingView webhook:', error);
+    logger.error('Error processing webhook alert:', error);
     res.status(500).json({
       success: false,
       message: 'Internal server error processing webhook'
@@ -135,21 +224,268 @@ const processTradingViewWebhook = async (req, res) => {
   }
 };
 
+// Process a batch of webhook alerts (TradingView or a registered alert source)
+// Items are validated independently; valid items are stored in one bulk insert.
+const processBatchWebhook = async (req, res) => {
+  try {
+    const startTime = Date.now();
+    const clientIP = req.ip || req.connection.remoteAddress;
+    const source = req.alertSource ? req.alertSource.name : 'tradingview';
+    const batchId = crypto.randomUUID();
+    const items = req.body.alerts;
+    
+    const results = [];
+    const entries = [];
+    const batchFingerprints = new Map();
+    const symbolCache = new Map();
+    
+    for (const [index, item] of items.entries()) {
+      if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        results[index] = {
+          index,
+          success: false,
+          errors: [{ field: `alerts[${index}]`, message: 'Alert must be a JSON object' }]
+        };
+        continue;
+      }
+      
+      const payload = req.alertSource ? req.alertSource.mapPayload(item) : item;
+      const errors = await validateBatchItem(payload);
+      if (errors.length > 0) {
+        results[index] = { index, success: false, errors };
+        continue;
+      }
+      
+      const alert = await buildAlert(payload, {
+        source,
+        clientIP,
+        rawPayload: item,
+        sourceId: req.alertSource ? req.alertSource._id : undefined,
+        batchId,
+        symbolCache
+      });
+      
+      try {
+        await alert.validate();
+      } catch (validationError) {
+        results[index] = {
+          index,
+          success: false,
+          errors: Object.values(validationError.errors || {}).map(error => ({
+            field: error.path,
+            message: error.message
+          }))
+        };
+        continue;
+      }
+      
+      // Repeats inside the batch count as duplicates too (the MongoDB fallback cannot see unsaved alerts)
+      const fingerprint = fingerprintAlert(alert, payload);
+      const originalAlertId = batchFingerprints.get(fingerprint) ||
+        await alertDeduplicationService.claim(fingerprint, alert._id);
+      
+      if (originalAlertId) {
+        alert.processing.status = 'duplicate';
+        alert.processing.duplicateOf = originalAlertId;
+        results[index] = { index, success: true, alertId: originalAlertId, duplicate: true };
+      } else {
+        batchFingerprints.set(fingerprint, alert._id.toString());
+        results[index] = { index, success: true, alertId: alert._id };
+      }
+      entries.push({ index, alert, fingerprint, claimed: !originalAlertId });
+    }
+    
+    if (entries.length > 0) {
+      try {
+        await Alert.insertMany(entries.map(entry => entry.alert), { ordered: false });
+      } catch (insertError) {
+        if (!Array.isArray(insertError.writeErrors)) {
+          await Promise.all(entries
+            .filter(entry => entry.claimed)
+            .map(entry => alertDeduplicationService.release(entry.fingerprint)));
+          throw insertError;
+        }
+        
+        const failedPositions = new Set(insertError.writeErrors.map(writeError => writeError.index));
+        for (const [position, entry] of entries.entries()) {
+          if (!failedPositions.has(position)) {
+            continue;
+          }
+          if (entry.claimed) {
+            await alertDeduplicationService.release(entry.fingerprint);
+          }
+          entry.failed = true;
+          results[entry.index] = {
+            index: entry.index,
+            success: false,
+            errors: [{ field: `alerts[${entry.index}]`, message: 'Alert could not be stored' }]
+          };
+        }
+      }
+    }
+    
+    const stored = entries.filter(entry => !entry.failed);
+    const queued = stored.filter(entry => entry.claimed);
+    
+    if (req.alertSource && stored.length > 0) {
+      await req.alertSource.recordReceived(stored.length);
+    }
+    
+    // Hand the new alerts to the durable processing queue
+    for (const entry of queued) {
+      await alertQueueService.enqueue(entry.alert._id);
+    }
+    
+    const summary = {
+      total: items.length,
+      accepted: queued.length,
+      duplicates: stored.length - queued.length,
+      rejected: items.length - stored.length
+    };
+    
+    logger.info('Webhook alert batch received', {
+      batchId,
+      source,
+      ...summary,
+      processingTime: Date.now() - startTime
+    });
+    
+    res.status(200).json({
+      success: true,
+      message: `Batch received: ${summary.accepted} queued, ${summary.duplicates} duplicate, ${summary.rejected} rejected`,
+      batchId,
+      summary,
+      results,
+      timestamp: new Date().toISOString()
+    });
+    
+  } catch (error) {
+    logger.error('Error processing webhook alert batch:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error processing webhook'
+    });
+  }
+};
+
+// Modify take-profit / stop-loss levels on open trades
+const processTpSlWebhook = async (req, res) => {
+  try {
+    const clientIP = req.ip || req.connection.remoteAddress;
+
+    const { tradeNumber, strategy, alertConfigId, reason } = req.body;
+    const symbol = req.body.symbol
+      ? (await Instrument.resolveSymbol(req.body.symbol)).symbol
+      : undefined;
+    const levels = {
+      takeProfitPrice: req.body.takeProfitPrice !== undefined ? parseFloat(req.body.takeProfitPrice) : undefined,
+      stopLossPrice: req.body.stopLossPrice !== undefined ? parseFloat(req.body.stopLossPrice) : undefined
+    };
+
+    const result = await alertProcessingService.updateTradeLevels(
+      { tradeNumber, symbol, strategy, alertConfigId },
+      levels,
+      reason || 'TP/SL webhook update'
+    );
+
+    if (result.matched === 0) {
+      return res.status(404).json({
+        success: false,
+        message: tradeNumber
+          ? `Trade #${tradeNumber} not found`
+          : 'No open trades found matching the given symbol and strategy',
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (result.updated.length === 0 && result.rejected.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'TP/SL update rejected for all matched trades',
+        errors: result.rejected,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    logger.info('TP/SL webhook processed', {
+      ip: clientIP,
+      matched: result.matched,
+      updated: result.updated.length,
+      rejected: result.rejected.length
+    });
+
+    res.status(200).json({
+      success: true,
+      message: result.updated.length > 0
+        ? `Levels updated on ${result.updated.length} trade(s)`
+        : 'Levels already up to date',
+      updated: result.updated,
+      rejected: result.rejected,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error processing TP/SL webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error processing TP/SL webhook'
+    });
+  }
+};
+
+// Fill pending entries a reported price reaches
+const processPriceUpdateWebhook = async (req, res) => {
+  try {
+    const { symbol } = await Instrument.resolveSymbol(req.body.symbol);
+    const price = parseFloat(req.body.price);
+    const observedAt = req.body.timestamp ? new Date(req.body.timestamp) : new Date();
+
+    const filled = await alertProcessingService.processPriceUpdate(symbol, price, observedAt);
+
+    if (filled.length > 0) {
+      logger.info('Price update filled pending entries', {
+        ip: req.ip || req.connection.remoteAddress,
+        symbol,
+        price,
+        filled: filled.length
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      filled: filled.map(trade => trade.tradeNumber),
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    logger.error('Error processing price update webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error processing price update'
+    });
+  }
+};
+
 // Get alert processing statistics
 const getProcessingStats = async (req, res) => {
   try {
-    const stats = alertProcessingService.getProcessingStats();
+    const stats = await alertQueueService.getStats();
     
     // Get additional database stats
     const totalAlerts = await Alert.countDocuments();
     const pendingAlerts = await Alert.countDocuments({ 'processing.status': { $in: ['received', 'processing'] } });
     const processedAlerts = await Alert.countDocuments({ 'processing.status': 'processed' });
     const failedAlerts = await Alert.countDocuments({ 'processing.status': 'failed' });
+    const duplicateAlerts = await Alert.countDocuments({ 'processing.status': 'duplicate' });
+    const staleAlerts = await Alert.countDocuments({ 'processing.status': 'rejected_stale' });
+    const quarantinedAlerts = await Alert.countDocuments({ 'processing.status': 'quarantined' });
+    const heldAlerts = await Alert.countDocuments({ 'processing.status': 'held' });
+    const throttledAlerts = await Alert.countDocuments({ 'processing.status': 'throttled' });
     
     const recentAlerts = await Alert.find()
       .sort({ 'webhook.receivedAt': -1 })
       .limit(10)
-      .select('alertData.symbol alertData.signal alertData.strategy processing.status webhook.receivedAt');
+      .select('source alertData.symbol alertData.signal alertData.strategy processing.status webhook.receivedAt');
     
     res.json({
       success: true,
@@ -159,7 +495,12 @@ const getProcessingStats = async (req, res) => {
           total: totalAlerts,
           pending: pendingAlerts,
           processed: processedAlerts,
-          failed: failedAlerts
+          failed: failedAlerts,
+          duplicates: duplicateAlerts,
+          rejectedStale: staleAlerts,
+          quarantined: quarantinedAlerts,
+          held: heldAlerts,
+          throttled: throttledAlerts
         },
         recentAlerts
       }
@@ -182,8 +523,6 @@ const processEntrySignal = async (alert) => {
   // TODO: Implement user matching based on subscriptions and alert configurations
   // For now, we'll create a basic trade record
   
-  const tradeNumber = await Trade.getNextTradeNumber();
-  
   // TODO: Replace with actual user matching logic
   // This is a placeholder - in production, we need to:
   // 1. Find users with active subscriptions
@@ -208,7 +547,6 @@ const processEntrySignal = async (alert) => {
     symbol,
     signal,
     price,
-    tradeNumber,
     strategy
   });
   
@@ -296,11 +634,42 @@ const getWebhookStats = async (req, res) => {
     const recentAlerts = await Alert.find()
       .sort({ 'webhook.receivedAt': -1 })
       .limit(10)
-      .select('alertData.symbol alertData.signal alertData.strategy processing.status webhook.receivedAt');
+      .select('source alertData.symbol alertData.rawSymbol alertData.unknownSymbol alertData.signal alertData.strategy processing.status webhook.receivedAt');
+    
+    const duplicateStats = stats.find(stat => stat._id === 'duplicate');
+    
+    // Symbols not in the instrument registry, for admins to map
+    const unknownSymbols = await Alert.findUnknownSymbols();
+    
+    // Per-source breakdown of received alerts by processing status
+    const sourceStats = await Alert.aggregate([
+      {
+        $group: {
+          _id: { source: '$source', status: '$processing.status' },
+          count: { $sum: 1 },
+          lastReceivedAt: { $max: '$webhook.receivedAt' }
+        }
+      },
+      { $sort: { '_id.source': 1 } }
+    ]);
+    
+    const bySource = sourceStats.reduce((sources, stat) => {
+      const name = stat._id.source || 'tradingview';
+      const entry = sources[name] || (sources[name] = { total: 0, byStatus: {}, lastReceivedAt: null });
+      entry.total += stat.count;
+      entry.byStatus[stat._id.status] = stat.count;
+      if (!entry.lastReceivedAt || stat.lastReceivedAt > entry.lastReceivedAt) {
+        entry.lastReceivedAt = stat.lastReceivedAt;
+      }
+      return sources;
+    }, {});
     
     res.status(200).json({
       success: true,
       stats,
+      duplicatesSuppressed: duplicateStats ? duplicateStats.count : 0,
+      bySource,
+      unknownSymbols,
       recentAlerts
     });
     
@@ -314,7 +683,10 @@ const getWebhookStats = async (req, res) => {
 };
 
 module.exports = {
-  processTradingViewWebhook,
+  processAlertWebhook,
+  processBatchWebhook,
+  processTpSlWebhook,
+  processPriceUpdateWebhook,
   testWebhook,
   getWebhookStats,
   getProcessingStats
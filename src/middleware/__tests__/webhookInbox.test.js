@@ -0,0 +1,65 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const request = require('supertest');
+const { captureWebhookRequest, captureRawBody } = require('../webhookInbox');
+const WebhookInboxEntry = require('../../models/WebhookInboxEntry');
+
+// Webhook stack in the order server.js mounts it
+const buildApp = () => {
+  const app = express();
+  app.use('/api/webhooks/', captureWebhookRequest);
+  app.use('/api/webhooks/', rateLimit({ windowMs: 60 * 1000, max: 1, message: { error: 'Webhook rate limit exceeded.' } }));
+  app.use(express.json({ verify: captureRawBody }));
+  app.post('/api/webhooks/tradingview', (req, res) => {
+    req.webhookAuthenticated = req.headers.authorization === 'Bearer secret';
+    res.status(200).json({ success: true, message: 'Alert received and queued for processing' });
+  });
+  return app;
+};
+
+// Resolves with the next inbox entry written (entries are recorded once the response finished)
+const nextInboxEntry = () => new Promise(resolve => {
+  WebhookInboxEntry.create.mockImplementationOnce(async (entry) => {
+    resolve(entry);
+    return entry;
+  });
+});
+
+describe('captureWebhookRequest', () => {
+  beforeEach(() => {
+    jest.spyOn(WebhookInboxEntry, 'create');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records accepted requests with their body and credentials redacted', async () => {
+    const app = buildApp();
+    const recorded = nextInboxEntry();
+
+    await request(app)
+      .post('/api/webhooks/tradingview')
+      .set('Authorization', 'Bearer secret')
+      .send({ symbol: 'BTCUSDT', passphrase: 'hunter2' })
+      .expect(200);
+
+    const entry = await recorded;
+    expect(entry).toMatchObject({ endpoint: 'tradingview', outcome: 'accepted', statusCode: 200, authenticated: true });
+    expect(entry.headers.authorization).toBe('[REDACTED]');
+    expect(JSON.parse(entry.rawBody)).toEqual({ symbol: 'BTCUSDT', passphrase: '[REDACTED]' });
+  });
+
+  it('records requests the rate limiter rejects', async () => {
+    const app = buildApp();
+    const first = nextInboxEntry();
+    await request(app).post('/api/webhooks/tradingview').send({ symbol: 'BTCUSDT' }).expect(200);
+    await first;
+
+    const recorded = nextInboxEntry();
+    await request(app).post('/api/webhooks/tradingview').send({ symbol: 'BTCUSDT' }).expect(429);
+
+    const entry = await recorded;
+    expect(entry).toMatchObject({ endpoint: 'tradingview', outcome: 'rejected', statusCode: 429, rawBody: '', authenticated: false });
+  });
+});
@@ -0,0 +1,162 @@
+const AlertConfiguration = require('../models/AlertConfiguration');
+const AlertSource = require('../models/AlertSource');
+const webhookAuthService = require('../services/webhookAuthService');
+const logger = require('../utils/logger');
+
+/**
+ * Middleware to resolve the alert configuration bound to a per-config webhook URL
+ * Alerts received through the URL are tied to that configuration only.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const resolveWebhookConfig = async (req, res, next) => {
+  try {
+    const { token } = req.params;
+
+    const config = /^[a-f0-9]{64}$/.test(token || '')
+      ? await AlertConfiguration.findByWebhookToken(token)
+      : null;
+
+    if (!config) {
+      logger.warn('Webhook received for unknown or revoked token', {
+        url: req.baseUrl,
+        ip: req.ip
+      });
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    req.alertConfig = config;
+    next();
+  } catch (error) {
+    logger.error('Error resolving webhook configuration:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error processing webhook'
+    });
+  }
+};
+
+/**
+ * Log a failed webhook authentication and respond with a structured rejection
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} policy - Auth policy the request was checked against
+ * @param {Object} failure - { code, reason } from the auth service
+ */
+const rejectWebhook = (req, res, policy, failure) => {
+  logger.warn('Webhook authentication failed', {
+    source: policy.name,
+    method: policy.method,
+    code: failure.code,
+    url: req.baseUrl,
+    ip: req.ip
+  });
+
+  return res.status(401).json({
+    success: false,
+    message: 'Webhook authentication failed',
+    error: {
+      code: failure.code,
+      reason: failure.reason
+    }
+  });
+};
+
+/**
+ * Middleware to authenticate TradingView webhooks
+ * The auth mode (HMAC, passphrase or none) and replay protection come from the
+ * TRADINGVIEW_WEBHOOK_* environment variables. Runs after the payload is parsed
+ * so the passphrase can be read from (and stripped out of) the body.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const authenticateTradingViewWebhook = async (req, res, next) => {
+  try {
+    const policy = webhookAuthService.getTradingViewPolicy();
+    const failure = await webhookAuthService.authenticate(req, policy);
+
+    if (failure) {
+      return rejectWebhook(req, res, policy, failure);
+    }
+
+    req.webhookAuthenticated = true;
+    next();
+  } catch (error) {
+    logger.error('Error authenticating webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error processing webhook'
+    });
+  }
+};
+
+/**
+ * Middleware to authenticate price update webhooks
+ * Prices fill pending entries, so they are checked like TradingView webhooks but never
+ * accepted without credentials (auth mode `none`).
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const authenticatePriceUpdateWebhook = (req, res, next) => {
+  const policy = webhookAuthService.getTradingViewPolicy();
+
+  if (policy.method === 'none') {
+    return rejectWebhook(req, res, policy, {
+      code: 'auth_required',
+      reason: 'Price updates require webhook authentication (HMAC or passphrase)'
+    });
+  }
+
+  return authenticateTradingViewWebhook(req, res, next);
+};
+
+/**
+ * Middleware to resolve and authenticate a registered alert source
+ * Sources authenticate with an API key header, an HMAC-SHA256 signature header,
+ * a passphrase field in the payload, or not at all, optionally with replay protection.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const authenticateAlertSource = async (req, res, next) => {
+  try {
+    const source = await AlertSource.findActiveByName(req.params.sourceName);
+
+    if (!source) {
+      return res.status(404).json({
+        success: false,
+        message: 'Alert source not found'
+      });
+    }
+
+    const policy = webhookAuthService.getSourcePolicy(source);
+    const failure = await webhookAuthService.authenticate(req, policy);
+
+    if (failure) {
+      return rejectWebhook(req, res, policy, failure);
+    }
+
+    req.alertSource = source;
+    req.webhookAuthenticated = true;
+    next();
+  } catch (error) {
+    logger.error('Error authenticating alert source:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error processing webhook'
+    });
+  }
+};
+
+module.exports = {
+  resolveWebhookConfig,
+  authenticateTradingViewWebhook,
+  authenticatePriceUpdateWebhook,
+  authenticateAlertSource
+};
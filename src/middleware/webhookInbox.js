@@ -0,0 +1,144 @@
+const WebhookInboxEntry = require('../models/WebhookInboxEntry');
+const webhookAuthService = require('../services/webhookAuthService');
+const logger = require('../utils/logger');
+
+const REDACTED = '[REDACTED]';
+const SENSITIVE_HEADER_PATTERN = /authorization|cookie|token|secret|signature|passphrase|api-?key/i;
+const MAX_STORED_BODY_LENGTH = 64 * 1024;
+
+const WEBHOOK_ENDPOINTS = [
+  { endpoint: 'tradingview', pattern: /^\/api\/webhooks\/tradingview\/?$/ },
+  { endpoint: 'tradingview_batch', pattern: /^\/api\/webhooks\/tradingview\/batch\/?$/ },
+  { endpoint: 'tradingview_config', pattern: /^\/api\/webhooks\/tradingview\/[^/]+\/?$/ },
+  { endpoint: 'source', pattern: /^\/api\/webhooks\/sources\/([^/]+)\/?$/ },
+  { endpoint: 'source_batch', pattern: /^\/api\/webhooks\/sources\/([^/]+)\/batch\/?$/ },
+  { endpoint: 'tp_sl', pattern: /^\/api\/webhooks\/tp-sl\/?$/ },
+  { endpoint: 'price', pattern: /^\/api\/webhooks\/price\/?$/ }
+];
+
+/**
+ * Copy request headers with credentials replaced
+ * @param {Object} headers - Request headers
+ * @param {Array<string>} extraSensitive - Additional header names to redact
+ * @returns {Object} Redacted headers
+ */
+const redactHeaders = (headers, extraSensitive = []) => {
+  const redacted = {};
+  Object.entries(headers || {}).forEach(([name, value]) => {
+    const sensitive = SENSITIVE_HEADER_PATTERN.test(name) || extraSensitive.includes(name.toLowerCase());
+    redacted[name] = sensitive ? REDACTED : value;
+  });
+  return redacted;
+};
+
+/**
+ * Persist a webhook request and its outcome to the inbox
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {number} startTime - Request start timestamp
+ */
+const recordInboxEntry = async (req, res, startTime) => {
+  const path = req.originalUrl.split('?')[0];
+  const match = WEBHOOK_ENDPOINTS.find(({ pattern }) => pattern.test(path));
+  const endpoint = match ? match.endpoint : 'other';
+  const response = res.locals.inboxResponse || {};
+
+  let source;
+  if (req.alertSource) {
+    source = req.alertSource.name;
+  } else if (endpoint === 'source' || endpoint === 'source_batch') {
+    source = match.pattern.exec(path)[1];
+  } else if (endpoint.startsWith('tradingview')) {
+    source = 'tradingview';
+  }
+
+  let rawBody = req.rawBody;
+  if (rawBody === undefined) {
+    const body = req.sourcePayload || req.body;
+    // Rate-limited requests are answered before their body is read
+    if (body === undefined) {
+      rawBody = '';
+    } else {
+      rawBody = typeof body === 'string' ? body : JSON.stringify(body || {});
+    }
+  }
+  // Authentication only strips the passphrase from requests it inspected (not e.g. rate-limited ones)
+  const passphraseField = (req.alertSource && req.alertSource.auth.passphraseField) || 'passphrase';
+  rawBody = webhookAuthService.redactField(rawBody, passphraseField);
+  const bodyTruncated = rawBody.length > MAX_STORED_BODY_LENGTH;
+
+  const extraSensitive = req.alertSource && req.alertSource.auth.headerName
+    ? [req.alertSource.auth.headerName]
+    : [];
+
+  await WebhookInboxEntry.create({
+    endpoint,
+    // Per-config webhook tokens are credentials
+    path: endpoint === 'tradingview_config' ? '/api/webhooks/tradingview/:token' : path,
+    method: req.method,
+    query: req.query,
+    source,
+    alertConfigId: req.alertConfig ? req.alertConfig._id : undefined,
+    authenticated: Boolean(req.webhookAuthenticated),
+    headers: redactHeaders(req.headers, extraSensitive),
+    contentType: req.headers['content-type'],
+    rawBody: bodyTruncated ? rawBody.slice(0, MAX_STORED_BODY_LENGTH) : rawBody,
+    bodyTruncated,
+    ipAddress: req.ip || (req.connection && req.connection.remoteAddress),
+    outcome: WebhookInboxEntry.classifyOutcome(res.statusCode, response),
+    statusCode: res.statusCode,
+    message: response.message,
+    validationErrors: Array.isArray(response.errors)
+      ? response.errors.map(({ field, message, value }) => ({ field, message, value }))
+      : [],
+    alertId: response.alertId,
+    processingTime: Date.now() - startTime
+  });
+};
+
+/**
+ * Middleware that records every inbound webhook request in the webhook inbox
+ * Mounted before the rate limiter and the body parsers, so rate-limited requests (without
+ * their body) and malformed bodies are captured as well.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const captureWebhookRequest = (req, res, next) => {
+  if (req.method !== 'POST') {
+    return next();
+  }
+
+  const startTime = Date.now();
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    res.locals.inboxResponse = body;
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    recordInboxEntry(req, res, startTime).catch(error => {
+      logger.error('Failed to record webhook inbox entry:', error);
+    });
+  });
+
+  next();
+};
+
+/**
+ * Body parser `verify` hook keeping the exact request bytes of webhook requests
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Buffer} buf - Raw request body
+ */
+const captureRawBody = (req, res, buf) => {
+  if (req.originalUrl.startsWith('/api/webhooks')) {
+    req.rawBody = buf.toString('utf8');
+  }
+};
+
+module.exports = {
+  captureWebhookRequest,
+  captureRawBody,
+  redactHeaders
+};
@@ -0,0 +1,168 @@
+const AlertConfiguration = require('../models/AlertConfiguration');
+const ParsingTemplate = require('../models/ParsingTemplate');
+const logger = require('../utils/logger');
+
+/**
+ * Middleware to turn plain-text or loosely formatted webhook bodies into the
+ * TradingView webhook payload shape
+ * The parsing template comes from the bound alert configuration (per-config URLs)
+ * or from the `template` query parameter, which only selects templates an active
+ * configuration is bound to. Without a template the body must be JSON.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const parseWebhookPayload = async (req, res, next) => {
+  try {
+    let template = null;
+
+    if (req.alertConfig) {
+      if (req.alertConfig.parsingTemplate) {
+        template = await ParsingTemplate.findOne({
+          _id: req.alertConfig.parsingTemplate,
+          status: 'active'
+        });
+      }
+      // Per-config URLs only use the configuration's own template
+      if (req.query.template && (!template || template.name !== req.query.template)) {
+        return res.status(400).json({
+          success: false,
+          message: `Parsing template is not bound to this configuration: ${req.query.template}`
+        });
+      }
+    } else if (req.query.template) {
+      template = await ParsingTemplate.findActiveByName(req.query.template);
+      if (!template) {
+        return res.status(400).json({
+          success: false,
+          message: `Unknown parsing template: ${req.query.template}`
+        });
+      }
+      if (!(await AlertConfiguration.exists({ parsingTemplate: template._id, status: 'active' }))) {
+        return res.status(400).json({
+          success: false,
+          message: `Parsing template is not bound to an active configuration: ${req.query.template}`
+        });
+      }
+    }
+
+    let body = req.body;
+    if (typeof body === 'string') {
+      req.rawBody = body;
+      try {
+        body = JSON.parse(body);
+      } catch (parseError) {
+        if (!template) {
+          logger.warn('Non-JSON webhook body received without a parsing template', {
+            url: req.baseUrl,
+            ip: req.ip
+          });
+          return res.status(400).json({
+            success: false,
+            message: 'Payload is not valid JSON and no parsing template is configured'
+          });
+        }
+      }
+    }
+
+    if (template) {
+      const { payload, missingFields } = template.parse(body);
+      req.parsingTemplate = template;
+
+      if (missingFields.length > 0) {
+        logger.warn('Parsing template could not extract all required fields', {
+          template: template.name,
+          missingFields,
+          ip: req.ip
+        });
+      }
+
+      body = payload;
+    }
+
+    req.body = body;
+    next();
+  } catch (error) {
+    logger.error('Error parsing webhook payload:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error processing webhook'
+    });
+  }
+};
+
+/**
+ * Middleware to fill payload fields that the bound alert configuration already defines
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const applyConfigDefaults = (req, res, next) => {
+  if (req.alertConfig && req.body && typeof req.body === 'object') {
+    ['symbol', 'timeframe', 'strategy'].forEach(field => {
+      if (!req.body[field]) {
+        req.body[field] = req.alertConfig[field];
+      }
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware to map a registered source's JSON payload into the alert payload shape
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const mapSourcePayload = (req, res, next) => {
+  if (!req.alertSource) {
+    return next();
+  }
+
+  if (!req.body || typeof req.body !== 'object') {
+    return res.status(400).json({
+      success: false,
+      message: 'Alert source payload must be a JSON object'
+    });
+  }
+
+  req.sourcePayload = req.body;
+  req.body = req.alertSource.mapPayload(req.body);
+  next();
+};
+
+/**
+ * Middleware to parse batch webhook bodies sent as text (TradingView posts JSON as text/plain)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const parseBatchPayload = (req, res, next) => {
+  if (typeof req.body === 'string') {
+    try {
+      req.body = JSON.parse(req.body);
+    } catch (parseError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Batch payload is not valid JSON'
+      });
+    }
+  }
+
+  if (!req.body || typeof req.body !== 'object' || Array.isArray(req.body)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Batch payload must be a JSON object with an alerts array'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  parseWebhookPayload,
+  parseBatchPayload,
+  applyConfigDefaults,
+  mapSourcePayload
+};
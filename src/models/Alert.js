@@ -1,9 +1,13 @@
 const mongoose = require('mongoose');
+const { SIGNALS } = require('../utils/signals');
 
 const alertSchema = new mongoose.Schema({
+  // 'tradingview', the name of a registered AlertSource, or 'confluence' for alerts
+  // emitted by a confluence configuration
   source: {
     type: String,
-    enum: ['tradingview'],
+    lowercase: true,
+    trim: true,
     default: 'tradingview'
   },
   webhook: {
@@ -17,14 +21,46 @@ const alertSchema = new mongoose.Schema({
       required: true
     },
     signature: String,
-    ipAddress: String
+    ipAddress: String,
+    alertConfigId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AlertConfiguration'
+    },
+    fingerprint: String,
+    rawBody: String,
+    parsingTemplateId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ParsingTemplate'
+    },
+    sourceId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AlertSource'
+    },
+    // Shared by alerts received in the same batch request
+    batchId: String
   },
   alertData: {
+    // Canonical symbol from the instrument registry (the ticker without exchange prefix when unknown)
     symbol: {
       type: String,
       required: true,
       uppercase: true
     },
+    // Symbol as received, e.g. BINANCE:BTCUSDT.P
+    rawSymbol: {
+      type: String,
+      uppercase: true
+    },
+    exchange: String,
+    instrumentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Instrument'
+    },
+    // Not found in the instrument registry
+    unknownSymbol: {
+      type: Boolean,
+      default: false
+    },
     timeframe: {
       type: String,
       required: true
@@ -35,7 +71,7 @@ const alertSchema = new mongoose.Schema({
     },
     signal: {
       type: String,
-      enum: ['BUY', 'SELL', 'TP_HIT', 'SL_HIT'],
+      enum: SIGNALS,
       required: true
     },
     price: {
@@ -43,23 +79,128 @@ const alertSchema = new mongoose.Schema({
       required: true
     },
     takeProfitPrice: Number,
+    // Take-profit ladder published with an entry; allocation is the percent of the position
+    takeProfits: [{
+      _id: false,
+      price: Number,
+      allocation: Number
+    }],
     stopLossPrice: Number,
+    // Limit entry: open when the price reaches price (see AlertConfiguration pendingEntries)
+    entryTrigger: {
+      price: Number,
+      expiresAt: Date
+    },
+    // Bar volume reported with the alert
+    volume: Number,
     timestamp: {
       type: Date,
       required: true
     },
     additionalData: Object
   },
+  // Set on alerts emitted by a confluence configuration: the source alerts that agreed
+  confluence: {
+    alertConfigId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AlertConfiguration'
+    },
+    windowSeconds: Number,
+    contributions: [{
+      _id: false,
+      alertId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Alert'
+      },
+      sourceConfigId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AlertConfiguration'
+      },
+      strategy: String,
+      price: Number,
+      receivedAt: Date
+    }]
+  },
   processing: {
     status: {
       type: String,
-      enum: ['received', 'processing', 'processed', 'failed'],
+      enum: ['received', 'processing', 'processed', 'failed', 'duplicate', 'rejected_stale', 'quarantined', 'dismissed', 'held', 'throttled'],
       default: 'received'
     },
+    duplicateOf: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Alert'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    nextAttemptAt: Date,
+    deadLetteredAt: Date,
+    recoveries: {
+      type: Number,
+      default: 0
+    },
+    replays: [{
+      adminId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser'
+      },
+      replayedAt: Date
+    }],
     alertConfigId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'AlertConfiguration'
     },
+    // Held for admin review after breaching a configuration's price tolerance
+    quarantine: {
+      quarantinedAt: Date,
+      referencePrice: Number,
+      deviation: Number,
+      reason: String,
+      decision: {
+        type: String,
+        enum: ['released', 'dismissed']
+      },
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AdminUser'
+      },
+      reviewedAt: Date,
+      note: String
+    },
+    // Held for configurations outside their trading session until the next one opens,
+    // or inside a cooldown until it ends
+    heldUntil: Date,
+    // Age of the alert (seconds since its timestamp) when it was processed
+    ageSeconds: Number,
+    // Matched configurations that did not distribute the alert
+    rejections: [{
+      alertConfigId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AlertConfiguration'
+      },
+      reason: String,
+      message: String,
+      rejectedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    // Configuration conditions that matched the alert (see utils/ruleEngine)
+    ruleMatches: [{
+      alertConfigId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AlertConfiguration'
+      },
+      conditionId: String,
+      name: String,
+      actions: [String],
+      matchedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
     matchedUsers: [{
       userId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -69,6 +210,10 @@ const alertSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'UserSubscription'
       },
+      alertConfigId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AlertConfiguration'
+      },
       delivered: {
         type: Boolean,
         default: false
@@ -79,7 +224,7 @@ const alertSchema = new mongoose.Schema({
     tradeActions: [{
       action: {
         type: String,
-        enum: ['open_trade', 'close_trade', 'replace_trade']
+        enum: ['open_trade', 'place_order', 'close_trade', 'partial_close', 'replace_trade', 'reverse_trade', 'update_levels', 'cancel_trade']
       },
       tradeId: {
         type: mongoose.Schema.Types.ObjectId,
@@ -97,7 +242,7 @@ const alertSchema = new mongoose.Schema({
       error: String
     }],
     errors: [{
-      type: String,
+      type: { type: String },
       message: String,
       timestamp: {
         type: Date,
@@ -119,14 +264,94 @@ const alertSchema = new mongoose.Schema({
 
 // Indexes for performance
 alertSchema.index({ 'webhook.receivedAt': 1 });
+alertSchema.index({ source: 1, 'processing.status': 1 });
 alertSchema.index({ 'processing.status': 1 });
 alertSchema.index({ 'alertData.symbol': 1 });
 alertSchema.index({ 'alertData.strategy': 1 });
 alertSchema.index({ 'alertData.signal': 1 });
 alertSchema.index({ 'processing.alertConfigId': 1 });
 alertSchema.index({ 'processing.matchedUsers.userId': 1 });
+alertSchema.index({ 'webhook.fingerprint': 1, 'webhook.receivedAt': -1 });
+alertSchema.index({ 'alertData.symbol': 1, 'processing.status': 1, 'webhook.receivedAt': -1 });
+alertSchema.index({ 'alertData.symbol': 1, 'alertData.timeframe': 1, 'webhook.receivedAt': -1 });
+alertSchema.index(
+  { 'alertData.rawSymbol': 1, 'webhook.receivedAt': -1 },
+  { partialFilterExpression: { 'alertData.unknownSymbol': true } }
+);
+alertSchema.index({ 'processing.status': 1, 'processing.heldUntil': 1 });
+alertSchema.index({ 'confluence.contributions.alertId': 1 }, { sparse: true });
 
 // Static methods
+alertSchema.statics.findLastAcceptedPrice = async function(symbol, excludeAlertId) {
+  const lastAccepted = await this.findOne({
+    _id: { $ne: excludeAlertId },
+    'alertData.symbol': symbol.toUpperCase(),
+    'processing.status': 'processed'
+  })
+    .sort({ 'webhook.receivedAt': -1 })
+    .select('alertData.price');
+
+  return lastAccepted ? lastAccepted.alertData.price : null;
+};
+
+alertSchema.statics.findAverageVolume = async function(symbol, timeframe, lookback, excludeAlertId) {
+  const [result] = await this.aggregate([
+    {
+      $match: {
+        _id: { $ne: excludeAlertId },
+        'alertData.symbol': symbol.toUpperCase(),
+        'alertData.timeframe': timeframe,
+        'alertData.volume': { $ne: null },
+        'processing.status': { $ne: 'duplicate' }
+      }
+    },
+    { $sort: { 'webhook.receivedAt': -1 } },
+    { $limit: lookback },
+    {
+      $group: {
+        _id: null,
+        averageVolume: { $avg: '$alertData.volume' },
+        samples: { $sum: 1 }
+      }
+    }
+  ]);
+
+  return result
+    ? { averageVolume: result.averageVolume, samples: result.samples }
+    : { averageVolume: null, samples: 0 };
+};
+
+// Raw symbols not found in the instrument registry, most frequent first
+alertSchema.statics.findUnknownSymbols = function(since = null, limit = 50) {
+  const match = { 'alertData.unknownSymbol': true };
+  if (since) {
+    match['webhook.receivedAt'] = { $gte: since };
+  }
+
+  return this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$alertData.rawSymbol',
+        count: { $sum: 1 },
+        sources: { $addToSet: '$source' },
+        lastReceivedAt: { $max: '$webhook.receivedAt' }
+      }
+    },
+    { $sort: { count: -1, lastReceivedAt: -1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        rawSymbol: '$_id',
+        count: 1,
+        sources: 1,
+        lastReceivedAt: 1
+      }
+    }
+  ]);
+};
+
 alertSchema.statics.findBySymbol = function(symbol) {
   return this.find({ 'alertData.symbol': symbol.toUpperCase() });
 };
@@ -139,8 +364,24 @@ alertSchema.statics.findByStatus = function(status) {
   return this.find({ 'processing.status': status });
 };
 
-alertSchema.statics.findPendingAlerts = function() {
-  return this.find({ 'processing.status': { $in: ['received', 'processing'] } });
+alertSchema.statics.findPendingAlerts = function(staleBefore = null) {
+  const query = { 'processing.status': { $in: ['received', 'processing'] } };
+  if (staleBefore) {
+    // Untouched since the cutoff and not waiting on a scheduled retry
+    query.updatedAt = { $lt: staleBefore };
+    query.$or = [
+      { 'processing.nextAttemptAt': null },
+      { 'processing.nextAttemptAt': { $lt: staleBefore } }
+    ];
+  }
+  return this.find(query).sort({ 'webhook.receivedAt': 1 });
+};
+
+alertSchema.statics.findDueHeldAlerts = function(now = new Date()) {
+  return this.find({
+    'processing.status': 'held',
+    'processing.heldUntil': { $lte: now }
+  }).sort({ 'processing.heldUntil': 1, 'webhook.receivedAt': 1 });
 };
 
 // Instance methods
@@ -168,15 +409,127 @@ alertSchema.methods.markAsFailed = function(error) {
   return this.save();
 };
 
-alertSchema.methods.addMatchedUser = function(userId, subscriptionId) {
+alertSchema.methods.scheduleRetry = function(error, attempts, nextAttemptAt) {
+  this.processing.status = 'received';
+  this.processing.attempts = attempts;
+  this.processing.nextAttemptAt = nextAttemptAt;
+  this.processing.errors.push({
+    type: 'processing_error',
+    message: error.message || error,
+    timestamp: new Date()
+  });
+  this.updatedAt = new Date();
+  return this.save();
+};
+
+alertSchema.methods.markAsDeadLettered = function(error, attempts) {
+  this.processing.attempts = attempts;
+  this.processing.nextAttemptAt = undefined;
+  this.processing.deadLetteredAt = new Date();
+  return this.markAsFailed(error);
+};
+
+alertSchema.methods.markAsStale = function(reason) {
+  this.processing.status = 'failed';
+  this.processing.errors.push({
+    type: 'stale_alert',
+    message: reason,
+    timestamp: new Date()
+  });
+  this.updatedAt = new Date();
+  return this.save();
+};
+
+alertSchema.methods.markAsRejectedStale = function() {
+  this.processing.status = 'rejected_stale';
+  this.webhook.processedAt = new Date();
+  this.updatedAt = new Date();
+  return this.save();
+};
+
+alertSchema.methods.markAsQuarantined = function() {
+  this.processing.status = 'quarantined';
+  this.updatedAt = new Date();
+  return this.save();
+};
+
+alertSchema.methods.markAsHeld = function(heldUntil) {
+  this.processing.status = 'held';
+  this.processing.heldUntil = heldUntil;
+  this.updatedAt = new Date();
+  return this.save();
+};
+
+alertSchema.methods.markAsThrottled = function() {
+  this.processing.status = 'throttled';
+  this.processing.heldUntil = undefined;
+  this.webhook.processedAt = new Date();
+  this.updatedAt = new Date();
+  return this.save();
+};
+
+alertSchema.methods.reviewQuarantine = function(decision, adminId, note) {
+  this.processing.quarantine.decision = decision;
+  this.processing.quarantine.reviewedBy = adminId;
+  this.processing.quarantine.reviewedAt = new Date();
+  this.processing.quarantine.note = note;
+  if (decision === 'dismissed') {
+    this.processing.status = 'dismissed';
+  }
+  this.updatedAt = new Date();
+  return this.save();
+};
+
+alertSchema.methods.addRejection = function(alertConfigId, reason, message) {
+  this.processing.rejections.push({
+    alertConfigId,
+    reason,
+    message,
+    rejectedAt: new Date()
+  });
+};
+
+alertSchema.methods.hasRejection = function(alertConfigId, reason) {
+  return this.processing.rejections.some(rejection =>
+    rejection.alertConfigId && rejection.alertConfigId.toString() === alertConfigId.toString() &&
+    rejection.reason === reason
+  );
+};
+
+alertSchema.methods.addRuleMatches = function(alertConfigId, matched) {
+  matched.forEach(({ conditionId, name, actions }) => {
+    const recorded = this.processing.ruleMatches.some(match =>
+      match.alertConfigId && match.alertConfigId.toString() === alertConfigId.toString() &&
+      match.conditionId === conditionId
+    );
+    if (!recorded) {
+      this.processing.ruleMatches.push({ alertConfigId, conditionId, name, actions, matchedAt: new Date() });
+    }
+  });
+};
+
+alertSchema.methods.addMatchedUser = function(userId, subscriptionId, alertConfigId) {
   this.processing.matchedUsers.push({
     userId,
     subscriptionId,
+    alertConfigId,
     delivered: false
   });
   return this.save();
 };
 
+alertSchema.methods.hasMatchedUser = function(userId, alertConfigId) {
+  return this.processing.matchedUsers.some(matched =>
+    matched.userId && matched.userId.toString() === userId.toString() &&
+    (!matched.alertConfigId || matched.alertConfigId.toString() === alertConfigId.toString())
+  );
+};
+
+// Pushed through the pipeline again by an admin (reprocess / replay)
+alertSchema.methods.isReplay = function() {
+  return this.processing.replays.length > 0;
+};
+
 alertSchema.methods.markUserDelivered = function(userId) {
   const matchedUser = this.processing.matchedUsers.find(
     user => user.userId.toString() === userId.toString()
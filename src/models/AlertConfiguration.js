@@ -1,4 +1,13 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
+const { isValidTimeZone, getZonedParts, getWeekday, addDays, parseTime, isWithinWindow } = require('../utils/tradingSession');
+const { validateRule, validateActions, buildFacts, evaluateConditions } = require('../utils/ruleEngine');
+const { parseSymbol, SYMBOL_WILDCARD_PATTERN, wildcardToRegExp } = require('../utils/symbolNormalizer');
+const { normalizeTimeframe, isValidTimeframe } = require('../utils/timeframes');
+const { ENTRY_SIGNALS, EXIT_SIGNALS, MANAGEMENT_SIGNALS, TAKE_PROFIT_SIGNALS, getSignalType } = require('../utils/signals');
+
+// Unparseable values are kept so validation reports them
+const toCanonicalTimeframe = (value) => normalizeTimeframe(value) || value;
 
 const alertConfigurationSchema = new mongoose.Schema({
   name: {
@@ -10,23 +19,76 @@ const alertConfigurationSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Symbols covered: the single symbol, a symbol list, a wildcard pattern and/or a watchlist
   symbol: {
     type: String,
-    required: true,
     uppercase: true,
     trim: true
   },
+  symbols: [{
+    type: String,
+    uppercase: true,
+    trim: true
+  }],
+  // `*` matches any characters, `?` one character (e.g. *USDT)
+  symbolPattern: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: SYMBOL_WILDCARD_PATTERN
+  },
+  watchlist: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Watchlist'
+  },
+  // Timeframes covered: the single timeframe and/or a timeframe list (canonical, see utils/timeframes)
   timeframe: {
     type: String,
-    required: true,
-    enum: ['1m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '12h', '1d', '1w']
+    set: toCanonicalTimeframe,
+    validate: {
+      validator: isValidTimeframe,
+      message: 'Invalid timeframe: {VALUE}'
+    }
   },
+  timeframes: [{
+    type: String,
+    set: toCanonicalTimeframe,
+    validate: {
+      validator: isValidTimeframe,
+      message: 'Invalid timeframe: {VALUE}'
+    }
+  }],
   strategy: {
     type: String,
     required: true,
     trim: true
   },
+  // standard: receives alerts from webhooks; confluence: receives synthetic alerts
+  // emitted when enough of its source configurations agree (see confluence)
+  type: {
+    type: String,
+    enum: ['standard', 'confluence'],
+    default: 'standard'
+  },
+  // A signal is emitted when at least minSources of the sources accept alerts with the same
+  // signal for a covered symbol within windowSeconds (all sources when minSources is unset)
+  confluence: {
+    sources: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AlertConfiguration'
+    }],
+    windowSeconds: {
+      type: Number,
+      min: 1,
+      max: 86400
+    },
+    minSources: {
+      type: Number,
+      min: 2
+    }
+  },
   tradeManagement: {
+    // Per user and symbol
     maxOpenTrades: {
       type: Number,
       default: 3,
@@ -44,6 +106,40 @@ const alertConfigurationSchema = new mongoose.Schema({
     autoCloseOnTPSL: {
       type: Boolean,
       default: true
+    },
+    takeProfitLadder: {
+      // Allocation (percent) of TP1, TP2, ... for alerts whose targets do not carry one
+      allocations: [{
+        type: Number,
+        min: 0,
+        max: 100
+      }],
+      // Move the stop loss to the entry price once TP1 is hit
+      breakevenAfterTP1: {
+        type: Boolean,
+        default: false
+      }
+    },
+    // Trade numbers from one sequence shared with other configurations ('global') or from
+    // this configuration's own ('config'); unset follows TRADE_NUMBERING
+    tradeNumbering: {
+      type: String,
+      enum: ['global', 'config']
+    },
+    // Entry alerts with a limitPrice create pending trades that open when the price reaches
+    // it; without this, they open immediately at the alert price
+    pendingEntries: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      // Expiry of entries whose alert sets none
+      expirySeconds: {
+        type: Number,
+        default: 24 * 60 * 60,
+        min: 60,
+        max: 30 * 24 * 60 * 60
+      }
     }
   },
   alertTypes: {
@@ -54,7 +150,7 @@ const alertConfigurationSchema = new mongoose.Schema({
       },
       signals: [{
         type: String,
-        enum: ['BUY', 'SELL']
+        enum: ENTRY_SIGNALS
       }]
     },
     exit: {
@@ -64,7 +160,18 @@ const alertConfigurationSchema = new mongoose.Schema({
       },
       signals: [{
         type: String,
-        enum: ['TP_HIT', 'SL_HIT']
+        enum: EXIT_SIGNALS
+      }]
+    },
+    // REVERSE and BREAKEVEN act on open trades, CANCEL on pending entries; none are allowed until listed
+    management: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      signals: [{
+        type: String,
+        enum: MANAGEMENT_SIGNALS
       }]
     }
   },
@@ -82,6 +189,22 @@ const alertConfigurationSchema = new mongoose.Schema({
         type: Number,
         default: 0.05 // 5% tolerance
       }
+    },
+    // Alerts older than maxAgeSeconds, or dated further ahead than maxFutureSkewSeconds,
+    // are not distributed for this configuration (unset = no limit)
+    alertAge: {
+      maxAgeSeconds: {
+        type: Number,
+        min: 1
+      },
+      maxFutureSkewSeconds: {
+        type: Number,
+        min: 0
+      },
+      notifyAdmins: {
+        type: Boolean,
+        default: false
+      }
     }
   },
   filters: {
@@ -103,20 +226,95 @@ const alertConfigurationSchema = new mongoose.Schema({
       timezone: {
         type: String,
         default: 'UTC'
+      },
+      // Weekdays (0 = Sunday) the range applies on; empty = every day
+      days: [{
+        type: Number,
+        min: 0,
+        max: 6
+      }]
+    },
+    // Trading session calendar; alerts processed outside its sessions are held
+    // until the next session opens or dropped
+    session: {
+      calendar: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'SessionCalendar'
+      },
+      policy: {
+        type: String,
+        enum: ['hold', 'drop'],
+        default: 'drop'
       }
     },
+    // absolute: volume must reach minVolume; relative: volume must reach
+    // minRelativeVolume times the average of the last lookbackAlerts alerts for the symbol
     volumeFilter: {
       enabled: {
         type: Boolean,
         default: false
       },
-      minVolume: Number
+      mode: {
+        type: String,
+        enum: ['absolute', 'relative'],
+        default: 'absolute'
+      },
+      minVolume: Number,
+      minRelativeVolume: {
+        type: Number,
+        min: 0
+      },
+      lookbackAlerts: {
+        type: Number,
+        default: 20,
+        min: 1,
+        max: 500
+      },
+      // Relative checks pass until this many earlier alerts with volume exist
+      minSamples: {
+        type: Number,
+        default: 5,
+        min: 1
+      }
+    },
+    // Minimum time between alerts with the same symbol and signal. Alerts inside the
+    // cooldown are dropped, coalesced (only the latest is distributed when it ends)
+    // or queued (each is distributed in turn, one per cooldown)
+    cooldown: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      seconds: {
+        type: Number,
+        min: 1,
+        max: 86400
+      },
+      mode: {
+        type: String,
+        enum: ['drop', 'coalesce', 'queue'],
+        default: 'drop'
+      }
     }
   },
   subscriptionPlans: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'SubscriptionPlan'
   }],
+  webhook: {
+    token: {
+      type: String,
+      select: false
+    },
+    tokenCreatedAt: Date,
+    revokedAt: Date,
+    lastUsedAt: Date
+  },
+  parsingTemplate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParsingTemplate'
+  },
+  // Evaluated by the rules engine (utils/ruleEngine) in priority order
   conditions: [{
     conditionId: {
       type: String,
@@ -161,11 +359,41 @@ const alertConfigurationSchema = new mongoose.Schema({
       type: Number,
       default: 0
     },
+    // Alerts not distributed because of the volume filter
+    filteredAlerts: {
+      type: Number,
+      default: 0
+    },
+    // Alerts not distributed because of the cooldown
+    throttledAlerts: {
+      type: Number,
+      default: 0
+    },
     lastAlertAt: Date,
+    lastFilteredAt: Date,
+    lastThrottledAt: Date,
     averageProcessingTime: {
       type: Number,
       default: 0
-    }
+    },
+    // Per-symbol counts for configurations covering several symbols
+    bySymbol: [{
+      _id: false,
+      symbol: String,
+      totalAlerts: {
+        type: Number,
+        default: 0
+      },
+      successfulAlerts: {
+        type: Number,
+        default: 0
+      },
+      failedAlerts: {
+        type: Number,
+        default: 0
+      },
+      lastAlertAt: Date
+    }]
   },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
@@ -190,13 +418,79 @@ alertConfigurationSchema.index({ timeframe: 1 });
 alertConfigurationSchema.index({ strategy: 1 });
 alertConfigurationSchema.index({ status: 1 });
 alertConfigurationSchema.index({ symbol: 1, timeframe: 1, strategy: 1 });
+alertConfigurationSchema.index({ symbols: 1, strategy: 1 });
+alertConfigurationSchema.index({ watchlist: 1, strategy: 1 });
+alertConfigurationSchema.index({ strategy: 1, symbolPattern: 1 });
+alertConfigurationSchema.index({ timeframes: 1 });
 alertConfigurationSchema.index({ subscriptionPlans: 1 });
+alertConfigurationSchema.index({ 'confluence.sources': 1, type: 1, status: 1 });
 alertConfigurationSchema.index({ createdBy: 1 });
+alertConfigurationSchema.index({ 'webhook.token': 1 }, { unique: true, sparse: true });
+
+// Validation
+alertConfigurationSchema.pre('validate', function(next) {
+  this.symbols = [...new Set(this.symbols || [])];
+  this.timeframes = [...new Set(this.timeframes || [])];
+  if (!this.symbol && this.symbols.length === 0 && !this.symbolPattern && !this.watchlist) {
+    this.invalidate('symbol', 'A symbol, symbols, symbolPattern or watchlist is required');
+  }
+  if (!this.timeframe && this.timeframes.length === 0) {
+    this.invalidate('timeframe', 'A timeframe or timeframes is required');
+  }
+
+  const { allocations } = this.tradeManagement.takeProfitLadder;
+  if (allocations.length > TAKE_PROFIT_SIGNALS.length) {
+    this.invalidate('tradeManagement.takeProfitLadder.allocations', `At most ${TAKE_PROFIT_SIGNALS.length} take-profit allocations are allowed`);
+  } else if (allocations.reduce((sum, allocation) => sum + allocation, 0) > 100) {
+    this.invalidate('tradeManagement.takeProfitLadder.allocations', 'Take-profit allocations must not exceed 100% in total');
+  }
+
+  if (this.type === 'confluence') {
+    const sources = [...new Set((this.confluence.sources || []).map(String))];
+    const { windowSeconds, minSources } = this.confluence;
+    if (sources.length < 2) {
+      this.invalidate('confluence.sources', 'A confluence configuration needs at least two source configurations');
+    } else if (this._id && sources.includes(this._id.toString())) {
+      this.invalidate('confluence.sources', 'A confluence configuration cannot be its own source');
+    } else if (minSources && minSources > sources.length) {
+      this.invalidate('confluence.minSources', 'minSources cannot exceed the number of source configurations');
+    }
+    if (!windowSeconds) {
+      this.invalidate('confluence.windowSeconds', 'A confluence window is required');
+    }
+  }
+
+  if (this.filters.cooldown.enabled && !this.filters.cooldown.seconds) {
+    this.invalidate('filters.cooldown.seconds', 'A cooldown length is required when the cooldown is enabled');
+  }
+
+  // Only checked when edited, so stored conditions that stricter checks would reject
+  // do not block unrelated saves
+  if (this.isNew || this.isModified('conditions')) {
+    const conditionIds = new Set();
+    (this.conditions || []).forEach((condition, index) => {
+      const errors = [
+        ...validateRule(condition.rules, 'rules'),
+        ...validateActions(condition.actions || [], 'actions')
+      ];
+      if (conditionIds.has(condition.conditionId)) {
+        errors.push(`duplicate conditionId ${condition.conditionId}`);
+      }
+      conditionIds.add(condition.conditionId);
+
+      if (errors.length > 0) {
+        this.invalidate(`conditions.${index}`, `Invalid condition "${condition.name}": ${errors.join('; ')}`);
+      }
+    });
+  }
+
+  next();
+});
 
 // Static methods
 alertConfigurationSchema.statics.findBySymbol = function(symbol) {
   return this.find({ 
-    symbol: symbol.toUpperCase(),
+    $or: [{ symbol: symbol.toUpperCase() }, { symbols: symbol.toUpperCase() }],
     status: 'active'
   });
 };
@@ -208,12 +502,52 @@ alertConfigurationSchema.statics.findByStrategy = function(strategy) {
   });
 };
 
-alertConfigurationSchema.statics.findMatchingConfigs = function(alertData) {
-  const { symbol, timeframe, strategy } = alertData;
-  return this.find({
-    symbol: symbol.toUpperCase(),
-    timeframe: timeframe,
+// Configurations are matched on the canonical symbol, or on the ticker as sent for
+// configurations created with an alias; watchlistIds are the watchlists containing either
+alertConfigurationSchema.statics.findMatchingConfigs = async function(alertData, watchlistIds = []) {
+  const { timeframe, strategy } = alertData;
+  const canonicalTimeframe = normalizeTimeframe(timeframe) || timeframe;
+  const symbols = this.getMatchSymbols(alertData);
+
+  const configs = await this.find({
     strategy: strategy,
+    status: 'active',
+    type: { $ne: 'confluence' },
+    $and: [
+      {
+        $or: [
+          { symbol: { $in: symbols } },
+          { symbols: { $in: symbols } },
+          { watchlist: { $in: watchlistIds } },
+          { symbolPattern: { $type: 'string' } }
+        ]
+      },
+      { $or: [{ timeframe: canonicalTimeframe }, { timeframes: canonicalTimeframe }] }
+    ]
+  });
+
+  return configs.filter(config => config.coversSymbol(symbols, watchlistIds));
+};
+
+alertConfigurationSchema.statics.getMatchSymbols = function(alertData) {
+  const symbols = new Set([alertData.symbol.toUpperCase()]);
+  if (alertData.rawSymbol) {
+    symbols.add(parseSymbol(alertData.rawSymbol).ticker);
+  }
+  return [...symbols];
+};
+
+alertConfigurationSchema.statics.findConfluencesForSources = function(sourceIds) {
+  return this.find({
+    type: 'confluence',
+    'confluence.sources': { $in: sourceIds },
+    status: 'active'
+  });
+};
+
+alertConfigurationSchema.statics.findByWebhookToken = function(token) {
+  return this.findOne({
+    'webhook.token': token,
     status: 'active'
   });
 };
@@ -226,14 +560,94 @@ alertConfigurationSchema.statics.findBySubscriptionPlan = function(planId) {
 };
 
 // Instance methods
-alertConfigurationSchema.methods.incrementAlertCount = function(success = true) {
-  this.statistics.totalAlerts += 1;
-  if (success) {
-    this.statistics.successfulAlerts += 1;
-  } else {
-    this.statistics.failedAlerts += 1;
+alertConfigurationSchema.methods.getTimeframes = function() {
+  return [...new Set([this.timeframe, ...(this.timeframes || [])].filter(Boolean))];
+};
+
+alertConfigurationSchema.methods.coversSymbol = function(symbols, watchlistIds = []) {
+  if (this.watchlist && watchlistIds.some(id => id.toString() === this.watchlist.toString())) {
+    return true;
   }
-  this.statistics.lastAlertAt = new Date();
+  const pattern = this.symbolPattern ? wildcardToRegExp(this.symbolPattern) : null;
+  return symbols.some(symbol =>
+    symbol === this.symbol ||
+    (this.symbols || []).includes(symbol) ||
+    Boolean(pattern && pattern.test(symbol))
+  );
+};
+
+// Number of source configurations that must agree
+alertConfigurationSchema.methods.getRequiredAgreement = function() {
+  const sources = new Set((this.confluence.sources || []).map(String));
+  return this.confluence.minSources || sources.size;
+};
+
+// Counted with atomic updates, so concurrent alerts on one configuration never conflict
+alertConfigurationSchema.methods.incrementAlertCount = async function(success = true, symbol = null) {
+  const now = new Date();
+  const outcome = success ? 'successfulAlerts' : 'failedAlerts';
+
+  await this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $inc: { 'statistics.totalAlerts': 1, [`statistics.${outcome}`]: 1 },
+      $set: { 'statistics.lastAlertAt': now, updatedAt: now }
+    }
+  );
+
+  if (symbol) {
+    // Add the symbol's entry unless it exists (the filter lets only one concurrent push through)
+    await this.constructor.updateOne(
+      { _id: this._id, 'statistics.bySymbol.symbol': { $ne: symbol } },
+      { $push: { 'statistics.bySymbol': { symbol, totalAlerts: 0, successfulAlerts: 0, failedAlerts: 0 } } }
+    );
+    await this.constructor.updateOne(
+      { _id: this._id },
+      {
+        $inc: {
+          'statistics.bySymbol.$[entry].totalAlerts': 1,
+          [`statistics.bySymbol.$[entry].${outcome}`]: 1
+        },
+        $set: { 'statistics.bySymbol.$[entry].lastAlertAt': now }
+      },
+      { arrayFilters: [{ 'entry.symbol': symbol }] }
+    );
+  }
+};
+
+alertConfigurationSchema.methods.incrementFilteredCount = function() {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $inc: { 'statistics.filteredAlerts': 1 },
+      $set: { 'statistics.lastFilteredAt': new Date() }
+    }
+  );
+};
+
+alertConfigurationSchema.methods.incrementThrottledCount = function() {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $inc: { 'statistics.throttledAlerts': 1 },
+      $set: { 'statistics.lastThrottledAt': new Date() }
+    }
+  );
+};
+
+alertConfigurationSchema.methods.rotateWebhookToken = async function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.webhook.token = token;
+  this.webhook.tokenCreatedAt = new Date();
+  this.webhook.revokedAt = undefined;
+  this.updatedAt = new Date();
+  await this.save();
+  return token;
+};
+
+alertConfigurationSchema.methods.revokeWebhookToken = function() {
+  this.webhook.token = undefined;
+  this.webhook.revokedAt = new Date();
   this.updatedAt = new Date();
   return this.save();
 };
@@ -279,25 +693,23 @@ alertConfigurationSchema.methods.validateAlert = function(alertData) {
     }
   }
   
-  // Check time range filter
+  // Check time range filter (wall-clock time in the range's timezone)
   if (this.filters.timeRange.enabled) {
-    const now = new Date();
-    const currentTime = now.toTimeString().slice(0, 5); // HH:MM format
+    const { startTime: start, endTime: end, timezone, days } = this.filters.timeRange;
     
-    if (this.filters.timeRange.startTime && this.filters.timeRange.endTime) {
-      const start = this.filters.timeRange.startTime;
-      const end = this.filters.timeRange.endTime;
+    if (!isValidTimeZone(timezone)) {
+      errors.push(`Invalid time range timezone: ${timezone}`);
+    } else if (parseTime(start) !== null && parseTime(end) !== null) {
+      const now = getZonedParts(new Date(), timezone);
       
-      if (start <= end) {
-        // Same day range
-        if (currentTime < start || currentTime > end) {
-          errors.push(`Alert outside allowed time range: ${start} - ${end}`);
-        }
-      } else {
-        // Overnight range
-        if (currentTime < start && currentTime > end) {
-          errors.push(`Alert outside allowed time range: ${start} - ${end}`);
-        }
+      // The early-morning part of an overnight range belongs to the day it started on
+      const overnightTail = parseTime(start) > parseTime(end) && now.minutes < parseTime(end);
+      const weekday = overnightTail ? getWeekday(addDays(now.date, -1)) : now.weekday;
+      
+      if (!isWithinWindow(now.minutes, start, end)) {
+        errors.push(`Alert outside allowed time range: ${start} - ${end} ${timezone}`);
+      } else if (days && days.length > 0 && !days.includes(weekday)) {
+        errors.push(`Alert outside allowed trading days of time range: ${start} - ${end} ${timezone}`);
       }
     }
   }
@@ -308,15 +720,93 @@ alertConfigurationSchema.methods.validateAlert = function(alertData) {
   };
 };
 
-alertConfigurationSchema.methods.checkSignalAllowed = function(signal) {
-  if (signal === 'BUY' || signal === 'SELL') {
-    return this.alertTypes.entry.enabled && 
-           this.alertTypes.entry.signals.includes(signal);
-  } else if (signal === 'TP_HIT' || signal === 'SL_HIT') {
-    return this.alertTypes.exit.enabled && 
-           this.alertTypes.exit.signals.includes(signal);
+alertConfigurationSchema.methods.checkAlertAge = function(alertData, now = new Date()) {
+  const { maxAgeSeconds, maxFutureSkewSeconds } = this.validation.alertAge || {};
+  const ageSeconds = Math.round((now.getTime() - new Date(alertData.timestamp).getTime()) / 1000);
+
+  if (maxAgeSeconds && ageSeconds > maxAgeSeconds) {
+    return {
+      isValid: false,
+      ageSeconds,
+      error: `Alert is ${ageSeconds}s old (maximum ${maxAgeSeconds}s)`
+    };
   }
-  return false;
+
+  if (maxFutureSkewSeconds !== undefined && maxFutureSkewSeconds !== null && -ageSeconds > maxFutureSkewSeconds) {
+    return {
+      isValid: false,
+      ageSeconds,
+      error: `Alert timestamp is ${-ageSeconds}s in the future (maximum skew ${maxFutureSkewSeconds}s)`
+    };
+  }
+
+  return { isValid: true, ageSeconds };
+};
+
+alertConfigurationSchema.methods.checkPriceDeviation = function(price, referencePrice) {
+  const { enabled, tolerance } = this.validation.priceValidation;
+  if (!enabled || !tolerance || !referencePrice) {
+    return { isValid: true };
+  }
+
+  const deviation = Math.abs(price - referencePrice) / referencePrice;
+  if (deviation > tolerance) {
+    return {
+      isValid: false,
+      deviation,
+      error: `Price ${price} deviates ${(deviation * 100).toFixed(2)}% from reference price ${referencePrice} (tolerance ${(tolerance * 100).toFixed(2)}%)`
+    };
+  }
+
+  return { isValid: true, deviation };
+};
+
+alertConfigurationSchema.methods.checkVolume = function(volume, volumeAverage = {}) {
+  const { enabled, mode, minVolume, minRelativeVolume, minSamples } = this.filters.volumeFilter;
+  if (!enabled) {
+    return { isValid: true };
+  }
+
+  if (volume === undefined || volume === null) {
+    return { isValid: false, error: 'Alert has no volume to filter on' };
+  }
+
+  if (mode === 'relative') {
+    const { averageVolume, samples = 0 } = volumeAverage;
+    if (!minRelativeVolume || samples < minSamples || !averageVolume) {
+      return { isValid: true };
+    }
+
+    const relativeVolume = volume / averageVolume;
+    if (relativeVolume < minRelativeVolume) {
+      return {
+        isValid: false,
+        relativeVolume,
+        error: `Volume ${volume} is ${relativeVolume.toFixed(2)}x the ${samples}-alert average ${Math.round(averageVolume)} (minimum ${minRelativeVolume}x)`
+      };
+    }
+    return { isValid: true, relativeVolume };
+  }
+
+  if (minVolume && volume < minVolume) {
+    return { isValid: false, error: `Volume ${volume} below minimum ${minVolume}` };
+  }
+  return { isValid: true };
+};
+
+alertConfigurationSchema.methods.evaluateConditions = function(alertData, { now = new Date(), openTrades = null, conditions = this.conditions } = {}) {
+  const facts = buildFacts(alertData, {
+    now,
+    timeZone: this.filters.timeRange.timezone,
+    openTrades
+  });
+  return { facts, ...evaluateConditions(conditions, facts) };
+};
+
+alertConfigurationSchema.methods.checkSignalAllowed = function(signal) {
+  const type = getSignalType(signal);
+  const alertType = type && this.alertTypes[type];
+  return Boolean(alertType && alertType.enabled && alertType.signals.includes(signal));
 };
 
 module.exports = mongoose.model('AlertConfiguration', alertConfigurationSchema);
\ No newline at end of file
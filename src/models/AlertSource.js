@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const { getValueAtPath } = require('../utils/jsonPath');
+const { PAYLOAD_FIELDS } = require('../utils/payloadParser');
+
+const alertSourceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  displayName: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  auth: {
+    method: {
+      type: String,
+      enum: ['none', 'api_key', 'hmac', 'passphrase'],
+      default: 'api_key'
+    },
+    headerName: {
+      type: String,
+      lowercase: true,
+      trim: true
+    },
+    // Payload field carrying the secret for the passphrase method
+    passphraseField: {
+      type: String,
+      trim: true
+    },
+    secret: {
+      type: String,
+      select: false
+    },
+    // Require a fresh timestamp and a single-use nonce with every request
+    replayProtection: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Alert field -> JSON path in the source payload, e.g. { symbol: '$.instrument.name' }
+  fieldMapping: {
+    type: Object,
+    default: {}
+  },
+  // Extra data key -> JSON path, stored in alertData.additionalData.metadata
+  extraDataMapping: {
+    type: Object,
+    default: {}
+  },
+  // Source signal value -> alert signal, e.g. { long: 'BUY', short: 'SELL' }
+  signalMap: {
+    type: Object,
+    default: {}
+  },
+  // Values used when a mapped field is missing, e.g. { timeframe: '15m' }
+  defaults: {
+    type: Object,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['active', 'inactive'],
+    default: 'active'
+  },
+  statistics: {
+    totalReceived: {
+      type: Number,
+      default: 0
+    },
+    lastReceivedAt: Date
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+alertSourceSchema.index({ status: 1 });
+
+// Validation
+alertSourceSchema.pre('validate', function(next) {
+  const unknownFields = Object.keys(this.fieldMapping || {}).filter(field => !PAYLOAD_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    this.invalidate('fieldMapping', `Unknown alert fields in fieldMapping: ${unknownFields.join(', ')}`);
+  }
+
+  if (this.auth.method !== 'none' && this.isNew && !this.auth.secret) {
+    this.invalidate('auth.secret', 'A secret is required for authenticated sources');
+  }
+
+  next();
+});
+
+// Static methods
+alertSourceSchema.statics.findActiveByName = function(name) {
+  return this.findOne({ name: name.toLowerCase(), status: 'active' }).select('+auth.secret');
+};
+
+// Instance methods
+alertSourceSchema.methods.mapPayload = function(body) {
+  const { fieldMapping = {}, extraDataMapping = {}, signalMap = {}, defaults = {} } = this.toObject();
+  const payload = {};
+
+  PAYLOAD_FIELDS.forEach(field => {
+    const value = fieldMapping[field] ? getValueAtPath(body, fieldMapping[field]) : body[field];
+    const resolved = value !== undefined && value !== null && value !== '' ? value : defaults[field];
+    if (resolved !== undefined) {
+      payload[field] = resolved;
+    }
+  });
+
+  if (payload.signal !== undefined) {
+    const rawSignal = String(payload.signal).trim();
+    const mapped = signalMap[rawSignal] ?? signalMap[rawSignal.toLowerCase()];
+    payload.signal = (mapped || rawSignal).toUpperCase();
+  }
+
+  const metadata = {};
+  Object.entries(extraDataMapping).forEach(([key, path]) => {
+    const value = getValueAtPath(body, path);
+    if (value !== undefined) {
+      metadata[key] = value;
+    }
+  });
+  if (Object.keys(metadata).length > 0) {
+    payload.metadata = metadata;
+  }
+
+  return payload;
+};
+
+alertSourceSchema.methods.recordReceived = function(count = 1) {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    {
+      $inc: { 'statistics.totalReceived': count },
+      $set: { 'statistics.lastReceivedAt': new Date() }
+    }
+  );
+};
+
+module.exports = mongoose.model('AlertSource', alertSourceSchema);
@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+// Contributions are removed this long after the alert was received (longer than any window)
+const EXPIRE_AFTER_SECONDS = 2 * 24 * 60 * 60;
+
+// An alert accepted by a source configuration of a confluence configuration
+const confluenceContributionSchema = new mongoose.Schema({
+  confluenceConfigId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AlertConfiguration',
+    required: true
+  },
+  sourceConfigId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AlertConfiguration',
+    required: true
+  },
+  alertId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert',
+    required: true
+  },
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  signal: {
+    type: String,
+    required: true
+  },
+  strategy: String,
+  price: Number,
+  receivedAt: {
+    type: Date,
+    required: true
+  },
+  // Confluence alert the contribution was used for; each contribution is used once
+  consumedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+confluenceContributionSchema.index({ confluenceConfigId: 1, alertId: 1 }, { unique: true });
+confluenceContributionSchema.index({ confluenceConfigId: 1, symbol: 1, signal: 1, receivedAt: -1 });
+confluenceContributionSchema.index({ receivedAt: 1 }, { expireAfterSeconds: EXPIRE_AFTER_SECONDS });
+
+// Static methods
+
+/**
+ * Record an alert's contribution to a confluence configuration (once per alert)
+ * @param {Object} confluenceConfig - The confluence configuration
+ * @param {Object} sourceConfig - Source configuration that accepted the alert
+ * @param {Object} alert - The alert document
+ */
+confluenceContributionSchema.statics.record = function(confluenceConfig, sourceConfig, alert) {
+  const { symbol, signal, strategy, price } = alert.alertData;
+  return this.updateOne(
+    { confluenceConfigId: confluenceConfig._id, alertId: alert._id },
+    {
+      $setOnInsert: {
+        sourceConfigId: sourceConfig._id,
+        symbol,
+        signal,
+        strategy,
+        price,
+        receivedAt: alert.webhook.receivedAt
+      }
+    },
+    { upsert: true }
+  );
+};
+
+/**
+ * Unused contributions for a symbol and signal received within a window, newest first
+ * @param {Object} confluenceConfigId - Confluence configuration ID
+ * @param {string} symbol - Canonical symbol
+ * @param {string} signal - Canonical signal
+ * @param {Date} since - Start of the window
+ * @param {Date} until - End of the window
+ * @returns {Array} Contributions
+ */
+confluenceContributionSchema.statics.findOpen = function(confluenceConfigId, symbol, signal, since, until) {
+  return this.find({
+    confluenceConfigId,
+    symbol,
+    signal,
+    receivedAt: { $gte: since, $lte: until },
+    consumedBy: null
+  }).sort({ receivedAt: -1 });
+};
+
+/**
+ * Mark contributions as used by a confluence alert
+ * Nothing is marked when another confluence alert used any of them first.
+ * @param {Array} contributionIds - Contribution IDs
+ * @param {Object} alertId - ID of the confluence alert
+ * @returns {boolean} Whether all contributions were marked
+ */
+confluenceContributionSchema.statics.consume = async function(contributionIds, alertId) {
+  const result = await this.updateMany(
+    { _id: { $in: contributionIds }, consumedBy: null },
+    { $set: { consumedBy: alertId } }
+  );
+  if (result.modifiedCount === contributionIds.length) {
+    return true;
+  }
+
+  await this.release(alertId);
+  return false;
+};
+
+/**
+ * Make contributions used by a confluence alert available again
+ * @param {Object} alertId - ID of the confluence alert
+ */
+confluenceContributionSchema.statics.release = function(alertId) {
+  return this.updateMany({ consumedBy: alertId }, { $unset: { consumedBy: 1 } });
+};
+
+module.exports = mongoose.model('ConfluenceContribution', confluenceContributionSchema);
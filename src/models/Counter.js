@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Named sequence (e.g. trade numbers); numbers are taken atomically with $inc
+const counterSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true
+  },
+  // Last number taken
+  seq: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Static methods
+
+/**
+ * Take the next number of a sequence
+ * @param {string} name - Sequence name
+ * @returns {number|null} The number, or null when the sequence does not exist yet
+ */
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true }
+  );
+  return counter ? counter.seq : null;
+};
+
+/**
+ * Make sure a sequence continues after a number, creating the sequence when missing
+ * @param {string} name - Sequence name
+ * @param {number} value - Number the next one must follow
+ */
+counterSchema.statics.ensureAtLeast = async function(name, value) {
+  try {
+    await this.updateOne({ _id: name }, { $max: { seq: value } }, { upsert: true });
+  } catch (error) {
+    // Created concurrently by another caller; apply the minimum to that sequence
+    if (error.code !== 11000) {
+      throw error;
+    }
+    await this.updateOne({ _id: name }, { $max: { seq: value } });
+  }
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
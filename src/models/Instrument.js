@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const { parseSymbol, getSymbolCandidates } = require('../utils/symbolNormalizer');
+
+const instrumentSchema = new mongoose.Schema({
+  // Canonical symbol alerts, configurations and trades are stored under
+  symbol: {
+    type: String,
+    required: true,
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  assetClass: {
+    type: String,
+    enum: ['crypto', 'equity', 'index', 'forex', 'commodity', 'futures', 'other'],
+    default: 'other'
+  },
+  // Exchange prefixes accepted for the instrument (e.g. BINANCE, BYBIT); empty accepts any
+  exchanges: [{
+    type: String,
+    uppercase: true,
+    trim: true
+  }],
+  // Other tickers that resolve to the instrument (e.g. XBTUSD, BTCUSDT.P, NIFTY1!)
+  aliases: [{
+    type: String,
+    uppercase: true,
+    trim: true
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'inactive'],
+    default: 'active'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+instrumentSchema.index({ aliases: 1 });
+instrumentSchema.index({ assetClass: 1, status: 1 });
+
+// Validation
+instrumentSchema.pre('validate', function(next) {
+  this.aliases = [...new Set(this.aliases || [])];
+  if (this.aliases.includes(this.symbol)) {
+    this.invalidate('aliases', 'Aliases cannot repeat the canonical symbol');
+  }
+  this.exchanges = [...new Set(this.exchanges || [])];
+  next();
+});
+
+// Static methods
+instrumentSchema.statics.findBySymbolOrAlias = function(ticker) {
+  const value = ticker.toUpperCase();
+  return this.findOne({
+    $or: [{ symbol: value }, { aliases: value }],
+    status: 'active'
+  });
+};
+
+// Instruments other than excludeId already using any of the given tickers
+instrumentSchema.statics.findConflicting = function(tickers, excludeId = null) {
+  const query = {
+    $or: [{ symbol: { $in: tickers } }, { aliases: { $in: tickers } }]
+  };
+  if (excludeId) {
+    query._id = { $ne: excludeId };
+  }
+  return this.find(query).select('symbol aliases');
+};
+
+/**
+ * Resolve a raw symbol to its registered instrument
+ * Tickers are tried as sent and without contract suffixes; an exchange prefix must be one
+ * of the instrument's exchanges when it lists any.
+ * @param {string} rawSymbol - Symbol as received
+ * @param {Map} [cache] - Resolutions already made for the same request
+ * @returns {Object} { symbol, rawSymbol, exchange, instrument } (instrument is null when unknown)
+ */
+instrumentSchema.statics.resolveSymbol = async function(rawSymbol, cache = null) {
+  const key = String(rawSymbol).trim().toUpperCase();
+  if (cache && cache.has(key)) {
+    return cache.get(key);
+  }
+
+  const { exchange, ticker } = parseSymbol(key);
+  let resolution = { symbol: ticker, rawSymbol: key, exchange, instrument: null };
+
+  for (const candidate of getSymbolCandidates(key)) {
+    const instrument = await this.findBySymbolOrAlias(candidate);
+    if (instrument && (!exchange || instrument.exchanges.length === 0 || instrument.exchanges.includes(exchange))) {
+      resolution = { symbol: instrument.symbol, rawSymbol: key, exchange, instrument };
+      break;
+    }
+  }
+
+  if (cache) {
+    cache.set(key, resolution);
+  }
+  return resolution;
+};
+
+module.exports = mongoose.model('Instrument', instrumentSchema);
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const { PARSING_FORMATS, PAYLOAD_FIELDS, parsePayload } = require('../utils/payloadParser');
+
+const parsingTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  format: {
+    type: String,
+    enum: PARSING_FORMATS,
+    required: true
+  },
+  options: {
+    keyValueSeparator: String, // key_value
+    delimiter: String,         // delimited
+    columns: [String],         // delimited
+    pattern: String,           // regex
+    flags: String,             // regex
+    template: String           // placeholder, e.g. "{{ticker}} {{strategy.order.action}} @ {{close}}"
+  },
+  // Payload field -> extracted key, e.g. { signal: 'strategy.order.action' }
+  fieldMap: {
+    type: Object,
+    default: {}
+  },
+  // Values used when a field is not present in the body, e.g. { strategy: 'RSI Divergence' }
+  defaults: {
+    type: Object,
+    default: {}
+  },
+  samples: [{
+    type: String
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'inactive'],
+    default: 'active'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+parsingTemplateSchema.index({ status: 1 });
+
+// Validation
+parsingTemplateSchema.pre('validate', function(next) {
+  if (this.format === 'regex') {
+    try {
+      new RegExp(this.options.pattern, this.options.flags || '');
+    } catch (error) {
+      this.invalidate('options.pattern', `Invalid regex pattern: ${error.message}`);
+    }
+  }
+
+  const unknownFields = Object.keys(this.fieldMap || {}).filter(field => !PAYLOAD_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    this.invalidate('fieldMap', `Unknown payload fields in fieldMap: ${unknownFields.join(', ')}`);
+  }
+
+  next();
+});
+
+// Static methods
+parsingTemplateSchema.statics.findActiveByName = function(name) {
+  return this.findOne({ name, status: 'active' });
+};
+
+// Instance methods
+parsingTemplateSchema.methods.parse = function(raw) {
+  const { format, options, fieldMap, defaults } = this.toObject();
+  return parsePayload(raw, { format, options, fieldMap, defaults });
+};
+
+module.exports = mongoose.model('ParsingTemplate', parsingTemplateSchema);
@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const {
+  TIME_PATTERN,
+  DATE_PATTERN,
+  isValidTimeZone,
+  parseTime,
+  getZonedParts,
+  getWeekday,
+  addDays,
+  zonedTimeToUtc
+} = require('../utils/tradingSession');
+
+// How far ahead the next session open is searched for (covers long holiday runs)
+const NEXT_OPEN_SEARCH_DAYS = 31;
+
+const sessionCalendarSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  exchange: {
+    type: String,
+    uppercase: true,
+    trim: true
+  },
+  timezone: {
+    type: String,
+    required: true,
+    default: 'UTC'
+  },
+  // Wall-clock sessions in the calendar timezone, e.g. 09:15-15:30 Mon-Fri;
+  // an end before the start runs overnight and belongs to the day it starts on
+  sessions: [{
+    name: String,
+    start: {
+      type: String,
+      required: true,
+      match: TIME_PATTERN
+    },
+    end: {
+      type: String,
+      required: true,
+      match: TIME_PATTERN
+    },
+    days: {
+      type: [{
+        type: Number,
+        min: 0,
+        max: 6
+      }],
+      default: [1, 2, 3, 4, 5]
+    }
+  }],
+  // Local dates with no trading
+  holidays: [{
+    date: {
+      type: String,
+      required: true,
+      match: DATE_PATTERN
+    },
+    name: String
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'inactive'],
+    default: 'active'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+sessionCalendarSchema.index({ exchange: 1 });
+sessionCalendarSchema.index({ status: 1 });
+
+// Validation
+sessionCalendarSchema.pre('validate', function(next) {
+  if (!isValidTimeZone(this.timezone)) {
+    this.invalidate('timezone', `Unknown timezone: ${this.timezone}`);
+  }
+
+  const dates = (this.holidays || []).map(holiday => holiday.date);
+  const duplicates = dates.filter((date, index) => dates.indexOf(date) !== index);
+  if (duplicates.length > 0) {
+    this.invalidate('holidays', `Duplicate holiday dates: ${[...new Set(duplicates)].join(', ')}`);
+  }
+
+  next();
+});
+
+// Instance methods
+sessionCalendarSchema.methods.getHoliday = function(localDate) {
+  return (this.holidays || []).find(holiday => holiday.date === localDate) || null;
+};
+
+sessionCalendarSchema.methods.checkSession = function(at = new Date()) {
+  const { date, weekday, minutes } = getZonedParts(at, this.timezone);
+  const holiday = this.getHoliday(date);
+
+  for (const session of this.sessions) {
+    const start = parseTime(session.start);
+    const end = parseTime(session.end);
+    const overnight = start > end;
+
+    // Session that started today
+    if (session.days.includes(weekday) && minutes >= start && (overnight || minutes < end) && !holiday) {
+      return { isOpen: true, session: session.name || `${session.start}-${session.end}` };
+    }
+
+    // Overnight session that started yesterday
+    const previousDate = addDays(date, -1);
+    if (overnight && minutes < end && session.days.includes(getWeekday(previousDate)) && !this.getHoliday(previousDate)) {
+      return { isOpen: true, session: session.name || `${session.start}-${session.end}` };
+    }
+  }
+
+  return {
+    isOpen: false,
+    holiday: holiday ? holiday.name || holiday.date : undefined,
+    nextOpenAt: this.findNextOpen(at),
+    error: holiday
+      ? `Market closed for ${holiday.name || 'a holiday'} (${this.name})`
+      : `Outside the trading sessions of ${this.name}`
+  };
+};
+
+sessionCalendarSchema.methods.findNextOpen = function(after = new Date()) {
+  const { date } = getZonedParts(after, this.timezone);
+
+  for (let offset = 0; offset <= NEXT_OPEN_SEARCH_DAYS; offset++) {
+    const localDate = addDays(date, offset);
+    if (this.getHoliday(localDate)) {
+      continue;
+    }
+
+    const weekday = getWeekday(localDate);
+    const opens = this.sessions
+      .filter(session => session.days.includes(weekday))
+      .map(session => zonedTimeToUtc(localDate, session.start, this.timezone))
+      .filter(openAt => openAt > after)
+      .sort((a, b) => a - b);
+
+    if (opens.length > 0) {
+      return opens[0];
+    }
+  }
+
+  return null;
+};
+
+module.exports = mongoose.model('SessionCalendar', sessionCalendarSchema);
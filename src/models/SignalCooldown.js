@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+
+// Cooldown documents are removed this long after their cooldown ended
+const EXPIRE_AFTER_SECONDS = 24 * 60 * 60;
+
+// Cooldown state of one configuration, symbol and signal (see AlertConfiguration filters.cooldown)
+const signalCooldownSchema = new mongoose.Schema({
+  alertConfigId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AlertConfiguration',
+    required: true
+  },
+  symbol: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  signal: {
+    type: String,
+    required: true
+  },
+  // Alert that started the current cooldown
+  lastAlertId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert'
+  },
+  lastReceivedAt: Date,
+  // When the next alert may be distributed
+  availableAt: {
+    type: Date,
+    required: true
+  },
+  // Coalesce mode: latest alert waiting for the cooldown to end
+  pendingAlertId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert'
+  },
+  pendingReceivedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+signalCooldownSchema.index({ alertConfigId: 1, symbol: 1, signal: 1 }, { unique: true });
+signalCooldownSchema.index({ availableAt: 1 }, { expireAfterSeconds: EXPIRE_AFTER_SECONDS });
+
+// Static methods
+
+/**
+ * Start a cooldown for an alert unless one is running
+ * An alert that already holds the cooldown (e.g. processed again after a hold) keeps it.
+ * @param {Object} key - { alertConfigId, symbol, signal }
+ * @param {Object} alert - The alert document
+ * @param {number} seconds - Cooldown length
+ * @param {Date} [now] - Current time
+ * @returns {Object} { claimed, cooldown } with the cooldown document
+ */
+signalCooldownSchema.statics.claim = async function(key, alert, seconds, now = new Date()) {
+  const current = await this.findOne(key);
+  if (current && current.lastAlertId && current.lastAlertId.equals(alert._id)) {
+    return { claimed: true, cooldown: current };
+  }
+
+  try {
+    const cooldown = await this.findOneAndUpdate(
+      { ...key, availableAt: { $lte: now } },
+      {
+        $set: {
+          lastAlertId: alert._id,
+          lastReceivedAt: alert.webhook.receivedAt,
+          availableAt: new Date(now.getTime() + seconds * 1000)
+        },
+        $unset: { pendingAlertId: 1, pendingReceivedAt: 1 }
+      },
+      { upsert: true, new: true }
+    );
+    return { claimed: true, cooldown };
+  } catch (error) {
+    // A running cooldown fails the filter, and the upsert then hits the unique key
+    if (error.code !== 11000) {
+      throw error;
+    }
+    return { claimed: false, cooldown: await this.findOne(key) };
+  }
+};
+
+/**
+ * Record an alert as the latest one waiting for a cooldown to end (coalesce mode)
+ * Older alerts never replace a newer pending one.
+ * @param {Object} key - { alertConfigId, symbol, signal }
+ * @param {Object} alert - The alert document
+ */
+signalCooldownSchema.statics.setPending = function(key, alert) {
+  const { receivedAt } = alert.webhook;
+  return this.updateOne(
+    {
+      ...key,
+      $or: [
+        { pendingAlertId: null },
+        { pendingAlertId: alert._id },
+        { pendingReceivedAt: { $lt: receivedAt } }
+      ]
+    },
+    { $set: { pendingAlertId: alert._id, pendingReceivedAt: receivedAt } }
+  );
+};
+
+// Instance methods
+
+/**
+ * Whether a newer alert replaces this one when the cooldown ends (coalesce mode)
+ * @param {Object} alert - The alert document
+ * @returns {Object|null} ID of the newer alert, or null
+ */
+signalCooldownSchema.methods.findSupersedingAlert = function(alert) {
+  if (this.pendingAlertId && !this.pendingAlertId.equals(alert._id) &&
+      this.pendingReceivedAt > alert.webhook.receivedAt) {
+    return this.pendingAlertId;
+  }
+  if (this.lastAlertId && !this.lastAlertId.equals(alert._id) &&
+      this.lastReceivedAt > alert.webhook.receivedAt) {
+    return this.lastAlertId;
+  }
+  return null;
+};
+
+module.exports = mongoose.model('SignalCooldown', signalCooldownSchema);
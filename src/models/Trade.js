@@ -1,10 +1,37 @@
 const mongoose = require('mongoose');
+const Counter = require('./Counter');
+const { TAKE_PROFIT_SIGNALS } = require('../utils/signals');
+
+// Number of take-profit targets a trade can carry (one per TPn_HIT signal)
+const MAX_TAKE_PROFITS = TAKE_PROFIT_SIGNALS.length;
+
+// Trade numbering of configurations that do not set their own: one sequence for all trades
+// ('global') or one per configuration ('config')
+const DEFAULT_TRADE_NUMBERING = process.env.TRADE_NUMBERING === 'config' ? 'config' : 'global';
+
+// Counter holding the last trade number of a numbering scope
+const getCounterName = (scope) => (scope === 'global' ? 'tradeNumber' : `tradeNumber:${scope}`);
+
+// P&L per unit of closing a position at a price
+const getUnitPnL = (signal, entryPrice, exitPrice) => {
+  const amount = signal === 'BUY' ? exitPrice - entryPrice : entryPrice - exitPrice;
+  return { amount, percentage: (amount / entryPrice) * 100 };
+};
+
+const round2 = (value) => parseFloat(value.toFixed(2));
 
 const tradeSchema = new mongoose.Schema({
   tradeNumber: {
     type: Number,
     required: true
   },
+  // Sequence the trade number was taken from: 'global', or the configuration ID when the
+  // configuration numbers its own trades; numbers are unique within a scope
+  tradeNumberScope: {
+    type: String,
+    required: true,
+    default: 'global'
+  },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -43,17 +70,58 @@ const tradeSchema = new mongoose.Schema({
       type: Number,
       required: true
     },
+    // Next target to reach; follows the ladder when the trade has one
     takeProfitPrice: Number,
+    // Take-profit ladder, in order: each target closes its allocation (percent of the position)
+    takeProfits: [{
+      _id: false,
+      level: {
+        type: Number,
+        min: 1,
+        max: MAX_TAKE_PROFITS
+      },
+      price: Number,
+      allocation: {
+        type: Number,
+        min: 0,
+        max: 100
+      },
+      hit: {
+        type: Boolean,
+        default: false
+      },
+      hitAt: Date,
+      exitPrice: Number,
+      // Per unit, like the trade P&L
+      pnl: {
+        amount: Number,
+        percentage: Number
+      },
+      alertId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Alert'
+      }
+    }],
     stopLossPrice: Number,
+    // Pending (limit) entries: filled at price once a price update reaches it from the
+    // side it was placed on, cancelled as EXPIRED at expiresAt
+    entryTrigger: {
+      price: Number,
+      direction: {
+        type: String,
+        enum: ['above', 'below']
+      },
+      expiresAt: Date
+    },
     exitPrice: Number,
     exitReason: {
       type: String,
-      enum: ['TP_HIT', 'SL_HIT', 'REPLACED', 'MANUAL']
+      enum: ['TP_HIT', 'SL_HIT', 'CLOSE', 'REVERSE', 'CANCEL', 'EXPIRED', 'REPLACED', 'MANUAL']
     }
   },
   status: {
     type: String,
-    enum: ['open', 'closed', 'replaced'],
+    enum: ['pending', 'open', 'closed', 'replaced', 'cancelled'],
     default: 'open'
   },
   pnl: {
@@ -65,12 +133,15 @@ const tradeSchema = new mongoose.Schema({
     }
   },
   timestamps: {
+    // Fill time for pending entries
     openedAt: {
       type: Date,
       default: Date.now
     },
+    placedAt: Date,
     closedAt: Date,
-    replacedAt: Date
+    replacedAt: Date,
+    cancelledAt: Date
   },
   alerts: {
     entryAlertId: {
@@ -88,8 +159,30 @@ const tradeSchema = new mongoose.Schema({
       ref: 'Trade'
     },
     replacementReason: String,
+    // Number the trade had before the trade number repair gave it a new one (duplicates)
+    previousTradeNumber: Number,
     notes: String
   },
+  levelHistory: [{
+    takeProfitPrice: {
+      from: Number,
+      to: Number
+    },
+    stopLossPrice: {
+      from: Number,
+      to: Number
+    },
+    reason: String,
+    source: {
+      type: String,
+      enum: ['webhook', 'manual'],
+      default: 'webhook'
+    },
+    changedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -103,29 +196,97 @@ const tradeSchema = new mongoose.Schema({
 });
 
 // Indexes for performance
-tradeSchema.index({ tradeNumber: 1 });
+tradeSchema.index({ tradeNumber: 1, tradeNumberScope: 1 }, { unique: true });
 tradeSchema.index({ userId: 1 });
 tradeSchema.index({ alertConfigId: 1 });
 tradeSchema.index({ status: 1 });
 tradeSchema.index({ 'tradeData.symbol': 1 });
 tradeSchema.index({ userId: 1, status: 1 });
 tradeSchema.index({ alertConfigId: 1, status: 1 });
+tradeSchema.index({ userId: 1, alertConfigId: 1, 'tradeData.symbol': 1, status: 1 });
 tradeSchema.index({ 'timestamps.openedAt': 1 });
 tradeSchema.index({ 'timestamps.closedAt': 1 });
+tradeSchema.index({ status: 1, 'tradeData.symbol': 1 });
+tradeSchema.index({ status: 1, 'tradeData.entryTrigger.expiresAt': 1 });
 
 // Static methods
-tradeSchema.statics.getNextTradeNumber = async function() {
-  const lastTrade = await this.findOne({}, {}, { sort: { tradeNumber: -1 } });
-  return lastTrade ? lastTrade.tradeNumber + 1 : 1;
+
+// Numbering scope of a configuration's trades (its tradeNumbering, else TRADE_NUMBERING)
+tradeSchema.statics.getNumberingScope = function(config) {
+  const numbering = (config && config.tradeManagement.tradeNumbering) || DEFAULT_TRADE_NUMBERING;
+  return numbering === 'config' && config ? config._id.toString() : 'global';
+};
+
+// Query for a trade number within a numbering scope (trades numbered before scopes were
+// recorded belong to the global one)
+tradeSchema.statics.byTradeNumber = function(tradeNumber, scope = 'global') {
+  return {
+    tradeNumber: parseInt(tradeNumber),
+    tradeNumberScope: scope === 'global' ? { $in: ['global', null] } : scope
+  };
+};
+
+// Take the next trade number of a scope atomically; a new counter continues after the
+// highest number already used in the scope
+tradeSchema.statics.getNextTradeNumber = async function(scope = 'global') {
+  const counterName = getCounterName(scope);
+  const tradeNumber = await Counter.next(counterName);
+  if (tradeNumber !== null) {
+    return tradeNumber;
+  }
+
+  const { tradeNumberScope } = this.byTradeNumber(0, scope);
+  const lastTrade = await this.findOne({ tradeNumberScope }, {}, { sort: { tradeNumber: -1 } });
+  await Counter.ensureAtLeast(counterName, lastTrade ? lastTrade.tradeNumber : 0);
+  return Counter.next(counterName);
 };
 
-tradeSchema.statics.findOpenTrades = function(userId, alertConfigId) {
+// Counter name of a numbering scope (used by the trade number repair script)
+tradeSchema.statics.getCounterName = getCounterName;
+
+// Ladder from an alert's targets; targets without an allocation share what the others leave
+// (the last of them takes the rounding remainder, so the ladder can close the whole position)
+tradeSchema.statics.buildTakeProfits = function(targets = [], defaultAllocations = []) {
+  const ladder = targets.slice(0, MAX_TAKE_PROFITS).map((target, index) => ({
+    level: index + 1,
+    price: target.price,
+    allocation: target.allocation ?? defaultAllocations[index]
+  }));
+  const unassigned = ladder.filter(target => target.allocation === undefined || target.allocation === null);
+  let remaining = Math.max(100 - ladder.reduce((sum, target) => sum + (target.allocation || 0), 0), 0);
+
+  unassigned.forEach((target, index) => {
+    target.allocation = index === unassigned.length - 1 ? round2(remaining) : round2(remaining / (unassigned.length - index));
+    remaining -= target.allocation;
+  });
+  return ladder;
+};
+
+tradeSchema.statics.findOpenTrades = function(userId, alertConfigId, symbol) {
   const query = { status: 'open' };
   if (userId) query.userId = userId;
   if (alertConfigId) query.alertConfigId = alertConfigId;
+  if (symbol) query['tradeData.symbol'] = symbol.toUpperCase();
   return this.find(query);
 };
 
+// Pending entries for a symbol placed before a price was observed, not yet expired
+tradeSchema.statics.findPendingEntries = function(symbol, observedAt = new Date()) {
+  return this.find({
+    status: 'pending',
+    'tradeData.symbol': symbol.toUpperCase(),
+    'timestamps.placedAt': { $lt: observedAt },
+    'tradeData.entryTrigger.expiresAt': { $gt: new Date() }
+  }).sort({ 'timestamps.placedAt': 1 });
+};
+
+tradeSchema.statics.findExpiredEntries = function(now = new Date()) {
+  return this.find({
+    status: 'pending',
+    'tradeData.entryTrigger.expiresAt': { $lte: now }
+  });
+};
+
 tradeSchema.statics.findBySymbol = function(symbol, userId) {
   const query = { 'tradeData.symbol': symbol.toUpperCase() };
   if (userId) query.userId = userId;
@@ -154,34 +315,40 @@ tradeSchema.statics.getUserTradeStats = async function(userId) {
 };
 
 // Instance methods
+// Blended over the take-profit legs already hit and, once closed, the rest of the position
 tradeSchema.methods.calculatePnL = function() {
-  if (!this.tradeData.exitPrice || !this.tradeData.entryPrice) {
+  const { signal, entryPrice, exitPrice, takeProfits = [] } = this.tradeData;
+  const legs = takeProfits.filter(leg => leg.hit);
+
+  if (!entryPrice || (!exitPrice && legs.length === 0)) {
     return { amount: 0, percentage: 0 };
   }
 
-  const entryPrice = this.tradeData.entryPrice;
-  const exitPrice = this.tradeData.exitPrice;
-  const signal = this.tradeData.signal;
-
-  let pnlAmount, pnlPercentage;
-
-  if (signal === 'BUY') {
-    pnlAmount = exitPrice - entryPrice;
-    pnlPercentage = ((exitPrice - entryPrice) / entryPrice) * 100;
-  } else { // SELL
-    pnlAmount = entryPrice - exitPrice;
-    pnlPercentage = ((entryPrice - exitPrice) / entryPrice) * 100;
+  const parts = legs.map(leg => ({ share: leg.allocation / 100, pnl: getUnitPnL(signal, entryPrice, leg.exitPrice) }));
+  if (exitPrice) {
+    parts.push({
+      share: legs.length > 0 ? this.getRemainingAllocation() / 100 : 1,
+      pnl: getUnitPnL(signal, entryPrice, exitPrice)
+    });
   }
 
   this.pnl = {
-    amount: parseFloat(pnlAmount.toFixed(2)),
-    percentage: parseFloat(pnlPercentage.toFixed(2)),
+    amount: round2(parts.reduce((sum, part) => sum + part.share * part.pnl.amount, 0)),
+    percentage: round2(parts.reduce((sum, part) => sum + part.share * part.pnl.percentage, 0)),
     currency: this.pnl?.currency || 'USD'
   };
 
   return this.pnl;
 };
 
+// Percent of the position still open after the take-profit legs hit so far
+tradeSchema.methods.getRemainingAllocation = function() {
+  const closed = this.tradeData.takeProfits
+    .filter(leg => leg.hit)
+    .reduce((sum, leg) => sum + leg.allocation, 0);
+  return Math.max(round2(100 - closed), 0);
+};
+
 tradeSchema.methods.closeTrade = function(exitPrice, exitReason) {
   this.tradeData.exitPrice = exitPrice;
   this.tradeData.exitReason = exitReason;
@@ -192,6 +359,86 @@ tradeSchema.methods.closeTrade = function(exitPrice, exitReason) {
   return this.save();
 };
 
+// Withdraw a pending entry (CANCEL signal); cancelled entries carry no P&L
+tradeSchema.methods.cancelTrade = function(exitReason = 'CANCEL') {
+  this.tradeData.exitReason = exitReason;
+  this.status = 'cancelled';
+  this.timestamps.cancelledAt = new Date();
+  this.updatedAt = new Date();
+  return this.save();
+};
+
+// Whether a price reaches a pending entry's trigger
+tradeSchema.methods.isEntryTriggered = function(price) {
+  const { price: triggerPrice, direction } = this.tradeData.entryTrigger;
+  return direction === 'below' ? price <= triggerPrice : price >= triggerPrice;
+};
+
+// Promote a pending entry to an open trade at its trigger price
+// Returns the open trade, or null when it was filled, expired or cancelled meanwhile.
+tradeSchema.methods.fillEntry = function() {
+  const now = new Date();
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, status: 'pending' },
+    { $set: { status: 'open', 'timestamps.openedAt': now, updatedAt: now } },
+    { new: true }
+  );
+};
+
+// Cancel a pending entry that is not filled (expired, or over the trade limit when triggered)
+// Returns the cancelled trade, or null when it was filled or cancelled meanwhile.
+tradeSchema.methods.withdrawEntry = function(exitReason) {
+  const now = new Date();
+  return this.constructor.findOneAndUpdate(
+    { _id: this._id, status: 'pending' },
+    {
+      $set: {
+        status: 'cancelled',
+        'tradeData.exitReason': exitReason,
+        'timestamps.cancelledAt': now,
+        updatedAt: now
+      }
+    },
+    { new: true }
+  );
+};
+
+// Cancel a pending entry whose expiry passed
+tradeSchema.methods.expireEntry = function() {
+  return this.withdrawEntry('EXPIRED');
+};
+
+// Close the allocation of a ladder target (TPn_HIT); the trade closes when nothing remains
+// Returns the leg, or null when the trade has no such target or it was already hit.
+tradeSchema.methods.hitTakeProfit = async function(level, exitPrice, alertId) {
+  const leg = this.tradeData.takeProfits.find(target => target.level === level);
+  if (!leg || leg.hit) {
+    return null;
+  }
+
+  const unitPnL = getUnitPnL(this.tradeData.signal, this.tradeData.entryPrice, exitPrice);
+  leg.hit = true;
+  leg.hitAt = new Date();
+  leg.exitPrice = exitPrice;
+  leg.pnl = { amount: round2(unitPnL.amount), percentage: round2(unitPnL.percentage) };
+  leg.alertId = alertId;
+
+  const nextTarget = this.tradeData.takeProfits.find(target => !target.hit);
+  if (nextTarget) {
+    this.tradeData.takeProfitPrice = nextTarget.price;
+  }
+
+  if (this.getRemainingAllocation() === 0) {
+    await this.closeTrade(exitPrice, 'TP_HIT');
+    return leg;
+  }
+
+  this.calculatePnL();
+  this.updatedAt = new Date();
+  await this.save();
+  return leg;
+};
+
 tradeSchema.methods.replaceTrade = function(replacedBy, reason) {
   this.status = 'replaced';
   this.timestamps.replacedAt = new Date();
@@ -201,6 +448,39 @@ tradeSchema.methods.replaceTrade = function(replacedBy, reason) {
   return this.save();
 };
 
+tradeSchema.methods.updateLevels = async function(levels, reason, source = 'webhook') {
+  if (this.status !== 'open') {
+    throw new Error(`Trade #${this.tradeNumber} is ${this.status} and its TP/SL levels cannot be modified`);
+  }
+
+  const change = { reason, source, changedAt: new Date() };
+
+  if (levels.takeProfitPrice !== undefined && levels.takeProfitPrice !== this.tradeData.takeProfitPrice) {
+    change.takeProfitPrice = { from: this.tradeData.takeProfitPrice, to: levels.takeProfitPrice };
+    this.tradeData.takeProfitPrice = levels.takeProfitPrice;
+
+    // The next target of a ladder moves with it
+    const nextTarget = this.tradeData.takeProfits.find(target => !target.hit);
+    if (nextTarget) {
+      nextTarget.price = levels.takeProfitPrice;
+    }
+  }
+
+  if (levels.stopLossPrice !== undefined && levels.stopLossPrice !== this.tradeData.stopLossPrice) {
+    change.stopLossPrice = { from: this.tradeData.stopLossPrice, to: levels.stopLossPrice };
+    this.tradeData.stopLossPrice = levels.stopLossPrice;
+  }
+
+  if (!change.takeProfitPrice && !change.stopLossPrice) {
+    return null;
+  }
+
+  this.levelHistory.push(change);
+  this.updatedAt = new Date();
+  await this.save();
+  return change;
+};
+
 tradeSchema.methods.isTPHit = function(currentPrice) {
   if (!this.tradeData.takeProfitPrice) return false;
   
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const watchlistSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Canonical symbols (see Instrument)
+  symbols: [{
+    type: String,
+    uppercase: true,
+    trim: true
+  }],
+  status: {
+    type: String,
+    enum: ['active', 'inactive'],
+    default: 'active'
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AdminUser'
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+watchlistSchema.index({ symbols: 1, status: 1 });
+
+// Validation
+watchlistSchema.pre('validate', function(next) {
+  this.symbols = [...new Set(this.symbols || [])];
+  next();
+});
+
+// Static methods
+watchlistSchema.statics.findIdsContaining = function(symbols) {
+  return this.distinct('_id', {
+    symbols: { $in: symbols },
+    status: 'active'
+  });
+};
+
+module.exports = mongoose.model('Watchlist', watchlistSchema);
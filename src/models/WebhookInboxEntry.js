@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+const RETENTION_DAYS = parseInt(process.env.WEBHOOK_INBOX_RETENTION_DAYS, 10) || 14;
+
+const WEBHOOK_OUTCOMES = [
+  'accepted',
+  'partial',
+  'duplicate',
+  'rejected_auth',
+  'rejected_validation',
+  'rejected_payload',
+  'not_found',
+  'rejected',
+  'error'
+];
+
+const webhookInboxEntrySchema = new mongoose.Schema({
+  // Which webhook endpoint received the request
+  endpoint: {
+    type: String,
+    enum: ['tradingview', 'tradingview_config', 'tradingview_batch', 'source', 'source_batch', 'tp_sl', 'price', 'other'],
+    required: true
+  },
+  path: String, // secrets in the URL (config tokens) are masked
+  method: String,
+  query: Object,
+  source: {
+    type: String,
+    lowercase: true
+  },
+  alertConfigId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'AlertConfiguration'
+  },
+  // Whether the request passed its endpoint's authentication (its credentials are not stored)
+  authenticated: {
+    type: Boolean,
+    default: false
+  },
+  headers: Object, // credentials redacted
+  contentType: String,
+  rawBody: String,
+  bodyTruncated: {
+    type: Boolean,
+    default: false
+  },
+  ipAddress: String,
+  outcome: {
+    type: String,
+    enum: WEBHOOK_OUTCOMES,
+    required: true
+  },
+  statusCode: Number,
+  message: String,
+  validationErrors: [{
+    field: String,
+    message: String,
+    value: mongoose.Schema.Types.Mixed
+  }],
+  alertId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Alert'
+  },
+  processingTime: Number,
+  resubmissions: [{
+    adminId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'AdminUser'
+    },
+    resubmittedAt: Date,
+    outcome: {
+      type: String,
+      enum: WEBHOOK_OUTCOMES
+    },
+    statusCode: Number,
+    message: String,
+    alertId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Alert'
+    }
+  }],
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes for performance
+webhookInboxEntrySchema.index({ receivedAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+webhookInboxEntrySchema.index({ outcome: 1, receivedAt: -1 });
+webhookInboxEntrySchema.index({ source: 1, receivedAt: -1 });
+webhookInboxEntrySchema.index({ ipAddress: 1, receivedAt: -1 });
+webhookInboxEntrySchema.index({ alertId: 1 });
+
+// Static methods
+webhookInboxEntrySchema.statics.classifyOutcome = function(statusCode, responseBody = {}) {
+  if (statusCode >= 200 && statusCode < 300) {
+    // Batches where some alerts were rejected
+    if (responseBody.summary && responseBody.summary.rejected > 0) {
+      return 'partial';
+    }
+    return responseBody.duplicate ? 'duplicate' : 'accepted';
+  }
+  if (statusCode === 401 || statusCode === 403) {
+    return 'rejected_auth';
+  }
+  if (statusCode === 404) {
+    return 'not_found';
+  }
+  if (statusCode === 400) {
+    return Array.isArray(responseBody.errors) ? 'rejected_validation' : 'rejected_payload';
+  }
+  return statusCode >= 500 ? 'error' : 'rejected';
+};
+
+module.exports = mongoose.model('WebhookInboxEntry', webhookInboxEntrySchema);
@@ -0,0 +1,122 @@
+const Counter = require('../Counter');
+const Trade = require('../Trade');
+
+// In-memory stand-in for the counters collection, applying the update operators Counter uses
+const mockCounters = () => {
+  const store = new Map();
+
+  jest.spyOn(Counter, 'findOneAndUpdate').mockImplementation(async ({ _id }, update) => {
+    if (!store.has(_id)) {
+      return null;
+    }
+    store.set(_id, store.get(_id) + update.$inc.seq);
+    return { _id, seq: store.get(_id) };
+  });
+
+  jest.spyOn(Counter, 'updateOne').mockImplementation(async ({ _id }, update, options = {}) => {
+    if (!store.has(_id) && !options.upsert) {
+      return { matchedCount: 0 };
+    }
+    store.set(_id, Math.max(store.get(_id) ?? update.$max.seq, update.$max.seq));
+    return { matchedCount: 1 };
+  });
+
+  return store;
+};
+
+describe('Counter', () => {
+  let store;
+
+  beforeEach(() => {
+    store = mockCounters();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('next', () => {
+    it('returns null when the sequence does not exist', async () => {
+      await expect(Counter.next('tradeNumber')).resolves.toBeNull();
+      expect(Counter.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: 'tradeNumber' },
+        { $inc: { seq: 1 } },
+        { new: true }
+      );
+    });
+
+    it('takes consecutive numbers', async () => {
+      store.set('tradeNumber', 41);
+
+      await expect(Counter.next('tradeNumber')).resolves.toBe(42);
+      await expect(Counter.next('tradeNumber')).resolves.toBe(43);
+    });
+
+    it('hands out distinct numbers to concurrent callers', async () => {
+      store.set('tradeNumber', 0);
+
+      const numbers = await Promise.all(Array.from({ length: 20 }, () => Counter.next('tradeNumber')));
+      expect(new Set(numbers).size).toBe(20);
+      expect(Math.max(...numbers)).toBe(20);
+    });
+
+    it('keeps sequences apart', async () => {
+      store.set('tradeNumber', 10);
+      store.set('tradeNumber:config1', 3);
+
+      await expect(Counter.next('tradeNumber:config1')).resolves.toBe(4);
+      await expect(Counter.next('tradeNumber')).resolves.toBe(11);
+    });
+  });
+
+  describe('ensureAtLeast', () => {
+    it('creates a missing sequence', async () => {
+      await Counter.ensureAtLeast('tradeNumber', 7);
+      expect(store.get('tradeNumber')).toBe(7);
+    });
+
+    it('never moves a sequence back', async () => {
+      store.set('tradeNumber', 12);
+      await Counter.ensureAtLeast('tradeNumber', 7);
+      expect(store.get('tradeNumber')).toBe(12);
+    });
+
+    it('retries without upsert when another caller created the sequence', async () => {
+      const duplicateKey = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      Counter.updateOne.mockRejectedValueOnce(duplicateKey);
+      store.set('tradeNumber', 3);
+
+      await Counter.ensureAtLeast('tradeNumber', 5);
+      expect(Counter.updateOne).toHaveBeenLastCalledWith({ _id: 'tradeNumber' }, { $max: { seq: 5 } });
+      expect(store.get('tradeNumber')).toBe(5);
+    });
+
+    it('rethrows other errors', async () => {
+      Counter.updateOne.mockRejectedValueOnce(new Error('connection lost'));
+      await expect(Counter.ensureAtLeast('tradeNumber', 5)).rejects.toThrow('connection lost');
+    });
+  });
+
+  describe('Trade.getNextTradeNumber', () => {
+    it('continues after the highest existing number when the counter is new', async () => {
+      jest.spyOn(Trade, 'findOne').mockResolvedValue({ tradeNumber: 57 });
+
+      await expect(Trade.getNextTradeNumber()).resolves.toBe(58);
+      expect(Trade.findOne).toHaveBeenCalledWith(
+        { tradeNumberScope: { $in: ['global', null] } },
+        {},
+        { sort: { tradeNumber: -1 } }
+      );
+      await expect(Trade.getNextTradeNumber()).resolves.toBe(59);
+      expect(Trade.findOne).toHaveBeenCalledTimes(1);
+    });
+
+    it('starts a configuration scope at 1', async () => {
+      jest.spyOn(Trade, 'findOne').mockResolvedValue(null);
+
+      await expect(Trade.getNextTradeNumber('config1')).resolves.toBe(1);
+      expect(Trade.findOne.mock.calls[0][0]).toEqual({ tradeNumberScope: 'config1' });
+      expect(store.has('tradeNumber:config1')).toBe(true);
+    });
+  });
+});
@@ -7,6 +7,52 @@ const { validateSubscriptionApproval, validateSubscriptionRejection } = require(
 const { validateUPIConfig } = require('../validators/upiValidators');
 const { validateSubscriptionPlan } = require('../validators/subscriptionPlanValidators');
 const { validateUserUpdate } = require('../validators/userValidators');
+const {
+  validateParsingTemplate,
+  validateParsingTemplateCreate,
+  validateParsingTemplateTest
+} = require('../validators/parsingTemplateValidators');
+const { validateAlertSource, validateAlertSourceCreate } = require('../validators/alertSourceValidators');
+const {
+  validateDeadLetterSelection,
+  validateAlertReprocess,
+  validateAlertReplay,
+  validateQuarantineList,
+  validateQuarantineReview
+} = require('../validators/alertQueueValidators');
+const { validateWebhookInboxSearch, validateWebhookInboxResubmit } = require('../validators/webhookInboxValidators');
+const {
+  validateAlertAgePolicy,
+  validateVolumeFilter,
+  validateConfigSession,
+  validateConfigSymbols,
+  validateTakeProfitLadder,
+  validateConfigTradeNumbering,
+  validateConfigPendingEntries,
+  validateConfigCooldown,
+  validateConfigConfluence,
+  validateConfigConditions,
+  validateConditionsTest
+} = require('../validators/alertConfigValidators');
+const {
+  validateSessionCalendar,
+  validateSessionCalendarCreate,
+  validateSessionCalendarHolidays,
+  validateSessionCalendarHolidayDelete,
+  validateSessionCalendarStatus
+} = require('../validators/sessionCalendarValidators');
+const {
+  validateInstrument,
+  validateInstrumentCreate,
+  validateInstrumentAliases,
+  validateSymbolResolve,
+  validateUnknownSymbols
+} = require('../validators/instrumentValidators');
+const {
+  validateWatchlist,
+  validateWatchlistCreate,
+  validateWatchlistSymbols
+} = require('../validators/watchlistValidators');
 
 const router = express.Router();
 
@@ -894,4 +940,2200 @@ router.put('/subscription-plans/:planId', verifyAdminToken, validateSubscription
  */
 router.delete('/subscription-plans/:planId', verifyAdminToken, adminController.deleteSubscriptionPlan);
 
-module.exports = router;
\ No newline at end of file
+/**
+ * @swagger
+ * /api/admin/alert-configs/{configId}/webhook-token:
+ *   post:
+ *     tags: [Alert Configurations]
+ *     summary: Issue or rotate a configuration webhook token
+ *     description: |
+ *       Generates a new secret token for the configuration's dedicated webhook URL.
+ *       Any previous token stops working immediately. The token is only returned once.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: configId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Alert configuration ID
+ *     responses:
+ *       200:
+ *         description: Token issued successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 status:
+ *                   type: string
+ *                   example: success
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     token:
+ *                       type: string
+ *                     webhookUrl:
+ *                       type: string
+ *                       example: "https://api.example.com/api/webhooks/tradingview/3f9a..."
+ *                     tokenCreatedAt:
+ *                       type: string
+ *                       format: date-time
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       404:
+ *         description: Alert configuration not found
+ *   delete:
+ *     tags: [Alert Configurations]
+ *     summary: Revoke a configuration webhook token
+ *     description: Disables the configuration's dedicated webhook URL until a new token is issued
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: configId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Alert configuration ID
+ *     responses:
+ *       200:
+ *         description: Token revoked successfully
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       404:
+ *         description: Alert configuration not found
+ */
+router.post('/alert-configs/:configId/webhook-token', verifyAdminToken, adminController.rotateConfigWebhookToken);
+router.delete('/alert-configs/:configId/webhook-token', verifyAdminToken, adminController.revokeConfigWebhookToken);
+
+/**
+ * @swagger
+ * /api/admin/alert-configs/{configId}/parsing-template:
+ *   put:
+ *     tags: [Alert Configurations]
+ *     summary: Assign a parsing template to an alert configuration
+ *     description: Plain-text alerts received on the configuration's webhook URL are parsed with this template. Send a null templateId to remove it.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: configId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Alert configuration ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               templateId:
+ *                 type: string
+ *                 nullable: true
+ *     responses:
+ *       200:
+ *         description: Parsing template updated successfully
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       404:
+ *         description: Alert configuration or parsing template not found
+ */
+router.put('/alert-configs/:configId/parsing-template', verifyAdminToken, adminController.setConfigParsingTemplate);
+
+/**
+ * @swagger
+ * /api/admin/alert-configs/{configId}/alert-age:
+ *   put:
+ *     tags: [Alert Configurations]
+ *     summary: Set the alert age window of an alert configuration
+ *     description: |
+ *       Alerts whose timestamp is older than `maxAgeSeconds`, or further in the future than
+ *       `maxFutureSkewSeconds`, when they are processed are not distributed for this configuration.
+ *       Alerts rejected by every matching configuration are stored with status `rejected_stale`.
+ *       Send null to remove a limit. With `notifyAdmins`, rejections are posted to the chats in
+ *       `ADMIN_TELEGRAM_CHAT_IDS`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: configId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Alert configuration ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               maxAgeSeconds:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: 60
+ *               maxFutureSkewSeconds:
+ *                 type: integer
+ *                 nullable: true
+ *                 example: 10
+ *               notifyAdmins:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Alert age policy updated successfully
+ *       400:
+ *         description: Validation failed
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       404:
+ *         description: Alert configuration not found
+ */
+router.put('/alert-configs/:configId/alert-age', verifyAdminToken, validateAlertAgePolicy, adminController.setConfigAlertAgePolicy);
+
+/**
+ * @swagger
+ * /api/admin/alert-configs/{configId}/volume-filter:
+ *   put:
+ *     tags: [Alert Configurations]
+ *     summary: Set the volume filter of an alert configuration
+ *     description: |
+ *       Alerts whose `volume` does not pass the filter are not distributed for this configuration
+ *       and are counted in its `statistics.filteredAlerts`. Alerts without a volume are filtered
+ *       while the filter is enabled.
+ *       - `absolute`: volume must be at least `minVolume`
+ *       - `relative`: volume must be at least `minRelativeVolume` times the average volume of the
+ *         last `lookbackAlerts` alerts for the same symbol and timeframe. The check passes until
+ *         `minSamples` earlier alerts with a volume exist.
+ *       Send null to clear a threshold.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: configId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Alert configuration ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *                 example: true
+ *               mode:
+ *                 type: string
+ *                 enum: [absolute, relative]
+ *                 example: relative
+ *               minVolume:
+ *                 type: number
+ *                 nullable: true
+ *                 example: 100000
+ *               minRelativeVolume:
+ *                 type: number
+ *                 nullable: true
+ *                 example: 1.5
+ *               lookbackAlerts:
+ *                 type: integer
+ *                 example: 20
+ *               minSamples:
+ *                 type: integer
+ *                 example: 5
+ *     responses:
+ *       200:
+ *         description: Volume filter updated successfully
+ *       400:
+ *         description: Validation failed, or the threshold of the selected mode is missing
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       404:
+ *         description: Alert configuration not found
+ */
+router.put('/alert-configs/:configId/volume-filter', verifyAdminToken, validateVolumeFilter, adminController.setConfigVolumeFilter);
+
+/**
+ * @swagger
+ * /api/admin/alert-configs/{configId}/session:
+ *   put:
+ *     tags: [Alert Configurations]
+ *     summary: Set the trading session calendar of an alert configuration
+ *     description: |
+ *       Alerts processed outside the calendar's sessions (or on its holidays) are handled by `policy`:
+ *       - `drop`: the alert is not distributed for this configuration (recorded as an `out_of_session` rejection)
+ *       - `hold`: the alert is stored with status `held` and processed again once the next session opens.
+ *         Held alerts are still checked against the configuration's alert age window when released.
+ *       Send a null calendarId to stop enforcing sessions.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: configId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Alert configuration ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               calendarId:
+ *                 type: string
+ *                 nullable: true
+ *               policy:
+ *                 type: string
+ *                 enum: [hold, drop]
+ *                 example: hold
+ *     responses:
+ *       200:
+ *         description: Trading session updated successfully
+ *       400:
+ *         description: Validation failed
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       404:
+ *         description: Alert configuration or session calendar not found
+ */
+router.put('/alert-configs/:configId/session', verifyAdminToken, validateConfigSession, adminController.setConfigSession);
+
+/**
+ * @swagger
+ * /api/admin/alert-configs/{configId}/symbols:
+ *   put:
+ *     tags: [Alert Configurations]
+ *     summary: Set the symbols and timeframes an alert configuration covers
+ *     description: |
+ *       A configuration receives alerts for its `symbol`, any of `symbols`, symbols matching
+ *       `symbolPattern` (`*` any characters, `?` one character) and the symbols of its watchlist,
+ *       on its `timeframe` or any of `timeframes`. Symbols are stored as canonical instrument symbols
+ *       and timeframes in canonical form (`240`, `H4` and `4 hours` are all stored as `4h`).
+ *       Trade limits (`maxOpenTrades`) and per-symbol statistics apply to each symbol separately.
+ *       Send null to clear a field; at least one symbol source and one timeframe must remain.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: configId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Alert configuration ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               symbol:
+ *                 type: string
+ *                 nullable: true
+ *               symbols:
+ *                 type: array
+ *                 nullable: true
+ *                 items:
+ *                   type: string
+ *                 example: ["BTCUSDT", "ETHUSDT", "SOLUSDT"]
+ *               symbolPattern:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "*USDT"
+ *               watchlistId:
+ *                 type: string
+ *                 nullable: true
+ *               timeframe:
+ *                 type: string
+ *                 nullable: true
+ *               timeframes:
+ *                 type: array
+ *                 nullable: true
+ *                 items:
+ *                   type: string
+ *                 example: ["15m", "1h", "4h"]
+ *     responses:
+ *       200:
+ *         description: Configuration symbols updated (unknownSymbols lists symbols missing from the instrument registry)
+ *       400:
+ *         description: Validation failed
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       404:
+ *         description: Alert configuration or watchlist not found
+ */
+router.put('/alert-configs/:configId/symbols', verifyAdminToken, validateConfigSymbols, adminController.setConfigSymbols);
+
+/**
+ * @swagger
+ * /api/admin/alert-configs/{configId}/take-profit-ladder:
+ *   put:
+ *     tags: [Alert Configurations]
+ *     summary: Set the take-profit ladder policy of an alert configuration
+ *     description: |
+ *       Entry alerts can publish up to three targets in `takeProfits` (`[{ price, allocation }]`).
+ *       Each trade keeps them as its ladder, and TP1_HIT, TP2_HIT and TP3_HIT close the target's
+ *       allocation (percent of the position) at the alert price. P&L is tracked per target and
+ *       blended over the whole position; the trade closes when nothing remains.
+ *       `allocations` applies to targets sent without one (e.g. `[50, 30, 20]`); targets left without
+ *       an allocation share what the others leave equally. With `breakevenAfterTP1`, the stop loss
+ *       moves to the entry price once TP1 is hit. Send null to clear the allocations.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: configId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Alert configuration ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               allocations:
+ *                 type: array
+ *                 nullable: true
+ *                 maxItems: 3
+ *                 items:
+ *                   type: number
+ *                 example: [50, 30, 20]
+ *               breakevenAfterTP1:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Take-profit ladder updated successfully
+ *       400:
+ *         description: Validation failed
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       404:
+ *         description: Alert configuration not found
+ */
+router.put('/alert-configs/:configId/take-profit-ladder', verifyAdminToken, validateTakeProfitLadder, adminController.setConfigTakeProfitLadder);
+
+/**
+ * @swagger
+ * /api/admin/alert-configs/{configId}/trade-numbering:
+ *   put:
+ *     tags: [Alert Configurations]
+ *     summary: Set the trade number sequence of an alert configuration
+ *     description: |
+ *       Trade numbers are taken from an atomic counter. With `global` the configuration's trades
+ *       share one sequence with every other global configuration; with `config` they are
+ *       numbered 1, 2, ... on their own, so the same number can exist in several configurations
+ *       (exit signals and TP/SL updates by number then need the configuration). `null` follows
+ *       the `TRADE_NUMBERING` default. Existing trades keep their numbers.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: configId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Alert configuration ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - tradeNumbering
+ *             properties:
+ *               tradeNumbering:
+ *                 type: string
+ *                 enum: [global, config]
+ *                 nullable: true
+ *                 example: config
+ *     responses:
+ *       200:
+ *         description: Trade numbering updated successfully
+ *       400:
+ *         description: Validation failed
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       404:
+ *         description: Alert configuration not found
+ */
+router.put('/alert-configs/:configId/trade-numbering', verifyAdminToken, validateConfigTradeNumbering, adminController.setConfigTradeNumbering);
+
+/**
+ * @swagger
+ * /api/admin/alert-configs/{configId}/pending-entries:
+ *   put:
+ *     tags: [Alert Configurations]
+ *     summary: Set the pending entry policy of an alert configuration
+ *     description: |
+ *       When enabled, BUY/SELL alerts with a `limitPrice` create pending trades instead of
+ *       opening at the alert price. A pending trade opens when a price update (an alert or
+ *       `/api/webhooks/price`) reaches the limit price, and is cancelled when it expires or a
+ *       CANCEL signal arrives. Entries whose alert sets no expiry expire `expirySeconds` after
+ *       the alert was received. Subscribers are notified when the order is placed, filled
+ *       and expired.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: configId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Alert configuration ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *                 example: true
+ *               expirySeconds:
+ *                 type: integer
+ *                 minimum: 60
+ *                 maximum: 2592000
+ *                 example: 86400
+ *     responses:
+ *       200:
+ *         description: Pending entries updated successfully
+ *       400:
+ *         description: Validation failed
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       404:
+ *         description: Alert configuration not found
+ */
+router.put('/alert-configs/:configId/pending-entries', verifyAdminToken, validateConfigPendingEntries, adminController.setConfigPendingEntries);
+
+/**
+ * @swagger
+ * /api/admin/alert-configs/{configId}/cooldown:
+ *   put:
+ *     tags: [Alert Configurations]
+ *     summary: Set the signal cooldown of an alert configuration
+ *     description: |
+ *       After an alert is distributed, further alerts with the same symbol and signal within
+ *       `seconds` are handled by `mode`:
+ *       - `drop`: the alert is not distributed for this configuration
+ *       - `coalesce`: the alert is held until the cooldown ends; only the latest alert received
+ *         in the meantime is distributed, earlier ones are dropped
+ *       - `queue`: the alert is held and distributed once its turn comes, one per cooldown
+ *       Suppressed alerts are recorded as `throttled` rejections with the reason, and alerts
+ *       suppressed by every matching configuration are stored with status `throttled`.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: configId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Alert configuration ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *                 example: true
+ *               seconds:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 86400
+ *                 example: 300
+ *               mode:
+ *                 type: string
+ *                 enum: [drop, coalesce, queue]
+ *                 example: coalesce
+ *     responses:
+ *       200:
+ *         description: Cooldown updated successfully
+ *       400:
+ *         description: Validation failed
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       404:
+ *         description: Alert configuration not found
+ */
+router.put('/alert-configs/:configId/cooldown', verifyAdminToken, validateConfigCooldown, adminController.setConfigCooldown);
+
+/**
+ * @swagger
+ * /api/admin/alert-configs/{configId}/confluence:
+ *   put:
+ *     tags: [Alert Configurations]
+ *     summary: Make an alert configuration a confluence of other configurations
+ *     description: |
+ *       A confluence configuration publishes a signal only when several strategies agree. Whenever
+ *       at least `minSources` of its `sources` (all of them when unset) accept alerts with the same
+ *       signal for a symbol it covers within `windowSeconds`, an alert with source `confluence` is
+ *       created for it and distributed through the normal pipeline (filters, cooldown, trades and
+ *       notifications of this configuration). The alert uses this configuration's strategy and
+ *       timeframe, the price and levels of the alert that completed the agreement, and lists the
+ *       contributing alerts in `confluence.contributions`; each source alert counts once.
+ *       Confluence configurations do not receive webhook alerts. Send null sources to turn the
+ *       configuration back into a standard one.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: configId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Alert configuration ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               sources:
+ *                 type: array
+ *                 nullable: true
+ *                 items:
+ *                   type: string
+ *                 description: IDs of standard alert configurations (e.g. an RSI and an EMA-cross strategy)
+ *               windowSeconds:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 86400
+ *                 example: 900
+ *               minSources:
+ *                 type: integer
+ *                 nullable: true
+ *                 minimum: 2
+ *                 example: 2
+ *     responses:
+ *       200:
+ *         description: Confluence updated successfully
+ *       400:
+ *         description: Validation failed
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       404:
+ *         description: Alert configuration or source configuration not found
+ */
+router.put('/alert-configs/:configId/confluence', verifyAdminToken, validateConfigConfluence, adminController.setConfigConfluence);
+
+/**
+ * @swagger
+ * /api/admin/alert-configs/{configId}/conditions:
+ *   put:
+ *     tags: [Alert Configurations]
+ *     summary: Replace the conditions of an alert configuration
+ *     description: |
+ *       Conditions are evaluated for every alert that matches the configuration, highest priority first
+ *       (stored order breaks ties). A rule is a comparison `{ field, operator, value }` or a group
+ *       `{ all: [...] }`, `{ any: [...] }`, `{ not: rule }`.
+ *
+ *       Fields are paths into the alert facts: `symbol`, `timeframe`, `strategy`, `signal`, `price`,
+ *       `takeProfitPrice`, `stopLossPrice`, `volume`, `metadata.*` (the payload metadata),
+ *       `time.weekday`, `time.hour`, `time.minutes` (in the configuration's time range timezone) and
+ *       `trades.open`, `trades.long`, `trades.short`, `trades.sameSide`, `trades.oppositeSide`
+ *       (the receiving user's open trades for the configuration).
+ *
+ *       Operators: `eq`, `ne`, `gt`, `gte`, `lt`, `lte`, `between` ([min, max]), `in`, `not_in` (arrays), `exists`.
+ *
+ *       Actions of matching conditions:
+ *       - `suppress`: the alert is not distributed for this configuration (recorded as a `rule_suppressed` rejection)
+ *       - `tag` (`tags`): tags shown in the notification
+ *       - `set_priority` (`priority`: high, medium, low): priority shown in the notification
+ *       - `set_levels` (`takeProfitPrice`/`stopLossPrice` or `takeProfitPercent`/`stopLossPercent`): TP/SL of opened trades
+ *       - `route_plans` (`planIds`): only subscribers of these plans receive the alert
+ *
+ *       The first matching condition to set a priority, a level or plan routing wins; tags accumulate.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: configId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Alert configuration ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [conditions]
+ *             properties:
+ *               conditions:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [conditionId, name, rules]
+ *                   properties:
+ *                     conditionId:
+ *                       type: string
+ *                       example: quiet-hours
+ *                     name:
+ *                       type: string
+ *                       example: Skip late-session sells
+ *                     rules:
+ *                       type: object
+ *                       example: { all: [{ field: signal, operator: eq, value: SELL }, { field: time.hour, operator: gte, value: 15 }] }
+ *                     actions:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                       example: [{ type: suppress }]
+ *                     priority:
+ *                       type: string
+ *                       enum: [high, medium, low]
+ *                     enabled:
+ *                       type: boolean
+ *     responses:
+ *       200:
+ *         description: Conditions updated successfully
+ *       400:
+ *         description: Validation failed
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       404:
+ *         description: Alert configuration not found
+ */
+router.put('/alert-configs/:configId/conditions', verifyAdminToken, validateConfigConditions, adminController.setConfigConditions);
+
+/**
+ * @swagger
+ * /api/admin/alert-configs/{configId}/conditions/test:
+ *   post:
+ *     tags: [Alert Configurations]
+ *     summary: Test conditions against sample alerts
+ *     description: |
+ *       Evaluates the configuration's conditions (or the draft `conditions` given) against sample
+ *       webhook payloads without storing anything. Missing symbol, timeframe and strategy default to the
+ *       configuration's. Conditions on `trades` are reported as deferred unless sample open `trades` are given.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: configId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Alert configuration ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [alerts]
+ *             properties:
+ *               alerts:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                 example: [{ signal: SELL, price: 2450.5, metadata: { rsi: 72 } }]
+ *               conditions:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               trades:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     signal:
+ *                       type: string
+ *                       enum: [BUY, SELL]
+ *               at:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Evaluation time for time-based rules (defaults to now)
+ *     responses:
+ *       200:
+ *         description: Facts, matched conditions and resulting actions per sample
+ *       400:
+ *         description: Validation failed
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       404:
+ *         description: Alert configuration not found
+ */
+router.post('/alert-configs/:configId/conditions/test', verifyAdminToken, validateConditionsTest, adminController.testConfigConditions);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ParsingTemplate:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "pine-kv"
+ *         description:
+ *           type: string
+ *         format:
+ *           type: string
+ *           enum: [key_value, delimited, regex, placeholder]
+ *         options:
+ *           type: object
+ *           properties:
+ *             keyValueSeparator:
+ *               type: string
+ *               example: "="
+ *             delimiter:
+ *               type: string
+ *               example: "|"
+ *             columns:
+ *               type: array
+ *               items:
+ *                 type: string
+ *               example: ["symbol", "timeframe", "strategy", "signal", "price"]
+ *             pattern:
+ *               type: string
+ *               example: "(?<symbol>\\w+) (?<signal>buy|sell) @ (?<price>[\\d.]+)"
+ *             flags:
+ *               type: string
+ *               example: "i"
+ *             template:
+ *               type: string
+ *               example: "{{ticker}} {{strategy.order.action}} @ {{close}}"
+ *         fieldMap:
+ *           type: object
+ *           description: Payload field to extracted key mapping
+ *           example: { "signal": "strategy.order.action" }
+ *         defaults:
+ *           type: object
+ *           description: Values used when a field is missing from the body
+ *           example: { "strategy": "RSI Divergence", "timeframe": "1h" }
+ *         samples:
+ *           type: array
+ *           items:
+ *             type: string
+ *         isActive:
+ *           type: boolean
+ *
+ * /api/admin/parsing-templates:
+ *   get:
+ *     tags: [Parsing Templates]
+ *     summary: Get all parsing templates
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive]
+ *     responses:
+ *       200:
+ *         description: Parsing templates retrieved successfully
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *   post:
+ *     tags: [Parsing Templates]
+ *     summary: Create parsing template
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ParsingTemplate'
+ *     responses:
+ *       201:
+ *         description: Parsing template created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       409:
+ *         description: Template name already exists
+ */
+router.get('/parsing-templates', verifyAdminToken, adminController.getParsingTemplates);
+router.post('/parsing-templates', verifyAdminToken, validateParsingTemplateCreate, adminController.createParsingTemplate);
+
+/**
+ * @swagger
+ * /api/admin/parsing-templates/test:
+ *   post:
+ *     tags: [Parsing Templates]
+ *     summary: Test a draft parsing template
+ *     description: Parses each sample with the given template definition and validates the result with the TradingView webhook rules. Nothing is saved.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               template:
+ *                 $ref: '#/components/schemas/ParsingTemplate'
+ *               samples:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["ticker=BTCUSDT interval=1h strategy=RSI action=buy close=45000"]
+ *     responses:
+ *       200:
+ *         description: Per-sample parse results
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ */
+router.post('/parsing-templates/test', verifyAdminToken, validateParsingTemplateTest, adminController.testParsingTemplate);
+
+/**
+ * @swagger
+ * /api/admin/parsing-templates/{templateId}:
+ *   put:
+ *     tags: [Parsing Templates]
+ *     summary: Update parsing template
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ParsingTemplate'
+ *     responses:
+ *       200:
+ *         description: Parsing template updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Parsing template not found
+ *   delete:
+ *     tags: [Parsing Templates]
+ *     summary: Delete parsing template
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Parsing template deleted successfully
+ *       404:
+ *         description: Parsing template not found
+ *       409:
+ *         description: Template is used by alert configurations
+ */
+router.put('/parsing-templates/:templateId', verifyAdminToken, validateParsingTemplate, adminController.updateParsingTemplate);
+router.delete('/parsing-templates/:templateId', verifyAdminToken, adminController.deleteParsingTemplate);
+
+/**
+ * @swagger
+ * /api/admin/parsing-templates/{templateId}/test:
+ *   post:
+ *     tags: [Parsing Templates]
+ *     summary: Test a saved parsing template
+ *     description: Parses the given samples (or the template's stored samples) and validates the result with the TradingView webhook rules.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: templateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               samples:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Per-sample parse results
+ *       404:
+ *         description: Parsing template not found
+ */
+router.post('/parsing-templates/:templateId/test', verifyAdminToken, validateParsingTemplateTest, adminController.testParsingTemplate);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SessionCalendar:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "NSE"
+ *         description:
+ *           type: string
+ *         exchange:
+ *           type: string
+ *           example: "NSE"
+ *         timezone:
+ *           type: string
+ *           description: IANA timezone the session times are in
+ *           example: "Asia/Kolkata"
+ *         sessions:
+ *           type: array
+ *           description: Wall-clock sessions; an end before the start runs overnight
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "regular"
+ *               start:
+ *                 type: string
+ *                 example: "09:15"
+ *               end:
+ *                 type: string
+ *                 example: "15:30"
+ *               days:
+ *                 type: array
+ *                 description: Weekdays from 0 (Sunday) to 6 (Saturday)
+ *                 items:
+ *                   type: integer
+ *                 example: [1, 2, 3, 4, 5]
+ *         holidays:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/SessionHoliday'
+ *         isActive:
+ *           type: boolean
+ *     SessionHoliday:
+ *       type: object
+ *       properties:
+ *         date:
+ *           type: string
+ *           description: Local date (YYYY-MM-DD)
+ *           example: "2025-10-02"
+ *         name:
+ *           type: string
+ *           example: "Gandhi Jayanti"
+ *
+ * /api/admin/session-calendars:
+ *   get:
+ *     tags: [Session Calendars]
+ *     summary: Get all session calendars
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive]
+ *       - in: query
+ *         name: exchange
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session calendars retrieved successfully
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *   post:
+ *     tags: [Session Calendars]
+ *     summary: Create session calendar
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SessionCalendar'
+ *     responses:
+ *       201:
+ *         description: Session calendar created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       409:
+ *         description: Calendar name already exists
+ */
+router.get('/session-calendars', verifyAdminToken, adminController.getSessionCalendars);
+router.post('/session-calendars', verifyAdminToken, validateSessionCalendarCreate, adminController.createSessionCalendar);
+
+/**
+ * @swagger
+ * /api/admin/session-calendars/{calendarId}:
+ *   put:
+ *     tags: [Session Calendars]
+ *     summary: Update session calendar
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: calendarId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SessionCalendar'
+ *     responses:
+ *       200:
+ *         description: Session calendar updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Session calendar not found
+ *   delete:
+ *     tags: [Session Calendars]
+ *     summary: Delete session calendar
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: calendarId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session calendar deleted successfully
+ *       404:
+ *         description: Session calendar not found
+ *       409:
+ *         description: Calendar is used by alert configurations
+ */
+router.put('/session-calendars/:calendarId', verifyAdminToken, validateSessionCalendar, adminController.updateSessionCalendar);
+router.delete('/session-calendars/:calendarId', verifyAdminToken, adminController.deleteSessionCalendar);
+
+/**
+ * @swagger
+ * /api/admin/session-calendars/{calendarId}/status:
+ *   get:
+ *     tags: [Session Calendars]
+ *     summary: Check whether a session calendar is open
+ *     description: Returns the open session, or the holiday and the next session open when closed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: calendarId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: at
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Time to check (defaults to now)
+ *     responses:
+ *       200:
+ *         description: Session status
+ *       404:
+ *         description: Session calendar not found
+ */
+router.get('/session-calendars/:calendarId/status', verifyAdminToken, validateSessionCalendarStatus, adminController.getSessionCalendarStatus);
+
+/**
+ * @swagger
+ * /api/admin/session-calendars/{calendarId}/holidays:
+ *   post:
+ *     tags: [Session Calendars]
+ *     summary: Add holidays to a session calendar
+ *     description: Dates already on the calendar are renamed.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: calendarId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               holidays:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/SessionHoliday'
+ *     responses:
+ *       200:
+ *         description: Holidays added successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Session calendar not found
+ *
+ * /api/admin/session-calendars/{calendarId}/holidays/{date}:
+ *   delete:
+ *     tags: [Session Calendars]
+ *     summary: Remove a holiday from a session calendar
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: calendarId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Holiday date (YYYY-MM-DD)
+ *     responses:
+ *       200:
+ *         description: Holiday removed successfully
+ *       404:
+ *         description: Session calendar or holiday not found
+ */
+router.post('/session-calendars/:calendarId/holidays', verifyAdminToken, validateSessionCalendarHolidays, adminController.addSessionCalendarHolidays);
+router.delete('/session-calendars/:calendarId/holidays/:date', verifyAdminToken, validateSessionCalendarHolidayDelete, adminController.deleteSessionCalendarHoliday);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Instrument:
+ *       type: object
+ *       properties:
+ *         symbol:
+ *           type: string
+ *           description: Canonical symbol alerts, configurations and trades use
+ *           example: "BTCUSDT"
+ *         name:
+ *           type: string
+ *           example: "Bitcoin / Tether"
+ *         assetClass:
+ *           type: string
+ *           enum: [crypto, equity, index, forex, commodity, futures, other]
+ *         exchanges:
+ *           type: array
+ *           description: Exchange prefixes accepted for the instrument; empty accepts any prefix
+ *           items:
+ *             type: string
+ *           example: ["BINANCE", "BYBIT"]
+ *         aliases:
+ *           type: array
+ *           description: Other tickers (without exchange prefix) that resolve to the instrument
+ *           items:
+ *             type: string
+ *           example: ["XBTUSDT", "BTCUSDT.P"]
+ *         isActive:
+ *           type: boolean
+ *
+ * /api/admin/instruments:
+ *   get:
+ *     tags: [Instruments]
+ *     summary: Get all instruments
+ *     description: |
+ *       Received symbols are resolved to an instrument by stripping the exchange prefix
+ *       (`BINANCE:BTCUSDT`) and matching the ticker against symbols and aliases, then the ticker
+ *       without contract suffix (`.P` perpetuals, `1!` continuous futures).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive]
+ *       - in: query
+ *         name: assetClass
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches symbol, aliases or name
+ *     responses:
+ *       200:
+ *         description: Instruments retrieved successfully
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *   post:
+ *     tags: [Instruments]
+ *     summary: Create instrument
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Instrument'
+ *     responses:
+ *       201:
+ *         description: Instrument created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       409:
+ *         description: Symbol or an alias is already registered
+ */
+router.get('/instruments', verifyAdminToken, adminController.getInstruments);
+router.post('/instruments', verifyAdminToken, validateInstrumentCreate, adminController.createInstrument);
+
+/**
+ * @swagger
+ * /api/admin/instruments/resolve:
+ *   get:
+ *     tags: [Instruments]
+ *     summary: Resolve a symbol through the instrument registry
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: symbol
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "BINANCE:BTCUSDT.P"
+ *     responses:
+ *       200:
+ *         description: Canonical symbol, exchange prefix and matched instrument (null when unknown)
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ */
+router.get('/instruments/resolve', verifyAdminToken, validateSymbolResolve, adminController.resolveInstrumentSymbol);
+
+/**
+ * @swagger
+ * /api/admin/instruments/unknown-symbols:
+ *   get:
+ *     tags: [Instruments]
+ *     summary: Get received symbols not found in the instrument registry
+ *     description: Most frequent first. Map them by adding them as aliases of an instrument.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Unknown symbols with alert counts, sources and last received time
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ */
+router.get('/instruments/unknown-symbols', verifyAdminToken, validateUnknownSymbols, adminController.getUnknownSymbols);
+
+/**
+ * @swagger
+ * /api/admin/instruments/{instrumentId}:
+ *   put:
+ *     tags: [Instruments]
+ *     summary: Update instrument
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: instrumentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Instrument'
+ *     responses:
+ *       200:
+ *         description: Instrument updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       404:
+ *         description: Instrument not found
+ *       409:
+ *         description: Symbol or an alias is already registered
+ *   delete:
+ *     tags: [Instruments]
+ *     summary: Delete instrument
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: instrumentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Instrument deleted successfully
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       404:
+ *         description: Instrument not found
+ *       409:
+ *         description: Instrument symbol is used by alert configurations
+ */
+router.put('/instruments/:instrumentId', verifyAdminToken, validateInstrument, adminController.updateInstrument);
+router.delete('/instruments/:instrumentId', verifyAdminToken, adminController.deleteInstrument);
+
+/**
+ * @swagger
+ * /api/admin/instruments/{instrumentId}/aliases:
+ *   post:
+ *     tags: [Instruments]
+ *     summary: Add aliases to an instrument
+ *     description: |
+ *       Alerts received later under these tickers resolve to the instrument's symbol. Stored alerts
+ *       whose symbols now resolve are no longer reported as unknown (listed in `resolvedSymbols`).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: instrumentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [aliases]
+ *             properties:
+ *               aliases:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["SOLUSDT.P"]
+ *     responses:
+ *       200:
+ *         description: Aliases added successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       404:
+ *         description: Instrument not found
+ *       409:
+ *         description: An alias is already registered
+ */
+router.post('/instruments/:instrumentId/aliases', verifyAdminToken, validateInstrumentAliases, adminController.addInstrumentAliases);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Watchlist:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: "Top 40 USDT pairs"
+ *         description:
+ *           type: string
+ *         symbols:
+ *           type: array
+ *           description: Symbols, stored as canonical instrument symbols
+ *           items:
+ *             type: string
+ *           example: ["BTCUSDT", "ETHUSDT"]
+ *         isActive:
+ *           type: boolean
+ *
+ * /api/admin/watchlists:
+ *   get:
+ *     tags: [Watchlists]
+ *     summary: Get all watchlists
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive]
+ *       - in: query
+ *         name: symbol
+ *         schema:
+ *           type: string
+ *         description: Only watchlists containing this symbol
+ *     responses:
+ *       200:
+ *         description: Watchlists retrieved successfully
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *   post:
+ *     tags: [Watchlists]
+ *     summary: Create watchlist
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Watchlist'
+ *     responses:
+ *       201:
+ *         description: Watchlist created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       409:
+ *         description: Watchlist name already exists
+ */
+router.get('/watchlists', verifyAdminToken, adminController.getWatchlists);
+router.post('/watchlists', verifyAdminToken, validateWatchlistCreate, adminController.createWatchlist);
+
+/**
+ * @swagger
+ * /api/admin/watchlists/{watchlistId}:
+ *   put:
+ *     tags: [Watchlists]
+ *     summary: Update watchlist
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: watchlistId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Watchlist'
+ *     responses:
+ *       200:
+ *         description: Watchlist updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       404:
+ *         description: Watchlist not found
+ *       409:
+ *         description: Watchlist name already exists
+ *   delete:
+ *     tags: [Watchlists]
+ *     summary: Delete watchlist
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: watchlistId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Watchlist deleted successfully
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       404:
+ *         description: Watchlist not found
+ *       409:
+ *         description: Watchlist is used by alert configurations
+ */
+router.put('/watchlists/:watchlistId', verifyAdminToken, validateWatchlist, adminController.updateWatchlist);
+router.delete('/watchlists/:watchlistId', verifyAdminToken, adminController.deleteWatchlist);
+
+/**
+ * @swagger
+ * /api/admin/watchlists/{watchlistId}/symbols:
+ *   post:
+ *     tags: [Watchlists]
+ *     summary: Add or remove watchlist symbols
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: watchlistId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               add:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["AVAXUSDT"]
+ *               remove:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["LUNAUSDT"]
+ *     responses:
+ *       200:
+ *         description: Watchlist symbols updated successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       404:
+ *         description: Watchlist not found
+ */
+router.post('/watchlists/:watchlistId/symbols', verifyAdminToken, validateWatchlistSymbols, adminController.updateWatchlistSymbols);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AlertSource:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           description: URL name of the source (POST /api/webhooks/sources/{name})
+ *           example: "mt5-bridge"
+ *         displayName:
+ *           type: string
+ *           example: "MT5 Bridge"
+ *         description:
+ *           type: string
+ *         auth:
+ *           type: object
+ *           properties:
+ *             method:
+ *               type: string
+ *               enum: [none, api_key, hmac, passphrase]
+ *               default: api_key
+ *             headerName:
+ *               type: string
+ *               description: Defaults to x-api-key (api_key) or x-signature (hmac)
+ *             passphraseField:
+ *               type: string
+ *               description: Payload field holding the secret (passphrase); defaults to passphrase
+ *             secret:
+ *               type: string
+ *               description: API key, HMAC secret or passphrase; generated on create when omitted
+ *             replayProtection:
+ *               type: boolean
+ *               default: false
+ *               description: Require a timestamp within the replay window and a single-use nonce
+ *         fieldMapping:
+ *           type: object
+ *           description: Alert field to JSON path mapping
+ *           example: { "symbol": "$.instrument.name", "signal": "$.side", "price": "$.fill.price", "takeProfitPrice": "$.levels.tp", "stopLossPrice": "$.levels.sl" }
+ *         extraDataMapping:
+ *           type: object
+ *           description: Extra data key to JSON path mapping, stored as alert metadata
+ *           example: { "confidence": "$.meta.confidence" }
+ *         signalMap:
+ *           type: object
+ *           description: Source signal value to alert signal
+ *           example: { "long": "BUY", "short": "SELL" }
+ *         defaults:
+ *           type: object
+ *           description: Values used when a mapped field is missing
+ *           example: { "timeframe": "15m", "strategy": "MT5 Breakout" }
+ *         isActive:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/admin/alert-sources:
+ *   get:
+ *     tags: [Alert Sources]
+ *     summary: Get all alert sources
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, inactive]
+ *     responses:
+ *       200:
+ *         description: Alert sources retrieved successfully
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *   post:
+ *     tags: [Alert Sources]
+ *     summary: Register alert source
+ *     description: Registers a new alert sender. The response contains the source secret and webhook URL; the secret is not returned again.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AlertSource'
+ *     responses:
+ *       201:
+ *         description: Alert source created successfully
+ *       400:
+ *         description: Validation error
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *       409:
+ *         description: Source name already exists
+ */
+router.get('/alert-sources', verifyAdminToken, adminController.getAlertSources);
+router.post('/alert-sources', verifyAdminToken, validateAlertSourceCreate, adminController.createAlertSource);
+
+/**
+ * @swagger
+ * /api/admin/alert-sources/{sourceId}:
+ *   put:
+ *     tags: [Alert Sources]
+ *     summary: Update alert source
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sourceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/AlertSource'
+ *     responses:
+ *       200:
+ *         description: Alert source updated successfully
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Alert source not found
+ *   delete:
+ *     tags: [Alert Sources]
+ *     summary: Delete alert source
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sourceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Alert source deleted successfully
+ *       404:
+ *         description: Alert source not found
+ */
+router.put('/alert-sources/:sourceId', verifyAdminToken, validateAlertSource, adminController.updateAlertSource);
+router.delete('/alert-sources/:sourceId', verifyAdminToken, adminController.deleteAlertSource);
+
+/**
+ * @swagger
+ * /api/admin/alert-queue:
+ *   get:
+ *     tags: [Alert Queue]
+ *     summary: Get alert processing queue statistics
+ *     description: Pending, in-flight, retrying and dead-lettered alert counts plus the jobs running on this instance.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Queue statistics retrieved successfully
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ */
+router.get('/alert-queue', verifyAdminToken, adminController.getAlertQueueStats);
+
+/**
+ * @swagger
+ * /api/admin/alert-queue/dead-letters:
+ *   get:
+ *     tags: [Alert Queue]
+ *     summary: List dead-lettered alerts
+ *     description: Alerts that failed processing on every attempt, with their last error.
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Dead-lettered alerts retrieved successfully
+ *       401:
+ *         description: Unauthorized - Invalid or missing admin token
+ *   delete:
+ *     tags: [Alert Queue]
+ *     summary: Purge dead-lettered alerts
+ *     description: Removes the given alerts (or all when `alertIds` is omitted) from the dead-letter list. The alerts stay marked as failed.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               alertIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Dead-lettered alerts purged
+ *       400:
+ *         description: Validation error
+ */
+router.get('/alert-queue/dead-letters', verifyAdminToken, adminController.getDeadLetterAlerts);
+router.delete('/alert-queue/dead-letters', verifyAdminToken, validateDeadLetterSelection, adminController.purgeDeadLetterAlerts);
+
+/**
+ * @swagger
+ * /api/admin/alert-queue/dead-letters/retry:
+ *   post:
+ *     tags: [Alert Queue]
+ *     summary: Retry dead-lettered alerts
+ *     description: Requeues the given alerts (or all when `alertIds` is omitted) with a fresh attempt budget.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               alertIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Alerts requeued for processing
+ *       400:
+ *         description: Validation error
+ */
+router.post('/alert-queue/dead-letters/retry', verifyAdminToken, validateDeadLetterSelection, adminController.retryDeadLetterAlerts);
+
+/**
+ * @swagger
+ * /api/admin/alert-queue/dead-letters/{alertId}/retry:
+ *   post:
+ *     tags: [Alert Queue]
+ *     summary: Retry a dead-lettered alert
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Alert requeued for processing
+ *       404:
+ *         description: Alert is not in the dead-letter list
+ */
+router.post('/alert-queue/dead-letters/:alertId/retry', verifyAdminToken, validateDeadLetterSelection, adminController.retryDeadLetterAlerts);
+
+/**
+ * @swagger
+ * /api/admin/alert-queue/dead-letters/{alertId}:
+ *   delete:
+ *     tags: [Alert Queue]
+ *     summary: Purge a dead-lettered alert
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Alert removed from the dead-letter list
+ */
+router.delete('/alert-queue/dead-letters/:alertId', verifyAdminToken, validateDeadLetterSelection, adminController.purgeDeadLetterAlerts);
+
+/**
+ * @swagger
+ * /api/admin/alerts/{alertId}/reprocess:
+ *   post:
+ *     tags: [Alert Replay]
+ *     summary: Reprocess a failed alert
+ *     description: |
+ *       Runs a failed alert through the pipeline again against the current alert configurations.
+ *       With `dryRun` (the default) nothing is written: the response lists matched configurations,
+ *       the users who would receive the alert, the trades that would open, close or be replaced
+ *       and the rendered messages. With `dryRun: false` the alert is queued; users it already
+ *       reached are skipped, so trades and messages are not duplicated.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               dryRun:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Dry-run plan, or alert queued for reprocessing
+ *       404:
+ *         description: Alert not found
+ *       409:
+ *         description: Alert is not in failed state
+ */
+router.post('/alerts/:alertId/reprocess', verifyAdminToken, validateAlertReprocess, adminController.reprocessAlert);
+
+/**
+ * @swagger
+ * /api/admin/alerts/replay:
+ *   post:
+ *     tags: [Alert Replay]
+ *     summary: Replay historical alerts against the current configurations
+ *     description: |
+ *       Selects processed and/or failed alerts received in a time range and replays them in
+ *       receive order. Dry run (the default) returns a per-alert plan without writing anything;
+ *       each alert is evaluated against the current trade state on its own. A live replay queues
+ *       the alerts and only reaches configurations and subscribers they did not reach before.
+ *       Replayed exit, cancel and take-profit alerts only affect trades opened (or placed) before
+ *       the alert was received.
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [from]
+ *             properties:
+ *               from:
+ *                 type: string
+ *                 format: date-time
+ *               to:
+ *                 type: string
+ *                 format: date-time
+ *               symbol:
+ *                 type: string
+ *               strategy:
+ *                 type: string
+ *               source:
+ *                 type: string
+ *                 example: "tradingview"
+ *               statuses:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [processed, failed]
+ *               limit:
+ *                 type: integer
+ *                 default: 100
+ *                 maximum: 500
+ *               dryRun:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Dry-run plans, or alerts queued for replay
+ *       400:
+ *         description: Validation error
+ */
+router.post('/alerts/replay', verifyAdminToken, validateAlertReplay, adminController.replayAlerts);
+
+/**
+ * @swagger
+ * /api/admin/alerts/quarantine:
+ *   get:
+ *     tags: [Alert Replay]
+ *     summary: List quarantined alerts
+ *     description: |
+ *       Alerts whose price breached a matching configuration's `validation.priceValidation.tolerance`
+ *       (entry prices against the last accepted price for the symbol, exit prices against the entry
+ *       of the trade being closed). They were not distributed for the breaching configurations and
+ *       wait for an admin to release or dismiss them.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: symbol
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Quarantined alerts with the breached reference price and deviation
+ */
+router.get('/alerts/quarantine', verifyAdminToken, validateQuarantineList, adminController.getQuarantinedAlerts);
+
+/**
+ * @swagger
+ * /api/admin/alerts/{alertId}/quarantine/release:
+ *   post:
+ *     tags: [Alert Replay]
+ *     summary: Release a quarantined alert
+ *     description: |
+ *       Queues the alert again without the price check. Users it already reached through other
+ *       configurations are skipped; the alert age window still applies.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Alert released and queued
+ *       404:
+ *         description: Alert not found
+ *       409:
+ *         description: Alert is not quarantined
+ */
+router.post('/alerts/:alertId/quarantine/release', verifyAdminToken, validateQuarantineReview, adminController.releaseQuarantinedAlert);
+
+/**
+ * @swagger
+ * /api/admin/alerts/{alertId}/quarantine/dismiss:
+ *   post:
+ *     tags: [Alert Replay]
+ *     summary: Dismiss a quarantined alert
+ *     description: Marks the alert as `dismissed`; it is never distributed for the breaching configurations.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: alertId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Alert dismissed
+ *       404:
+ *         description: Alert not found
+ *       409:
+ *         description: Alert is not quarantined
+ */
+router.post('/alerts/:alertId/quarantine/dismiss', verifyAdminToken, validateQuarantineReview, adminController.dismissQuarantinedAlert);
+
+/**
+ * @swagger
+ * /api/admin/webhook-inbox:
+ *   get:
+ *     tags: [Webhook Inbox]
+ *     summary: Search inbound webhook requests
+ *     description: |
+ *       Every request to `/api/webhooks/*` is stored with redacted headers, the raw body,
+ *       source IP, validation errors, outcome and the created alert ID. Entries expire after
+ *       `WEBHOOK_INBOX_RETENTION_DAYS` (default 14).
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [accepted, partial, duplicate, rejected_auth, rejected_validation, rejected_payload, not_found, rejected, error]
+ *       - in: query
+ *         name: endpoint
+ *         schema:
+ *           type: string
+ *           enum: [tradingview, tradingview_config, tradingview_batch, source, source_batch, tp_sl, price, other]
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ip
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: alertId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: alertConfigId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: q
+ *         description: Case-insensitive text search in the raw body
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Inbox entries retrieved successfully
+ *       400:
+ *         description: Validation error
+ */
+router.get('/webhook-inbox', verifyAdminToken, validateWebhookInboxSearch, adminController.getWebhookInbox);
+
+/**
+ * @swagger
+ * /api/admin/webhook-inbox/{entryId}:
+ *   get:
+ *     tags: [Webhook Inbox]
+ *     summary: Get inbound webhook request
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Inbox entry retrieved successfully
+ *       404:
+ *         description: Inbox entry not found
+ */
+router.get('/webhook-inbox/:entryId', verifyAdminToken, adminController.getWebhookInboxEntry);
+
+/**
+ * @swagger
+ * /api/admin/webhook-inbox/{entryId}/resubmit:
+ *   post:
+ *     tags: [Webhook Inbox]
+ *     summary: Resubmit a stored webhook request
+ *     description: |
+ *       Runs the stored body (or a corrected `rawBody`) through the original endpoint's parsing,
+ *       validation and processing again. Signature / credential checks are skipped because the
+ *       stored headers and passphrase are redacted; the redacted passphrase field is removed from
+ *       the payload. A stored body is only resubmitted when the original request passed
+ *       authentication (or the endpoint requires none); otherwise a `rawBody` must be provided.
+ *       The result is added to the entry's resubmission history.
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rawBody:
+ *                 type: string
+ *                 description: Corrected body to send instead of the stored one
+ *     responses:
+ *       200:
+ *         description: Request resubmitted (see outcome)
+ *       400:
+ *         description: Entry cannot be resubmitted
+ *       404:
+ *         description: Inbox entry not found
+ *       409:
+ *         description: Entry was already accepted
+ */
+router.post('/webhook-inbox/:entryId/resubmit', verifyAdminToken, validateWebhookInboxResubmit, adminController.resubmitWebhookInboxEntry);
+
+module.exports = router;
@@ -4,10 +4,24 @@ const router = express.Router();
 const webhookController = require('../controllers/webhookController');
 const { 
   validateTradingViewWebhook, 
-  validateWebhookSignature, 
+  validateTpSlWebhook,
+  validatePriceUpdateWebhook,
+  validateBatchWebhook,
   validateTestWebhook 
 } = require('../validators/webhookValidators');
 const { handleValidationErrors } = require('../middleware/validation');
+const {
+  resolveWebhookConfig,
+  authenticateTradingViewWebhook,
+  authenticatePriceUpdateWebhook,
+  authenticateAlertSource
+} = require('../middleware/webhookAuth');
+const {
+  parseWebhookPayload,
+  parseBatchPayload,
+  applyConfigDefaults,
+  mapSourcePayload
+} = require('../middleware/webhookPayload');
 
 /**
  * @swagger
@@ -24,14 +38,19 @@ const { handleValidationErrors } = require('../middleware/validation');
  *       properties:
  *         symbol:
  *           type: string
- *           description: Trading symbol (e.g., BTCUSDT, EURUSD)
- *           example: "BTCUSDT"
- *           pattern: "^[A-Z0-9._-]+$"
+ *           description: |
+ *             Trading symbol as sent by TradingView (e.g., BTCUSDT, BINANCE:BTCUSDT.P, NSE:NIFTY1!).
+ *             It is resolved to the canonical symbol of the instrument registry by exchange prefix,
+ *             alias and contract suffix; unknown symbols are kept without their exchange prefix.
+ *           example: "BINANCE:BTCUSDT"
+ *           pattern: "^([A-Z0-9_-]{1,20}:)?[A-Z0-9._&!-]{1,30}$"
  *         timeframe:
  *           type: string
- *           description: Chart timeframe
+ *           description: |
+ *             Chart timeframe in TradingView (60, 240, D, 1W), Binance (15m, 4h, 1d),
+ *             MetaTrader (M15, H4, D1) or plain (4 hours, daily) notation, up to 12 months.
+ *             It is stored in canonical form, e.g. 240, H4 and 4 hours all become 4h.
  *           example: "1h"
- *           enum: ["1m", "3m", "5m", "15m", "30m", "1h", "2h", "4h", "6h", "8h", "12h", "1d", "3d", "1w", "1M"]
  *         strategy:
  *           type: string
  *           description: Trading strategy name
@@ -39,9 +58,13 @@ const { handleValidationErrors } = require('../middleware/validation');
  *           maxLength: 100
  *         signal:
  *           type: string
- *           description: Trading signal type
+ *           description: |
+ *             Trading signal type. Aliases are mapped on receipt and matched regardless of case
+ *             and separators: LONG, ENTER_LONG → BUY; SHORT, ENTER_SHORT → SELL; TP → TP_HIT;
+ *             TP1, TP2, TP3 → TP1_HIT, TP2_HIT, TP3_HIT; SL → SL_HIT; EXIT, FLAT → CLOSE; FLIP → REVERSE;
+ *             BE, MOVE_TO_BE → BREAKEVEN.
  *           example: "BUY"
- *           enum: ["BUY", "SELL", "TP_HIT", "SL_HIT"]
+ *           enum: ["BUY", "SELL", "TP_HIT", "TP1_HIT", "TP2_HIT", "TP3_HIT", "SL_HIT", "CLOSE", "REVERSE", "BREAKEVEN", "CANCEL"]
  *         price:
  *           type: number
  *           description: Current price when signal was generated
@@ -49,14 +72,49 @@ const { handleValidationErrors } = require('../middleware/validation');
  *           minimum: 0.000001
  *         takeProfitPrice:
  *           type: number
- *           description: Take profit target price (optional)
+ *           description: Take profit target price (optional; defaults to the first of takeProfits)
  *           example: 46000.00
  *           minimum: 0.000001
+ *         takeProfits:
+ *           type: array
+ *           description: |
+ *             Take-profit ladder of an entry (optional), in order away from the entry price.
+ *             `allocation` is the percent of the position each target closes; the total must not
+ *             exceed 100 and targets without one share the rest (see the configuration's ladder policy).
+ *           maxItems: 3
+ *           items:
+ *             type: object
+ *             required:
+ *               - price
+ *             properties:
+ *               price:
+ *                 type: number
+ *                 example: 46000.00
+ *               allocation:
+ *                 type: number
+ *                 example: 50
  *         stopLossPrice:
  *           type: number
  *           description: Stop loss price (optional)
  *           example: 44000.00
  *           minimum: 0.000001
+ *         limitPrice:
+ *           type: number
+ *           description: |
+ *             Entry price of a limit entry (BUY/SELL only, optional). When the configuration has
+ *             pending entries enabled, the trade waits as a pending entry until a price update
+ *             reaches this price; otherwise the trade opens at `price`.
+ *           example: 44500.00
+ *           minimum: 0.000001
+ *         expiresIn:
+ *           type: integer
+ *           description: Seconds after receipt when an unfilled limit entry is cancelled (60 to 2592000)
+ *           example: 14400
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: When an unfilled limit entry is cancelled (instead of expiresIn)
+ *           example: "2024-01-15T14:30:00Z"
  *         timestamp:
  *           type: string
  *           format: date-time
@@ -72,10 +130,15 @@ const { handleValidationErrors } = require('../middleware/validation');
  *           description: Original entry price for exit signals
  *           example: 45000.00
  *           minimum: 0.000001
+ *         volume:
+ *           type: number
+ *           description: Bar volume ({{volume}}), used by configuration volume filters
+ *           example: 1500000
+ *           minimum: 0
  *         metadata:
  *           type: object
  *           description: Additional strategy-specific data
- *           example: { "rsi": 70, "volume": 1500000 }
+ *           example: { "rsi": 70 }
  *     WebhookResponse:
  *       type: object
  *       properties:
@@ -92,23 +155,122 @@ const { handleValidationErrors } = require('../middleware/validation');
  *           type: string
  *           format: date-time
  *           example: "2024-01-15T10:30:00Z"
+ *     WebhookBatchResponse:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: true
+ *         message:
+ *           type: string
+ *           example: "Batch received: 2 queued, 0 duplicate, 1 rejected"
+ *         batchId:
+ *           type: string
+ *           example: "3b241101-e2bb-4255-8caf-4136c566a962"
+ *         summary:
+ *           type: object
+ *           properties:
+ *             total:
+ *               type: integer
+ *             accepted:
+ *               type: integer
+ *             duplicates:
+ *               type: integer
+ *             rejected:
+ *               type: integer
+ *         results:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               index:
+ *                 type: integer
+ *               success:
+ *                 type: boolean
+ *               alertId:
+ *                 type: string
+ *               duplicate:
+ *                 type: boolean
+ *               errors:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     field:
+ *                       type: string
+ *                     message:
+ *                       type: string
+ *         timestamp:
+ *           type: string
+ *           format: date-time
+ *     WebhookAuthError:
+ *       type: object
+ *       properties:
+ *         success:
+ *           type: boolean
+ *           example: false
+ *         message:
+ *           type: string
+ *           example: "Webhook authentication failed"
+ *         error:
+ *           type: object
+ *           properties:
+ *             code:
+ *               type: string
+ *               enum: [auth_not_configured, missing_signature, invalid_signature, missing_api_key, invalid_api_key, missing_passphrase, invalid_passphrase, missing_timestamp, invalid_timestamp, stale_timestamp, missing_nonce, nonce_reused]
+ *               example: "stale_timestamp"
+ *             reason:
+ *               type: string
+ *               example: "Timestamp is outside the 300s replay window"
  *
  * @swagger
  * /api/webhooks/tradingview:
  *   post:
  *     summary: Receive TradingView alerts
  *     description: |
- *       Endpoint for receiving trading alerts from TradingView. Supports entry signals (BUY/SELL) and exit signals (TP_HIT/SL_HIT).
+ *       Endpoint for receiving trading alerts from TradingView. Supports entry signals (BUY/SELL), exit signals
+ *       (TP_HIT/TP1_HIT..TP3_HIT/SL_HIT/CLOSE) and trade management signals (REVERSE/BREAKEVEN/CANCEL).
  *       
  *       **Signal Types:**
- *       - `BUY`: Long entry signal
- *       - `SELL`: Short entry signal  
+ *       - `BUY`: Long entry signal (aliases: LONG, ENTER_LONG, ...)
+ *       - `SELL`: Short entry signal (aliases: SHORT, ENTER_SHORT, ...)
  *       - `TP_HIT`: Take profit hit (exit signal)
+ *       - `TP1_HIT`, `TP2_HIT`, `TP3_HIT`: Ladder target hit; closes that target's allocation (partial exit)
  *       - `SL_HIT`: Stop loss hit (exit signal)
+ *       - `CLOSE`: Discretionary close at the alert price (exit signal)
+ *       - `REVERSE`: Close the open trades and open one on the opposite side, with the alert's TP/SL
+ *       - `BREAKEVEN`: Move the stop loss of the open trades to their entry price
+ *       - `CANCEL`: Withdraw pending entries (unfilled limit orders) without P&L (status `cancelled`);
+ *         open trades are left alone
+ *       
+ *       Exit and management signals apply to `tradeNumber`, or to all open trades of the symbol and
+ *       strategy. A configuration only receives the signals listed in its `alertTypes`; management
+ *       signals must be listed under `alertTypes.management.signals`.
  *       
- *       **Authentication:**
- *       - Optional webhook signature verification via `X-TradingView-Signature` header
- *       - Configure `TRADINGVIEW_WEBHOOK_SECRET` environment variable for signature verification
+ *       **Authentication** (`TRADINGVIEW_WEBHOOK_AUTH`):
+ *       - `hmac`: HMAC-SHA256 of the exact request body in the `X-TradingView-Signature` header
+ *         (`sha256=<hex>` or `<hex>`), keyed with `TRADINGVIEW_WEBHOOK_SECRET`
+ *       - `passphrase`: a `passphrase` field in the payload matching `TRADINGVIEW_WEBHOOK_PASSPHRASE`,
+ *         for senders that cannot set headers (TradingView). The field is removed before the alert is stored
+ *       - `none`: no authentication
+ *       
+ *       **Replay Protection** (`TRADINGVIEW_WEBHOOK_REPLAY_PROTECTION=true`):
+ *       - Requests carry a timestamp (`X-Webhook-Timestamp` header or `sentAt` field, ISO date or epoch)
+ *         within `WEBHOOK_REPLAY_WINDOW_SECONDS` and a single-use nonce (`X-Webhook-Nonce` header or `nonce` field)
+ *       - With `hmac`, the signed content is `<timestamp>.<nonce>.<body>`
+ *       
+ *       **Payload Formats:**
+ *       - JSON matching the schema below
+ *       - Plain text or loosely formatted messages (`text/plain`) parsed by an admin-defined
+ *         parsing template, selected with the `template` query parameter (key=value pairs,
+ *         pipe/CSV layouts, regex with named groups or `{{placeholder}}` message templates);
+ *         only templates bound to an active alert configuration can be selected
+ *       
+ *       **Deduplication:**
+ *       - Identical alerts (symbol, timeframe, strategy, signal, price and bar timestamp) received
+ *         within `ALERT_DEDUP_WINDOW_SECONDS` are stored as `duplicate` and not processed
+ *       - Alerts without a bar timestamp are duplicates of an identical alert received within the window
+ *       - Duplicates receive a 200 response with `duplicate: true` and the original `alertId`
  *       
  *       **Rate Limiting:**
  *       - Maximum 1000 requests per hour per IP
@@ -117,13 +279,31 @@ const { handleValidationErrors } = require('../middleware/validation');
  *     security:
  *       - WebhookSignature: []
  *     parameters:
+ *       - in: query
+ *         name: template
+ *         schema:
+ *           type: string
+ *         description: Name of the parsing template used for non-JSON bodies (optional; must be bound to an active configuration)
+ *         example: "pine-kv"
  *       - in: header
  *         name: X-TradingView-Signature
  *         schema:
  *           type: string
- *           pattern: "^sha256=[a-f0-9]{64}$"
- *         description: HMAC-SHA256 signature for webhook verification (optional)
+ *           pattern: "^(sha256=)?[a-f0-9]{64}$"
+ *         description: HMAC-SHA256 signature of the raw body (required in `hmac` mode)
  *         example: "sha256=a1b2c3d4e5f6..."
+ *       - in: header
+ *         name: X-Webhook-Timestamp
+ *         schema:
+ *           type: string
+ *         description: Request time (replay protection; alternatively the `sentAt` field)
+ *         example: "1705314600"
+ *       - in: header
+ *         name: X-Webhook-Nonce
+ *         schema:
+ *           type: string
+ *         description: Single-use request ID (replay protection; alternatively the `nonce` field)
+ *         example: "4f9c2a7e-0d1b-4c55-9a8e-2b6f1e3d7c10"
  *     requestBody:
  *       required: true
  *       content:
@@ -141,10 +321,10 @@ const { handleValidationErrors } = require('../middleware/validation');
  *                 price: 45000.50
  *                 takeProfitPrice: 46000.00
  *                 stopLossPrice: 44000.00
+ *                 volume: 1500000
  *                 timestamp: "2024-01-15T10:30:00Z"
  *                 metadata:
  *                   rsi: 30
- *                   volume: 1500000
  *             sellSignal:
  *               summary: SELL Signal Example
  *               value:
@@ -213,7 +393,13 @@ const { handleValidationErrors } = require('../middleware/validation');
  *                       message:
  *                         type: string
  *       401:
- *         description: Invalid webhook signature
+ *         description: Webhook authentication failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookAuthError'
+ *       429:
+ *         description: Rate limit exceeded
  *         content:
  *           application/json:
  *             schema:
@@ -224,9 +410,9 @@ const { handleValidationErrors } = require('../middleware/validation');
  *                   example: false
  *                 message:
  *                   type: string
- *                   example: "Invalid webhook signature"
- *       429:
- *         description: Rate limit exceeded
+ *                   example: "Rate limit exceeded. Maximum 1000 requests per hour."
+ *       500:
+ *         description: Internal server error
  *         content:
  *           application/json:
  *             schema:
@@ -237,9 +423,340 @@ const { handleValidationErrors } = require('../middleware/validation');
  *                   example: false
  *                 message:
  *                   type: string
- *                   example: "Rate limit exceeded. Maximum 1000 requests per hour."
+ *                   example: "Internal server error processing webhook"
+ */
+
+/**
+ * @swagger
+ * /api/webhooks/tradingview/{token}:
+ *   post:
+ *     summary: Receive TradingView alerts for a single alert configuration
+ *     description: |
+ *       Per-configuration webhook URL. The token in the path identifies exactly one
+ *       `AlertConfiguration`; alerts received here are bound to it directly instead of
+ *       being matched by symbol/timeframe/strategy. `symbol`, `timeframe` and `strategy`
+ *       may be omitted from the payload and default to the configuration's values.
+ *       If the configuration has a parsing template, plain-text bodies are parsed with it;
+ *       a `template` query parameter naming any other template is rejected.
+ *
+ *       Tokens are issued, rotated and revoked by admins through
+ *       `/api/admin/alert-configs/{configId}/webhook-token`. Unknown or revoked tokens
+ *       receive a 404.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: "^[a-f0-9]{64}$"
+ *         description: Configuration webhook token
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TradingViewWebhook'
+ *     responses:
+ *       200:
+ *         description: Alert received and queued for processing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookResponse'
+ *       400:
+ *         description: Invalid request data
+ *       404:
+ *         description: Unknown or revoked webhook token
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/webhooks/sources/{sourceName}:
+ *   post:
+ *     summary: Receive alerts from a registered alert source
+ *     description: |
+ *       Generic ingestion endpoint for non-TradingView senders (Python scanners, MT5
+ *       bridges, ...). Each source is registered by an admin through
+ *       `/api/admin/alert-sources` with its own authentication method and a JSON-path
+ *       field mapping (e.g. `{ "symbol": "$.instrument.name", "price": "$.fill.price" }`).
+ *
+ *       The mapped payload goes through the same validation, deduplication and
+ *       alert processing as TradingView alerts. Authentication depends on the source:
+ *       - `api_key`: secret in the `x-api-key` header (or the source's `headerName`)
+ *       - `hmac`: `sha256=<hex>` HMAC-SHA256 of the exact request body in the `x-signature` header
+ *       - `passphrase`: the source secret in a payload field (`passphrase` or the source's
+ *         `passphraseField`), removed before the payload is stored
+ *       - `none`: no authentication
+ *
+ *       Sources with `replayProtection` must also send a timestamp and a single-use nonce, as
+ *       described for the TradingView endpoint.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: sourceName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Registered alert source name
+ *         example: "mt5-bridge"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Source-specific JSON payload
+ *           example:
+ *             instrument: { name: "EURUSD" }
+ *             side: "long"
+ *             fill: { price: 1.0845 }
+ *             levels: { tp: 1.0900, sl: 1.0800 }
+ *     responses:
+ *       200:
+ *         description: Alert received and queued for processing
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookResponse'
+ *       400:
+ *         description: Payload could not be mapped to a valid alert
+ *       401:
+ *         description: Alert source authentication failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookAuthError'
+ *       404:
+ *         description: Unknown or inactive alert source
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/webhooks/tradingview/batch:
+ *   post:
+ *     summary: Receive a batch of alerts
+ *     description: |
+ *       Accepts several alerts in one request (e.g. every signal a scanner fires at the same bar
+ *       close) so senders stay under the webhook rate limit. Authentication and replay
+ *       protection work as for `/api/webhooks/tradingview`; a passphrase, `sentAt` and `nonce`
+ *       go at the top level of the body.
+ *
+ *       Each alert is validated on its own with the single-alert rules. Valid alerts are stored
+ *       in one bulk insert and queued for processing; invalid alerts are reported without
+ *       rejecting the rest of the batch. At most `WEBHOOK_BATCH_MAX_ALERTS` (default 100)
+ *       alerts per request.
+ *     tags: [Webhooks]
+ *     security:
+ *       - WebhookSignature: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - alerts
+ *             properties:
+ *               alerts:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/TradingViewWebhook'
+ *     responses:
+ *       200:
+ *         description: Batch received; see the per-item results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookBatchResponse'
+ *       400:
+ *         description: Body is not JSON or alerts is not an array of the allowed size
+ *       401:
+ *         description: Webhook authentication failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookAuthError'
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/webhooks/sources/{sourceName}/batch:
+ *   post:
+ *     summary: Receive a batch of alerts from a registered alert source
+ *     description: |
+ *       Batch variant of `/api/webhooks/sources/{sourceName}`. Every item in `alerts` is mapped
+ *       with the source's field mapping and then handled like `/api/webhooks/tradingview/batch`.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: sourceName
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Registered alert source name
+ *         example: "mt5-bridge"
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - alerts
+ *             properties:
+ *               alerts:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   description: Source-specific JSON payload
+ *     responses:
+ *       200:
+ *         description: Batch received; see the per-item results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookBatchResponse'
+ *       400:
+ *         description: Body is not JSON or alerts is not an array of the allowed size
+ *       401:
+ *         description: Alert source authentication failed
+ *       404:
+ *         description: Unknown or inactive alert source
+ *       500:
+ *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/webhooks/tp-sl:
+ *   post:
+ *     summary: Modify take-profit / stop-loss on open trades
+ *     description: |
+ *       Moves TP and/or SL levels on open trades without sending a new entry signal
+ *       (e.g. move to breakeven, trailing stop). Trades are selected either by
+ *       `tradeNumber` or by `symbol` together with `strategy` and/or `alertConfigId`. A
+ *       `tradeNumber` without `alertConfigId` only finds globally numbered trades; with it, the
+ *       number is looked up in that configuration's numbering.
+ *
+ *       Every change is recorded in the trade's level history and the trade owner
+ *       receives a "levels updated" Telegram message. Pending, closed or replaced trades
+ *       cannot be modified; a trade number naming one is rejected with its status (409).
+ *     tags: [Webhooks]
+ *     security:
+ *       - WebhookSignature: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               tradeNumber:
+ *                 type: integer
+ *                 example: 42
+ *               symbol:
+ *                 type: string
+ *                 example: "BTCUSDT"
+ *               strategy:
+ *                 type: string
+ *                 example: "RSI Divergence"
+ *               alertConfigId:
+ *                 type: string
+ *                 example: "507f1f77bcf86cd799439011"
+ *               takeProfitPrice:
+ *                 type: number
+ *                 example: 46500.00
+ *               stopLossPrice:
+ *                 type: number
+ *                 example: 45000.50
+ *               reason:
+ *                 type: string
+ *                 example: "Move SL to breakeven"
+ *           examples:
+ *             breakeven:
+ *               summary: Move stop to breakeven by trade number
+ *               value:
+ *                 tradeNumber: 42
+ *                 stopLossPrice: 45000.50
+ *                 reason: "Move SL to breakeven"
+ *             trailing:
+ *               summary: Trail stop on all open trades for a strategy
+ *               value:
+ *                 symbol: "BTCUSDT"
+ *                 strategy: "RSI Divergence"
+ *                 stopLossPrice: 45800.00
+ *                 reason: "Trailing stop"
+ *     responses:
+ *       200:
+ *         description: Levels updated
+ *       400:
+ *         description: Invalid request data
+ *       401:
+ *         description: Webhook authentication failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookAuthError'
+ *       404:
+ *         description: No matching trade found
+ *       409:
+ *         description: Matched trades are closed/replaced or the new levels are inconsistent
  *       500:
  *         description: Internal server error
+ */
+
+/**
+ * @swagger
+ * /api/webhooks/price:
+ *   post:
+ *     summary: Report a price to fill pending entries
+ *     description: |
+ *       Fills the pending limit entries of a symbol whose entry price the reported price
+ *       reaches (BUY entries below the signal price fill when the price drops to them, entries
+ *       above it when the price rises to them). Filled trades become open trades and their
+ *       owners receive an "order filled" Telegram message. An alert reports its price the same
+ *       way once a matching configuration accepts it (fresh, in session and within the price
+ *       tolerance).
+ *
+ *       Only entries placed before `timestamp` are filled. Expired entries are cancelled by the
+ *       recovery sweeper.
+ *
+ *       Authenticated like `/api/webhooks/tradingview`, except that the endpoint refuses all
+ *       requests while TradingView webhook authentication is `none`.
+ *     tags: [Webhooks]
+ *     security:
+ *       - WebhookSignature: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - symbol
+ *               - price
+ *             properties:
+ *               symbol:
+ *                 type: string
+ *                 example: "BTCUSDT"
+ *               price:
+ *                 type: number
+ *                 example: 44480.00
+ *               timestamp:
+ *                 type: string
+ *                 format: date-time
+ *                 description: When the price was observed (defaults to now)
+ *                 example: "2024-01-15T11:05:00Z"
+ *     responses:
+ *       200:
+ *         description: Price processed
  *         content:
  *           application/json:
  *             schema:
@@ -247,10 +764,26 @@ const { handleValidationErrors } = require('../middleware/validation');
  *               properties:
  *                 success:
  *                   type: boolean
- *                   example: false
- *                 message:
+ *                   example: true
+ *                 filled:
+ *                   type: array
+ *                   description: Numbers of the trades that were filled
+ *                   items:
+ *                     type: integer
+ *                   example: [42]
+ *                 timestamp:
  *                   type: string
- *                   example: "Internal server error processing webhook"
+ *                   format: date-time
+ *       400:
+ *         description: Invalid request data
+ *       401:
+ *         description: Webhook authentication failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookAuthError'
+ *       500:
+ *         description: Internal server error
  */
 
 /**
@@ -341,6 +874,46 @@ const { handleValidationErrors } = require('../middleware/validation');
  *                 success:
  *                   type: boolean
  *                   example: true
+ *                 duplicatesSuppressed:
+ *                   type: number
+ *                   description: Number of duplicate alerts suppressed by deduplication
+ *                   example: 12
+ *                 bySource:
+ *                   type: object
+ *                   description: Alert counts per source (tradingview or registered source name)
+ *                   additionalProperties:
+ *                     type: object
+ *                     properties:
+ *                       total:
+ *                         type: number
+ *                         example: 240
+ *                       byStatus:
+ *                         type: object
+ *                         additionalProperties:
+ *                           type: number
+ *                         example: { processed: 230, failed: 2, duplicate: 8 }
+ *                       lastReceivedAt:
+ *                         type: string
+ *                         format: date-time
+ *                 unknownSymbols:
+ *                   type: array
+ *                   description: Received symbols not found in the instrument registry (map them with an instrument alias)
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       rawSymbol:
+ *                         type: string
+ *                         example: "BYBIT:SOLUSDT.P"
+ *                       count:
+ *                         type: number
+ *                         example: 14
+ *                       sources:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       lastReceivedAt:
+ *                         type: string
+ *                         format: date-time
  *                 stats:
  *                   type: array
  *                   items:
@@ -395,19 +968,61 @@ const { handleValidationErrors } = require('../middleware/validation');
 
 // Webhook routes
 router.post('/tradingview', 
-  validateWebhookSignature,
+  parseWebhookPayload,
+  authenticateTradingViewWebhook,
   validateTradingViewWebhook,
   handleValidationErrors,
-  webhookController.processTradingViewWebhook
+  webhookController.processAlertWebhook
 );
 
-router.post('/tp-sl', (req, res) => {
-  res.status(501).json({ 
-    success: false,
-    message: 'TP/SL webhook not implemented yet',
-    timestamp: new Date().toISOString()
-  });
-});
+// Registered before the per-config route so "batch" is not taken for a token
+router.post('/tradingview/batch',
+  parseBatchPayload,
+  authenticateTradingViewWebhook,
+  validateBatchWebhook,
+  handleValidationErrors,
+  webhookController.processBatchWebhook
+);
+
+router.post('/tradingview/:token',
+  resolveWebhookConfig,
+  parseWebhookPayload,
+  applyConfigDefaults,
+  authenticateTradingViewWebhook,
+  validateTradingViewWebhook,
+  handleValidationErrors,
+  webhookController.processAlertWebhook
+);
+
+router.post('/sources/:sourceName',
+  authenticateAlertSource,
+  mapSourcePayload,
+  validateTradingViewWebhook,
+  handleValidationErrors,
+  webhookController.processAlertWebhook
+);
+
+router.post('/sources/:sourceName/batch',
+  authenticateAlertSource,
+  parseBatchPayload,
+  validateBatchWebhook,
+  handleValidationErrors,
+  webhookController.processBatchWebhook
+);
+
+router.post('/tp-sl',
+  authenticateTradingViewWebhook,
+  validateTpSlWebhook,
+  handleValidationErrors,
+  webhookController.processTpSlWebhook
+);
+
+router.post('/price',
+  authenticatePriceUpdateWebhook,
+  validatePriceUpdateWebhook,
+  handleValidationErrors,
+  webhookController.processPriceUpdateWebhook
+);
 
 router.post('/stripe', (req, res) => {
   res.status(501).json({ 
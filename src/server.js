@@ -80,6 +80,10 @@ console.log('Loading request logger middleware...');
 const { requestLogger } = require('./middleware/requestLogger');
 console.log('Request logger loaded');
 
+console.log('Loading webhook inbox middleware...');
+const { captureWebhookRequest, captureRawBody } = require('./middleware/webhookInbox');
+console.log('Webhook inbox middleware loaded');
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -108,6 +112,10 @@ const limiter = rateLimit({
 });
 app.use('/api/', limiter);
 
+// Record every webhook request in the inbox (before rate limiting, so rejected requests are kept,
+// and before body parsing, so malformed bodies are kept)
+app.use('/api/webhooks/', captureWebhookRequest);
+
 // Webhook rate limiting (more permissive for TradingView)
 const webhookLimiter = rateLimit({
   windowMs: 1 * 60 * 1000, // 1 minute
@@ -119,8 +127,10 @@ const webhookLimiter = rateLimit({
 app.use('/api/webhooks/', webhookLimiter);
 
 // Body parsing middleware
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// TradingView sends non-JSON alert messages as text/plain
+app.use('/api/webhooks/', express.text({ type: 'text/*', limit: '1mb', verify: captureRawBody }));
 
 // CORS configuration
 app.use(cors({
@@ -310,6 +320,21 @@ async function startServer() {
       logger.warn('⚠️  TELEGRAM_BOT_TOKEN not provided, Telegram bot disabled');
     }
     
+    // Start the alert processing queue (requires Redis)
+    if (redisConnection) {
+      const alertQueueService = require('./services/alertQueueService');
+      await alertQueueService.start();
+    } else {
+      logger.warn('⚠️  Alert queue disabled, alerts will be processed in-process without retries');
+    }
+    
+    // Recover alerts left unprocessed by a crash or restart
+    if (dbConnection) {
+      const alertProcessingService = require('./services/alertProcessingService');
+      const alertQueueService = require('./services/alertQueueService');
+      alertProcessingService.startRecoverySweeper(alertId => alertQueueService.requeue(alertId));
+    }
+    
     // Start HTTP server
     server = app.listen(PORT, () => {
       logger.info(`🚀 Server running on port ${PORT}`);
@@ -0,0 +1,131 @@
+jest.mock('../../config/redis', () => ({ getRedisClient: jest.fn() }));
+
+const { getRedisClient } = require('../../config/redis');
+
+const alertData = {
+  symbol: 'BTCUSDT',
+  timeframe: '15m',
+  strategy: 'breakout',
+  signal: 'BUY',
+  price: 100
+};
+
+// Load the service with ALERT_DEDUP_WINDOW_SECONDS set, as it reads the window when required;
+// the Alert model is the one the freshly loaded service queries
+const loadService = (windowSeconds) => {
+  let service;
+  let Alert;
+  const previous = process.env.ALERT_DEDUP_WINDOW_SECONDS;
+  if (windowSeconds === undefined) {
+    delete process.env.ALERT_DEDUP_WINDOW_SECONDS;
+  } else {
+    process.env.ALERT_DEDUP_WINDOW_SECONDS = String(windowSeconds);
+  }
+  jest.isolateModules(() => {
+    service = require('../alertDeduplicationService');
+    Alert = require('../../models/Alert');
+  });
+  if (previous === undefined) {
+    delete process.env.ALERT_DEDUP_WINDOW_SECONDS;
+  } else {
+    process.env.ALERT_DEDUP_WINDOW_SECONDS = previous;
+  }
+  return { service, Alert };
+};
+
+// Redis stand-in running the claim script against an in-memory store
+const mockRedis = () => {
+  const store = new Map();
+  const client = {
+    eval: jest.fn(async (script, { keys: [key], arguments: [alertId] }) => {
+      if (store.has(key)) {
+        return store.get(key);
+      }
+      store.set(key, alertId);
+      return null;
+    }),
+    del: jest.fn(async key => store.delete(key))
+  };
+  getRedisClient.mockReturnValue(client);
+  return client;
+};
+
+describe('alertDeduplicationService', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+    getRedisClient.mockReset();
+  });
+
+  describe('buildFingerprint', () => {
+    const { service } = loadService();
+
+    it('gives alerts without a bar timestamp the same fingerprint across a minute boundary', () => {
+      jest.useFakeTimers().setSystemTime(new Date('2024-01-01T12:00:59Z'));
+      const first = service.buildFingerprint(alertData, false);
+      jest.setSystemTime(new Date('2024-01-01T12:01:01Z'));
+      const second = service.buildFingerprint(alertData, false);
+      jest.useRealTimers();
+
+      expect(second).toBe(first);
+    });
+
+    it('tells bars apart by their timestamp', () => {
+      const first = service.buildFingerprint({ ...alertData, timestamp: '2024-01-01T12:00:00Z' }, true);
+      const second = service.buildFingerprint({ ...alertData, timestamp: '2024-01-01T12:15:00Z' }, true);
+
+      expect(second).not.toBe(first);
+    });
+
+    it('scopes fingerprints to the configuration bound by the webhook URL', () => {
+      expect(service.buildFingerprint(alertData, false, 'config-1'))
+        .not.toBe(service.buildFingerprint(alertData, false, 'config-2'));
+    });
+
+    it('treats numerically equal prices as the same', () => {
+      expect(service.buildFingerprint({ ...alertData, price: '100.0' }, false))
+        .toBe(service.buildFingerprint(alertData, false));
+    });
+  });
+
+  describe('claim', () => {
+    it('returns the original alert ID for a repeated fingerprint', async () => {
+      const { service } = loadService();
+      mockRedis();
+      const fingerprint = service.buildFingerprint(alertData, false);
+
+      await expect(service.claim(fingerprint, 'alert-1')).resolves.toBeNull();
+      await expect(service.claim(fingerprint, 'alert-2')).resolves.toBe('alert-1');
+    });
+
+    it('claims fingerprints for the configured window', async () => {
+      const { service } = loadService(45);
+      const client = mockRedis();
+
+      await service.claim('abc', 'alert-1');
+
+      expect(client.eval).toHaveBeenCalledWith(expect.any(String), {
+        keys: ['alert_dedup:abc'],
+        arguments: ['alert-1', '45']
+      });
+    });
+
+    it('looks back over the configured window in MongoDB when Redis is unavailable', async () => {
+      const { service, Alert } = loadService(45);
+      getRedisClient.mockImplementation(() => {
+        throw new Error('Redis client not initialized');
+      });
+      const select = jest.fn().mockResolvedValue({ _id: 'alert-1' });
+      const sort = jest.fn().mockReturnValue({ select });
+      jest.spyOn(Alert, 'findOne').mockReturnValue({ sort });
+
+      const before = Date.now();
+      await expect(service.claim('abc', 'alert-2')).resolves.toBe('alert-1');
+
+      const [query] = Alert.findOne.mock.calls[0];
+      expect(query['webhook.fingerprint']).toBe('abc');
+      const lookback = before - query['webhook.receivedAt'].$gte.getTime();
+      expect(lookback).toBeGreaterThanOrEqual(44 * 1000);
+      expect(lookback).toBeLessThanOrEqual(45 * 1000);
+    });
+  });
+});
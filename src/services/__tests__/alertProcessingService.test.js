@@ -0,0 +1,191 @@
+jest.mock('../telegramBot', () => ({
+  sendPendingEntryNotification: jest.fn().mockResolvedValue(true)
+}));
+
+const alertProcessingService = require('../alertProcessingService');
+const telegramBot = require('../telegramBot');
+const Alert = require('../../models/Alert');
+const AlertConfiguration = require('../../models/AlertConfiguration');
+const Trade = require('../../models/Trade');
+const UserSubscription = require('../../models/UserSubscription');
+
+const buildConfig = (tradeManagement = {}) => ({
+  _id: 'config-1',
+  tradeManagement: {
+    maxOpenTrades: 1,
+    replaceOnSameSignal: false,
+    allowOppositeSignals: true,
+    ...tradeManagement
+  }
+});
+
+// Pending BUY entry triggered at or above 100, resolving its fill and withdrawal like the model
+const buildEntry = (overrides = {}) => {
+  const entry = {
+    _id: 'entry-1',
+    tradeNumber: 7,
+    userId: 'user-1',
+    alertConfigId: 'config-1',
+    tradeData: { symbol: 'BTCUSDT', signal: 'BUY', entryTrigger: { price: 100, direction: 'above' } },
+    isEntryTriggered: price => price >= 100,
+    ...overrides
+  };
+  entry.fillEntry = jest.fn().mockResolvedValue({ ...entry, status: 'open' });
+  entry.withdrawEntry = jest.fn().mockResolvedValue({ ...entry, status: 'cancelled' });
+  return entry;
+};
+
+const buildOpenTrade = (id, signal, openedAt) => ({
+  _id: id,
+  tradeNumber: id,
+  tradeData: { signal },
+  timestamps: { openedAt },
+  replaceTrade: jest.fn().mockResolvedValue(undefined)
+});
+
+describe('alertProcessingService.processPriceUpdate', () => {
+  let entry;
+
+  beforeEach(() => {
+    entry = buildEntry();
+    jest.spyOn(Trade, 'findPendingEntries').mockResolvedValue([entry]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    telegramBot.sendPendingEntryNotification.mockClear();
+  });
+
+  it('fills a triggered entry below the trade limit', async () => {
+    jest.spyOn(AlertConfiguration, 'findById').mockResolvedValue(buildConfig());
+    jest.spyOn(Trade, 'findOpenTrades').mockResolvedValue([]);
+
+    const filled = await alertProcessingService.processPriceUpdate('BTCUSDT', 101);
+
+    expect(Trade.findOpenTrades).toHaveBeenCalledWith('user-1', 'config-1', 'BTCUSDT');
+    expect(entry.fillEntry).toHaveBeenCalled();
+    expect(filled).toHaveLength(1);
+    expect(telegramBot.sendPendingEntryNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'open' }), 'filled', { price: 101 }
+    );
+  });
+
+  it('leaves untriggered entries pending', async () => {
+    jest.spyOn(AlertConfiguration, 'findById').mockResolvedValue(buildConfig());
+    jest.spyOn(Trade, 'findOpenTrades').mockResolvedValue([]);
+
+    const filled = await alertProcessingService.processPriceUpdate('BTCUSDT', 99);
+
+    expect(filled).toHaveLength(0);
+    expect(entry.fillEntry).not.toHaveBeenCalled();
+    expect(entry.withdrawEntry).not.toHaveBeenCalled();
+  });
+
+  it('cancels an over-limit entry instead of promoting it', async () => {
+    jest.spyOn(AlertConfiguration, 'findById').mockResolvedValue(buildConfig());
+    jest.spyOn(Trade, 'findOpenTrades').mockResolvedValue([buildOpenTrade(1, 'SELL', new Date())]);
+
+    const filled = await alertProcessingService.processPriceUpdate('BTCUSDT', 101);
+
+    expect(filled).toHaveLength(0);
+    expect(entry.fillEntry).not.toHaveBeenCalled();
+    expect(entry.withdrawEntry).toHaveBeenCalledWith('CANCEL');
+    expect(telegramBot.sendPendingEntryNotification).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'cancelled' }), 'cancelled', { reason: 'Trade limit reached' }
+    );
+  });
+
+  it('replaces an open trade with the same signal when the configuration allows it', async () => {
+    const sameSignal = buildOpenTrade(1, 'BUY', new Date());
+    jest.spyOn(AlertConfiguration, 'findById').mockResolvedValue(buildConfig({ replaceOnSameSignal: true }));
+    jest.spyOn(Trade, 'findOpenTrades').mockResolvedValue([sameSignal]);
+
+    const filled = await alertProcessingService.processPriceUpdate('BTCUSDT', 101);
+
+    expect(filled).toHaveLength(1);
+    expect(entry.fillEntry).toHaveBeenCalled();
+    expect(sameSignal.replaceTrade).toHaveBeenCalledWith('entry-1', 'Same signal replacement');
+  });
+
+  it('counts entries filled earlier in the same update against the limit', async () => {
+    const second = buildEntry({ _id: 'entry-2', tradeNumber: 8 });
+    Trade.findPendingEntries.mockResolvedValue([entry, second]);
+    jest.spyOn(AlertConfiguration, 'findById').mockResolvedValue(buildConfig());
+    jest.spyOn(Trade, 'findOpenTrades')
+      .mockResolvedValueOnce([])
+      .mockResolvedValueOnce([buildOpenTrade('entry-1', 'BUY', new Date())]);
+
+    const filled = await alertProcessingService.processPriceUpdate('BTCUSDT', 101);
+
+    expect(filled).toHaveLength(1);
+    expect(second.fillEntry).not.toHaveBeenCalled();
+    expect(second.withdrawEntry).toHaveBeenCalledWith('CANCEL');
+  });
+
+  it('does not notify when the entry was filled or cancelled meanwhile', async () => {
+    jest.spyOn(AlertConfiguration, 'findById').mockResolvedValue(buildConfig());
+    jest.spyOn(Trade, 'findOpenTrades').mockResolvedValue([buildOpenTrade(1, 'SELL', new Date())]);
+    entry.withdrawEntry.mockResolvedValue(null);
+
+    await alertProcessingService.processPriceUpdate('BTCUSDT', 101);
+
+    expect(telegramBot.sendPendingEntryNotification).not.toHaveBeenCalled();
+  });
+});
+
+describe('alertProcessingService.processAlert', () => {
+  let alert;
+  let config;
+
+  beforeEach(() => {
+    alert = {
+      _id: 'alert-1',
+      processing: { status: 'processing', attempts: 0 },
+      alertData: { symbol: 'BTCUSDT', signal: 'BUY', strategy: 'breakout', price: 100 },
+      webhook: { alertConfigId: null, receivedAt: new Date() },
+      markAsProcessing: jest.fn().mockResolvedValue(undefined),
+      markAsProcessed: jest.fn().mockResolvedValue(undefined),
+      save: jest.fn().mockResolvedValue(undefined)
+    };
+    config = {
+      _id: 'config-1',
+      name: 'Breakout',
+      subscriptionPlans: ['plan-1'],
+      incrementAlertCount: jest.fn().mockResolvedValue(undefined)
+    };
+
+    jest.spyOn(Alert, 'findById').mockResolvedValue(alert);
+    jest.spyOn(alertProcessingService, 'findMatchingConfigurations').mockResolvedValue([config]);
+    jest.spyOn(alertProcessingService, 'filterStaleConfigurations').mockResolvedValue([config]);
+    jest.spyOn(alertProcessingService, 'filterSessionConfigurations')
+      .mockResolvedValue({ open: [config], held: [], heldUntil: null });
+    jest.spyOn(alertProcessingService, 'filterPriceDeviations')
+      .mockResolvedValue({ passed: [config], quarantined: [] });
+    jest.spyOn(alertProcessingService, 'processPriceUpdate').mockResolvedValue([]);
+    jest.spyOn(alertProcessingService, 'filterThrottledConfigurations')
+      .mockResolvedValue({ passed: [config], throttled: [], held: [], heldUntil: null });
+    jest.spyOn(alertProcessingService, 'evaluateConfluences').mockResolvedValue(undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('rejects without marking the alert processed when the subscriber lookup fails', async () => {
+    const error = new Error('connection reset');
+    jest.spyOn(UserSubscription, 'find').mockReturnValue({ populate: jest.fn().mockRejectedValue(error) });
+
+    await expect(alertProcessingService.processAlert('alert-1')).rejects.toThrow('connection reset');
+
+    expect(alert.markAsProcessed).not.toHaveBeenCalled();
+    expect(config.incrementAlertCount).toHaveBeenCalledWith(false, 'BTCUSDT');
+  });
+
+  it('marks the alert processed when the configuration has no subscribers', async () => {
+    jest.spyOn(UserSubscription, 'find').mockReturnValue({ populate: jest.fn().mockResolvedValue([]) });
+
+    await alertProcessingService.processAlert('alert-1');
+
+    expect(alert.markAsProcessed).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,91 @@
+jest.mock('../../config/redis', () => ({ getRedisClient: jest.fn() }));
+jest.mock('../alertProcessingService', () => ({ processAlert: jest.fn() }));
+
+const { getRedisClient } = require('../../config/redis');
+const alertProcessingService = require('../alertProcessingService');
+const alertQueueService = require('../alertQueueService');
+const Alert = require('../../models/Alert');
+
+// Redis client recording the commands of each MULTI transaction
+const buildRedisClient = (attempts = 1) => {
+  const transactions = [];
+  const client = {
+    transactions,
+    hIncrBy: jest.fn().mockResolvedValue(attempts),
+    multi: jest.fn(() => {
+      const commands = [];
+      transactions.push(commands);
+      const transaction = {
+        exec: jest.fn().mockResolvedValue([])
+      };
+      ['lRem', 'hDel', 'hSet', 'zAdd'].forEach(command => {
+        transaction[command] = jest.fn((...args) => {
+          commands.push([command, ...args]);
+          return transaction;
+        });
+      });
+      return transaction;
+    })
+  };
+  return client;
+};
+
+describe('alertQueueService.runJob', () => {
+  let alert;
+
+  beforeEach(() => {
+    alert = {
+      scheduleRetry: jest.fn().mockResolvedValue(undefined),
+      markAsDeadLettered: jest.fn().mockResolvedValue(undefined)
+    };
+    jest.spyOn(Alert, 'findById').mockResolvedValue(alert);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    alertProcessingService.processAlert.mockReset();
+  });
+
+  it('acknowledges a processed alert', async () => {
+    const client = buildRedisClient();
+    getRedisClient.mockReturnValue(client);
+    alertProcessingService.processAlert.mockResolvedValue(undefined);
+
+    await alertQueueService.runJob('alert-1', true);
+
+    expect(client.transactions).toEqual([[
+      ['lRem', alertQueueService.keys.processing, 1, 'alert-1'],
+      ['hDel', alertQueueService.keys.attempts, 'alert-1']
+    ]]);
+    expect(alert.scheduleRetry).not.toHaveBeenCalled();
+  });
+
+  it('schedules a retry when processing rejects', async () => {
+    const client = buildRedisClient(1);
+    getRedisClient.mockReturnValue(client);
+    const error = new Error('connection reset');
+    alertProcessingService.processAlert.mockRejectedValue(error);
+
+    await alertQueueService.runJob('alert-1', true);
+
+    const [commands] = client.transactions;
+    expect(commands).toContainEqual(['lRem', alertQueueService.keys.processing, 1, 'alert-1']);
+    expect(commands).toContainEqual(['zAdd', alertQueueService.keys.delayed, { score: expect.any(Number), value: 'alert-1' }]);
+    expect(alert.scheduleRetry).toHaveBeenCalledWith(error, 1, expect.any(Date));
+    expect(alert.markAsDeadLettered).not.toHaveBeenCalled();
+  });
+
+  it('dead-letters the alert after the last attempt', async () => {
+    const client = buildRedisClient(alertQueueService.maxAttempts);
+    getRedisClient.mockReturnValue(client);
+    const error = new Error('connection reset');
+    alertProcessingService.processAlert.mockRejectedValue(error);
+
+    await alertQueueService.runJob('alert-1', true);
+
+    const [commands] = client.transactions;
+    expect(commands.map(([command]) => command)).toEqual(['lRem', 'hDel', 'hSet']);
+    expect(alert.scheduleRetry).not.toHaveBeenCalled();
+    expect(alert.markAsDeadLettered).toHaveBeenCalledWith(error, alertQueueService.maxAttempts);
+  });
+});
@@ -0,0 +1,142 @@
+jest.mock('../../controllers/webhookController', () => {
+  const respond = (req, res) => res.status(200).json({ success: true, message: 'Alert received and queued for processing' });
+  return {
+    processAlertWebhook: jest.fn(respond),
+    processBatchWebhook: jest.fn(respond),
+    processTpSlWebhook: jest.fn(respond),
+    processPriceUpdateWebhook: jest.fn(respond)
+  };
+});
+
+const webhookController = require('../../controllers/webhookController');
+const webhookInboxService = require('../webhookInboxService');
+const WebhookInboxEntry = require('../../models/WebhookInboxEntry');
+
+const AUTH_ENV = ['TRADINGVIEW_WEBHOOK_AUTH', 'TRADINGVIEW_WEBHOOK_PASSPHRASE', 'TRADINGVIEW_WEBHOOK_SECRET'];
+
+const alertBody = {
+  symbol: 'BTCUSDT',
+  timeframe: '15',
+  strategy: 'breakout',
+  signal: 'BUY',
+  price: 100,
+  passphrase: '[REDACTED]'
+};
+
+const buildEntry = (overrides = {}) => ({
+  _id: 'entry-1',
+  endpoint: 'tradingview',
+  path: '/api/webhooks/tradingview',
+  contentType: 'application/json',
+  query: {},
+  rawBody: JSON.stringify(alertBody),
+  bodyTruncated: false,
+  outcome: 'error',
+  authenticated: true,
+  resubmissions: [],
+  save: jest.fn().mockResolvedValue(undefined),
+  ...overrides
+});
+
+describe('webhookInboxService.resubmit', () => {
+  const env = {};
+
+  beforeEach(() => {
+    AUTH_ENV.forEach(name => {
+      env[name] = process.env[name];
+      delete process.env[name];
+    });
+    process.env.TRADINGVIEW_WEBHOOK_PASSPHRASE = 'hunter2';
+  });
+
+  afterEach(() => {
+    AUTH_ENV.forEach(name => {
+      if (env[name] === undefined) {
+        delete process.env[name];
+      } else {
+        process.env[name] = env[name];
+      }
+    });
+    jest.restoreAllMocks();
+    Object.values(webhookController).forEach(handler => handler.mockClear());
+  });
+
+  it('removes the redacted passphrase before processing the stored body', async () => {
+    const entry = buildEntry();
+    jest.spyOn(WebhookInboxEntry, 'findById').mockResolvedValue(entry);
+
+    const result = await webhookInboxService.resubmit('entry-1', 'admin-1');
+
+    const [req] = webhookController.processAlertWebhook.mock.calls[0];
+    expect(req.body).not.toHaveProperty('passphrase');
+    expect(req.body.symbol).toBe('BTCUSDT');
+    expect(result.outcome).toBe('accepted');
+    expect(entry.resubmissions).toHaveLength(1);
+  });
+
+  it('removes the redacted passphrase from price updates', async () => {
+    const entry = buildEntry({
+      endpoint: 'price',
+      path: '/api/webhooks/price',
+      rawBody: JSON.stringify({ symbol: 'BTCUSDT', price: 100, passphrase: '[REDACTED]' })
+    });
+    jest.spyOn(WebhookInboxEntry, 'findById').mockResolvedValue(entry);
+
+    await webhookInboxService.resubmit('entry-1', 'admin-1');
+
+    const [req] = webhookController.processPriceUpdateWebhook.mock.calls[0];
+    expect(req.body).toEqual({ symbol: 'BTCUSDT', price: 100 });
+  });
+
+  it('rejects the stored body of a request that did not pass authentication', async () => {
+    const entry = buildEntry({ outcome: 'rejected_auth', authenticated: false });
+    jest.spyOn(WebhookInboxEntry, 'findById').mockResolvedValue(entry);
+
+    await expect(webhookInboxService.resubmit('entry-1', 'admin-1'))
+      .rejects.toThrow('Request did not pass authentication and its credentials are not stored; provide the body to resubmit');
+    expect(webhookController.processAlertWebhook).not.toHaveBeenCalled();
+    expect(entry.save).not.toHaveBeenCalled();
+  });
+
+  it('resubmits a body provided by the admin for a request that did not pass authentication', async () => {
+    const entry = buildEntry({ outcome: 'rejected_auth', authenticated: false });
+    jest.spyOn(WebhookInboxEntry, 'findById').mockResolvedValue(entry);
+
+    await webhookInboxService.resubmit('entry-1', 'admin-1', JSON.stringify({ ...alertBody, passphrase: 'hunter2' }));
+
+    const [req] = webhookController.processAlertWebhook.mock.calls[0];
+    expect(req.body).not.toHaveProperty('passphrase');
+  });
+
+  it('resubmits stored bodies of unauthenticated requests when the endpoint requires no credentials', async () => {
+    delete process.env.TRADINGVIEW_WEBHOOK_PASSPHRASE;
+    const entry = buildEntry({ outcome: 'rejected_payload', authenticated: false });
+    jest.spyOn(WebhookInboxEntry, 'findById').mockResolvedValue(entry);
+
+    await webhookInboxService.resubmit('entry-1', 'admin-1');
+
+    expect(webhookController.processAlertWebhook).toHaveBeenCalled();
+  });
+
+  it('requires authenticated price updates even when webhooks require no credentials', async () => {
+    delete process.env.TRADINGVIEW_WEBHOOK_PASSPHRASE;
+    const entry = buildEntry({
+      endpoint: 'price',
+      path: '/api/webhooks/price',
+      rawBody: JSON.stringify({ symbol: 'BTCUSDT', price: 100 }),
+      outcome: 'rejected_auth',
+      authenticated: false
+    });
+    jest.spyOn(WebhookInboxEntry, 'findById').mockResolvedValue(entry);
+
+    await expect(webhookInboxService.resubmit('entry-1', 'admin-1')).rejects.toThrow('did not pass authentication');
+    expect(webhookController.processPriceUpdateWebhook).not.toHaveBeenCalled();
+  });
+
+  it('asks for the body of rate-limited requests, which is not stored', async () => {
+    const entry = buildEntry({ outcome: 'rejected', statusCode: 429, rawBody: '' });
+    jest.spyOn(WebhookInboxEntry, 'findById').mockResolvedValue(entry);
+
+    await expect(webhookInboxService.resubmit('entry-1', 'admin-1')).rejects.toThrow('No body was stored for this request');
+  });
+});
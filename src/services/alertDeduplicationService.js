@@ -0,0 +1,103 @@
+const crypto = require('crypto');
+const Alert = require('../models/Alert');
+const { getRedisClient } = require('../config/redis');
+const logger = require('../utils/logger');
+
+// Store the alert ID under the fingerprint unless it is taken; returns the ID already stored
+const CLAIM_SCRIPT = `
+  local existing = redis.call('GET', KEYS[1])
+  if existing then
+    return existing
+  end
+  redis.call('SET', KEYS[1], ARGV[1], 'EX', ARGV[2])
+  return false
+`;
+
+class AlertDeduplicationService {
+  constructor() {
+    this.windowSeconds = parseInt(process.env.ALERT_DEDUP_WINDOW_SECONDS, 10) || 300;
+    this.keyPrefix = 'alert_dedup:';
+  }
+
+  /**
+   * Build a fingerprint identifying the same signal on the same bar
+   * Alerts without a bar timestamp carry no time in their fingerprint; the claim TTL in Redis
+   * and the lookback in MongoDB limit them to the deduplication window.
+   * @param {Object} alertData - Normalized alert data
+   * @param {boolean} hasBarTimestamp - Whether the payload carried its own timestamp
+   * @param {string} [alertConfigId] - Configuration bound by a per-config webhook URL
+   * @returns {string} SHA-256 fingerprint
+   */
+  buildFingerprint(alertData, hasBarTimestamp, alertConfigId = null) {
+    const parts = [
+      alertConfigId ? alertConfigId.toString() : '',
+      alertData.symbol,
+      alertData.timeframe,
+      alertData.strategy,
+      alertData.signal,
+      Number(alertData.price),
+      hasBarTimestamp ? new Date(alertData.timestamp).toISOString() : ''
+    ];
+
+    return crypto
+      .createHash('sha256')
+      .update(parts.join('|'))
+      .digest('hex');
+  }
+
+  /**
+   * Claim a fingerprint for an alert within the deduplication window
+   * @param {string} fingerprint - Alert fingerprint
+   * @param {string} alertId - ID of the alert about to be stored
+   * @returns {string|null} ID of the original alert if this one is a duplicate
+   */
+  async claim(fingerprint, alertId) {
+    try {
+      const client = getRedisClient();
+      const key = `${this.keyPrefix}${fingerprint}`;
+
+      // Claim and lookup in one step, so an expiring claim cannot be read back as empty
+      return await client.eval(CLAIM_SCRIPT, {
+        keys: [key],
+        arguments: [alertId.toString(), this.windowSeconds.toString()]
+      });
+    } catch (error) {
+      logger.warn('Redis unavailable for alert deduplication, falling back to MongoDB', {
+        error: error.message
+      });
+      return this.findRecentOriginal(fingerprint);
+    }
+  }
+
+  /**
+   * Release a claimed fingerprint (e.g. when the alert could not be stored)
+   * @param {string} fingerprint - Alert fingerprint
+   */
+  async release(fingerprint) {
+    try {
+      const client = getRedisClient();
+      await client.del(`${this.keyPrefix}${fingerprint}`);
+    } catch (error) {
+      logger.warn('Failed to release alert fingerprint', { error: error.message });
+    }
+  }
+
+  /**
+   * Find the original alert for a fingerprint in MongoDB
+   * @param {string} fingerprint - Alert fingerprint
+   * @returns {string|null} ID of the original alert, if any
+   */
+  async findRecentOriginal(fingerprint) {
+    const original = await Alert.findOne({
+      'webhook.fingerprint': fingerprint,
+      'webhook.receivedAt': { $gte: new Date(Date.now() - this.windowSeconds * 1000) },
+      'processing.status': { $ne: 'duplicate' }
+    })
+      .sort({ 'webhook.receivedAt': 1 })
+      .select('_id');
+
+    return original ? original._id.toString() : null;
+  }
+}
+
+module.exports = new AlertDeduplicationService();
@@ -4,143 +4,1037 @@ const User = require('../models/User');
 const UserSubscription = require('../models/UserSubscription');
 const Trade = require('../models/Trade');
 const TelegramUser = require('../models/TelegramUser');
+const SessionCalendar = require('../models/SessionCalendar');
+const Watchlist = require('../models/Watchlist');
+const SignalCooldown = require('../models/SignalCooldown');
+const ConfluenceContribution = require('../models/ConfluenceContribution');
 const logger = require('../utils/logger');
+const { formatTimeframe } = require('../utils/timeframes');
+const { getSignalType, getTakeProfitLevel, getOppositeSignal } = require('../utils/signals');
+const { formatTakeProfitTargets } = require('../utils/telegramFormatter');
 const telegramBot = require('./telegramBot');
 
+/**
+ * Format a duration in seconds as e.g. "45s", "12m 5s" or "2h 3m"
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} Human-readable duration
+ */
+const formatDuration = (seconds) => {
+  const total = Math.max(0, Math.round(seconds));
+  if (total < 60) {
+    return `${total}s`;
+  }
+  if (total < 3600) {
+    return `${Math.floor(total / 60)}m ${total % 60}s`;
+  }
+  return `${Math.floor(total / 3600)}h ${Math.floor((total % 3600) / 60)}m`;
+};
+
 class AlertProcessingService {
   constructor() {
-    this.processingQueue = new Map();
-    this.maxConcurrentProcessing = 10;
+    this.staleAfterSeconds = parseInt(process.env.ALERT_STALE_AFTER_SECONDS, 10) || 120;
+    this.maxRecoveryAgeSeconds = parseInt(process.env.ALERT_RECOVERY_MAX_AGE_SECONDS, 10) || 900;
+    this.recoveryIntervalSeconds = parseInt(process.env.ALERT_RECOVERY_INTERVAL_SECONDS, 10) || 60;
+    this.maxRecoveries = 3;
+    this.recoveryTimer = null;
   }
 
   /**
    * Main entry point for processing alerts
+   * Called by the alert queue; errors are thrown so the queue can retry the alert.
    * @param {string} alertId - The alert ID to process
    */
   async processAlert(alertId) {
     const startTime = Date.now();
+
+    const alert = await Alert.findById(alertId);
+    if (!alert) {
+      logger.error('Alert not found for processing', { alertId });
+      return;
+    }
+
+    if (['processed', 'duplicate', 'rejected_stale', 'quarantined', 'dismissed', 'held', 'throttled'].includes(alert.processing.status)) {
+      logger.warn('Alert already processed, skipping', { alertId });
+      return;
+    }
+
+    await alert.markAsProcessing();
+    logger.info('Starting alert processing', { 
+      alertId: alert._id,
+      symbol: alert.alertData.symbol,
+      signal: alert.alertData.signal,
+      strategy: alert.alertData.strategy,
+      attempt: alert.processing.attempts + 1
+    });
+
+    // Step 1: Find matching alert configurations (or the one bound by the webhook URL)
+    const ruleOutcomes = new Map();
+    const matchingConfigs = await this.findMatchingConfigurations(
+      alert.alertData,
+      alert.webhook.alertConfigId,
+      { alert, outcomes: ruleOutcomes }
+    );
+    if (matchingConfigs.length === 0) {
+      logger.warn('No matching alert configurations found', {
+        alertId: alert._id,
+        symbol: alert.alertData.symbol,
+        strategy: alert.alertData.strategy
+      });
+      await alert.markAsProcessed();
+      return;
+    }
+
+    // Step 2: Drop configurations whose alert age window the alert falls outside of
+    const freshConfigs = await this.filterStaleConfigurations(alert, matchingConfigs);
+    if (freshConfigs.length === 0) {
+      logger.warn('Alert rejected as stale for all matching configurations', {
+        alertId: alert._id,
+        ageSeconds: alert.processing.ageSeconds
+      });
+      await alert.markAsRejectedStale();
+      return;
+    }
+
+    // Step 3: Hold or drop configurations that are outside their trading session
+    const { open, held, heldUntil } = await this.filterSessionConfigurations(alert, freshConfigs);
+
+    // Step 4: Hold back configurations whose price tolerance the alert breaches
+    const { passed: tolerated, quarantined } = await this.filterPriceDeviations(alert, open);
+
+    // Fill pending entries the alert price reaches, once a configuration accepted the price.
+    // Only entries placed before the alert was received qualify (replays keep their own time).
+    if (tolerated.length > 0) {
+      await this.processPriceUpdate(alert.alertData.symbol, alert.alertData.price, alert.webhook.receivedAt);
+    }
+
+    // Step 5: Drop, coalesce or queue alerts inside a configuration's cooldown
+    const cooldown = await this.filterThrottledConfigurations(alert, tolerated);
+    const { passed, throttled } = cooldown;
+    held.push(...cooldown.held);
+    const resumeAt = [heldUntil, cooldown.heldUntil]
+      .filter(Boolean)
+      .reduce((earliest, at) => (!earliest || at < earliest ? at : earliest), null);
+
+    // Step 6: Process each remaining configuration
+    for (const config of passed) {
+      await this.processAlertForConfiguration(alert, config, ruleOutcomes.get(config._id.toString()));
+    }
+
+    // Step 7: Feed the confluence configurations the accepting configurations are sources of
+    await this.evaluateConfluences(alert, passed);
+
+    // Step 8: Mark alert as processed, held until the next session or cooldown end,
+    // quarantined for admin review, or throttled when every configuration suppressed it
+    if (held.length > 0) {
+      await alert.markAsHeld(resumeAt);
+    } else if (quarantined.length > 0) {
+      await alert.markAsQuarantined();
+    } else if (throttled.length > 0 && passed.length === 0) {
+      await alert.markAsThrottled();
+    } else {
+      await alert.markAsProcessed();
+    }
     
+    const processingTime = Date.now() - startTime;
+    logger.info('Alert processing completed', {
+      alertId: alert._id,
+      processingTime: `${processingTime}ms`,
+      matchedConfigs: passed.length,
+      heldConfigs: held.length,
+      quarantinedConfigs: quarantined.length,
+      throttledConfigs: throttled.length
+    });
+  }
+
+  /**
+   * Recover alerts left in received/processing state (e.g. by a crash or restart)
+   * Recent alerts are requeued and resume where they stopped (users already handled
+   * are skipped); alerts older than the recovery age or recovered too often are failed.
+   * @param {Function} requeue - Queues an alert ID, resolves false if it is already queued
+   * @returns {Object} { requeued, expired, skipped }
+   */
+  async recoverStaleAlerts(requeue) {
+    const now = Date.now();
+    const staleAlerts = await Alert.findPendingAlerts(new Date(now - this.staleAfterSeconds * 1000));
+    const summary = { requeued: 0, expired: 0, skipped: 0 };
+
+    for (const alert of staleAlerts) {
+      try {
+        const ageSeconds = Math.round((now - alert.webhook.receivedAt) / 1000);
+        const { status, recoveries } = alert.processing;
+
+        let reason = null;
+        if (ageSeconds > this.maxRecoveryAgeSeconds) {
+          reason = `Alert expired: stuck in ${status} state, received ${ageSeconds}s ago`;
+        } else if (recoveries >= this.maxRecoveries) {
+          reason = `Alert abandoned: still ${status} after ${recoveries} recovery attempts`;
+        }
+
+        if (reason) {
+          await alert.markAsStale(reason);
+          summary.expired++;
+          logger.warn('Stale alert marked as failed', { alertId: alert._id, reason });
+          continue;
+        }
+
+        if (!(await requeue(alert._id))) {
+          summary.skipped++;
+          continue;
+        }
+
+        await Alert.updateOne({ _id: alert._id }, { $inc: { 'processing.recoveries': 1 } });
+        summary.requeued++;
+        logger.info('Stale alert requeued for processing', {
+          alertId: alert._id,
+          status,
+          ageSeconds
+        });
+      } catch (error) {
+        logger.error('Error recovering stale alert:', error);
+      }
+    }
+
+    if (staleAlerts.length > 0) {
+      logger.info('Stale alert sweep completed', summary);
+    }
+    return summary;
+  }
+
+  /**
+   * Requeue held alerts whose trading session has opened
+   * Users already handled before the hold are skipped when the alert is processed again.
+   * @param {Function} requeue - Queues an alert ID, resolves false if it is already queued
+   * @returns {number} Number of released alerts
+   */
+  async releaseHeldAlerts(requeue) {
+    const dueAlerts = await Alert.findDueHeldAlerts();
+    let released = 0;
+
+    for (const alert of dueAlerts) {
+      try {
+        // Guard against another instance releasing the same alert
+        const result = await Alert.updateOne(
+          { _id: alert._id, 'processing.status': 'held' },
+          { 'processing.status': 'received', $unset: { 'processing.heldUntil': 1 } }
+        );
+        if (result.modifiedCount === 0) {
+          continue;
+        }
+
+        await requeue(alert._id);
+        released++;
+        logger.info('Held alert released for processing', {
+          alertId: alert._id,
+          heldUntil: alert.processing.heldUntil
+        });
+      } catch (error) {
+        logger.error('Error releasing held alert:', error);
+      }
+    }
+
+    return released;
+  }
+
+  /**
+   * Cancel pending entries whose expiry passed and notify their owners
+   * @returns {number} Number of expired entries
+   */
+  async expirePendingEntries() {
+    const expiredEntries = await Trade.findExpiredEntries();
+    let expired = 0;
+
+    for (const entry of expiredEntries) {
+      try {
+        const trade = await entry.expireEntry();
+        if (!trade) {
+          continue;
+        }
+
+        expired++;
+        logger.info('Pending entry expired', {
+          tradeId: trade._id,
+          tradeNumber: trade.tradeNumber,
+          userId: trade.userId,
+          expiresAt: trade.tradeData.entryTrigger.expiresAt
+        });
+        await telegramBot.sendPendingEntryNotification(trade, 'expired');
+      } catch (error) {
+        logger.error('Error expiring pending entry:', error, { tradeId: entry._id });
+      }
+    }
+
+    return expired;
+  }
+
+  /**
+   * Fill the pending entries of a symbol whose trigger a price reaches and notify their owners
+   * Only entries placed before the price was observed are filled. A triggered entry is held to
+   * its configuration's trade limits like a market entry: it replaces an open trade when the
+   * replacement rules allow it, and is cancelled when the limit is reached otherwise.
+   * @param {string} symbol - Canonical symbol
+   * @param {number} price - Observed price
+   * @param {Date} [observedAt] - When the price was observed
+   * @returns {Array} Filled trades
+   */
+  async processPriceUpdate(symbol, price, observedAt = new Date()) {
+    const pendingEntries = await Trade.findPendingEntries(symbol, observedAt);
+    const filled = [];
+
+    for (const entry of pendingEntries) {
+      if (!entry.isEntryTriggered(price)) {
+        continue;
+      }
+
+      try {
+        const config = await AlertConfiguration.findById(entry.alertConfigId);
+        const openTrades = await Trade.findOpenTrades(entry.userId, entry.alertConfigId, symbol);
+        const decision = config
+          ? this.selectEntryAction(openTrades, config, entry.tradeData.signal)
+          : { action: 'open_trade', tradeToReplace: null, reason: null };
+
+        if (!decision.action) {
+          const cancelled = await entry.withdrawEntry('CANCEL');
+          if (!cancelled) {
+            continue;
+          }
+
+          logger.info('Trade limit reached, pending entry cancelled', {
+            tradeId: cancelled._id,
+            tradeNumber: cancelled.tradeNumber,
+            userId: cancelled.userId,
+            configId: entry.alertConfigId,
+            symbol,
+            openTrades: openTrades.length,
+            maxTrades: config.tradeManagement.maxOpenTrades
+          });
+          await telegramBot.sendPendingEntryNotification(cancelled, 'cancelled', { reason: decision.reason });
+          continue;
+        }
+
+        const trade = await entry.fillEntry();
+        if (!trade) {
+          continue;
+        }
+
+        if (decision.tradeToReplace) {
+          await this.replaceTrade(decision.tradeToReplace, trade, decision.reason);
+        }
+
+        filled.push(trade);
+        logger.info('Pending entry filled', {
+          tradeId: trade._id,
+          tradeNumber: trade.tradeNumber,
+          userId: trade.userId,
+          symbol,
+          triggerPrice: trade.tradeData.entryTrigger.price,
+          price,
+          replacedTradeId: decision.tradeToReplace ? decision.tradeToReplace._id : null
+        });
+        await telegramBot.sendPendingEntryNotification(trade, 'filled', { price });
+      } catch (error) {
+        logger.error('Error filling pending entry:', error, { tradeId: entry._id });
+      }
+    }
+
+    return filled;
+  }
+
+  /**
+   * Run the stale alert sweep, the held alert release and the pending entry expiry now
+   * and then periodically
+   * @param {Function} requeue - Queues an alert ID, resolves false if it is already queued
+   */
+  startRecoverySweeper(requeue) {
+    if (this.recoveryTimer) {
+      return;
+    }
+
+    const sweep = () => Promise.all([
+      this.recoverStaleAlerts(requeue),
+      this.releaseHeldAlerts(requeue),
+      this.expirePendingEntries()
+    ]).catch(error => {
+      logger.error('Error sweeping stale alerts:', error);
+    });
+
+    sweep();
+    this.recoveryTimer = setInterval(sweep, this.recoveryIntervalSeconds * 1000);
+  }
+
+  stopRecoverySweeper() {
+    if (this.recoveryTimer) {
+      clearInterval(this.recoveryTimer);
+      this.recoveryTimer = null;
+    }
+  }
+
+  /**
+   * Find alert configurations that match the incoming alert
+   * Configurations whose volume filter rejects the alert, or whose conditions suppress it,
+   * are left out. When the alert document is given they are recorded on it (once per
+   * configuration, volume-filtered alerts also in the configuration's filtered statistic)
+   * together with the matched conditions; with dryRun they are only collected.
+   * @param {Object} alertData - The alert data
+   * @param {string} [boundConfigId] - Configuration bound by a per-config webhook URL
+   * @param {Object} [options] - { alert, dryRun, filtered, outcomes } (filtered collects
+   *   { config, reason, error }, outcomes maps configuration IDs to rule outcomes)
+   * @returns {Array} Array of matching AlertConfiguration documents
+   */
+  async findMatchingConfigurations(alertData, boundConfigId = null, { alert = null, dryRun = false, filtered = null, outcomes = null } = {}) {
     try {
-      // Prevent duplicate processing
-      if (this.processingQueue.has(alertId)) {
-        logger.warn('Alert already being processed', { alertId });
-        return;
+      const { symbol, rawSymbol, timeframe, strategy, signal } = alertData;
+      
+      let configs;
+      if (boundConfigId) {
+        const boundConfig = await AlertConfiguration.findOne({
+          _id: boundConfigId,
+          status: 'active'
+        });
+        // Confluence configurations only receive the alerts they emit
+        const accepts = boundConfig &&
+          (boundConfig.type !== 'confluence' || Boolean(alert && alert.source === 'confluence'));
+        configs = accepts ? [boundConfig] : [];
+      } else {
+        const watchlistIds = await Watchlist.findIdsContaining(
+          AlertConfiguration.getMatchSymbols({ symbol, rawSymbol })
+        );
+        configs = await AlertConfiguration.findMatchingConfigs({
+          symbol,
+          rawSymbol,
+          timeframe,
+          strategy
+        }, watchlistIds);
       }
 
-      this.processingQueue.set(alertId, { startTime, status: 'processing' });
+      // Filter configurations that allow this signal type
+      const validConfigs = configs.filter(config => {
+        return config.checkSignalAllowed(signal);
+      });
 
-      const alert = await Alert.findById(alertId);
-      if (!alert) {
-        logger.error('Alert not found for processing', { alertId });
-        return;
+      // Validate alert data against each configuration
+      const matchingConfigs = [];
+      const volumeAverages = new Map();
+      for (const config of validConfigs) {
+        const validation = config.validateAlert(alertData);
+        if (!validation.isValid) {
+          logger.warn('Alert validation failed for configuration', {
+            configId: config._id,
+            configName: config.name,
+            errors: validation.errors
+          });
+          continue;
+        }
+
+        const volumeCheck = await this.checkConfigVolume(alertData, config, alert, volumeAverages);
+        if (!volumeCheck.isValid) {
+          logger.info('Alert filtered by configuration volume filter', {
+            alertId: alert ? alert._id : undefined,
+            configId: config._id,
+            configName: config.name,
+            volume: alertData.volume,
+            reason: volumeCheck.error
+          });
+
+          if (filtered) {
+            filtered.push({ config, reason: 'volume', error: volumeCheck.error });
+          }
+          if (alert && !dryRun && !alert.hasRejection(config._id, 'volume')) {
+            alert.addRejection(config._id, 'volume', volumeCheck.error);
+            await config.incrementFilteredCount();
+          }
+          continue;
+        }
+
+        // Conditions on the receiving user's open trades are evaluated per user later
+        const ruleOutcome = config.evaluateConditions(alertData);
+        if (alert && !dryRun) {
+          alert.addRuleMatches(config._id, ruleOutcome.matched);
+        }
+
+        if (ruleOutcome.suppressedBy) {
+          const error = `Suppressed by condition "${ruleOutcome.suppressedBy.name}"`;
+          logger.info('Alert suppressed by configuration condition', {
+            alertId: alert ? alert._id : undefined,
+            configId: config._id,
+            configName: config.name,
+            conditionId: ruleOutcome.suppressedBy.conditionId
+          });
+
+          if (filtered) {
+            filtered.push({ config, reason: 'rule_suppressed', error });
+          }
+          if (alert && !dryRun && !alert.hasRejection(config._id, 'rule_suppressed')) {
+            alert.addRejection(config._id, 'rule_suppressed', error);
+          }
+          continue;
+        }
+
+        if (outcomes) {
+          outcomes.set(config._id.toString(), ruleOutcome);
+        }
+        matchingConfigs.push(config);
       }
 
-      await alert.markAsProcessing();
-      logger.info('Starting alert processing', { 
+      return matchingConfigs;
+    } catch (error) {
+      logger.error('Error finding matching configurations:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check the alert volume against a configuration's volume filter
+   * @param {Object} alertData - The alert data
+   * @param {Object} config - The alert configuration
+   * @param {Object} [alert] - The alert document (excluded from the rolling average)
+   * @param {Map} volumeAverages - Per-alert cache of rolling volume averages
+   * @returns {Object} { isValid, error }
+   */
+  async checkConfigVolume(alertData, config, alert, volumeAverages) {
+    const { enabled, mode, lookbackAlerts } = config.filters.volumeFilter;
+    if (!enabled || mode !== 'relative' || alertData.volume === undefined || alertData.volume === null) {
+      return config.checkVolume(alertData.volume);
+    }
+
+    const key = `${alertData.timeframe}:${lookbackAlerts}`;
+    if (!volumeAverages.has(key)) {
+      volumeAverages.set(key, await Alert.findAverageVolume(
+        alertData.symbol,
+        alertData.timeframe,
+        lookbackAlerts,
+        alert ? alert._id : null
+      ));
+    }
+    return config.checkVolume(alertData.volume, volumeAverages.get(key));
+  }
+
+  /**
+   * Check the alert's age against each configuration's maximum age and future skew
+   * Rejections are recorded on the alert (once per configuration) and optionally reported to admins.
+   * @param {Object} alert - The alert document
+   * @param {Array} configs - Matching AlertConfiguration documents
+   * @returns {Array} Configurations the alert may be distributed for
+   */
+  async filterStaleConfigurations(alert, configs) {
+    const now = new Date();
+    const freshConfigs = [];
+
+    for (const config of configs) {
+      const ageCheck = config.checkAlertAge(alert.alertData, now);
+      alert.processing.ageSeconds = ageCheck.ageSeconds;
+
+      if (ageCheck.isValid) {
+        freshConfigs.push(config);
+        continue;
+      }
+
+      if (alert.hasRejection(config._id, 'stale')) {
+        continue;
+      }
+      alert.addRejection(config._id, 'stale', ageCheck.error);
+
+      logger.warn('Alert outside configuration age window, not distributed', {
         alertId: alert._id,
-        symbol: alert.alertData.symbol,
-        signal: alert.alertData.signal,
-        strategy: alert.alertData.strategy
+        configId: config._id,
+        configName: config.name,
+        ageSeconds: ageCheck.ageSeconds,
+        reason: ageCheck.error
       });
 
-      // Step 1: Find matching alert configurations
-      const matchingConfigs = await this.findMatchingConfigurations(alert.alertData);
-      if (matchingConfigs.length === 0) {
-        logger.warn('No matching alert configurations found', {
+      if (config.validation.alertAge.notifyAdmins) {
+        const { symbol, signal, strategy } = alert.alertData;
+        await telegramBot.notifyAdmins(
+          `⚠️ <b>Stale alert rejected</b>\n\n` +
+          `📋 <b>Config:</b> ${config.name}\n` +
+          `📊 <b>Alert:</b> ${symbol} ${signal} (${strategy})\n` +
+          `⌛ <b>Reason:</b> ${ageCheck.error}\n` +
+          `🆔 <b>Alert ID:</b> ${alert._id}`
+        );
+      }
+    }
+
+    await alert.save();
+    return freshConfigs;
+  }
+
+  /**
+   * Check each configuration's trading session calendar at processing time
+   * Out-of-session configurations with the `drop` policy are recorded as rejections (once per
+   * configuration); with `hold` the alert waits for the earliest next session open. Calendars
+   * without an upcoming session drop the alert instead of holding it indefinitely.
+   * @param {Object} alert - The alert document
+   * @param {Array} configs - AlertConfiguration documents
+   * @returns {Object} { open, held, heldUntil }
+   */
+  async filterSessionConfigurations(alert, configs) {
+    const now = new Date();
+    const open = [];
+    const held = [];
+    let heldUntil = null;
+    const calendars = new Map();
+
+    for (const config of configs) {
+      const sessionCheck = await this.checkConfigSession(config, now, calendars);
+      if (sessionCheck.isOpen) {
+        open.push(config);
+        continue;
+      }
+
+      const { policy } = config.filters.session;
+      if (policy === 'hold' && sessionCheck.nextOpenAt) {
+        held.push(config);
+        if (!heldUntil || sessionCheck.nextOpenAt < heldUntil) {
+          heldUntil = sessionCheck.nextOpenAt;
+        }
+
+        logger.info('Alert outside configuration trading session, held', {
           alertId: alert._id,
-          symbol: alert.alertData.symbol,
-          strategy: alert.alertData.strategy
+          configId: config._id,
+          configName: config.name,
+          nextOpenAt: sessionCheck.nextOpenAt
         });
-        await alert.markAsProcessed();
-        return;
+        continue;
+      }
+
+      if (alert.hasRejection(config._id, 'out_of_session')) {
+        continue;
+      }
+      const message = policy === 'hold'
+        ? `${sessionCheck.error}; no session opens within the calendar horizon`
+        : sessionCheck.error;
+      alert.addRejection(config._id, 'out_of_session', message);
+
+      logger.warn('Alert outside configuration trading session, dropped', {
+        alertId: alert._id,
+        configId: config._id,
+        configName: config.name,
+        reason: message
+      });
+    }
+
+    await alert.save();
+    return { open, held, heldUntil };
+  }
+
+  /**
+   * Check a configuration's session calendar
+   * Configurations without a calendar, or whose calendar is missing or inactive, are always open.
+   * @param {Object} config - The alert configuration
+   * @param {Date} at - Time to check
+   * @param {Map} calendars - Per-alert cache of session calendars
+   * @returns {Object} { isOpen, error, nextOpenAt }
+   */
+  async checkConfigSession(config, at, calendars) {
+    const calendarId = config.filters.session && config.filters.session.calendar;
+    if (!calendarId) {
+      return { isOpen: true };
+    }
+
+    const key = calendarId.toString();
+    if (!calendars.has(key)) {
+      calendars.set(key, await SessionCalendar.findOne({ _id: calendarId, status: 'active' }));
+    }
+
+    const calendar = calendars.get(key);
+    if (!calendar) {
+      logger.warn('Session calendar of configuration not found or inactive, session not enforced', {
+        configId: config._id,
+        calendarId
+      });
+      return { isOpen: true };
+    }
+
+    return calendar.checkSession(at);
+  }
+
+  /**
+   * Check the alert price against each configuration's price tolerance
+   * Entry prices are compared with the last accepted price for the symbol, exit prices with
+   * the entry price of the open trade being closed. Breaches are recorded on the alert and
+   * reported to admins; alerts released by an admin skip the check.
+   * @param {Object} alert - The alert document
+   * @param {Array} configs - AlertConfiguration documents
+   * @returns {Object} { passed, quarantined } configuration lists
+   */
+  async filterPriceDeviations(alert, configs) {
+    if (alert.processing.quarantine.decision === 'released') {
+      return { passed: configs, quarantined: [] };
+    }
+
+    const passed = [];
+    const quarantined = [];
+    const references = new Map();
+
+    for (const config of configs) {
+      const referencePrice = await this.findReferencePrice(alert, config, references);
+      const priceCheck = config.checkPriceDeviation(alert.alertData.price, referencePrice);
+
+      if (priceCheck.isValid) {
+        passed.push(config);
+        continue;
+      }
+
+      quarantined.push(config);
+      if (alert.hasRejection(config._id, 'price_deviation')) {
+        continue;
+      }
+      alert.addRejection(config._id, 'price_deviation', priceCheck.error);
+
+      // Keep the largest breach as the quarantine reason
+      const current = alert.processing.quarantine;
+      if (!current.quarantinedAt || priceCheck.deviation > current.deviation) {
+        alert.processing.quarantine = {
+          quarantinedAt: current.quarantinedAt || new Date(),
+          referencePrice,
+          deviation: priceCheck.deviation,
+          reason: priceCheck.error
+        };
+      }
+
+      logger.warn('Alert price outside configuration tolerance, quarantined', {
+        alertId: alert._id,
+        configId: config._id,
+        configName: config.name,
+        price: alert.alertData.price,
+        referencePrice,
+        deviation: priceCheck.deviation
+      });
+
+      const { symbol, signal, strategy, price } = alert.alertData;
+      await telegramBot.notifyAdmins(
+        `🚧 <b>Alert quarantined</b>\n\n` +
+        `📋 <b>Config:</b> ${config.name}\n` +
+        `📊 <b>Alert:</b> ${symbol} ${signal} @ ${price} (${strategy})\n` +
+        `📏 <b>Reason:</b> ${priceCheck.error}\n` +
+        `🆔 <b>Alert ID:</b> ${alert._id}`
+      );
+    }
+
+    await alert.save();
+    return { passed, quarantined };
+  }
+
+  /**
+   * Apply each configuration's cooldown between alerts with the same symbol and signal
+   * The first alert starts the cooldown. Later ones are dropped, coalesced (held until
+   * the cooldown ends; only the latest is distributed) or queued (held and distributed
+   * one per cooldown), depending on the configuration's mode.
+   * @param {Object} alert - The alert document
+   * @param {Array} configs - AlertConfiguration documents
+   * @returns {Object} { passed, held, heldUntil, throttled } configuration lists
+   */
+  async filterThrottledConfigurations(alert, configs) {
+    const now = new Date();
+    const passed = [];
+    const held = [];
+    const throttled = [];
+    let heldUntil = null;
+    const { symbol, signal } = alert.alertData;
+
+    for (const config of configs) {
+      const { enabled, seconds, mode } = config.filters.cooldown || {};
+      if (!enabled || !seconds) {
+        passed.push(config);
+        continue;
+      }
+      if (alert.hasRejection(config._id, 'throttled')) {
+        throttled.push(config);
+        continue;
+      }
+
+      const key = { alertConfigId: config._id, symbol, signal };
+      let reason = null;
+
+      if (mode === 'coalesce') {
+        const current = await SignalCooldown.findOne(key);
+        const newerAlertId = current && current.findSupersedingAlert(alert);
+        if (newerAlertId) {
+          reason = `Coalesced into newer alert ${newerAlertId}`;
+        }
+      }
+
+      if (!reason) {
+        const { claimed, cooldown } = await SignalCooldown.claim(key, alert, seconds, now);
+        if (claimed) {
+          passed.push(config);
+          continue;
+        }
+
+        if (mode === 'drop') {
+          const gap = (alert.webhook.receivedAt - cooldown.lastReceivedAt) / 1000;
+          reason = `Previous ${signal} for ${symbol} received ${formatDuration(gap)} earlier, cooldown ${formatDuration(seconds)}`;
+        } else {
+          if (mode === 'coalesce') {
+            await SignalCooldown.setPending(key, alert);
+          }
+          held.push(config);
+          if (!heldUntil || cooldown.availableAt < heldUntil) {
+            heldUntil = cooldown.availableAt;
+          }
+
+          logger.info('Alert inside configuration cooldown, held', {
+            alertId: alert._id,
+            configId: config._id,
+            configName: config.name,
+            mode,
+            availableAt: cooldown.availableAt
+          });
+          continue;
+        }
       }
 
-      // Step 2: Process each matching configuration
-      for (const config of matchingConfigs) {
-        await this.processAlertForConfiguration(alert, config);
+      throttled.push(config);
+      alert.addRejection(config._id, 'throttled', reason);
+      await config.incrementThrottledCount();
+
+      logger.info('Alert throttled by configuration cooldown', {
+        alertId: alert._id,
+        configId: config._id,
+        configName: config.name,
+        mode,
+        reason
+      });
+    }
+
+    await alert.save();
+    return { passed, held, heldUntil, throttled };
+  }
+
+  /**
+   * Check a configuration's cooldown without starting one (for dry runs)
+   * @param {Object} alert - The alert document
+   * @param {Object} config - The alert configuration
+   * @returns {Object|null} { reason, message } when the alert would not pass, or null
+   */
+  async checkConfigCooldown(alert, config) {
+    const { enabled, seconds, mode } = config.filters.cooldown || {};
+    if (!enabled || !seconds) {
+      return null;
+    }
+
+    const { symbol, signal } = alert.alertData;
+    const cooldown = await SignalCooldown.findOne({ alertConfigId: config._id, symbol, signal });
+    if (!cooldown) {
+      return null;
+    }
+
+    const newerAlertId = mode === 'coalesce' && cooldown.findSupersedingAlert(alert);
+    if (newerAlertId) {
+      return { reason: 'throttled', message: `Coalesced into newer alert ${newerAlertId}` };
+    }
+    if (cooldown.availableAt <= new Date() || (cooldown.lastAlertId && cooldown.lastAlertId.equals(alert._id))) {
+      return null;
+    }
+    if (mode === 'drop') {
+      const gap = (alert.webhook.receivedAt - cooldown.lastReceivedAt) / 1000;
+      return {
+        reason: 'throttled',
+        message: `Previous ${signal} for ${symbol} received ${formatDuration(gap)} earlier, cooldown ${formatDuration(seconds)}`
+      };
+    }
+    return {
+      reason: 'cooldown_hold',
+      message: `Inside ${formatDuration(seconds)} cooldown; held until ${cooldown.availableAt.toISOString()}`
+    };
+  }
+
+  /**
+   * Record the alert for confluence configurations whose sources accepted it, and emit a
+   * confluence alert for each whose required agreement is reached
+   * Agreement counts the latest unused alert of each source with the same symbol and signal
+   * received within the window before this alert. Confluence alerts do not feed confluences.
+   * @param {Object} alert - The alert document
+   * @param {Array} configs - Configurations that accepted the alert
+   * @returns {Array} Emitted confluence alerts
+   */
+  async evaluateConfluences(alert, configs) {
+    if (alert.source === 'confluence' || configs.length === 0) {
+      return [];
+    }
+
+    const confluences = await AlertConfiguration.findConfluencesForSources(configs.map(config => config._id));
+    if (confluences.length === 0) {
+      return [];
+    }
+
+    const { symbol, signal } = alert.alertData;
+    const symbols = AlertConfiguration.getMatchSymbols(alert.alertData);
+    const watchlistIds = await Watchlist.findIdsContaining(symbols);
+    const receivedAt = alert.webhook.receivedAt;
+    const emitted = [];
+
+    for (const confluence of confluences) {
+      if (!confluence.checkSignalAllowed(signal) || !confluence.coversSymbol(symbols, watchlistIds)) {
+        continue;
+      }
+
+      const sourceIds = confluence.confluence.sources.map(String);
+      const source = configs.find(config => sourceIds.includes(config._id.toString()));
+      await ConfluenceContribution.record(confluence, source, alert);
+
+      const since = new Date(receivedAt.getTime() - confluence.confluence.windowSeconds * 1000);
+      const contributions = await ConfluenceContribution.findOpen(confluence._id, symbol, signal, since, receivedAt);
+      const latestBySource = new Map();
+      contributions.forEach(contribution => {
+        const sourceId = contribution.sourceConfigId.toString();
+        if (sourceIds.includes(sourceId) && !latestBySource.has(sourceId)) {
+          latestBySource.set(sourceId, contribution);
+        }
+      });
+
+      const required = confluence.getRequiredAgreement();
+      if (latestBySource.size < required) {
+        logger.info('Confluence agreement not reached', {
+          alertId: alert._id,
+          configId: confluence._id,
+          configName: confluence.name,
+          agreeing: latestBySource.size,
+          required
+        });
+        continue;
+      }
+
+      const confluenceAlert = await this.emitConfluenceAlert(alert, confluence, [...latestBySource.values()]);
+      if (confluenceAlert) {
+        emitted.push(confluenceAlert);
+      }
+    }
+
+    return emitted;
+  }
+
+  /**
+   * Create and queue the alert of a confluence configuration whose sources agreed
+   * The alert is bound to the confluence configuration and carries the symbol, signal,
+   * price and levels of the alert that completed the agreement.
+   * @param {Object} trigger - Alert that completed the agreement
+   * @param {Object} confluence - The confluence configuration
+   * @param {Array} contributions - Agreeing ConfluenceContribution documents
+   * @returns {Object|null} The confluence alert, or null when the contributions were used meanwhile
+   */
+  async emitConfluenceAlert(trigger, confluence, contributions) {
+    const {
+      symbol, rawSymbol, exchange, instrumentId, unknownSymbol,
+      timeframe, signal, price, takeProfitPrice, takeProfits, stopLossPrice, timestamp
+    } = trigger.alertData;
+    const alertIds = contributions.map(contribution => contribution.alertId);
+
+    const confluenceAlert = new Alert({
+      source: 'confluence',
+      webhook: {
+        receivedAt: new Date(),
+        rawPayload: { confluenceConfigId: confluence._id, symbol, signal, alertIds },
+        alertConfigId: confluence._id
+      },
+      alertData: {
+        symbol,
+        rawSymbol,
+        exchange,
+        instrumentId,
+        unknownSymbol,
+        timeframe: confluence.getTimeframes()[0] || timeframe,
+        strategy: confluence.strategy,
+        signal,
+        price,
+        takeProfitPrice,
+        takeProfits,
+        stopLossPrice,
+        timestamp
+      },
+      confluence: {
+        alertConfigId: confluence._id,
+        windowSeconds: confluence.confluence.windowSeconds,
+        contributions: contributions.map(({ alertId, sourceConfigId, strategy, price: sourcePrice, receivedAt }) => ({
+          alertId,
+          sourceConfigId,
+          strategy,
+          price: sourcePrice,
+          receivedAt
+        }))
       }
+    });
 
-      // Step 3: Mark alert as processed
-      await alert.markAsProcessed();
-      
-      const processingTime = Date.now() - startTime;
-      logger.info('Alert processing completed', {
-        alertId: alert._id,
-        processingTime: `${processingTime}ms`,
-        matchedConfigs: matchingConfigs.length
+    if (!(await ConfluenceContribution.consume(contributions.map(contribution => contribution._id), confluenceAlert._id))) {
+      logger.info('Confluence contributions used by another confluence alert, skipped', {
+        alertId: trigger._id,
+        configId: confluence._id
       });
+      return null;
+    }
 
+    try {
+      await confluenceAlert.save();
     } catch (error) {
-      logger.error('Error processing alert:', error);
-      
-      try {
-        const alert = await Alert.findById(alertId);
-        if (alert) {
-          await alert.markAsFailed(error);
-        }
-      } catch (updateError) {
-        logger.error('Error updating alert status to failed:', updateError);
-      }
-    } finally {
-      this.processingQueue.delete(alertId);
+      await ConfluenceContribution.release(confluenceAlert._id);
+      throw error;
     }
+
+    // Required here: the queue service depends on this service
+    const alertQueueService = require('./alertQueueService');
+    await alertQueueService.enqueue(confluenceAlert._id);
+
+    logger.info('Confluence alert emitted', {
+      alertId: confluenceAlert._id,
+      configId: confluence._id,
+      configName: confluence.name,
+      symbol,
+      signal,
+      contributingAlerts: alertIds
+    });
+
+    return confluenceAlert;
   }
 
   /**
-   * Find alert configurations that match the incoming alert
-   * @param {Object} alertData - The alert data
-   * @returns {Array} Array of matching AlertConfiguration documents
+   * Find the price an alert is validated against for a configuration
+   * @param {Object} alert - The alert document
+   * @param {Object} config - The alert configuration
+   * @param {Map} references - Per-alert cache of reference prices
+   * @returns {number|null} Reference price, or null when there is nothing to compare with
    */
-  async findMatchingConfigurations(alertData) {
-    try {
-      const { symbol, timeframe, strategy, signal } = alertData;
-      
-      const configs = await AlertConfiguration.findMatchingConfigs({
-        symbol,
-        timeframe,
-        strategy
-      });
-
-      // Filter configurations that allow this signal type
-      const validConfigs = configs.filter(config => {
-        return config.checkSignalAllowed(signal);
-      });
+  async findReferencePrice(alert, config, references) {
+    const { symbol, signal, strategy } = alert.alertData;
 
-      // Validate alert data against each configuration
-      const matchingConfigs = [];
-      for (const config of validConfigs) {
-        const validation = config.validateAlert(alertData);
-        if (validation.isValid) {
-          matchingConfigs.push(config);
-        } else {
-          logger.warn('Alert validation failed for configuration', {
-            configId: config._id,
-            configName: config.name,
-            errors: validation.errors
-          });
-        }
+    if (signal === 'BUY' || signal === 'SELL') {
+      if (!references.has(symbol)) {
+        references.set(symbol, await Alert.findLastAcceptedPrice(symbol, alert._id));
       }
-
-      return matchingConfigs;
-    } catch (error) {
-      logger.error('Error finding matching configurations:', error);
-      return [];
+      return references.get(symbol);
     }
+
+    // Exits: entry of the trade being closed (the oldest open one when no trade number is given)
+    const { tradeNumber } = alert.alertData.additionalData || {};
+    const query = tradeNumber
+      ? { ...Trade.byTradeNumber(tradeNumber, Trade.getNumberingScope(config)), status: 'open' }
+      : {
+        alertConfigId: config._id,
+        'tradeData.symbol': symbol.toUpperCase(),
+        'tradeData.strategy': strategy,
+        status: 'open'
+      };
+    const trade = await Trade.findOne(query)
+      .sort({ 'timestamps.openedAt': 1 })
+      .select('tradeData.entryPrice');
+
+    return trade ? trade.tradeData.entryPrice : null;
   }
 
   /**
    * Process alert for a specific configuration
    * @param {Object} alert - The alert document
    * @param {Object} config - The alert configuration document
+   * @param {Object} [ruleOutcome] - Outcome of the configuration's conditions
    */
-  async processAlertForConfiguration(alert, config) {
+  async processAlertForConfiguration(alert, config, ruleOutcome = null) {
     try {
       // Update alert with matched configuration
       alert.processing.alertConfigId = config._id;
       await alert.save();
 
-      // Find users with active subscriptions for this configuration
-      const subscribedUsers = await this.findSubscribedUsers(config);
+      // Find users with active subscriptions for this configuration (or the plans conditions route to;
+      // with conditions on open trades the routing is settled per user)
+      const routedPlanIds = ruleOutcome && !ruleOutcome.deferred ? ruleOutcome.planIds : null;
+      const subscribedUsers = await this.findSubscribedUsers(config, routedPlanIds);
       
       if (subscribedUsers.length === 0) {
         logger.info('No subscribed users found for configuration', {
@@ -152,19 +1046,26 @@ class AlertProcessingService {
 
       // Process alert based on signal type
       const { signal } = alert.alertData;
+      const signalType = getSignalType(signal);
       
-      if (signal === 'BUY' || signal === 'SELL') {
-        await this.processEntrySignal(alert, config, subscribedUsers);
-      } else if (signal === 'TP_HIT' || signal === 'SL_HIT') {
-        await this.processExitSignal(alert, config, subscribedUsers);
+      if (signalType === 'entry') {
+        await this.processEntrySignal(alert, config, subscribedUsers, ruleOutcome);
+      } else if (signal === 'REVERSE') {
+        await this.processReverseSignal(alert, config, subscribedUsers, ruleOutcome);
+      } else if (signal === 'BREAKEVEN') {
+        await this.processBreakevenSignal(alert, config, subscribedUsers, ruleOutcome);
+      } else if (getTakeProfitLevel(signal)) {
+        await this.processTakeProfitSignal(alert, config, subscribedUsers, ruleOutcome);
+      } else if (signalType) {
+        await this.processExitSignal(alert, config, subscribedUsers, ruleOutcome);
       }
 
       // Update configuration statistics
-      await config.incrementAlertCount(true);
+      await config.incrementAlertCount(true, alert.alertData.symbol);
       
     } catch (error) {
       logger.error('Error processing alert for configuration:', error);
-      await config.incrementAlertCount(false);
+      await config.incrementAlertCount(false, alert.alertData.symbol);
       throw error;
     }
   }
@@ -172,12 +1073,15 @@ class AlertProcessingService {
   /**
    * Find users with active subscriptions for a configuration
    * @param {Object} config - The alert configuration
+   * @param {Array<string>} [routedPlanIds] - Restrict to these of the configuration's plans
    * @returns {Array} Array of user objects with subscription info
    */
-  async findSubscribedUsers(config) {
+  async findSubscribedUsers(config, routedPlanIds = null) {
     try {
       // Get subscription plan IDs from configuration
-      const planIds = config.subscriptionPlans;
+      const planIds = routedPlanIds
+        ? config.subscriptionPlans.filter(planId => routedPlanIds.includes(planId.toString()))
+        : config.subscriptionPlans;
       
       if (!planIds || planIds.length === 0) {
         return [];
@@ -205,7 +1109,7 @@ class AlertProcessingService {
       return subscribedUsers;
     } catch (error) {
       logger.error('Error finding subscribed users:', error);
-      return [];
+      throw error;
     }
   }
 
@@ -214,243 +1118,1080 @@ class AlertProcessingService {
    * @param {Object} alert - The alert document
    * @param {Object} config - The alert configuration
    * @param {Array} subscribedUsers - Array of subscribed users
+   * @param {Object} [ruleOutcome] - Outcome of the configuration's conditions
    */
-  async processEntrySignal(alert, config, subscribedUsers) {
-    const { symbol, strategy, signal, price, takeProfitPrice, stopLossPrice } = alert.alertData;
+  async processEntrySignal(alert, config, subscribedUsers, ruleOutcome = null) {
+    const { symbol, signal, price } = alert.alertData;
     
+    // The alert is retried after a failure; users already handled are skipped then
+    let failure = null;
     for (const userInfo of subscribedUsers) {
       try {
         const { user, subscription } = userInfo;
         
-        // Check trade limits for this user and configuration
-        const openTrades = await Trade.findOpenTrades(user._id, config._id);
-        const maxTrades = config.tradeManagement.maxOpenTrades;
+        // Already handled by an earlier attempt of this alert
+        if (alert.hasMatchedUser(user._id, config._id)) {
+          continue;
+        }
         
-        let shouldCreateTrade = true;
-        let tradeAction = 'open_trade';
-        let replacedTradeId = null;
+        // An interrupted attempt may have opened the trade without recording the user
+        const resumedTrade = await Trade.findOne({
+          userId: user._id,
+          alertConfigId: config._id,
+          'alerts.entryAlertId': alert._id
+        });
+        if (resumedTrade) {
+          await alert.addMatchedUser(user._id, subscription._id, config._id);
+          await this.sendTelegramNotification(user, alert, config, {
+            action: resumedTrade.tradeData.entryTrigger.price ? 'place_order' : 'open_trade',
+            tradeNumber: resumedTrade.tradeNumber,
+            entryTrigger: resumedTrade.tradeData.entryTrigger,
+            rules: ruleOutcome
+          });
+          continue;
+        }
         
-        if (openTrades.length >= maxTrades) {
-          if (config.tradeManagement.replaceOnSameSignal) {
-            // Find trade with same signal to replace
-            const sameSignalTrade = openTrades.find(trade => 
-              trade.tradeData.signal === signal
-            );
-            
-            if (sameSignalTrade) {
-              // Replace existing trade
-              await this.replaceTrade(sameSignalTrade, alert, 'Same signal replacement');
-              replacedTradeId = sameSignalTrade._id;
-              tradeAction = 'replace_trade';
-            } else if (config.tradeManagement.allowOppositeSignals) {
-              // Find oldest trade to replace
-              const oldestTrade = openTrades.sort((a, b) => 
-                a.timestamps.openedAt - b.timestamps.openedAt
-              )[0];
-              
-              await this.replaceTrade(oldestTrade, alert, 'Trade limit reached');
-              replacedTradeId = oldestTrade._id;
-              tradeAction = 'replace_trade';
-            } else {
-              shouldCreateTrade = false;
-              logger.info('Trade limit reached, skipping trade creation', {
-                userId: user._id,
-                configId: config._id,
-                openTrades: openTrades.length,
-                maxTrades
-              });
-            }
+        // Check trade limits for this user, configuration and symbol
+        const openTrades = await Trade.findOpenTrades(user._id, config._id, symbol);
+        
+        const userRules = this.resolveUserRules(alert, config, ruleOutcome, openTrades);
+        const skipReason = this.getRuleSkipReason(userRules, userInfo.plan);
+        if (skipReason) {
+          logger.info('Alert skipped for user by configuration conditions', {
+            alertId: alert._id,
+            userId: user._id,
+            configId: config._id,
+            reason: skipReason
+          });
+          continue;
+        }
+        const { takeProfitPrice, stopLossPrice } = {
+          takeProfitPrice: alert.alertData.takeProfitPrice,
+          stopLossPrice: alert.alertData.stopLossPrice,
+          ...(userRules ? userRules.levels : {})
+        };
+        
+        // Limit entries wait for the price; trade limits apply when the price triggers them
+        const entryTrigger = this.getEntryTrigger(alert, config);
+        if (entryTrigger) {
+          if (entryTrigger.expiresAt <= new Date()) {
+            logger.info('Limit entry expired before it was placed, skipping', {
+              alertId: alert._id,
+              userId: user._id,
+              configId: config._id,
+              expiresAt: entryTrigger.expiresAt
+            });
+            continue;
+          }
+          
+          const pendingTrade = await this.createTrade(alert, config, userInfo, signal, { takeProfitPrice, stopLossPrice, entryTrigger });
+          alert.processing.tradeActions.push({
+            action: 'place_order',
+            tradeId: pendingTrade._id,
+            userId: user._id,
+            executed: true,
+            executedAt: new Date()
+          });
+          
+          logger.info('Pending entry placed for entry signal', {
+            tradeId: pendingTrade._id,
+            tradeNumber: pendingTrade.tradeNumber,
+            userId: user._id,
+            symbol,
+            signal,
+            triggerPrice: entryTrigger.price,
+            expiresAt: entryTrigger.expiresAt
+          });
+          
+          await alert.addMatchedUser(user._id, subscription._id, config._id);
+          await this.sendTelegramNotification(user, alert, config, {
+            action: 'place_order',
+            tradeNumber: pendingTrade.tradeNumber,
+            entryTrigger,
+            rules: userRules
+          });
+          continue;
+        }
+        
+        const decision = this.selectEntryAction(openTrades, config, signal);
+        
+        const shouldCreateTrade = decision.action !== null;
+        const tradeAction = decision.action || 'open_trade';
+        const replacedTradeId = decision.tradeToReplace ? decision.tradeToReplace._id : null;
+        
+        if (!shouldCreateTrade) {
+          logger.info('Trade limit reached, skipping trade creation', {
+            userId: user._id,
+            configId: config._id,
+            symbol,
+            openTrades: openTrades.length,
+            maxTrades: config.tradeManagement.maxOpenTrades
+          });
+        }
+        
+        let tradeNumber = null;
+        if (shouldCreateTrade) {
+          // Create new trade
+          const newTrade = await this.createTrade(alert, config, userInfo, signal, { takeProfitPrice, stopLossPrice });
+          tradeNumber = newTrade.tradeNumber;
+          
+          if (decision.tradeToReplace) {
+            await this.replaceTrade(decision.tradeToReplace, newTrade, decision.reason);
+          }
+          
+          // Record trade action in alert
+          alert.processing.tradeActions.push({
+            action: tradeAction,
+            tradeId: newTrade._id,
+            userId: user._id,
+            executed: true,
+            executedAt: new Date()
+          });
+          
+          logger.info('Trade created for entry signal', {
+            tradeId: newTrade._id,
+            tradeNumber,
+            userId: user._id,
+            symbol,
+            signal,
+            price,
+            replacedTradeId
+          });
+        }
+        
+        // Mark user as matched in alert (before notifying, so a resumed attempt never re-sends)
+        await alert.addMatchedUser(user._id, subscription._id, config._id);
+        
+        // Send Telegram notification
+        await this.sendTelegramNotification(user, alert, config, {
+          action: tradeAction,
+          tradeNumber,
+          rules: userRules
+        });
+        
+      } catch (error) {
+        logger.error('Error processing entry signal for user:', error, {
+          userId: userInfo.user._id,
+          alertId: alert._id
+        });
+        failure = failure || error;
+      }
+    }
+    
+    await alert.save();
+    if (failure) {
+      throw failure;
+    }
+  }
+
+  /**
+   * Process exit signals (TP_HIT/SL_HIT/CLOSE) and CANCEL
+   * Exits close the targeted trades at the alert price with the signal as exit reason;
+   * CANCEL withdraws pending entries without P&L and leaves open trades alone.
+   * @param {Object} alert - The alert document
+   * @param {Object} config - The alert configuration
+   * @param {Array} subscribedUsers - Array of subscribed users
+   * @param {Object} [ruleOutcome] - Outcome of the configuration's conditions
+   */
+  async processExitSignal(alert, config, subscribedUsers, ruleOutcome = null) {
+    const { symbol, signal, price } = alert.alertData;
+    const action = signal === 'CANCEL' ? 'cancel_trade' : 'close_trade';
+    
+    let failure = null;
+    for (const userInfo of subscribedUsers) {
+      try {
+        const { user, subscription } = userInfo;
+        
+        // Already handled by an earlier attempt of this alert
+        if (alert.hasMatchedUser(user._id, config._id)) {
+          continue;
+        }
+        
+        const openTrades = ruleOutcome && ruleOutcome.deferred
+          ? await Trade.findOpenTrades(user._id, config._id, symbol)
+          : null;
+        const userRules = this.resolveUserRules(alert, config, ruleOutcome, openTrades);
+        const skipReason = this.getRuleSkipReason(userRules, userInfo.plan);
+        if (skipReason) {
+          logger.info('Alert skipped for user by configuration conditions', {
+            alertId: alert._id,
+            userId: user._id,
+            configId: config._id,
+            reason: skipReason
+          });
+          continue;
+        }
+        
+        // Find open trades to close (pending entries for CANCEL)
+        const tradesToClose = await this.findTradesToClose(alert, config, user._id, {
+          status: signal === 'CANCEL' ? 'pending' : 'open'
+        });
+        
+        for (const trade of tradesToClose) {
+          if (signal === 'CANCEL') {
+            await trade.cancelTrade();
+          } else {
+            await trade.closeTrade(price, signal);
+          }
+          
+          // Update trade with exit alert
+          trade.alerts.exitAlertId = alert._id;
+          await trade.save();
+          
+          // Record trade action in alert
+          alert.processing.tradeActions.push({
+            action,
+            tradeId: trade._id,
+            userId: user._id,
+            executed: true,
+            executedAt: new Date()
+          });
+          
+          if (signal === 'CANCEL') {
+            logger.info('Pending entry cancelled', {
+              tradeId: trade._id,
+              tradeNumber: trade.tradeNumber,
+              userId: user._id,
+              symbol,
+              entryPrice: trade.tradeData.entryPrice
+            });
+          } else {
+            logger.info('Trade closed for exit signal', {
+              tradeId: trade._id,
+              tradeNumber: trade.tradeNumber,
+              userId: user._id,
+              symbol,
+              signal,
+              exitPrice: price,
+              pnl: trade.pnl
+            });
+          }
+        }
+        
+        // Trades closed by an interrupted attempt of this alert
+        const previouslyClosed = await Trade.countDocuments({
+          userId: user._id,
+          'alerts.exitAlertId': alert._id,
+          _id: { $nin: tradesToClose.map(trade => trade._id) }
+        });
+        
+        if (signal === 'CANCEL' && tradesToClose.length + previouslyClosed === 0) {
+          logger.info('No pending entries to cancel', {
+            alertId: alert._id,
+            userId: user._id,
+            configId: config._id,
+            symbol
+          });
+          continue;
+        }
+        
+        // Mark user as matched in alert (before notifying, so a resumed attempt never re-sends)
+        await alert.addMatchedUser(user._id, subscription._id, config._id);
+        
+        // Send Telegram notification
+        await this.sendTelegramNotification(user, alert, config, {
+          action,
+          closedTrades: tradesToClose.length + previouslyClosed,
+          takeProfits: tradesToClose.length === 1 && tradesToClose[0].tradeData.takeProfits.length > 0
+            ? tradesToClose[0].tradeData.takeProfits
+            : undefined,
+          rules: userRules
+        });
+        
+      } catch (error) {
+        logger.error('Error processing exit signal for user:', error, {
+          userId: userInfo.user._id,
+          alertId: alert._id
+        });
+        failure = failure || error;
+      }
+    }
+    
+    await alert.save();
+    if (failure) {
+      throw failure;
+    }
+  }
+
+  /**
+   * Process take-profit target signals (TP1_HIT..TP3_HIT)
+   * Each targeted trade closes the allocation of that ladder target at the alert price; the
+   * trade closes once nothing remains. Trades without the target close entirely (TP_HIT).
+   * With `breakevenAfterTP1`, TP1 also moves the stop loss to the entry price.
+   * @param {Object} alert - The alert document
+   * @param {Object} config - The alert configuration
+   * @param {Array} subscribedUsers - Array of subscribed users
+   * @param {Object} [ruleOutcome] - Outcome of the configuration's conditions
+   */
+  async processTakeProfitSignal(alert, config, subscribedUsers, ruleOutcome = null) {
+    const { symbol, signal, price } = alert.alertData;
+    const level = getTakeProfitLevel(signal);
+    const { breakevenAfterTP1 } = config.tradeManagement.takeProfitLadder;
+    
+    let failure = null;
+    for (const userInfo of subscribedUsers) {
+      try {
+        const { user, subscription } = userInfo;
+        
+        // Already handled by an earlier attempt of this alert
+        if (alert.hasMatchedUser(user._id, config._id)) {
+          continue;
+        }
+        
+        const openTrades = ruleOutcome && ruleOutcome.deferred
+          ? await Trade.findOpenTrades(user._id, config._id, symbol)
+          : null;
+        const userRules = this.resolveUserRules(alert, config, ruleOutcome, openTrades);
+        const skipReason = this.getRuleSkipReason(userRules, userInfo.plan);
+        if (skipReason) {
+          logger.info('Alert skipped for user by configuration conditions', {
+            alertId: alert._id,
+            userId: user._id,
+            configId: config._id,
+            reason: skipReason
+          });
+          continue;
+        }
+        
+        const trades = await this.findTradesToClose(alert, config, user._id);
+        const handled = [];
+        
+        for (const trade of trades) {
+          const target = trade.tradeData.takeProfits.find(leg => leg.level === level);
+          if (target && target.hit) {
+            continue;
+          }
+          
+          if (target) {
+            await trade.hitTakeProfit(level, price, alert._id);
           } else {
-            shouldCreateTrade = false;
+            await trade.closeTrade(price, 'TP_HIT');
+          }
+          
+          if (trade.status === 'closed') {
+            trade.alerts.exitAlertId = alert._id;
+            await trade.save();
+          } else if (level === 1 && breakevenAfterTP1) {
+            await trade.updateLevels({ stopLossPrice: trade.tradeData.entryPrice }, 'breakeven after TP1');
           }
+          handled.push(trade);
+          
+          alert.processing.tradeActions.push({
+            action: trade.status === 'closed' ? 'close_trade' : 'partial_close',
+            tradeId: trade._id,
+            userId: user._id,
+            executed: true,
+            executedAt: new Date()
+          });
+          
+          logger.info('Take-profit target hit', {
+            tradeId: trade._id,
+            tradeNumber: trade.tradeNumber,
+            userId: user._id,
+            symbol,
+            level,
+            exitPrice: price,
+            remainingAllocation: trade.getRemainingAllocation(),
+            status: trade.status,
+            pnl: trade.pnl
+          });
+        }
+        
+        // Trades handled by an interrupted attempt of this alert
+        const previouslyHandled = await Trade.countDocuments({
+          userId: user._id,
+          $or: [
+            { 'alerts.exitAlertId': alert._id },
+            { 'tradeData.takeProfits.alertId': alert._id }
+          ],
+          _id: { $nin: handled.map(trade => trade._id) }
+        });
+        
+        // Mark user as matched in alert (before notifying, so a resumed attempt never re-sends)
+        await alert.addMatchedUser(user._id, subscription._id, config._id);
+        
+        await this.sendTelegramNotification(user, alert, config, {
+          action: 'partial_close',
+          level,
+          closedTrades: handled.length + previouslyHandled,
+          takeProfits: handled.length === 1 ? handled[0].tradeData.takeProfits : undefined,
+          rules: userRules
+        });
+        
+      } catch (error) {
+        logger.error('Error processing take-profit signal for user:', error, {
+          userId: userInfo.user._id,
+          alertId: alert._id
+        });
+        failure = failure || error;
+      }
+    }
+    
+    await alert.save();
+    if (failure) {
+      throw failure;
+    }
+  }
+
+  /**
+   * Process reversal signals (REVERSE)
+   * The targeted trades are closed at the alert price and one trade is opened on the opposite
+   * side of the most recent of them, with the alert's TP/SL, when the trade limit allows.
+   * Without open trades there is nothing to reverse.
+   * @param {Object} alert - The alert document
+   * @param {Object} config - The alert configuration
+   * @param {Array} subscribedUsers - Array of subscribed users
+   * @param {Object} [ruleOutcome] - Outcome of the configuration's conditions
+   */
+  async processReverseSignal(alert, config, subscribedUsers, ruleOutcome = null) {
+    const { symbol, price } = alert.alertData;
+    
+    let failure = null;
+    for (const userInfo of subscribedUsers) {
+      try {
+        const { user, subscription } = userInfo;
+        
+        // Already handled by an earlier attempt of this alert
+        if (alert.hasMatchedUser(user._id, config._id)) {
+          continue;
         }
         
-        if (shouldCreateTrade) {
-          // Create new trade
-          const tradeNumber = await Trade.getNextTradeNumber();
-          
-          const newTrade = new Trade({
-            tradeNumber,
+        const openTrades = await Trade.findOpenTrades(user._id, config._id, symbol);
+        const userRules = this.resolveUserRules(alert, config, ruleOutcome, openTrades);
+        const skipReason = this.getRuleSkipReason(userRules, userInfo.plan);
+        if (skipReason) {
+          logger.info('Alert skipped for user by configuration conditions', {
+            alertId: alert._id,
             userId: user._id,
-            alertConfigId: config._id,
-            subscriptionId: subscription._id,
-            tradeData: {
-              symbol: symbol.toUpperCase(),
-              timeframe: alert.alertData.timeframe,
-              strategy,
-              signal,
-              entryPrice: price,
-              takeProfitPrice,
-              stopLossPrice
-            },
-            status: 'open',
-            alerts: {
-              entryAlertId: alert._id
-            }
+            configId: config._id,
+            reason: skipReason
           });
+          continue;
+        }
+        
+        // The trade this alert opened is never reversed by a resumed attempt
+        const tradesToClose = (await this.findTradesToClose(alert, config, user._id))
+          .filter(trade => !alert._id.equals(trade.alerts.entryAlertId));
+        
+        for (const trade of tradesToClose) {
+          await trade.closeTrade(price, 'REVERSE');
           
-          await newTrade.save();
+          trade.alerts.exitAlertId = alert._id;
+          await trade.save();
           
-          // Record trade action in alert
           alert.processing.tradeActions.push({
-            action: tradeAction,
-            tradeId: newTrade._id,
+            action: 'reverse_trade',
+            tradeId: trade._id,
             userId: user._id,
             executed: true,
             executedAt: new Date()
           });
+        }
+        
+        // Include trades reversed by an interrupted attempt of this alert, newest first
+        const reversedTrades = await Trade.find({
+          userId: user._id,
+          'alerts.exitAlertId': alert._id
+        }).sort({ 'timestamps.openedAt': -1 });
+        
+        let newTrade = await Trade.findOne({
+          userId: user._id,
+          alertConfigId: config._id,
+          'alerts.entryAlertId': alert._id
+        });
+        
+        if (!newTrade && reversedTrades.length > 0) {
+          const remainingTrades = await Trade.findOpenTrades(user._id, config._id, symbol);
           
-          logger.info('Trade created for entry signal', {
-            tradeId: newTrade._id,
-            tradeNumber,
-            userId: user._id,
-            symbol,
-            signal,
-            price,
-            replacedTradeId
-          });
+          if (remainingTrades.length < config.tradeManagement.maxOpenTrades) {
+            newTrade = await this.createTrade(
+              alert,
+              config,
+              userInfo,
+              getOppositeSignal(reversedTrades[0].tradeData.signal),
+              {
+                takeProfitPrice: alert.alertData.takeProfitPrice,
+                stopLossPrice: alert.alertData.stopLossPrice,
+                ...(userRules ? userRules.levels : {})
+              }
+            );
+            
+            alert.processing.tradeActions.push({
+              action: 'open_trade',
+              tradeId: newTrade._id,
+              userId: user._id,
+              executed: true,
+              executedAt: new Date()
+            });
+          } else {
+            logger.info('Trade limit reached, reversal closes without opening', {
+              userId: user._id,
+              configId: config._id,
+              symbol,
+              openTrades: remainingTrades.length,
+              maxTrades: config.tradeManagement.maxOpenTrades
+            });
+          }
         }
         
-        // Send Telegram notification
-        await this.sendTelegramNotification(user, alert, config, {
-          action: tradeAction,
-          tradeNumber: shouldCreateTrade ? await Trade.getNextTradeNumber() - 1 : null
+        logger.info('Trades reversed for reverse signal', {
+          userId: user._id,
+          symbol,
+          closedTrades: reversedTrades.map(trade => trade.tradeNumber),
+          newTradeNumber: newTrade ? newTrade.tradeNumber : null,
+          price
         });
         
-        // Mark user as matched in alert
-        await alert.addMatchedUser(user._id, subscription._id);
+        // Mark user as matched in alert (before notifying, so a resumed attempt never re-sends)
+        await alert.addMatchedUser(user._id, subscription._id, config._id);
+        
+        await this.sendTelegramNotification(user, alert, config, {
+          action: 'reverse_trade',
+          closedTrades: reversedTrades.length,
+          tradeNumber: newTrade ? newTrade.tradeNumber : null,
+          newSignal: newTrade ? newTrade.tradeData.signal : null,
+          rules: userRules
+        });
         
       } catch (error) {
-        logger.error('Error processing entry signal for user:', error, {
+        logger.error('Error processing reverse signal for user:', error, {
           userId: userInfo.user._id,
           alertId: alert._id
         });
+        failure = failure || error;
       }
     }
     
     await alert.save();
+    if (failure) {
+      throw failure;
+    }
   }
 
   /**
-   * Process exit signals (TP_HIT/SL_HIT)
+   * Process move-to-breakeven signals (BREAKEVEN)
+   * The stop loss of each targeted trade is moved to its entry price.
    * @param {Object} alert - The alert document
    * @param {Object} config - The alert configuration
    * @param {Array} subscribedUsers - Array of subscribed users
+   * @param {Object} [ruleOutcome] - Outcome of the configuration's conditions
    */
-  async processExitSignal(alert, config, subscribedUsers) {
-    const { symbol, strategy, signal, price } = alert.alertData;
-    const { tradeNumber } = alert.alertData.additionalData || {};
+  async processBreakevenSignal(alert, config, subscribedUsers, ruleOutcome = null) {
+    const { symbol } = alert.alertData;
     
+    let failure = null;
     for (const userInfo of subscribedUsers) {
       try {
         const { user, subscription } = userInfo;
         
-        // Find open trades to close
-        let tradesToClose = [];
+        // Already handled by an earlier attempt of this alert
+        if (alert.hasMatchedUser(user._id, config._id)) {
+          continue;
+        }
         
-        if (tradeNumber) {
-          // Close specific trade by number
-          const specificTrade = await Trade.findOne({
-            tradeNumber: parseInt(tradeNumber),
+        const openTrades = ruleOutcome && ruleOutcome.deferred
+          ? await Trade.findOpenTrades(user._id, config._id, symbol)
+          : null;
+        const userRules = this.resolveUserRules(alert, config, ruleOutcome, openTrades);
+        const skipReason = this.getRuleSkipReason(userRules, userInfo.plan);
+        if (skipReason) {
+          logger.info('Alert skipped for user by configuration conditions', {
+            alertId: alert._id,
             userId: user._id,
-            status: 'open'
+            configId: config._id,
+            reason: skipReason
           });
-          
-          if (specificTrade) {
-            tradesToClose.push(specificTrade);
-          }
-        } else {
-          // Close trades matching symbol and strategy
-          tradesToClose = await Trade.find({
-            userId: user._id,
-            alertConfigId: config._id,
-            'tradeData.symbol': symbol.toUpperCase(),
-            'tradeData.strategy': strategy,
-            status: 'open'
-          }).sort({ 'timestamps.openedAt': 1 }); // Close oldest first
+          continue;
         }
         
-        for (const trade of tradesToClose) {
-          const exitReason = signal === 'TP_HIT' ? 'TP_HIT' : 'SL_HIT';
-          await trade.closeTrade(price, exitReason);
-          
-          // Update trade with exit alert
-          trade.alerts.exitAlertId = alert._id;
-          await trade.save();
+        // Trades already at breakeven (e.g. from an interrupted attempt) are left unchanged
+        const trades = await this.findTradesToClose(alert, config, user._id);
+        
+        for (const trade of trades) {
+          const change = await trade.updateLevels({ stopLossPrice: trade.tradeData.entryPrice }, 'breakeven');
+          if (!change) {
+            continue;
+          }
           
-          // Record trade action in alert
           alert.processing.tradeActions.push({
-            action: 'close_trade',
+            action: 'update_levels',
             tradeId: trade._id,
             userId: user._id,
             executed: true,
             executedAt: new Date()
           });
           
-          logger.info('Trade closed for exit signal', {
+          logger.info('Stop loss moved to breakeven', {
             tradeId: trade._id,
             tradeNumber: trade.tradeNumber,
             userId: user._id,
             symbol,
-            signal,
-            exitPrice: price,
-            pnl: trade.pnl
+            change
           });
         }
         
-        // Send Telegram notification
+        // Mark user as matched in alert (before notifying, so a resumed attempt never re-sends)
+        await alert.addMatchedUser(user._id, subscription._id, config._id);
+        
         await this.sendTelegramNotification(user, alert, config, {
-          action: 'close_trade',
-          closedTrades: tradesToClose.length
+          action: 'update_levels',
+          updatedTrades: trades.length,
+          rules: userRules
         });
         
-        // Mark user as matched in alert
-        await alert.addMatchedUser(user._id, subscription._id);
-        
       } catch (error) {
-        logger.error('Error processing exit signal for user:', error, {
+        logger.error('Error processing breakeven signal for user:', error, {
           userId: userInfo.user._id,
           alertId: alert._id
         });
+        failure = failure || error;
       }
     }
     
     await alert.save();
+    if (failure) {
+      throw failure;
+    }
+  }
+
+  /**
+   * Open a trade for a user from an alert
+   * @param {Object} alert - The alert document
+   * @param {Object} config - The alert configuration
+   * @param {Object} userInfo - Subscribed user ({ user, subscription })
+   * @param {string} signal - Side of the trade (BUY/SELL)
+   * @param {Object} levels - { takeProfitPrice, stopLossPrice, entryTrigger }; with an entry
+   *   trigger the trade is pending until the price reaches it
+   * @returns {Object} The saved trade
+   */
+  async createTrade(alert, config, { user, subscription }, signal, { takeProfitPrice, stopLossPrice, entryTrigger = null }) {
+    const { symbol, timeframe, strategy, price } = alert.alertData;
+    const takeProfits = Trade.buildTakeProfits(
+      alert.alertData.takeProfits,
+      config.tradeManagement.takeProfitLadder.allocations
+    );
+    
+    const tradeNumberScope = Trade.getNumberingScope(config);
+    const trade = new Trade({
+      tradeNumber: await Trade.getNextTradeNumber(tradeNumberScope),
+      tradeNumberScope,
+      userId: user._id,
+      alertConfigId: config._id,
+      subscriptionId: subscription._id,
+      tradeData: {
+        symbol: symbol.toUpperCase(),
+        timeframe,
+        strategy,
+        signal,
+        entryPrice: entryTrigger ? entryTrigger.price : price,
+        takeProfitPrice,
+        takeProfits,
+        stopLossPrice,
+        entryTrigger: entryTrigger || undefined
+      },
+      status: entryTrigger ? 'pending' : 'open',
+      alerts: {
+        entryAlertId: alert._id
+      }
+    });
+    if (entryTrigger) {
+      trade.timestamps.placedAt = new Date();
+    }
+    
+    await trade.save();
+    return trade;
+  }
+
+  /**
+   * Rule outcome for one user
+   * Conditions reading `trades` are skipped at the configuration level; when there are any,
+   * all conditions are evaluated again with the user's open trades.
+   * @param {Object} alert - The alert document
+   * @param {Object} config - The alert configuration
+   * @param {Object} ruleOutcome - Configuration-level outcome
+   * @param {Array} openTrades - User's open trades for the configuration
+   * @returns {Object|null} Rule outcome for the user
+   */
+  resolveUserRules(alert, config, ruleOutcome, openTrades) {
+    if (!ruleOutcome || !ruleOutcome.deferred) {
+      return ruleOutcome;
+    }
+    return config.evaluateConditions(alert.alertData, { openTrades });
+  }
+
+  /**
+   * Rule outcome without the evaluated facts, for API responses
+   * @param {Object} ruleOutcome - Rule outcome
+   * @returns {Object} Matched conditions and resulting actions
+   */
+  summarizeRuleOutcome(ruleOutcome) {
+    const { facts, ...summary } = ruleOutcome;
+    return summary;
+  }
+
+  /**
+   * Why a user's rule outcome excludes them from an alert
+   * @param {Object} userRules - Rule outcome for the user
+   * @param {Object} plan - User's subscription plan
+   * @returns {string|null} Reason, or null when the user receives the alert
+   */
+  getRuleSkipReason(userRules, plan) {
+    if (!userRules) {
+      return null;
+    }
+    if (userRules.suppressedBy) {
+      return `Suppressed by condition "${userRules.suppressedBy.name}"`;
+    }
+    if (userRules.planIds && !(plan && userRules.planIds.includes(plan._id.toString()))) {
+      return 'Subscription plan not routed by conditions';
+    }
+    return null;
+  }
+
+  /**
+   * Work out what processing an alert would do against the current configurations,
+   * without writing anything or sending messages (dry run)
+   * Each alert is evaluated against the current trade state on its own, as a replay
+   * (exits only reach trades opened before the alert was received).
+   * @param {Object} alert - The alert document
+   * @returns {Object} Matched configurations with per-user trade actions and rendered messages
+   */
+  async planAlert(alert) {
+    const { signal } = alert.alertData;
+    const filtered = [];
+    const ruleOutcomes = new Map();
+    const matchingConfigs = await this.findMatchingConfigurations(
+      alert.alertData,
+      alert.webhook.alertConfigId,
+      { alert, dryRun: true, filtered, outcomes: ruleOutcomes }
+    );
+
+    const configs = filtered.map(({ config, reason, error }) => ({
+      configId: config._id,
+      name: config.name,
+      rejected: { reason, message: error },
+      users: []
+    }));
+    const references = new Map();
+    const calendars = new Map();
+    for (const config of matchingConfigs) {
+      const ageCheck = config.checkAlertAge(alert.alertData);
+      if (!ageCheck.isValid) {
+        configs.push({
+          configId: config._id,
+          name: config.name,
+          rejected: { reason: 'stale', message: ageCheck.error },
+          users: []
+        });
+        continue;
+      }
+
+      const sessionCheck = await this.checkConfigSession(config, new Date(), calendars);
+      if (!sessionCheck.isOpen) {
+        const hold = config.filters.session.policy === 'hold' && sessionCheck.nextOpenAt;
+        configs.push({
+          configId: config._id,
+          name: config.name,
+          rejected: hold
+            ? { reason: 'session_hold', message: `${sessionCheck.error}; held until ${sessionCheck.nextOpenAt.toISOString()}` }
+            : { reason: 'out_of_session', message: sessionCheck.error },
+          users: []
+        });
+        continue;
+      }
+
+      if (alert.processing.quarantine.decision !== 'released') {
+        const referencePrice = await this.findReferencePrice(alert, config, references);
+        const priceCheck = config.checkPriceDeviation(alert.alertData.price, referencePrice);
+        if (!priceCheck.isValid) {
+          configs.push({
+            configId: config._id,
+            name: config.name,
+            rejected: { reason: 'price_deviation', message: priceCheck.error },
+            users: []
+          });
+          continue;
+        }
+      }
+
+      const cooldownCheck = await this.checkConfigCooldown(alert, config);
+      if (cooldownCheck) {
+        configs.push({
+          configId: config._id,
+          name: config.name,
+          rejected: cooldownCheck,
+          users: []
+        });
+        continue;
+      }
+
+      const ruleOutcome = ruleOutcomes.get(config._id.toString());
+      const routedPlanIds = ruleOutcome && !ruleOutcome.deferred ? ruleOutcome.planIds : null;
+      const subscribedUsers = await this.findSubscribedUsers(config, routedPlanIds);
+      const users = [];
+
+      for (const { user, subscription, plan } of subscribedUsers) {
+        const entry = {
+          userId: user._id,
+          subscriptionId: subscription._id,
+          action: 'none',
+          reason: null
+        };
+
+        if (alert.hasMatchedUser(user._id, config._id)) {
+          users.push({ ...entry, reason: 'Already delivered for this alert' });
+          continue;
+        }
+
+        const openTrades = await Trade.findOpenTrades(user._id, config._id, alert.alertData.symbol);
+        const userRules = this.resolveUserRules(alert, config, ruleOutcome, openTrades);
+        const skipReason = this.getRuleSkipReason(userRules, plan);
+        if (skipReason) {
+          users.push({ ...entry, reason: skipReason });
+          continue;
+        }
+
+        let metadata = {};
+        if (signal === 'BUY' || signal === 'SELL') {
+          const existingTrade = await Trade.findOne({
+            userId: user._id,
+            alertConfigId: config._id,
+            'alerts.entryAlertId': alert._id
+          });
+
+          const entryTrigger = this.getEntryTrigger(alert, config);
+          if (existingTrade) {
+            entry.reason = 'Trade already opened by this alert';
+            metadata = {
+              action: existingTrade.tradeData.entryTrigger.price ? 'place_order' : 'open_trade',
+              tradeNumber: existingTrade.tradeNumber,
+              entryTrigger: existingTrade.tradeData.entryTrigger
+            };
+          } else if (entryTrigger) {
+            if (entryTrigger.expiresAt <= new Date()) {
+              entry.action = 'none';
+              entry.reason = 'Limit entry expired';
+            } else {
+              entry.action = 'place_order';
+            }
+            metadata = { action: 'place_order', entryTrigger };
+          } else {
+            const decision = this.selectEntryAction(openTrades, config, signal);
+
+            entry.action = decision.action || 'none';
+            entry.reason = decision.reason;
+            if (decision.tradeToReplace) {
+              entry.replacesTrade = {
+                tradeId: decision.tradeToReplace._id,
+                tradeNumber: decision.tradeToReplace.tradeNumber
+              };
+            }
+            metadata = { action: decision.action || 'open_trade' };
+          }
+        } else if (signal === 'REVERSE') {
+          const tradesToClose = (await this.findTradesToClose(alert, config, user._id, { replay: true }))
+            .filter(trade => !alert._id.equals(trade.alerts.entryAlertId));
+
+          let newSignal = null;
+          if (tradesToClose.length > 0) {
+            entry.action = 'reverse_trade';
+            entry.closesTrades = tradesToClose.map(trade => ({
+              tradeId: trade._id,
+              tradeNumber: trade.tradeNumber
+            }));
+            const remaining = openTrades.length - tradesToClose.filter(trade => trade.alertConfigId.equals(config._id)).length;
+            if (remaining < config.tradeManagement.maxOpenTrades) {
+              newSignal = getOppositeSignal(tradesToClose[tradesToClose.length - 1].tradeData.signal);
+              entry.opensSignal = newSignal;
+            } else {
+              entry.reason = 'Trade limit reached';
+            }
+          } else {
+            entry.reason = 'No open trades to reverse';
+          }
+          metadata = { action: 'reverse_trade', closedTrades: tradesToClose.length, newSignal };
+        } else if (signal === 'BREAKEVEN') {
+          const trades = await this.findTradesToClose(alert, config, user._id, { replay: true });
+          const tradesToUpdate = trades.filter(trade => trade.tradeData.stopLossPrice !== trade.tradeData.entryPrice);
+
+          if (tradesToUpdate.length > 0) {
+            entry.action = 'update_levels';
+            entry.updatesTrades = tradesToUpdate.map(trade => ({
+              tradeId: trade._id,
+              tradeNumber: trade.tradeNumber,
+              stopLossPrice: trade.tradeData.entryPrice
+            }));
+          } else {
+            entry.reason = trades.length > 0 ? 'Open trades already at breakeven' : 'No open trades to move to breakeven';
+          }
+          metadata = { action: 'update_levels', updatedTrades: trades.length };
+        } else if (getTakeProfitLevel(signal)) {
+          const level = getTakeProfitLevel(signal);
+          const trades = (await this.findTradesToClose(alert, config, user._id, { replay: true }))
+            .filter(trade => !trade.tradeData.takeProfits.some(leg => leg.level === level && leg.hit));
+
+          if (trades.length > 0) {
+            entry.action = 'partial_close';
+            entry.closesTrades = trades.map(trade => {
+              const target = trade.tradeData.takeProfits.find(leg => leg.level === level);
+              return {
+                tradeId: trade._id,
+                tradeNumber: trade.tradeNumber,
+                allocation: target ? target.allocation : trade.getRemainingAllocation()
+              };
+            });
+          } else {
+            entry.reason = `No open trades with TP${level} still to hit`;
+          }
+          metadata = {
+            action: 'partial_close',
+            level,
+            closedTrades: trades.length,
+            takeProfits: trades.length === 1 ? trades[0].tradeData.takeProfits : undefined
+          };
+        } else if (getSignalType(signal)) {
+          const action = signal === 'CANCEL' ? 'cancel_trade' : 'close_trade';
+          const tradesToClose = await this.findTradesToClose(alert, config, user._id, {
+            status: signal === 'CANCEL' ? 'pending' : 'open',
+            replay: true
+          });
+
+          if (tradesToClose.length > 0) {
+            entry.action = action;
+            entry.closesTrades = tradesToClose.map(trade => ({
+              tradeId: trade._id,
+              tradeNumber: trade.tradeNumber
+            }));
+          } else {
+            entry.reason = signal === 'CANCEL' ? 'No pending entries to cancel' : 'No open trades to close';
+          }
+          metadata = { action, closedTrades: tradesToClose.length };
+        }
+
+        const telegramUser = await TelegramUser.findOne({ userId: user._id });
+        entry.notify = Boolean(telegramUser && telegramUser.chatId);
+        entry.message = this.formatAlertMessage(alert, config, { ...metadata, rules: userRules });
+        users.push(entry);
+      }
+
+      configs.push({
+        configId: config._id,
+        name: config.name,
+        rules: ruleOutcome ? this.summarizeRuleOutcome(ruleOutcome) : undefined,
+        users
+      });
+    }
+
+    return {
+      alertId: alert._id,
+      symbol: alert.alertData.symbol,
+      signal,
+      status: alert.processing.status,
+      matchedConfigs: configs
+    };
+  }
+
+  /**
+   * Decide how an entry signal affects a user's open trades for a configuration
+   * @param {Array} openTrades - User's open trades for the configuration
+   * @param {Object} config - The alert configuration
+   * @param {string} signal - Entry signal (BUY/SELL)
+   * @returns {Object} { action: 'open_trade' | 'replace_trade' | null, tradeToReplace, reason }
+   */
+  selectEntryAction(openTrades, config, signal) {
+    const { maxOpenTrades, replaceOnSameSignal, allowOppositeSignals } = config.tradeManagement;
+
+    if (openTrades.length < maxOpenTrades) {
+      return { action: 'open_trade', tradeToReplace: null, reason: null };
+    }
+
+    if (replaceOnSameSignal) {
+      // Find trade with same signal to replace
+      const sameSignalTrade = openTrades.find(trade => trade.tradeData.signal === signal);
+      if (sameSignalTrade) {
+        return { action: 'replace_trade', tradeToReplace: sameSignalTrade, reason: 'Same signal replacement' };
+      }
+
+      if (allowOppositeSignals) {
+        // Find oldest trade to replace
+        const oldestTrade = [...openTrades].sort((a, b) =>
+          a.timestamps.openedAt - b.timestamps.openedAt
+        )[0];
+        return { action: 'replace_trade', tradeToReplace: oldestTrade, reason: 'Trade limit reached' };
+      }
+    }
+
+    return { action: null, tradeToReplace: null, reason: 'Trade limit reached' };
+  }
+
+  /**
+   * Entry trigger of a limit entry signal, when the configuration places pending entries
+   * @param {Object} alert - The alert document
+   * @param {Object} config - The alert configuration
+   * @returns {Object|null} { price, direction, expiresAt }, or null to open at the alert price
+   */
+  getEntryTrigger(alert, config) {
+    const { pendingEntries } = config.tradeManagement;
+    const { entryTrigger, price } = alert.alertData;
+
+    if (!pendingEntries || !pendingEntries.enabled || !entryTrigger || !entryTrigger.price ||
+        entryTrigger.price === price) {
+      return null;
+    }
+
+    return {
+      price: entryTrigger.price,
+      direction: entryTrigger.price < price ? 'below' : 'above',
+      expiresAt: entryTrigger.expiresAt ||
+        new Date(alert.webhook.receivedAt.getTime() + pendingEntries.expirySeconds * 1000)
+    };
+  }
+
+  /**
+   * Find the open trades an exit signal closes for a user
+   * A replayed alert only reaches trades opened (pending entries: placed) before it was received.
+   * @param {Object} alert - The alert document
+   * @param {Object} config - The alert configuration
+   * @param {string} userId - User ID
+   * @param {Object} [options] - { status ('pending' for pending entries), replay }
+   * @returns {Array} Trades to close, oldest first
+   */
+  async findTradesToClose(alert, config, userId, { status = 'open', replay = alert.isReplay() } = {}) {
+    const { symbol, strategy } = alert.alertData;
+    const { tradeNumber } = alert.alertData.additionalData || {};
+
+    const query = { userId, status };
+    if (replay) {
+      const since = status === 'pending' ? 'timestamps.placedAt' : 'timestamps.openedAt';
+      query[since] = { $lte: alert.webhook.receivedAt };
+    }
+
+    if (tradeNumber) {
+      // Close specific trade by number
+      const specificTrade = await Trade.findOne({
+        ...Trade.byTradeNumber(tradeNumber, Trade.getNumberingScope(config)),
+        ...query
+      });
+      return specificTrade ? [specificTrade] : [];
+    }
+
+    // Close trades matching symbol and strategy
+    return Trade.find({
+      ...query,
+      alertConfigId: config._id,
+      'tradeData.symbol': symbol.toUpperCase(),
+      'tradeData.strategy': strategy
+    }).sort({ 'timestamps.openedAt': 1 }); // Close oldest first
   }
 
   /**
    * Replace an existing trade
    * @param {Object} existingTrade - The trade to replace
-   * @param {Object} alert - The new alert
+   * @param {Object} newTrade - Trade opened by the new alert
    * @param {string} reason - Replacement reason
    */
-  async replaceTrade(existingTrade, alert, reason) {
+  async replaceTrade(existingTrade, newTrade, reason) {
     try {
-      const tradeNumber = await Trade.getNextTradeNumber();
-      
-      // Create new trade
-      const newTrade = new Trade({
-        tradeNumber,
-        userId: existingTrade.userId,
-        alertConfigId: existingTrade.alertConfigId,
-        subscriptionId: existingTrade.subscriptionId,
-        tradeData: {
-          symbol: alert.alertData.symbol.toUpperCase(),
-          timeframe: alert.alertData.timeframe,
-          strategy: alert.alertData.strategy,
-          signal: alert.alertData.signal,
-          entryPrice: alert.alertData.price,
-          takeProfitPrice: alert.alertData.takeProfitPrice,
-          stopLossPrice: alert.alertData.stopLossPrice
-        },
-        status: 'open',
-        alerts: {
-          entryAlertId: alert._id
-        }
-      });
-      
-      await newTrade.save();
-      
       // Mark existing trade as replaced
       await existingTrade.replaceTrade(newTrade._id, reason);
       
@@ -469,6 +2210,111 @@ class AlertProcessingService {
     }
   }
 
+  /**
+   * Update take-profit and stop-loss levels on trades
+   * A trade number is looked up in the numbering scope of the configuration given by
+   * alertConfigId; without alertConfigId only globally numbered trades are found. Trades
+   * found by number that are not open are reported as rejected with their status.
+   * @param {Object} criteria - tradeNumber, or symbol with strategy and/or alertConfigId
+   * @param {Object} levels - New takeProfitPrice and/or stopLossPrice
+   * @param {string} reason - Reason for the change (e.g. breakeven, trailing)
+   * @returns {Object} Matched, updated and rejected trades
+   */
+  async updateTradeLevels(criteria, levels, reason) {
+    const { tradeNumber, symbol, strategy, alertConfigId } = criteria;
+
+    let trades;
+    if (tradeNumber && alertConfigId) {
+      // Numbers repeat across configurations with their own numbering; the configuration
+      // narrows the number down to one trade
+      const config = await AlertConfiguration.findById(alertConfigId);
+      trades = config
+        ? await Trade.find({ ...Trade.byTradeNumber(tradeNumber, Trade.getNumberingScope(config)), alertConfigId })
+        : [];
+    } else if (tradeNumber) {
+      trades = await Trade.find(Trade.byTradeNumber(tradeNumber));
+    } else {
+      const query = {
+        'tradeData.symbol': symbol.toUpperCase(),
+        status: 'open'
+      };
+      if (strategy) query['tradeData.strategy'] = strategy;
+      if (alertConfigId) query.alertConfigId = alertConfigId;
+      trades = await Trade.find(query).sort({ 'timestamps.openedAt': 1 });
+    }
+
+    const updated = [];
+    const rejected = [];
+
+    for (const trade of trades) {
+      if (trade.status !== 'open') {
+        rejected.push({
+          tradeId: trade._id,
+          tradeNumber: trade.tradeNumber,
+          status: trade.status,
+          reason: `Trade #${trade.tradeNumber} is ${trade.status} and its TP/SL levels cannot be modified`
+        });
+        continue;
+      }
+
+      const takeProfitPrice = levels.takeProfitPrice ?? trade.tradeData.takeProfitPrice;
+      const stopLossPrice = levels.stopLossPrice ?? trade.tradeData.stopLossPrice;
+
+      // Keep the bracket consistent with the trade direction
+      if (takeProfitPrice && stopLossPrice) {
+        const isLong = trade.tradeData.signal === 'BUY';
+        if (isLong ? stopLossPrice >= takeProfitPrice : stopLossPrice <= takeProfitPrice) {
+          rejected.push({
+            tradeId: trade._id,
+            tradeNumber: trade.tradeNumber,
+            status: trade.status,
+            reason: `Stop loss must be ${isLong ? 'below' : 'above'} take profit for ${trade.tradeData.signal} trades`
+          });
+          continue;
+        }
+      }
+
+      try {
+        const change = await trade.updateLevels(levels, reason);
+        if (!change) {
+          continue;
+        }
+
+        updated.push({
+          tradeId: trade._id,
+          tradeNumber: trade.tradeNumber,
+          userId: trade.userId,
+          takeProfitPrice: trade.tradeData.takeProfitPrice,
+          stopLossPrice: trade.tradeData.stopLossPrice
+        });
+
+        logger.info('Trade levels updated', {
+          tradeId: trade._id,
+          tradeNumber: trade.tradeNumber,
+          userId: trade.userId,
+          change
+        });
+
+        if (telegramBot.isInitialized) {
+          await telegramBot.sendLevelsUpdateNotification(trade, change);
+        }
+      } catch (error) {
+        rejected.push({
+          tradeId: trade._id,
+          tradeNumber: trade.tradeNumber,
+          status: trade.status,
+          reason: error.message
+        });
+      }
+    }
+
+    return {
+      matched: trades.length,
+      updated,
+      rejected
+    };
+  }
+
   /**
    * Send Telegram notification to user
    * @param {Object} user - The user document
@@ -487,7 +2333,7 @@ class AlertProcessingService {
       }
       
       // Check if Telegram bot is initialized
-      if (!telegramBot.isInitialized()) {
+      if (!telegramBot.isInitialized) {
         logger.error('Telegram bot not initialized');
         return;
       }
@@ -526,15 +2372,29 @@ class AlertProcessingService {
    * @returns {string} Formatted message
    */
   formatAlertMessage(alert, config, metadata = {}) {
-    const { symbol, timeframe, strategy, signal, price, takeProfitPrice, stopLossPrice } = alert.alertData;
-    const { action, tradeNumber, closedTrades } = metadata;
+    const { symbol, timeframe, strategy, signal, price } = alert.alertData;
+    const { action, tradeNumber, closedTrades, updatedTrades, newSignal, level, entryTrigger, rules } = metadata;
+    const targets = metadata.takeProfits || alert.alertData.takeProfits || [];
+    const { takeProfitPrice, stopLossPrice } = {
+      takeProfitPrice: alert.alertData.takeProfitPrice,
+      stopLossPrice: alert.alertData.stopLossPrice,
+      ...(rules ? rules.levels : {})
+    };
     
     let message = `🚨 <b>Trading Alert</b>\n\n`;
     
+    if (rules && rules.priority) {
+      message += `❗ <b>Priority:</b> ${rules.priority.toUpperCase()}\n`;
+    }
+    
     // Alert details
     message += `📊 <b>Symbol:</b> ${symbol}\n`;
-    message += `⏰ <b>Timeframe:</b> ${timeframe}\n`;
+    message += `⏰ <b>Timeframe:</b> ${formatTimeframe(timeframe)}\n`;
     message += `🎯 <b>Strategy:</b> ${strategy}\n`;
+    if (alert.confluence && alert.confluence.contributions.length > 0) {
+      const strategies = [...new Set(alert.confluence.contributions.map(contribution => contribution.strategy))];
+      message += `🤝 <b>Confluence:</b> ${strategies.join(' + ')}\n`;
+    }
     message += `📈 <b>Signal:</b> ${signal}\n`;
     message += `💰 <b>Price:</b> $${price.toFixed(2)}\n`;
     
@@ -546,39 +2406,43 @@ class AlertProcessingService {
       message += `🛑 <b>Stop Loss:</b> $${stopLossPrice.toFixed(2)}\n`;
     }
     
+    if (targets.length > 0) {
+      message += `🪜 <b>Targets:</b>\n${formatTakeProfitTargets(targets).map(line => `   ${line}`).join('\n')}\n`;
+    }
+    
     // Trade information
     if (tradeNumber) {
       message += `\n🔢 <b>Trade #:</b> ${tradeNumber}\n`;
     }
     
-    if (action === 'replace_trade') {
+    if (action === 'place_order' && entryTrigger) {
+      message += `\n⏳ <b>Action:</b> Limit Order Placed @ $${entryTrigger.price.toFixed(2)}, expires ${new Date(entryTrigger.expiresAt).toLocaleString()}\n`;
+    } else if (action === 'replace_trade') {
       message += `\n🔄 <b>Action:</b> Trade Replaced\n`;
     } else if (action === 'close_trade' && closedTrades) {
       message += `\n✅ <b>Action:</b> ${closedTrades} Trade(s) Closed\n`;
+    } else if (action === 'cancel_trade' && closedTrades) {
+      message += `\n❌ <b>Action:</b> ${closedTrades} Limit Order(s) Cancelled\n`;
+    } else if (action === 'reverse_trade' && closedTrades) {
+      message += `\n🔁 <b>Action:</b> ${closedTrades} Trade(s) Closed`;
+      message += newSignal ? `, Reversed to ${newSignal}\n` : '\n';
+    } else if (action === 'partial_close' && closedTrades) {
+      message += `\n🎯 <b>Action:</b> TP${level} Hit on ${closedTrades} Trade(s)\n`;
+    } else if (action === 'update_levels' && updatedTrades) {
+      message += `\n🛡️ <b>Action:</b> Stop Loss Moved to Breakeven on ${updatedTrades} Trade(s)\n`;
+    }
+    
+    if (rules && rules.tags.length > 0) {
+      message += `\n🏷️ <b>Tags:</b> ${rules.tags.map(tag => `#${tag}`).join(' ')}\n`;
     }
     
     // Configuration info
     message += `\n📋 <b>Config:</b> ${config.name}\n`;
     message += `⏱️ <b>Time:</b> ${new Date().toLocaleString()}\n`;
+    message += `⌛ <b>Alert Age:</b> ${formatDuration((Date.now() - new Date(alert.alertData.timestamp).getTime()) / 1000)}\n`;
     
     return message;
   }
-
-  /**
-   * Get processing statistics
-   * @returns {Object} Processing statistics
-   */
-  getProcessingStats() {
-    return {
-      currentlyProcessing: this.processingQueue.size,
-      maxConcurrent: this.maxConcurrentProcessing,
-      queuedAlerts: Array.from(this.processingQueue.entries()).map(([id, info]) => ({
-        alertId: id,
-        startTime: info.startTime,
-        duration: Date.now() - info.startTime
-      }))
-    };
-  }
 }
 
 module.exports = new AlertProcessingService();
\ No newline at end of file
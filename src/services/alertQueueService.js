@@ -0,0 +1,506 @@
+const crypto = require('crypto');
+const os = require('os');
+const Alert = require('../models/Alert');
+const { getRedisClient } = require('../config/redis');
+const logger = require('../utils/logger');
+const alertProcessingService = require('./alertProcessingService');
+
+/**
+ * Durable alert processing queue on Redis.
+ *
+ * Alert IDs move from the pending list to the processing list of the instance
+ * whose worker handles them. Each instance keeps a heartbeat key alive; when it
+ * expires (crash or stop), any running instance requeues that instance's alerts.
+ * Failed alerts are retried with exponential backoff through a delayed sorted set
+ * and end up in the dead-letter hash once they run out of attempts.
+ */
+class AlertQueueService {
+  constructor() {
+    this.concurrency = parseInt(process.env.ALERT_QUEUE_CONCURRENCY, 10) || 10;
+    this.maxAttempts = parseInt(process.env.ALERT_QUEUE_MAX_ATTEMPTS, 10) || 5;
+    this.retryBaseDelayMs = parseInt(process.env.ALERT_QUEUE_RETRY_BASE_MS, 10) || 2000;
+    this.pollIntervalMs = parseInt(process.env.ALERT_QUEUE_POLL_INTERVAL_MS, 10) || 1000;
+    this.heartbeatTtlSeconds = parseInt(process.env.ALERT_QUEUE_HEARTBEAT_TTL_SECONDS, 10) || 30;
+    this.instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+    this.keys = {
+      pending: 'alert_queue:pending',
+      // Shared processing list of earlier versions, emptied on start
+      legacyProcessing: 'alert_queue:processing',
+      processing: this.getProcessingKey(this.instanceId),
+      instances: 'alert_queue:instances',
+      delayed: 'alert_queue:delayed',
+      attempts: 'alert_queue:attempts',
+      dead: 'alert_queue:dead'
+    };
+    this.activeJobs = new Map();
+    // Alerts waiting for a free worker slot while Redis is unavailable
+    this.localPending = [];
+    this.isRunning = false;
+    this.isDraining = false;
+    this.timer = null;
+  }
+
+  /**
+   * Start the queue workers
+   * Alerts left in the processing lists of stopped instances are requeued first.
+   */
+  async start() {
+    if (this.isRunning) {
+      return;
+    }
+
+    let client;
+    try {
+      client = getRedisClient();
+    } catch (error) {
+      logger.warn('Alert queue not started: Redis is not connected');
+      return;
+    }
+
+    await this.heartbeat();
+    let requeued = await this.requeueProcessingList(this.keys.legacyProcessing);
+    requeued += await this.recoverOrphanedAlerts();
+
+    this.isRunning = true;
+    this.timer = setInterval(() => this.tick(), this.pollIntervalMs);
+
+    logger.info('Alert queue started', {
+      concurrency: this.concurrency,
+      maxAttempts: this.maxAttempts,
+      requeued
+    });
+
+    this.drain();
+  }
+
+  /**
+   * Stop picking up new alerts (jobs already running are left to finish)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.isRunning = false;
+  }
+
+  /**
+   * Add an alert to the queue
+   * Without Redis the alert is processed in-process, without retries.
+   * @param {string} alertId - Alert ID
+   */
+  async enqueue(alertId) {
+    const id = alertId.toString();
+
+    try {
+      const client = getRedisClient();
+      await client.lPush(this.keys.pending, id);
+    } catch (error) {
+      logger.warn('Redis unavailable for alert queue, processing alert in-process', {
+        alertId: id,
+        error: error.message
+      });
+      this.localPending.push(id);
+      this.drainLocal();
+      return;
+    }
+
+    this.drain();
+  }
+
+  /**
+   * Add an alert to the queue unless it is already queued, running or awaiting a retry
+   * @param {string} alertId - Alert ID
+   * @returns {boolean} Whether the alert was queued
+   */
+  async requeue(alertId) {
+    const id = alertId.toString();
+
+    if (this.activeJobs.has(id) || this.localPending.includes(id)) {
+      return false;
+    }
+
+    try {
+      const client = getRedisClient();
+      const processingLists = await this.getProcessingLists(client);
+      const [pendingIndex, retryAt, ...processingIndexes] = await Promise.all([
+        client.lPos(this.keys.pending, id),
+        client.zScore(this.keys.delayed, id),
+        ...processingLists.map(list => client.lPos(list, id))
+      ]);
+      if (pendingIndex !== null || retryAt !== null || processingIndexes.some(index => index !== null)) {
+        return false;
+      }
+    } catch (error) {
+      // Without Redis the alert cannot be queued anywhere but in this process
+    }
+
+    await this.enqueue(id);
+    return true;
+  }
+
+  /**
+   * Push an alert through the pipeline again (admin reprocess / replay)
+   * Users already handled for the alert are skipped by the processing service.
+   * @param {string} alertId - Alert ID
+   * @param {string} adminId - Admin requesting the replay
+   * @returns {boolean} Whether the alert was queued (false if it is already queued)
+   */
+  async reprocess(alertId, adminId) {
+    const id = alertId.toString();
+
+    try {
+      await getRedisClient().hDel(this.keys.dead, id);
+    } catch (error) {
+      // Nothing can be dead-lettered without Redis
+    }
+
+    await Alert.updateOne(
+      { _id: id },
+      {
+        'processing.status': 'received',
+        'processing.attempts': 0,
+        $unset: { 'processing.deadLetteredAt': 1, 'processing.nextAttemptAt': 1 },
+        $push: { 'processing.replays': { adminId, replayedAt: new Date() } }
+      }
+    );
+
+    return this.requeue(id);
+  }
+
+  /**
+   * Periodic work: keep this instance alive, requeue the alerts of stopped instances,
+   * promote due retries and fill free worker slots
+   */
+  async tick() {
+    try {
+      await this.heartbeat();
+      await this.recoverOrphanedAlerts();
+    } catch (error) {
+      logger.error('Error recovering orphaned alerts:', error);
+    }
+    try {
+      await this.promoteDelayed();
+    } catch (error) {
+      logger.error('Error promoting delayed alerts:', error);
+    }
+    this.drain();
+  }
+
+  /**
+   * Register this instance and refresh its heartbeat key
+   */
+  async heartbeat() {
+    const client = getRedisClient();
+    await client
+      .multi()
+      .sAdd(this.keys.instances, this.instanceId)
+      .set(this.getHeartbeatKey(this.instanceId), Date.now().toString(), { EX: this.heartbeatTtlSeconds })
+      .exec();
+  }
+
+  /**
+   * Requeue the alerts of instances whose heartbeat expired
+   * @returns {number} Number of requeued alerts
+   */
+  async recoverOrphanedAlerts() {
+    const client = getRedisClient();
+    const instanceIds = await client.sMembers(this.keys.instances);
+    let requeued = 0;
+
+    for (const instanceId of instanceIds) {
+      if (instanceId === this.instanceId || await client.exists(this.getHeartbeatKey(instanceId))) {
+        continue;
+      }
+
+      const count = await this.requeueProcessingList(this.getProcessingKey(instanceId));
+      await client.sRem(this.keys.instances, instanceId);
+      requeued += count;
+      if (count > 0) {
+        logger.warn('Alerts of a stopped queue instance requeued', { instanceId, requeued: count });
+      }
+    }
+
+    return requeued;
+  }
+
+  /**
+   * Move every alert of a processing list back to the pending list
+   * @param {string} list - Processing list key
+   * @returns {number} Number of moved alerts
+   */
+  async requeueProcessingList(list) {
+    const client = getRedisClient();
+    let requeued = 0;
+    // lMove moves each alert once, even when several instances recover the same list
+    while (await client.lMove(list, this.keys.pending, 'RIGHT', 'RIGHT')) {
+      requeued++;
+    }
+    return requeued;
+  }
+
+  /**
+   * Get the processing list keys of all registered instances
+   * @param {Object} client - Redis client
+   * @returns {Array<string>} Processing list keys
+   */
+  async getProcessingLists(client) {
+    const instanceIds = await client.sMembers(this.keys.instances);
+    return instanceIds.map(instanceId => this.getProcessingKey(instanceId));
+  }
+
+  /**
+   * Get the processing list key of an instance
+   * @param {string} instanceId - Queue instance ID
+   * @returns {string} Redis key
+   */
+  getProcessingKey(instanceId) {
+    return `alert_queue:processing:${instanceId}`;
+  }
+
+  /**
+   * Get the heartbeat key of an instance
+   * @param {string} instanceId - Queue instance ID
+   * @returns {string} Redis key
+   */
+  getHeartbeatKey(instanceId) {
+    return `alert_queue:instance:${instanceId}`;
+  }
+
+  /**
+   * Move retries whose backoff has elapsed back to the pending list
+   */
+  async promoteDelayed() {
+    const client = getRedisClient();
+    const due = await client.zRangeByScore(this.keys.delayed, 0, Date.now());
+
+    for (const alertId of due) {
+      // zRem guards against another instance promoting the same alert
+      if (await client.zRem(this.keys.delayed, alertId)) {
+        await client.lPush(this.keys.pending, alertId);
+      }
+    }
+  }
+
+  /**
+   * Start jobs until the concurrency limit is reached or the queue is empty
+   */
+  async drain() {
+    if (!this.isRunning || this.isDraining) {
+      return;
+    }
+
+    this.isDraining = true;
+    try {
+      const client = getRedisClient();
+      while (this.activeJobs.size < this.concurrency) {
+        const alertId = await client.lMove(this.keys.pending, this.keys.processing, 'RIGHT', 'LEFT');
+        if (!alertId) {
+          break;
+        }
+        this.runJob(alertId, true);
+      }
+    } catch (error) {
+      logger.error('Error draining alert queue:', error);
+    } finally {
+      this.isDraining = false;
+    }
+  }
+
+  /**
+   * Start in-process jobs (Redis unavailable) until the concurrency limit is reached
+   */
+  drainLocal() {
+    while (this.localPending.length > 0 && this.activeJobs.size < this.concurrency) {
+      this.runJob(this.localPending.shift(), false);
+    }
+  }
+
+  /**
+   * Process a single alert
+   * @param {string} alertId - Alert ID
+   * @param {boolean} durable - Whether the alert was taken from the Redis queue
+   */
+  async runJob(alertId, durable) {
+    this.activeJobs.set(alertId, Date.now());
+
+    try {
+      await alertProcessingService.processAlert(alertId);
+      if (durable) {
+        await getRedisClient()
+          .multi()
+          .lRem(this.keys.processing, 1, alertId)
+          .hDel(this.keys.attempts, alertId)
+          .exec();
+      }
+    } catch (error) {
+      await this.handleFailure(alertId, error, durable);
+    } finally {
+      this.activeJobs.delete(alertId);
+      this.drainLocal();
+      this.drain();
+    }
+  }
+
+  /**
+   * Schedule a retry for a failed alert, or dead-letter it after the last attempt
+   * @param {string} alertId - Alert ID
+   * @param {Error} error - Processing error
+   * @param {boolean} durable - Whether the alert was taken from the Redis queue
+   */
+  async handleFailure(alertId, error, durable) {
+    try {
+      const client = durable ? getRedisClient() : null;
+      const attempts = durable ? await client.hIncrBy(this.keys.attempts, alertId, 1) : 1;
+      const alert = await Alert.findById(alertId);
+
+      if (durable && attempts < this.maxAttempts) {
+        const delay = this.retryBaseDelayMs * 2 ** (attempts - 1);
+        const nextAttemptAt = new Date(Date.now() + delay);
+
+        await client
+          .multi()
+          .lRem(this.keys.processing, 1, alertId)
+          .zAdd(this.keys.delayed, { score: nextAttemptAt.getTime(), value: alertId })
+          .exec();
+        if (alert) {
+          await alert.scheduleRetry(error, attempts, nextAttemptAt);
+        }
+
+        logger.warn('Alert processing failed, retry scheduled', {
+          alertId,
+          attempts,
+          nextAttemptAt,
+          error: error.message
+        });
+        return;
+      }
+
+      if (durable) {
+        await client
+          .multi()
+          .lRem(this.keys.processing, 1, alertId)
+          .hDel(this.keys.attempts, alertId)
+          .hSet(this.keys.dead, alertId, JSON.stringify({
+            alertId,
+            attempts,
+            error: error.message,
+            deadLetteredAt: new Date().toISOString()
+          }))
+          .exec();
+      }
+      if (alert) {
+        await alert.markAsDeadLettered(error, attempts);
+      }
+
+      logger.error('Alert processing failed permanently', {
+        alertId,
+        attempts,
+        deadLettered: durable,
+        error: error.message
+      });
+    } catch (failureError) {
+      logger.error('Error handling alert processing failure:', failureError);
+    }
+  }
+
+  /**
+   * List dead-lettered alerts
+   * @returns {Array} Dead-letter entries, most recent first
+   */
+  async getDeadLetters() {
+    const client = getRedisClient();
+    const entries = await client.hGetAll(this.keys.dead);
+
+    return Object.values(entries)
+      .map(entry => JSON.parse(entry))
+      .sort((a, b) => new Date(b.deadLetteredAt) - new Date(a.deadLetteredAt));
+  }
+
+  /**
+   * Move dead-lettered alerts back to the queue with a fresh attempt budget
+   * @param {Array<string>} [alertIds] - Alerts to retry (all when omitted)
+   * @returns {Array<string>} IDs of the requeued alerts
+   */
+  async retryDeadLetters(alertIds = null) {
+    const client = getRedisClient();
+    const ids = alertIds || await client.hKeys(this.keys.dead);
+
+    const requeued = [];
+    for (const alertId of ids) {
+      if (!(await client.hDel(this.keys.dead, alertId))) {
+        continue;
+      }
+
+      await Alert.updateOne(
+        { _id: alertId },
+        {
+          'processing.status': 'received',
+          'processing.attempts': 0,
+          $unset: { 'processing.deadLetteredAt': 1 }
+        }
+      );
+      await client.lPush(this.keys.pending, alertId);
+      requeued.push(alertId);
+    }
+
+    this.drain();
+    return requeued;
+  }
+
+  /**
+   * Remove alerts from the dead-letter list (the alerts stay marked as failed)
+   * @param {Array<string>} [alertIds] - Alerts to purge (all when omitted)
+   * @returns {number} Number of purged entries
+   */
+  async purgeDeadLetters(alertIds = null) {
+    const client = getRedisClient();
+
+    if (!alertIds) {
+      const count = await client.hLen(this.keys.dead);
+      await client.del(this.keys.dead);
+      return count;
+    }
+
+    return alertIds.length > 0 ? client.hDel(this.keys.dead, alertIds) : 0;
+  }
+
+  /**
+   * Get queue statistics
+   * @returns {Object} Queue depth, retries, dead letters and jobs running in this process
+   */
+  async getStats() {
+    const stats = {
+      redisConnected: true,
+      isRunning: this.isRunning,
+      concurrency: this.concurrency,
+      maxAttempts: this.maxAttempts,
+      instanceId: this.instanceId,
+      localPending: this.localPending.length,
+      activeJobs: Array.from(this.activeJobs.entries()).map(([alertId, startTime]) => ({
+        alertId,
+        startTime,
+        duration: Date.now() - startTime
+      }))
+    };
+
+    try {
+      const client = getRedisClient();
+      const processingLists = await this.getProcessingLists(client);
+      const [pending, delayed, deadLettered, ...processingLengths] = await Promise.all([
+        client.lLen(this.keys.pending),
+        client.zCard(this.keys.delayed),
+        client.hLen(this.keys.dead),
+        ...processingLists.map(list => client.lLen(list))
+      ]);
+      const processing = processingLengths.reduce((sum, length) => sum + length, 0);
+      Object.assign(stats, { pending, processing, delayed, deadLettered });
+    } catch (error) {
+      stats.redisConnected = false;
+    }
+
+    return stats;
+  }
+}
+
+module.exports = new AlertQueueService();
@@ -4,7 +4,8 @@ const User = require('../models/User');
 const Alert = require('../models/Alert');
 const Trade = require('../models/Trade');
 const logger = require('../utils/logger');
-const { formatAlertMessage, formatTradeMessage, formatHelpMessage } = require('../utils/telegramFormatter');
+const { formatTimeframe } = require('../utils/timeframes');
+const { formatAlertMessage, formatTradeMessage, formatLevelsUpdateMessage, formatPendingEntryMessage, formatTakeProfitTargets, formatHelpMessage } = require('../utils/telegramFormatter');
 
 class TelegramBotService {
   constructor() {
@@ -710,6 +711,30 @@ class TelegramBotService {
     }
   }
 
+  /**
+   * Send an operational notice to the admin chats in ADMIN_TELEGRAM_CHAT_IDS
+   * Failures are logged, never thrown.
+   */
+  async notifyAdmins(text, options = { parse_mode: 'HTML' }) {
+    const chatIds = (process.env.ADMIN_TELEGRAM_CHAT_IDS || '')
+      .split(',')
+      .map(chatId => chatId.trim())
+      .filter(Boolean);
+
+    if (!this.isInitialized || chatIds.length === 0) {
+      logger.warn('Admin notification not sent: bot not initialized or no admin chats configured');
+      return;
+    }
+
+    for (const chatId of chatIds) {
+      try {
+        await this.bot.sendMessage(chatId, text, options);
+      } catch (error) {
+        logger.error(`Error sending admin notification to ${chatId}:`, error);
+      }
+    }
+  }
+
   /**
    * Show alerts menu with visual indicators
    */
@@ -1517,7 +1542,7 @@ class TelegramBotService {
         const pnlColor = pnl >= 0 ? '🟢' : '🔴';
         const pnlSign = pnl >= 0 ? '+' : '';
         const exitReason = trade.tradeData.exitReason || 'MANUAL';
-        const exitIcon = exitReason === 'TP_HIT' ? '🎯' : exitReason === 'SL_HIT' ? '🛑' : '✋';
+        const exitIcon = { TP_HIT: '🎯', SL_HIT: '🛑', REVERSE: '🔁' }[exitReason] || '✋';
         
         totalPnL += pnl;
         if (pnl > 0) winCount++;
@@ -1571,7 +1596,7 @@ class TelegramBotService {
       }
 
       const signal = trade.tradeData.signal === 'BUY' ? '🟢 LONG' : '🔴 SHORT';
-      const status = trade.status === 'open' ? '🔓 OPEN' : '🔒 CLOSED';
+      const status = trade.status === 'open' ? '🔓 OPEN' : trade.status === 'pending' ? '⏳ PENDING' : '🔒 CLOSED';
       const pnl = trade.pnl?.amount || 0;
       const pnlColor = pnl >= 0 ? '🟢' : '🔴';
       const pnlSign = pnl >= 0 ? '+' : '';
@@ -1588,15 +1613,21 @@ class TelegramBotService {
         `${status} • ⏱️ ${duration}h\n` +
         `━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━\n\n` +
         `💰 *Entry Price:* $${trade.tradeData.entryPrice}\n` +
+        (trade.status === 'pending'
+          ? `⏳ *Limit Order:* fills ${trade.tradeData.entryTrigger.direction} $${trade.tradeData.entryTrigger.price}, expires ${new Date(trade.tradeData.entryTrigger.expiresAt).toLocaleString()}\n`
+          : '') +
         (trade.tradeData.exitPrice ? `💰 *Exit Price:* $${trade.tradeData.exitPrice}\n` : '') +
         (trade.tradeData.takeProfitPrice ? `🎯 *Take Profit:* $${trade.tradeData.takeProfitPrice}\n` : '') +
         (trade.tradeData.stopLossPrice ? `🛑 *Stop Loss:* $${trade.tradeData.stopLossPrice}\n` : '') +
+        (trade.tradeData.takeProfits.length > 0
+          ? `🪜 *Targets:*\n${formatTakeProfitTargets(trade.tradeData.takeProfits).map(line => `   ${line}`).join('\n')}\n`
+          : '') +
         `\n${pnlColor} *P&L:* ${pnlSign}$${pnl.toFixed(2)}` +
         (trade.pnl?.percentage ? ` (${pnlSign}${trade.pnl.percentage.toFixed(2)}%)` : '') +
         `\n\n📅 *Opened:* ${openedDate}\n` +
         `📅 *Closed:* ${closedDate}\n\n` +
         `📈 *Strategy:* ${trade.tradeData.strategy}\n` +
-        `⏰ *Timeframe:* ${trade.tradeData.timeframe}`;
+        `⏰ *Timeframe:* ${formatTimeframe(trade.tradeData.timeframe)}`;
 
       const keyboard = {
         inline_keyboard: trade.status === 'open' ? [
@@ -2086,6 +2117,56 @@ class TelegramBotService {
     }
   }
 
+  /**
+   * Send TP/SL levels update notification to the trade owner
+   */
+  async sendLevelsUpdateNotification(trade, change) {
+    try {
+      const telegramUser = await TelegramUser.findOne({
+        userId: trade.userId,
+        isActive: true,
+        isBlocked: false
+      });
+
+      if (!telegramUser || !telegramUser.preferences.receiveTradeUpdates) {
+        return false;
+      }
+
+      const message = formatLevelsUpdateMessage(trade, change);
+      await this.sendMessage(telegramUser.telegramId, message, { parse_mode: 'Markdown' });
+
+      return true;
+    } catch (error) {
+      logger.error(`Failed to send levels update for trade ${trade.tradeNumber}:`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Send pending entry notification ('filled', 'expired' or 'cancelled') to the trade owner
+   */
+  async sendPendingEntryNotification(trade, event, details = {}) {
+    try {
+      const telegramUser = await TelegramUser.findOne({
+        userId: trade.userId,
+        isActive: true,
+        isBlocked: false
+      });
+
+      if (!telegramUser || !telegramUser.preferences.receiveTradeUpdates) {
+        return false;
+      }
+
+      const message = formatPendingEntryMessage(trade, event, details);
+      await this.sendMessage(telegramUser.telegramId, message, { parse_mode: 'Markdown' });
+
+      return true;
+    } catch (error) {
+      logger.error(`Failed to send pending entry ${event} update for trade ${trade.tradeNumber}:`, error);
+      return false;
+    }
+  }
+
   /**
    * Get bot statistics
    */
@@ -0,0 +1,281 @@
+const crypto = require('crypto');
+const { getRedisClient } = require('../config/redis');
+const logger = require('../utils/logger');
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Authenticates inbound webhooks against an auth policy:
+ * - `hmac`: HMAC-SHA256 of the raw request body in a signature header
+ * - `api_key`: shared secret in a header
+ * - `passphrase`: shared secret in a body field, removed before the payload is stored
+ * - `none`: no credentials
+ * Any method can be combined with timestamp + nonce replay protection.
+ */
+class WebhookAuthService {
+  constructor() {
+    this.replayWindowSeconds = parseInt(process.env.WEBHOOK_REPLAY_WINDOW_SECONDS, 10) || 300;
+    this.noncePrefix = 'webhook_nonce:';
+    this.localNonces = new Map();
+  }
+
+  /**
+   * Auth policy for the TradingView endpoints, from the environment
+   * @returns {Object} Auth policy
+   */
+  getTradingViewPolicy() {
+    const secret = process.env.TRADINGVIEW_WEBHOOK_SECRET;
+    const passphrase = process.env.TRADINGVIEW_WEBHOOK_PASSPHRASE;
+    const method = process.env.TRADINGVIEW_WEBHOOK_AUTH ||
+      (passphrase ? 'passphrase' : secret ? 'hmac' : 'none');
+
+    return {
+      name: 'tradingview',
+      method,
+      secret: method === 'passphrase' ? passphrase : secret,
+      headerName: 'x-tradingview-signature',
+      passphraseField: 'passphrase',
+      replayProtection: process.env.TRADINGVIEW_WEBHOOK_REPLAY_PROTECTION === 'true'
+    };
+  }
+
+  /**
+   * Auth policy for a registered alert source
+   * @param {Object} source - AlertSource document (with auth.secret selected)
+   * @returns {Object} Auth policy
+   */
+  getSourcePolicy(source) {
+    const { method, secret, headerName, passphraseField, replayProtection } = source.auth;
+    const defaultHeaders = { api_key: 'x-api-key', hmac: 'x-signature' };
+
+    return {
+      name: source.name,
+      method,
+      secret,
+      headerName: headerName || defaultHeaders[method],
+      passphraseField: passphraseField || 'passphrase',
+      replayProtection: Boolean(replayProtection)
+    };
+  }
+
+  /**
+   * Authenticate a webhook request
+   * The passphrase field is always stripped from the body and redacted from the raw body.
+   * @param {Object} req - Express request object (rawBody captured by the body parser)
+   * @param {Object} policy - Auth policy
+   * @returns {Object|null} Failure ({ code, reason }) or null when authenticated
+   */
+  async authenticate(req, policy) {
+    // Signatures cover the bytes as sent, before the passphrase is redacted
+    const signedBody = req.rawBody;
+    const passphrase = this.extractPassphrase(req, policy.passphraseField);
+
+    if (policy.method !== 'none' && !policy.secret) {
+      logger.error('Webhook auth policy has no secret configured', { policy: policy.name, method: policy.method });
+      return { code: 'auth_not_configured', reason: 'Webhook authentication is not configured' };
+    }
+
+    let replay = null;
+    if (policy.replayProtection) {
+      replay = this.extractReplayFields(req);
+      const failure = this.checkTimestamp(replay.timestamp);
+      if (failure) {
+        return failure;
+      }
+      if (!replay.nonce) {
+        return { code: 'missing_nonce', reason: 'A nonce is required (x-webhook-nonce header or "nonce" field)' };
+      }
+    }
+
+    const failure = this.checkCredentials(req, policy, { signedBody, passphrase, replay });
+    if (failure) {
+      return failure;
+    }
+
+    // Nonces are only consumed by authenticated requests
+    if (replay && !(await this.claimNonce(policy.name, replay.nonce))) {
+      return { code: 'nonce_reused', reason: 'This nonce was already used' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check the credentials required by the policy method
+   * @param {Object} req - Express request object
+   * @param {Object} policy - Auth policy
+   * @param {Object} credentials - { signedBody, passphrase, replay }
+   * @returns {Object|null} Failure or null
+   */
+  checkCredentials(req, policy, { signedBody, passphrase, replay }) {
+    const { method, secret, headerName } = policy;
+
+    if (method === 'api_key') {
+      const apiKey = req.headers[headerName];
+      if (!apiKey) {
+        return { code: 'missing_api_key', reason: `Missing ${headerName} header` };
+      }
+      return this.safeCompare(apiKey, secret) ? null : { code: 'invalid_api_key', reason: 'API key does not match' };
+    }
+
+    if (method === 'passphrase') {
+      if (passphrase === undefined) {
+        return { code: 'missing_passphrase', reason: `Missing "${policy.passphraseField}" field in the payload` };
+      }
+      return this.safeCompare(passphrase, secret) ? null : { code: 'invalid_passphrase', reason: 'Passphrase does not match' };
+    }
+
+    if (method === 'hmac') {
+      const signature = req.headers[headerName];
+      if (!signature) {
+        return { code: 'missing_signature', reason: `Missing ${headerName} header` };
+      }
+      if (signedBody === undefined) {
+        return { code: 'invalid_signature', reason: 'Request body could not be verified' };
+      }
+
+      // With replay protection the timestamp and nonce are part of the signed content
+      const signedContent = replay
+        ? `${replay.rawTimestamp}.${replay.nonce}.${signedBody}`
+        : signedBody;
+      const expected = crypto.createHmac('sha256', secret).update(signedContent).digest('hex');
+      const provided = String(signature).replace(/^sha256=/, '');
+
+      return this.safeCompare(provided, expected) ? null : { code: 'invalid_signature', reason: 'Signature does not match the request body' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Remove the passphrase from the payload (top level or parsed metadata) and the raw body
+   * @returns {string|undefined} Provided passphrase
+   */
+  extractPassphrase(req, field) {
+    if (!req.body || typeof req.body !== 'object') {
+      return undefined;
+    }
+
+    let passphrase;
+    [req.body, req.body.metadata].forEach(container => {
+      if (container && typeof container === 'object' && container[field] !== undefined) {
+        passphrase = passphrase === undefined ? String(container[field]) : passphrase;
+        delete container[field];
+      }
+    });
+
+    if (passphrase !== undefined && typeof req.rawBody === 'string') {
+      req.rawBody = this.redactField(req.rawBody, field);
+    }
+    return passphrase;
+  }
+
+  /**
+   * Redact a field's value in a JSON or key=value raw body
+   * @param {string} raw - Raw body
+   * @param {string} field - Field name
+   * @returns {string} Redacted raw body
+   */
+  redactField(raw, field) {
+    const name = field.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return raw
+      .replace(new RegExp(`("${name}"\\s*:\\s*)("(?:[^"\\\\]|\\\\.)*"|[^,}\\s]+)`, 'g'), `$1"${REDACTED}"`)
+      .replace(new RegExp(`(^|[\\s,;|&])(${name}\\s*=\\s*)("[^"]*"|'[^']*'|[^\\s,;|&]+)`, 'g'), `$1$2${REDACTED}`);
+  }
+
+  /**
+   * Read replay-protection fields from headers, falling back to body fields
+   * (TradingView cannot send custom headers; template-parsed bodies keep them in metadata)
+   * @returns {Object} { timestamp, rawTimestamp, nonce }
+   */
+  extractReplayFields(req) {
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const metadata = body.metadata && typeof body.metadata === 'object' ? body.metadata : {};
+    const rawTimestamp = req.headers['x-webhook-timestamp'] || body.sentAt || metadata.sentAt;
+    const nonce = req.headers['x-webhook-nonce'] || body.nonce || metadata.nonce;
+
+    let timestamp = null;
+    if (rawTimestamp !== undefined && rawTimestamp !== '') {
+      if (/^\d+$/.test(String(rawTimestamp))) {
+        const value = parseInt(rawTimestamp, 10);
+        timestamp = new Date(value < 1e12 ? value * 1000 : value);
+      } else {
+        timestamp = new Date(rawTimestamp);
+      }
+    }
+
+    return {
+      timestamp,
+      rawTimestamp,
+      nonce: nonce !== undefined ? String(nonce) : undefined
+    };
+  }
+
+  /**
+   * Check a request timestamp against the replay window
+   * @returns {Object|null} Failure or null
+   */
+  checkTimestamp(timestamp) {
+    if (!timestamp) {
+      return { code: 'missing_timestamp', reason: 'A timestamp is required (x-webhook-timestamp header or "sentAt" field)' };
+    }
+    if (isNaN(timestamp.getTime())) {
+      return { code: 'invalid_timestamp', reason: 'Timestamp is not a valid date or epoch' };
+    }
+
+    const skewSeconds = Math.abs(Date.now() - timestamp.getTime()) / 1000;
+    if (skewSeconds > this.replayWindowSeconds) {
+      return {
+        code: 'stale_timestamp',
+        reason: `Timestamp is outside the ${this.replayWindowSeconds}s replay window`
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Record a nonce for the replay window
+   * @param {string} scope - Policy name
+   * @param {string} nonce - Nonce
+   * @returns {boolean} Whether the nonce was unused
+   */
+  async claimNonce(scope, nonce) {
+    const key = `${this.noncePrefix}${scope}:${nonce}`;
+    // Keep nonces for both sides of the timestamp window
+    const ttlSeconds = this.replayWindowSeconds * 2;
+
+    try {
+      const claimed = await getRedisClient().set(key, '1', { NX: true, EX: ttlSeconds });
+      return Boolean(claimed);
+    } catch (error) {
+      logger.warn('Redis unavailable for webhook nonces, using in-process store', { error: error.message });
+
+      const now = Date.now();
+      this.localNonces.forEach((expiresAt, storedKey) => {
+        if (expiresAt <= now) {
+          this.localNonces.delete(storedKey);
+        }
+      });
+      if (this.localNonces.has(key)) {
+        return false;
+      }
+      this.localNonces.set(key, now + ttlSeconds * 1000);
+      return true;
+    }
+  }
+
+  /**
+   * Constant-time comparison of two strings
+   * @param {string} provided - Value received with the request
+   * @param {string} expected - Expected value
+   * @returns {boolean} Whether the values match
+   */
+  safeCompare(provided, expected) {
+    const providedBuffer = Buffer.from(String(provided));
+    const expectedBuffer = Buffer.from(String(expected));
+    return providedBuffer.length === expectedBuffer.length &&
+      crypto.timingSafeEqual(providedBuffer, expectedBuffer);
+  }
+}
+
+module.exports = new WebhookAuthService();
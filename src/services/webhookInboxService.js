@@ -0,0 +1,274 @@
+const WebhookInboxEntry = require('../models/WebhookInboxEntry');
+const AlertConfiguration = require('../models/AlertConfiguration');
+const AlertSource = require('../models/AlertSource');
+const webhookController = require('../controllers/webhookController');
+const webhookAuthService = require('./webhookAuthService');
+const {
+  parseWebhookPayload,
+  parseBatchPayload,
+  applyConfigDefaults,
+  mapSourcePayload
+} = require('../middleware/webhookPayload');
+const { handleValidationErrors } = require('../middleware/validation');
+const {
+  validateTradingViewWebhook,
+  validateTpSlWebhook,
+  validatePriceUpdateWebhook,
+  validateBatchWebhook
+} = require('../validators/webhookValidators');
+const { createValidationError, createNotFoundError, createConflictError } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+// Stands in for the skipped authentication step: removes the passphrase field, which the inbox
+// stores redacted, so the placeholder is not processed as part of the payload
+const stripPassphrase = (req, res, next) => {
+  const field = (req.alertSource && req.alertSource.auth.passphraseField) || 'passphrase';
+  webhookAuthService.extractPassphrase(req, field);
+  next();
+};
+
+// Webhook route handlers re-run on resubmission; authentication steps are replaced by stripPassphrase
+const RESUBMISSION_PIPELINES = {
+  tradingview: [
+    parseWebhookPayload,
+    stripPassphrase,
+    ...validateTradingViewWebhook,
+    handleValidationErrors,
+    webhookController.processAlertWebhook
+  ],
+  tradingview_config: [
+    parseWebhookPayload,
+    applyConfigDefaults,
+    stripPassphrase,
+    ...validateTradingViewWebhook,
+    handleValidationErrors,
+    webhookController.processAlertWebhook
+  ],
+  tradingview_batch: [
+    parseBatchPayload,
+    stripPassphrase,
+    ...validateBatchWebhook,
+    handleValidationErrors,
+    webhookController.processBatchWebhook
+  ],
+  source: [
+    stripPassphrase,
+    mapSourcePayload,
+    ...validateTradingViewWebhook,
+    handleValidationErrors,
+    webhookController.processAlertWebhook
+  ],
+  source_batch: [
+    stripPassphrase,
+    parseBatchPayload,
+    ...validateBatchWebhook,
+    handleValidationErrors,
+    webhookController.processBatchWebhook
+  ],
+  tp_sl: [
+    stripPassphrase,
+    ...validateTpSlWebhook,
+    handleValidationErrors,
+    webhookController.processTpSlWebhook
+  ],
+  price: [
+    stripPassphrase,
+    ...validatePriceUpdateWebhook,
+    handleValidationErrors,
+    webhookController.processPriceUpdateWebhook
+  ]
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Run Express handlers against an in-memory request and capture the response
+ * @param {Array<Function>} handlers - Middleware/handlers to run in order
+ * @param {Object} req - Request-like object
+ * @returns {Promise<Object>} { statusCode, body }
+ */
+const runPipeline = (handlers, req) => new Promise((resolve, reject) => {
+  const res = {
+    statusCode: 200,
+    locals: {},
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ statusCode: this.statusCode, body });
+      return this;
+    }
+  };
+
+  let index = 0;
+  const next = (error) => {
+    if (error) {
+      return reject(error);
+    }
+    const handler = handlers[index++];
+    if (!handler) {
+      return reject(new Error('Webhook pipeline finished without a response'));
+    }
+    Promise.resolve(handler(req, res, next)).catch(reject);
+  };
+
+  next();
+});
+
+class WebhookInboxService {
+  /**
+   * Search inbox entries
+   * @param {Object} filters - outcome, endpoint, source, ip, alertId, alertConfigId, from, to, q
+   * @param {Object} pagination - page, limit
+   * @returns {Object} { entries, pagination }
+   */
+  async search(filters = {}, { page = 1, limit = 50 } = {}) {
+    const query = {};
+
+    ['outcome', 'endpoint', 'alertId', 'alertConfigId'].forEach(field => {
+      if (filters[field]) {
+        query[field] = filters[field];
+      }
+    });
+    if (filters.source) {
+      query.source = filters.source.toLowerCase();
+    }
+    if (filters.ip) {
+      query.ipAddress = filters.ip;
+    }
+    if (filters.from || filters.to) {
+      query.receivedAt = {};
+      if (filters.from) {
+        query.receivedAt.$gte = new Date(filters.from);
+      }
+      if (filters.to) {
+        query.receivedAt.$lte = new Date(filters.to);
+      }
+    }
+    if (filters.q) {
+      query.rawBody = { $regex: escapeRegExp(filters.q), $options: 'i' };
+    }
+
+    const [entries, total] = await Promise.all([
+      WebhookInboxEntry.find(query)
+        .sort({ receivedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      WebhookInboxEntry.countDocuments(query)
+    ]);
+
+    return {
+      entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  /**
+   * Re-run a stored webhook request through its endpoint's pipeline
+   * Authentication is not repeated, as credentials are not stored: a stored body is only
+   * resubmitted when the original request passed authentication or the endpoint requires
+   * none. The result is recorded on the entry's resubmission history.
+   * @param {string} entryId - Inbox entry ID
+   * @param {string} adminId - Admin resubmitting the request
+   * @param {string} [rawBody] - Corrected body to send instead of the stored one
+   * @returns {Object} Resubmission result including the endpoint response
+   */
+  async resubmit(entryId, adminId, rawBody = null) {
+    const entry = await WebhookInboxEntry.findById(entryId);
+    if (!entry) {
+      throw createNotFoundError('Webhook inbox entry');
+    }
+
+    const pipeline = RESUBMISSION_PIPELINES[entry.endpoint];
+    if (!pipeline) {
+      throw createValidationError(`Requests to ${entry.path} cannot be resubmitted`);
+    }
+    if (entry.outcome === 'accepted') {
+      throw createConflictError('Accepted requests cannot be resubmitted');
+    }
+
+    const body = rawBody !== null ? rawBody : entry.rawBody;
+    if (entry.bodyTruncated && rawBody === null) {
+      throw createValidationError('Stored body was truncated; provide the full body to resubmit');
+    }
+    if (!body) {
+      throw createValidationError('No body was stored for this request (e.g. it was rate limited); provide the body to resubmit');
+    }
+
+    const req = {
+      method: 'POST',
+      originalUrl: entry.path,
+      baseUrl: '/api/webhooks',
+      headers: { 'content-type': entry.contentType },
+      query: entry.query || {},
+      params: {},
+      ip: entry.ipAddress,
+      connection: {},
+      rawBody: body,
+      body
+    };
+
+    if (['source', 'tp_sl', 'price'].includes(entry.endpoint)) {
+      try {
+        req.body = JSON.parse(body);
+      } catch (error) {
+        throw createValidationError('Body is not valid JSON');
+      }
+    }
+
+    if (entry.endpoint === 'tradingview_config') {
+      req.alertConfig = entry.alertConfigId
+        ? await AlertConfiguration.findOne({ _id: entry.alertConfigId, status: 'active' })
+        : null;
+      if (!req.alertConfig) {
+        throw createValidationError('The alert configuration for this webhook URL is unknown or inactive');
+      }
+    }
+
+    if (entry.endpoint === 'source' || entry.endpoint === 'source_batch') {
+      req.alertSource = entry.source ? await AlertSource.findActiveByName(entry.source) : null;
+      if (!req.alertSource) {
+        throw createValidationError('The alert source for this request is unknown or inactive');
+      }
+    }
+
+    const policy = req.alertSource
+      ? webhookAuthService.getSourcePolicy(req.alertSource)
+      : webhookAuthService.getTradingViewPolicy();
+    // Price updates are never accepted without credentials
+    const requiresCredentials = policy.method !== 'none' || entry.endpoint === 'price';
+    if (rawBody === null && requiresCredentials && !entry.authenticated) {
+      throw createValidationError('Request did not pass authentication and its credentials are not stored; provide the body to resubmit');
+    }
+
+    const { statusCode, body: response } = await runPipeline(pipeline, req);
+
+    const resubmission = {
+      adminId,
+      resubmittedAt: new Date(),
+      outcome: WebhookInboxEntry.classifyOutcome(statusCode, response),
+      statusCode,
+      message: response.message,
+      alertId: response.alertId
+    };
+    entry.resubmissions.push(resubmission);
+    await entry.save();
+
+    logger.info('Webhook inbox entry resubmitted', {
+      entryId: entry._id,
+      adminId,
+      outcome: resubmission.outcome,
+      alertId: resubmission.alertId
+    });
+
+    return { ...resubmission, response };
+  }
+}
+
+module.exports = new WebhookInboxService();
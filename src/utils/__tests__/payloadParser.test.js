@@ -0,0 +1,138 @@
+const { parsePayload } = require('../payloadParser');
+
+describe('payloadParser', () => {
+  describe('key_value', () => {
+    const template = { format: 'key_value' };
+
+    it('maps TradingView placeholder names to payload fields', () => {
+      const { payload, missingFields } = parsePayload(
+        'ticker=BTCUSDT interval=1h strategy="RSI Divergence" action=buy close=45000.5',
+        template
+      );
+
+      expect(payload).toEqual({
+        symbol: 'BTCUSDT',
+        timeframe: '1h',
+        strategy: 'RSI Divergence',
+        signal: 'BUY',
+        price: '45000.5'
+      });
+      expect(missingFields).toEqual([]);
+    });
+
+    it('accepts comma, semicolon, pipe and ampersand separated pairs', () => {
+      const { payload } = parsePayload('ticker=ETHUSDT,tf=4h;strategy=MACD|side=sell&close=2500', template);
+      expect(payload).toMatchObject({ symbol: 'ETHUSDT', timeframe: '4h', strategy: 'MACD', signal: 'SELL', price: '2500' });
+    });
+
+    it('reads numbers with digit-grouping commas', () => {
+      const { payload } = parsePayload('close=45,000.5, tp=46,500 sl=1,234,567.25,action=buy', template);
+      expect(payload).toMatchObject({
+        price: '45000.5',
+        takeProfitPrice: '46500',
+        stopLossPrice: '1234567.25',
+        signal: 'BUY'
+      });
+    });
+
+    it('does not extract values that run into a comma and digits', () => {
+      const { payload, missingFields } = parsePayload('close=45,00 action=buy', template);
+      expect(payload.price).toBeUndefined();
+      expect(missingFields).toContain('price');
+    });
+
+    it('uses a custom key/value separator', () => {
+      const { payload } = parsePayload('ticker: BTCUSDT close: 100', { format: 'key_value', options: { keyValueSeparator: ':' } });
+      expect(payload).toMatchObject({ symbol: 'BTCUSDT', price: '100' });
+    });
+
+    it('keeps unmapped keys as metadata', () => {
+      const { payload } = parsePayload('ticker=BTCUSDT rsi=28.5 session=london', template);
+      expect(payload.metadata).toEqual({ rsi: '28.5', session: 'london' });
+    });
+  });
+
+  describe('delimited', () => {
+    it('reads columns by position', () => {
+      const { payload, missingFields } = parsePayload('BTCUSDT | 1h | RSI | long | 45000', {
+        format: 'delimited',
+        options: { columns: ['symbol', 'timeframe', 'strategy', 'signal', 'price'] }
+      });
+
+      expect(payload).toEqual({ symbol: 'BTCUSDT', timeframe: '1h', strategy: 'RSI', signal: 'LONG', price: '45000' });
+      expect(missingFields).toEqual([]);
+    });
+
+    it('skips empty columns and uses defaults', () => {
+      const { payload } = parsePayload('BTCUSDT;;BUY;100', {
+        format: 'delimited',
+        options: { delimiter: ';', columns: ['symbol', 'timeframe', 'signal', 'price'] },
+        defaults: { timeframe: '15m', strategy: 'Breakout' }
+      });
+
+      expect(payload).toMatchObject({ timeframe: '15m', strategy: 'Breakout' });
+    });
+  });
+
+  describe('regex', () => {
+    it('reads named groups', () => {
+      const { payload } = parsePayload('Signal BUY on BTCUSDT at 45,000.00', {
+        format: 'regex',
+        options: { pattern: 'Signal (?<signal>\\w+) on (?<symbol>\\w+) at (?<price>[\\d,.]+)', flags: 'i' }
+      });
+
+      expect(payload).toMatchObject({ signal: 'BUY', symbol: 'BTCUSDT', price: '45000.00' });
+    });
+
+    it('extracts nothing when the pattern does not match', () => {
+      const { payload, missingFields } = parsePayload('hello', { format: 'regex', options: { pattern: '(?<symbol>\\d+)' } });
+      expect(payload).toEqual({});
+      expect(missingFields).toEqual(['symbol', 'timeframe', 'strategy', 'signal', 'price']);
+    });
+  });
+
+  describe('placeholder', () => {
+    it('matches a TradingView message template', () => {
+      const { payload } = parsePayload('BTCUSDT  buy @ 45000 (1h)', {
+        format: 'placeholder',
+        options: { template: '{{ticker}} {{strategy.order.action}} @ {{close}} ({{interval}})' }
+      });
+
+      expect(payload).toMatchObject({ symbol: 'BTCUSDT', signal: 'BUY', price: '45000', timeframe: '1h' });
+    });
+  });
+
+  describe('JSON bodies', () => {
+    it('reads nested fields through explicit mappings and aliases', () => {
+      const { payload } = parsePayload({
+        ticker: 'BTCUSDT',
+        interval: '1h',
+        strategy: { name: 'RSI', order: { action: 'sell', price: 45000 } },
+        metadata: { note: 'x' }
+      }, { format: 'key_value', fieldMap: { price: 'strategy.order.price' } });
+
+      expect(payload).toEqual({
+        symbol: 'BTCUSDT',
+        timeframe: '1h',
+        strategy: 'RSI',
+        signal: 'SELL',
+        price: '45000',
+        metadata: { note: 'x' }
+      });
+    });
+  });
+
+  describe('normalization', () => {
+    it('converts epoch timestamps to ISO dates', () => {
+      const seconds = parsePayload('time=1705314600', { format: 'key_value' }).payload.timestamp;
+      const millis = parsePayload('time=1705314600000', { format: 'key_value' }).payload.timestamp;
+
+      expect(seconds).toBe('2024-01-15T10:30:00.000Z');
+      expect(millis).toBe(seconds);
+    });
+
+    it('rejects unsupported formats', () => {
+      expect(() => parsePayload('x', { format: 'xml' })).toThrow('Unsupported parsing template format: xml');
+    });
+  });
+});
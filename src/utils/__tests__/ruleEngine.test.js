@@ -0,0 +1,230 @@
+const {
+  validateRule,
+  validateActions,
+  referencesFact,
+  evaluateRule,
+  buildFacts,
+  evaluateConditions
+} = require('../ruleEngine');
+
+const alertData = {
+  symbol: 'BTCUSDT',
+  timeframe: '1h',
+  strategy: 'RSI Divergence',
+  signal: 'BUY',
+  price: 100,
+  volume: 2500,
+  additionalData: { metadata: { rsi: '28.5', session: 'london' } }
+};
+
+// Monday 2024-01-15 15:30 in Asia/Kolkata
+const now = new Date('2024-01-15T10:00:00Z');
+
+const condition = (conditionId, rules, actions, extra = {}) => ({
+  conditionId,
+  name: conditionId,
+  rules,
+  actions,
+  ...extra
+});
+
+describe('ruleEngine', () => {
+  describe('validateRule', () => {
+    it('accepts comparisons and nested groups', () => {
+      expect(validateRule({
+        all: [
+          { field: 'price', operator: 'gt', value: 50 },
+          { any: [{ field: 'signal', operator: 'in', value: ['BUY'] }, { not: { field: 'volume', operator: 'exists', value: true } }] }
+        ]
+      })).toEqual([]);
+    });
+
+    it('reports problems with their location', () => {
+      expect(validateRule({ all: [{ field: 'price', operator: 'near', value: 1 }] }))
+        .toEqual([expect.stringMatching(/^rules\.all\[0\]\.operator must be one of/)]);
+      expect(validateRule({ any: [] })).toEqual(['rules.any must be a non-empty array of rules']);
+      expect(validateRule([])).toEqual(['rules must be an object']);
+    });
+
+    it('checks operator values', () => {
+      expect(validateRule({ field: 'price', operator: 'between', value: [1] }))
+        .toEqual(['rules.value must be a [min, max] array for between']);
+      expect(validateRule({ field: 'signal', operator: 'not_in', value: 'BUY' }))
+        .toEqual(['rules.value must be an array for not_in']);
+      expect(validateRule({ field: 'price', operator: 'eq' })).toEqual(['rules.value is required']);
+      expect(validateRule({ field: 'volume', operator: 'exists' })).toEqual([]);
+    });
+  });
+
+  describe('validateActions', () => {
+    it('accepts valid actions', () => {
+      expect(validateActions([
+        { type: 'suppress' },
+        { type: 'tag', tags: ['oversold', 'asia-session'] },
+        { type: 'set_priority', priority: 'high' },
+        { type: 'set_levels', takeProfitPercent: 2, stopLossPrice: 95 },
+        { type: 'route_plans', planIds: ['plan1'] }
+      ])).toEqual([]);
+    });
+
+    it('reports invalid actions', () => {
+      expect(validateActions([
+        { type: 'notify' },
+        { type: 'tag', tags: ['has space'] },
+        { type: 'set_priority', priority: 'urgent' },
+        { type: 'set_levels' },
+        { type: 'set_levels', stopLossPercent: -1 },
+        { type: 'route_plans', planIds: [] }
+      ])).toHaveLength(6);
+      expect(validateActions('suppress')).toEqual(['actions must be an array']);
+    });
+  });
+
+  describe('referencesFact', () => {
+    it('finds fields under a prefix in nested rules', () => {
+      const rule = { all: [{ field: 'price', operator: 'gt', value: 1 }, { not: { field: 'trades.open', operator: 'gt', value: 0 } }] };
+      expect(referencesFact(rule, 'trades')).toBe(true);
+      expect(referencesFact(rule, 'time')).toBe(false);
+      expect(referencesFact({ field: 'tradesCount', operator: 'gt', value: 0 }, 'trades')).toBe(false);
+    });
+  });
+
+  describe('buildFacts', () => {
+    it('exposes alert fields, metadata and local time', () => {
+      const facts = buildFacts(alertData, { now, timeZone: 'Asia/Kolkata' });
+      expect(facts.price).toBe(100);
+      expect(facts.metadata.rsi).toBe('28.5');
+      expect(facts.time).toEqual({
+        timezone: 'Asia/Kolkata',
+        date: '2024-01-15',
+        weekday: 1,
+        hour: 15,
+        minute: 30,
+        minutes: 930
+      });
+      expect(facts.trades).toBeUndefined();
+    });
+
+    it('falls back to UTC for unknown timezones', () => {
+      expect(buildFacts(alertData, { now, timeZone: 'Mars/Olympus' }).time.hour).toBe(10);
+    });
+
+    it('summarizes open trades relative to the signal', () => {
+      const openTrades = [{ tradeData: { signal: 'BUY' } }, { tradeData: { signal: 'SELL' } }, { tradeData: { signal: 'SELL' } }];
+      expect(buildFacts(alertData, { now, openTrades }).trades).toEqual({
+        open: 3,
+        long: 1,
+        short: 2,
+        sameSide: 1,
+        oppositeSide: 2
+      });
+    });
+  });
+
+  describe('evaluateRule', () => {
+    const facts = buildFacts(alertData, { now, timeZone: 'Asia/Kolkata' });
+
+    it.each([
+      [{ field: 'price', operator: 'eq', value: '100' }, true],
+      [{ field: 'metadata.rsi', operator: 'lt', value: 30 }, true],
+      [{ field: 'metadata.rsi', operator: 'gte', value: 30 }, false],
+      [{ field: 'price', operator: 'between', value: [90, 110] }, true],
+      [{ field: 'signal', operator: 'in', value: ['SELL', 'BUY'] }, true],
+      [{ field: 'metadata.session', operator: 'not_in', value: ['asia'] }, true],
+      [{ field: 'time.hour', operator: 'gte', value: 16 }, false],
+      [{ field: 'metadata.missing', operator: 'exists', value: false }, true],
+      [{ field: 'metadata.missing', operator: 'ne', value: 1 }, true],
+      [{ field: 'metadata.missing', operator: 'gt', value: 1 }, false]
+    ])('evaluates %j as %s', (rule, expected) => {
+      expect(evaluateRule(rule, facts)).toBe(expected);
+    });
+
+    it('combines groups', () => {
+      const rule = {
+        all: [
+          { field: 'signal', operator: 'eq', value: 'BUY' },
+          { any: [{ field: 'price', operator: 'gt', value: 500 }, { field: 'volume', operator: 'gt', value: 1000 }] },
+          { not: { field: 'time.weekday', operator: 'in', value: [0, 6] } }
+        ]
+      };
+      expect(evaluateRule(rule, facts)).toBe(true);
+    });
+  });
+
+  describe('evaluateConditions', () => {
+    const facts = buildFacts(alertData, { now });
+    const matches = { field: 'signal', operator: 'eq', value: 'BUY' };
+
+    it('applies actions in priority order, first setting wins', () => {
+      const outcome = evaluateConditions([
+        condition('low', matches, [{ type: 'set_priority', priority: 'low' }, { type: 'tag', tags: ['a'] }], { priority: 'low' }),
+        condition('high', matches, [{ type: 'set_priority', priority: 'high' }, { type: 'tag', tags: ['b', 'a'] }], { priority: 'high' })
+      ], facts);
+
+      expect(outcome.priority).toBe('high');
+      expect(outcome.tags).toEqual(['b', 'a']);
+      expect(outcome.matched.map(match => match.conditionId)).toEqual(['high', 'low']);
+    });
+
+    it('resolves percentage levels from the entry price and keeps the first level set', () => {
+      const outcome = evaluateConditions([
+        condition('first', matches, [{ type: 'set_levels', takeProfitPercent: 10 }]),
+        condition('second', matches, [{ type: 'set_levels', takeProfitPrice: 150, stopLossPercent: 5 }])
+      ], facts);
+
+      expect(outcome.levels.takeProfitPrice).toBeCloseTo(110);
+      expect(outcome.levels.stopLossPrice).toBeCloseTo(95);
+    });
+
+    it('mirrors percentage levels for short entries', () => {
+      const sellFacts = buildFacts({ ...alertData, signal: 'SELL' }, { now });
+      const outcome = evaluateConditions([
+        condition('levels', { field: 'price', operator: 'gt', value: 0 }, [{ type: 'set_levels', takeProfitPercent: 10, stopLossPercent: 5 }])
+      ], sellFacts);
+
+      expect(outcome.levels.takeProfitPrice).toBeCloseTo(90);
+      expect(outcome.levels.stopLossPrice).toBeCloseTo(105);
+    });
+
+    it('stops at a suppressing condition', () => {
+      const outcome = evaluateConditions([
+        condition('suppress', matches, [{ type: 'suppress' }], { priority: 'high' }),
+        condition('tag', matches, [{ type: 'tag', tags: ['late'] }])
+      ], facts);
+
+      expect(outcome.suppressedBy).toEqual({ conditionId: 'suppress', name: 'suppress' });
+      expect(outcome.tags).toEqual([]);
+    });
+
+    it('routes to the plans of the first routing condition', () => {
+      const outcome = evaluateConditions([
+        condition('vip', matches, [{ type: 'route_plans', planIds: ['vip'] }]),
+        condition('all', matches, [{ type: 'route_plans', planIds: ['basic', 'vip'] }])
+      ], facts);
+
+      expect(outcome.planIds).toEqual(['vip']);
+    });
+
+    it('skips disabled and non-matching conditions', () => {
+      const outcome = evaluateConditions([
+        condition('disabled', matches, [{ type: 'tag', tags: ['off'] }], { enabled: false }),
+        condition('sell', { field: 'signal', operator: 'eq', value: 'SELL' }, [{ type: 'tag', tags: ['sell'] }])
+      ], facts);
+
+      expect(outcome.matched).toEqual([]);
+      expect(outcome.tags).toEqual([]);
+    });
+
+    it('defers conditions on trades until the user is known', () => {
+      const onTrades = condition('flat', { field: 'trades.open', operator: 'eq', value: 0 }, [{ type: 'suppress' }]);
+
+      const deferred = evaluateConditions([onTrades], facts);
+      expect(deferred.deferred).toBe(true);
+      expect(deferred.suppressedBy).toBeNull();
+
+      const evaluated = evaluateConditions([onTrades], buildFacts(alertData, { now, openTrades: [] }));
+      expect(evaluated.deferred).toBe(false);
+      expect(evaluated.suppressedBy).toEqual({ conditionId: 'flat', name: 'flat' });
+    });
+  });
+});
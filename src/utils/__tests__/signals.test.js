@@ -0,0 +1,88 @@
+const {
+  SIGNALS,
+  normalizeSignal,
+  getSignalType,
+  getTakeProfitLevel,
+  getOppositeSignal
+} = require('../signals');
+
+describe('signals', () => {
+  describe('normalizeSignal', () => {
+    it('keeps canonical signals', () => {
+      SIGNALS.forEach(signal => {
+        expect(normalizeSignal(signal)).toBe(signal);
+      });
+    });
+
+    it('ignores case and surrounding whitespace', () => {
+      expect(normalizeSignal(' buy ')).toBe('BUY');
+      expect(normalizeSignal('Cancel')).toBe('CANCEL');
+    });
+
+    it('ignores separators', () => {
+      expect(normalizeSignal('tp hit')).toBe('TP_HIT');
+      expect(normalizeSignal('TP1-HIT')).toBe('TP1_HIT');
+      expect(normalizeSignal('slhit')).toBe('SL_HIT');
+    });
+
+    it.each([
+      ['long', 'BUY'],
+      ['Enter Long', 'BUY'],
+      ['enter_long', 'BUY'],
+      ['bullish', 'BUY'],
+      ['short', 'SELL'],
+      ['sell-to-open', 'SELL'],
+      ['take profit', 'TP_HIT'],
+      ['TP2', 'TP2_HIT'],
+      ['stop_loss', 'SL_HIT'],
+      ['exit', 'CLOSE'],
+      ['flat', 'CLOSE'],
+      ['flip', 'REVERSE'],
+      ['move to BE', 'BREAKEVEN'],
+      ['cancel order', 'CANCEL']
+    ])('maps alias %s to %s', (alias, expected) => {
+      expect(normalizeSignal(alias)).toBe(expected);
+    });
+
+    it.each([undefined, null, '', 'HOLD', 'BUY SELL'])('returns null for %p', (value) => {
+      expect(normalizeSignal(value)).toBeNull();
+    });
+  });
+
+  describe('getSignalType', () => {
+    it('classifies entries, exits and management signals', () => {
+      expect(getSignalType('BUY')).toBe('entry');
+      expect(getSignalType('SELL')).toBe('entry');
+      expect(getSignalType('TP_HIT')).toBe('exit');
+      expect(getSignalType('TP3_HIT')).toBe('exit');
+      expect(getSignalType('CLOSE')).toBe('exit');
+      expect(getSignalType('REVERSE')).toBe('management');
+      expect(getSignalType('BREAKEVEN')).toBe('management');
+      expect(getSignalType('CANCEL')).toBe('management');
+    });
+
+    it('returns null for unknown signals', () => {
+      expect(getSignalType('long')).toBeNull();
+    });
+  });
+
+  describe('getTakeProfitLevel', () => {
+    it('returns the ladder target of take-profit signals', () => {
+      expect(getTakeProfitLevel('TP1_HIT')).toBe(1);
+      expect(getTakeProfitLevel('TP2_HIT')).toBe(2);
+      expect(getTakeProfitLevel('TP3_HIT')).toBe(3);
+    });
+
+    it('returns null for other signals', () => {
+      expect(getTakeProfitLevel('TP_HIT')).toBeNull();
+      expect(getTakeProfitLevel('CLOSE')).toBeNull();
+    });
+  });
+
+  describe('getOppositeSignal', () => {
+    it('returns the other entry side', () => {
+      expect(getOppositeSignal('BUY')).toBe('SELL');
+      expect(getOppositeSignal('SELL')).toBe('BUY');
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const {
+  SYMBOL_PATTERN,
+  SYMBOL_WILDCARD_PATTERN,
+  parseSymbol,
+  getSymbolCandidates,
+  wildcardToRegExp
+} = require('../symbolNormalizer');
+
+describe('symbolNormalizer', () => {
+  describe('parseSymbol', () => {
+    it.each([
+      ['BTCUSDT', { exchange: null, ticker: 'BTCUSDT', base: 'BTCUSDT' }],
+      ['binance:btcusdt', { exchange: 'BINANCE', ticker: 'BTCUSDT', base: 'BTCUSDT' }],
+      ['BYBIT:BTCUSDT.P', { exchange: 'BYBIT', ticker: 'BTCUSDT.P', base: 'BTCUSDT' }],
+      ['NSE:NIFTY1!', { exchange: 'NSE', ticker: 'NIFTY1!', base: 'NIFTY' }],
+      ['CME_MINI:ES2!', { exchange: 'CME_MINI', ticker: 'ES2!', base: 'ES' }],
+      [' eurusd ', { exchange: null, ticker: 'EURUSD', base: 'EURUSD' }]
+    ])('splits %s', (rawSymbol, expected) => {
+      expect(parseSymbol(rawSymbol)).toEqual(expected);
+    });
+
+    it('ignores an empty exchange prefix', () => {
+      expect(parseSymbol(':BTCUSDT')).toEqual({ exchange: null, ticker: 'BTCUSDT', base: 'BTCUSDT' });
+    });
+
+    it('keeps the ticker when stripping the suffix leaves nothing', () => {
+      expect(parseSymbol('1!').base).toBe('1!');
+    });
+  });
+
+  describe('getSymbolCandidates', () => {
+    it('tries the ticker before its base', () => {
+      expect(getSymbolCandidates('BINANCE:BTCUSDT.P')).toEqual(['BTCUSDT.P', 'BTCUSDT']);
+    });
+
+    it('returns the ticker alone when it has no contract suffix', () => {
+      expect(getSymbolCandidates('BINANCE:BTCUSDT')).toEqual(['BTCUSDT']);
+    });
+  });
+
+  describe('wildcardToRegExp', () => {
+    it('matches any characters with * and exactly one with ?', () => {
+      expect(wildcardToRegExp('*USDT').test('btcusdt')).toBe(true);
+      expect(wildcardToRegExp('*USDT').test('BTCUSDC')).toBe(false);
+      expect(wildcardToRegExp('NIFTY?').test('NIFTY1')).toBe(true);
+      expect(wildcardToRegExp('NIFTY?').test('NIFTY12')).toBe(false);
+    });
+
+    it('matches whole symbols and treats other characters literally', () => {
+      expect(wildcardToRegExp('BTC*').test('XBTCUSD')).toBe(false);
+      expect(wildcardToRegExp('*.P').test('BTCUSDT.P')).toBe(true);
+      expect(wildcardToRegExp('*.P').test('BTCUSDTXP')).toBe(false);
+    });
+  });
+
+  describe('patterns', () => {
+    it('accepts symbols with an optional exchange prefix', () => {
+      expect(SYMBOL_PATTERN.test('BINANCE:BTCUSDT.P')).toBe(true);
+      expect(SYMBOL_PATTERN.test('NSE:M&M')).toBe(true);
+      expect(SYMBOL_PATTERN.test('BTC USDT')).toBe(false);
+      expect(SYMBOL_PATTERN.test('A:B:C')).toBe(false);
+    });
+
+    it('accepts wildcards without an exchange prefix', () => {
+      expect(SYMBOL_WILDCARD_PATTERN.test('*USDT')).toBe(true);
+      expect(SYMBOL_WILDCARD_PATTERN.test('BINANCE:*')).toBe(false);
+    });
+  });
+});
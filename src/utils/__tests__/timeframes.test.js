@@ -0,0 +1,123 @@
+const {
+  parseTimeframe,
+  normalizeTimeframe,
+  isValidTimeframe,
+  getTimeframeSeconds,
+  formatTimeframe
+} = require('../timeframes');
+
+describe('timeframes', () => {
+  describe('normalizeTimeframe', () => {
+    it.each([
+      ['1', '1m'],
+      ['60', '1h'],
+      ['240', '4h'],
+      ['90', '90m'],
+      ['30S', '30s'],
+      ['D', '1d'],
+      ['1W', '1w'],
+      ['1M', '1M'],
+      ['3M', '3M']
+    ])('parses TradingView interval %s as %s', (value, expected) => {
+      expect(normalizeTimeframe(value)).toBe(expected);
+    });
+
+    it.each([
+      ['1m', '1m'],
+      ['15m', '15m'],
+      ['4h', '4h'],
+      ['1d', '1d'],
+      ['1w', '1w']
+    ])('parses Binance interval %s as %s', (value, expected) => {
+      expect(normalizeTimeframe(value)).toBe(expected);
+    });
+
+    it.each([
+      ['M15', '15m'],
+      ['H1', '1h'],
+      ['H4', '4h'],
+      ['D1', '1d'],
+      ['W1', '1w'],
+      ['MN', '1M'],
+      ['MN1', '1M']
+    ])('parses MetaTrader period %s as %s', (value, expected) => {
+      expect(normalizeTimeframe(value)).toBe(expected);
+    });
+
+    it.each([
+      ['15 min', '15m'],
+      ['4 hours', '4h'],
+      ['1hr', '1h'],
+      ['2 weeks', '2w'],
+      ['hour', '1h'],
+      ['daily', '1d'],
+      ['Weekly', '1w'],
+      ['monthly', '1M']
+    ])('parses "%s" as %s', (value, expected) => {
+      expect(normalizeTimeframe(value)).toBe(expected);
+    });
+
+    it('promotes values to the largest whole unit', () => {
+      expect(normalizeTimeframe('60s')).toBe('1m');
+      expect(normalizeTimeframe('24h')).toBe('1d');
+      expect(normalizeTimeframe('7d')).toBe('1w');
+      expect(normalizeTimeframe('1440')).toBe('1d');
+    });
+
+    it('does not derive months from days', () => {
+      expect(normalizeTimeframe('30d')).toBe('30d');
+    });
+
+    it('accepts numbers', () => {
+      expect(normalizeTimeframe(240)).toBe('4h');
+    });
+  });
+
+  describe('parseTimeframe', () => {
+    it('returns the canonical value, duration, count and unit', () => {
+      expect(parseTimeframe('H4')).toEqual({ timeframe: '4h', seconds: 14400, count: 4, unit: 'h' });
+    });
+
+    it('counts months as 30 days', () => {
+      expect(parseTimeframe('1M').seconds).toBe(30 * 24 * 60 * 60);
+    });
+
+    it.each([undefined, null, '', 'abc', '0', '0m', '5x', '13M'])('rejects %p', (value) => {
+      expect(parseTimeframe(value)).toBeNull();
+    });
+
+    it('accepts up to twelve months', () => {
+      expect(normalizeTimeframe('12M')).toBe('12M');
+    });
+  });
+
+  describe('isValidTimeframe', () => {
+    it('tells timeframes from other values', () => {
+      expect(isValidTimeframe('4h')).toBe(true);
+      expect(isValidTimeframe('forever')).toBe(false);
+    });
+  });
+
+  describe('getTimeframeSeconds', () => {
+    it('returns the duration in seconds', () => {
+      expect(getTimeframeSeconds('15')).toBe(900);
+      expect(getTimeframeSeconds('1d')).toBe(86400);
+    });
+
+    it('returns null for unknown timeframes', () => {
+      expect(getTimeframeSeconds('soon')).toBeNull();
+    });
+  });
+
+  describe('formatTimeframe', () => {
+    it('names the unit in singular or plural', () => {
+      expect(formatTimeframe('240')).toBe('4 hours');
+      expect(formatTimeframe('D')).toBe('1 day');
+      expect(formatTimeframe('30S')).toBe('30 seconds');
+    });
+
+    it('returns unknown values unchanged', () => {
+      expect(formatTimeframe('soon')).toBe('soon');
+    });
+  });
+});
@@ -0,0 +1,113 @@
+const {
+  TIME_PATTERN,
+  DATE_PATTERN,
+  isValidTimeZone,
+  parseTime,
+  getZonedParts,
+  getWeekday,
+  addDays,
+  zonedTimeToUtc,
+  isWithinWindow
+} = require('../tradingSession');
+
+describe('tradingSession', () => {
+  describe('patterns', () => {
+    it('accepts HH:MM times and YYYY-MM-DD dates', () => {
+      expect(TIME_PATTERN.test('09:15')).toBe(true);
+      expect(TIME_PATTERN.test('9:15')).toBe(false);
+      expect(TIME_PATTERN.test('24:00')).toBe(false);
+      expect(DATE_PATTERN.test('2024-12-31')).toBe(true);
+      expect(DATE_PATTERN.test('2024-13-01')).toBe(false);
+    });
+  });
+
+  describe('isValidTimeZone', () => {
+    it('accepts IANA timezones known to the runtime', () => {
+      expect(isValidTimeZone('Asia/Kolkata')).toBe(true);
+      expect(isValidTimeZone('UTC')).toBe(true);
+    });
+
+    it.each(['Mars/Olympus', '', undefined])('rejects %p', (timeZone) => {
+      expect(isValidTimeZone(timeZone)).toBe(false);
+    });
+  });
+
+  describe('parseTime', () => {
+    it('returns minutes since midnight', () => {
+      expect(parseTime('00:00')).toBe(0);
+      expect(parseTime('09:15')).toBe(555);
+      expect(parseTime('23:59')).toBe(1439);
+    });
+
+    it('returns null for invalid times', () => {
+      expect(parseTime('25:00')).toBeNull();
+      expect(parseTime('noon')).toBeNull();
+    });
+  });
+
+  describe('getZonedParts', () => {
+    it('returns the wall-clock date and time in a timezone', () => {
+      expect(getZonedParts(new Date('2024-01-15T10:00:30Z'), 'Asia/Kolkata')).toEqual({
+        date: '2024-01-15',
+        weekday: 1,
+        minutes: 15 * 60 + 30,
+        seconds: 30
+      });
+    });
+
+    it('moves to the local date across midnight', () => {
+      expect(getZonedParts(new Date('2024-01-14T20:00:00Z'), 'Asia/Tokyo')).toMatchObject({
+        date: '2024-01-15',
+        weekday: 1,
+        minutes: 5 * 60
+      });
+      expect(getZonedParts(new Date('2024-01-15T03:00:00Z'), 'America/New_York')).toMatchObject({
+        date: '2024-01-14',
+        weekday: 0,
+        minutes: 22 * 60
+      });
+    });
+  });
+
+  describe('getWeekday', () => {
+    it('numbers weekdays from Sunday', () => {
+      expect(getWeekday('2024-01-14')).toBe(0);
+      expect(getWeekday('2024-01-20')).toBe(6);
+    });
+  });
+
+  describe('addDays', () => {
+    it('shifts dates across month and year ends', () => {
+      expect(addDays('2024-02-28', 1)).toBe('2024-02-29');
+      expect(addDays('2024-03-01', -1)).toBe('2024-02-29');
+      expect(addDays('2024-12-31', 1)).toBe('2025-01-01');
+    });
+  });
+
+  describe('zonedTimeToUtc', () => {
+    it('converts a wall-clock time to an instant', () => {
+      expect(zonedTimeToUtc('2024-01-15', '09:15', 'Asia/Kolkata').toISOString()).toBe('2024-01-15T03:45:00.000Z');
+    });
+
+    it('applies the offset in effect on the date', () => {
+      expect(zonedTimeToUtc('2024-01-15', '12:00', 'America/New_York').toISOString()).toBe('2024-01-15T17:00:00.000Z');
+      expect(zonedTimeToUtc('2024-03-10', '12:00', 'America/New_York').toISOString()).toBe('2024-03-10T16:00:00.000Z');
+      expect(zonedTimeToUtc('2024-07-01', '09:00', 'Europe/London').toISOString()).toBe('2024-07-01T08:00:00.000Z');
+    });
+  });
+
+  describe('isWithinWindow', () => {
+    it('includes the start and excludes the end', () => {
+      expect(isWithinWindow(parseTime('09:00'), '09:00', '17:00')).toBe(true);
+      expect(isWithinWindow(parseTime('16:59'), '09:00', '17:00')).toBe(true);
+      expect(isWithinWindow(parseTime('17:00'), '09:00', '17:00')).toBe(false);
+      expect(isWithinWindow(parseTime('08:59'), '09:00', '17:00')).toBe(false);
+    });
+
+    it('runs overnight when the end is before the start', () => {
+      expect(isWithinWindow(parseTime('23:00'), '22:00', '02:00')).toBe(true);
+      expect(isWithinWindow(parseTime('01:00'), '22:00', '02:00')).toBe(true);
+      expect(isWithinWindow(parseTime('12:00'), '22:00', '02:00')).toBe(false);
+    });
+  });
+});
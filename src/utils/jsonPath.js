@@ -0,0 +1,56 @@
+/**
+ * Minimal JSON path support for alert source field mappings.
+ * Supports dotted and bracket notation, e.g. `$.signal.side`, `data.levels[0].price`
+ * or `$['order']['symbol']`.
+ */
+
+/**
+ * Split a JSON path into its segments
+ * @param {string} path - JSON path
+ * @returns {Array<string>} Path segments
+ */
+function parsePath(path) {
+  const segments = [];
+  const pattern = /\[(?:'([^']*)'|"([^"]*)"|(\d+))\]|([^.[\]]+)/g;
+  const normalized = String(path).trim().replace(/^\$\.?/, '');
+
+  let match;
+  while ((match = pattern.exec(normalized)) !== null) {
+    const [, singleQuoted, doubleQuoted, index, name] = match;
+    segments.push(singleQuoted ?? doubleQuoted ?? index ?? name);
+  }
+  return segments;
+}
+
+/**
+ * Read the value at a JSON path
+ * @param {Object} source - Object to read from
+ * @param {string} path - JSON path
+ * @returns {*} Value at the path, or undefined
+ */
+function getValueAtPath(source, path) {
+  if (!path) {
+    return undefined;
+  }
+
+  return parsePath(path).reduce((value, segment) => {
+    if (value === undefined || value === null || typeof value !== 'object') {
+      return undefined;
+    }
+    return value[segment];
+  }, source);
+}
+
+/**
+ * Check that a string is a usable JSON path
+ * @param {string} path - JSON path
+ * @returns {boolean} Whether the path has at least one segment
+ */
+function isValidPath(path) {
+  return typeof path === 'string' && parsePath(path).length > 0;
+}
+
+module.exports = {
+  getValueAtPath,
+  isValidPath
+};
@@ -0,0 +1,273 @@
+/**
+ * Parse raw webhook bodies (plain text or loosely formatted) into the
+ * TradingView webhook payload shape using admin-defined parsing templates.
+ */
+
+// Payload fields that can be extracted from a raw body
+const PAYLOAD_FIELDS = [
+  'symbol',
+  'timeframe',
+  'strategy',
+  'signal',
+  'price',
+  'takeProfitPrice',
+  'stopLossPrice',
+  'timestamp',
+  'tradeNumber',
+  'originalEntry',
+  'volume',
+  'limitPrice',
+  'expiresIn',
+  'expiresAt'
+];
+
+const REQUIRED_FIELDS = ['symbol', 'timeframe', 'strategy', 'signal', 'price'];
+
+// Source keys tried for each field when the template has no explicit mapping
+// (includes TradingView placeholder names such as {{ticker}} and {{close}})
+const DEFAULT_FIELD_ALIASES = {
+  symbol: ['symbol', 'ticker', 'pair'],
+  timeframe: ['timeframe', 'interval', 'tf'],
+  strategy: ['strategy', 'strategy.name'],
+  signal: ['signal', 'action', 'side', 'strategy.order.action'],
+  price: ['price', 'close', 'strategy.order.price'],
+  takeProfitPrice: ['takeProfitPrice', 'tp', 'takeprofit', 'take_profit'],
+  stopLossPrice: ['stopLossPrice', 'sl', 'stoploss', 'stop_loss'],
+  timestamp: ['timestamp', 'time', 'timenow'],
+  tradeNumber: ['tradeNumber', 'trade', 'strategy.order.id'],
+  originalEntry: ['originalEntry', 'entry'],
+  volume: ['volume', 'vol'],
+  limitPrice: ['limitPrice', 'limit', 'limit_price'],
+  expiresIn: ['expiresIn', 'expires_in', 'expiry'],
+  expiresAt: ['expiresAt', 'expires_at']
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Number with digit-grouping commas (e.g. 45,000.5); a comma followed by a key or a space
+// still separates pairs
+const GROUPED_NUMBER = '\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?(?!\\d|,\\d)';
+// Unquoted value; one running into a comma and digits (e.g. 45,00) is ambiguous and not extracted
+const BARE_VALUE = '[^\\s,;|&]+(?![^\\s,;|&]|,\\d)';
+
+/**
+ * Extract key/value pairs such as `ticker=BTCUSDT action=buy strategy="RSI Div" close=45,000.5`
+ * @param {string} raw - Raw body
+ * @param {Object} options - Template options
+ * @returns {Object} Extracted values keyed by source name
+ */
+function parseKeyValue(raw, options = {}) {
+  const separator = escapeRegExp(options.keyValueSeparator || '=');
+  const pairPattern = new RegExp(
+    `([A-Za-z_][\\w.]*)\\s*${separator}\\s*(?:"([^"]*)"|'([^']*)'|(${GROUPED_NUMBER}|${BARE_VALUE}))`,
+    'g'
+  );
+
+  const values = {};
+  let match;
+  while ((match = pairPattern.exec(raw)) !== null) {
+    const [, key, doubleQuoted, singleQuoted, bare] = match;
+    values[key] = doubleQuoted ?? singleQuoted ?? bare;
+  }
+  return values;
+}
+
+/**
+ * Extract positional values such as `BTCUSDT|1h|RSI|BUY|45000`
+ * @param {string} raw - Raw body
+ * @param {Object} options - Template options (delimiter, columns)
+ * @returns {Object} Extracted values keyed by column name
+ */
+function parseDelimited(raw, options = {}) {
+  const delimiter = options.delimiter || '|';
+  const columns = options.columns || [];
+  const parts = raw.trim().split(delimiter).map(part => part.trim());
+
+  const values = {};
+  columns.forEach((column, index) => {
+    if (column && parts[index] !== undefined && parts[index] !== '') {
+      values[column] = parts[index];
+    }
+  });
+  return values;
+}
+
+/**
+ * Extract values using a regular expression with named groups
+ * @param {string} raw - Raw body
+ * @param {Object} options - Template options (pattern, flags)
+ * @returns {Object} Extracted values keyed by group name
+ */
+function parseRegex(raw, options = {}) {
+  const match = new RegExp(options.pattern, options.flags || '').exec(raw);
+  if (!match || !match.groups) {
+    return {};
+  }
+
+  const values = {};
+  Object.entries(match.groups).forEach(([key, value]) => {
+    if (value !== undefined) {
+      values[key] = value.trim();
+    }
+  });
+  return values;
+}
+
+/**
+ * Extract values using a TradingView-style message template, e.g.
+ * `{{ticker}} {{strategy.order.action}} @ {{close}}`
+ * @param {string} raw - Raw body
+ * @param {Object} options - Template options (template)
+ * @returns {Object} Extracted values keyed by placeholder name
+ */
+function parsePlaceholder(raw, options = {}) {
+  const placeholders = [];
+  const pattern = (options.template || '')
+    .trim()
+    .split(/(\{\{\s*[\w.]+\s*\}\})/)
+    .map(part => {
+      const placeholder = part.match(/^\{\{\s*([\w.]+)\s*\}\}$/);
+      if (placeholder) {
+        placeholders.push(placeholder[1]);
+        return '(.+?)';
+      }
+      return escapeRegExp(part).replace(/\s+/g, '\\s+');
+    })
+    .join('');
+
+  const match = new RegExp(`^${pattern}$`, 's').exec(raw.trim());
+  if (!match) {
+    return {};
+  }
+
+  const values = {};
+  placeholders.forEach((name, index) => {
+    values[name] = match[index + 1].trim();
+  });
+  return values;
+}
+
+const PARSERS = {
+  key_value: parseKeyValue,
+  delimited: parseDelimited,
+  regex: parseRegex,
+  placeholder: parsePlaceholder
+};
+
+/**
+ * Flatten a JSON object into dotted keys (e.g. { strategy: { order: { action } } })
+ * @param {Object} object - Object to flatten
+ * @param {string} prefix - Key prefix
+ * @returns {Object} Flattened object
+ */
+function flattenObject(object, prefix = '') {
+  return Object.entries(object).reduce((flat, [key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      Object.assign(flat, flattenObject(value, path));
+    }
+    flat[path] = value;
+    return flat;
+  }, {});
+}
+
+/**
+ * Normalize an extracted value for a payload field
+ * @param {string} field - Payload field name
+ * @param {*} value - Extracted value
+ * @returns {*} Normalized value
+ */
+function normalizeValue(field, value) {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+
+  if (field === 'signal') {
+    return String(value).trim().toUpperCase();
+  }
+
+  if (field === 'timestamp' && /^\d{10}(\d{3})?$/.test(String(value))) {
+    const epoch = parseInt(value, 10);
+    return new Date(String(value).length === 10 ? epoch * 1000 : epoch).toISOString();
+  }
+
+  if (['price', 'takeProfitPrice', 'stopLossPrice', 'originalEntry', 'volume', 'limitPrice'].includes(field)) {
+    return String(value).replace(/,/g, '');
+  }
+
+  return typeof value === 'string' ? value.trim() : value;
+}
+
+/**
+ * Parse a raw webhook body with a parsing template
+ * @param {string|Object} raw - Raw body (text) or already-parsed JSON
+ * @param {Object} template - Parsing template ({ format, options, fieldMap, defaults })
+ * @returns {Object} { payload, extracted, missingFields }
+ */
+function parsePayload(raw, template) {
+  const { format, options = {}, fieldMap = {}, defaults = {} } = template;
+  const isJson = Boolean(raw) && typeof raw === 'object';
+
+  let extracted;
+  if (isJson) {
+    extracted = flattenObject(raw);
+  } else {
+    const parser = PARSERS[format];
+    if (!parser) {
+      throw new Error(`Unsupported parsing template format: ${format}`);
+    }
+    extracted = parser(String(raw || ''), options);
+  }
+
+  const payload = {};
+  const usedKeys = new Set();
+
+  PAYLOAD_FIELDS.forEach(field => {
+    const mapped = fieldMap[field];
+    const candidates = mapped ? [mapped] : DEFAULT_FIELD_ALIASES[field];
+    const sourceKey = candidates.find(key => {
+      const value = extracted[key];
+      return value !== undefined && value !== null && value !== '' && typeof value !== 'object';
+    });
+
+    const value = sourceKey !== undefined
+      ? normalizeValue(field, extracted[sourceKey])
+      : normalizeValue(field, defaults[field]);
+
+    if (sourceKey !== undefined) {
+      usedKeys.add(sourceKey);
+    }
+    if (value !== undefined) {
+      payload[field] = value;
+    }
+  });
+
+  // Anything the template extracted but did not map is kept as metadata
+  const metadata = {};
+  Object.entries(extracted).forEach(([key, value]) => {
+    if (usedKeys.has(key) || (isJson && (key.includes('.') || key === 'metadata'))) {
+      return;
+    }
+    if (value === null || typeof value !== 'object') {
+      metadata[key] = value;
+    }
+  });
+  if (isJson && raw.metadata && typeof raw.metadata === 'object') {
+    Object.assign(metadata, raw.metadata);
+  }
+  if (Object.keys(metadata).length > 0) {
+    payload.metadata = metadata;
+  }
+
+  return {
+    payload,
+    extracted,
+    missingFields: REQUIRED_FIELDS.filter(field => payload[field] === undefined)
+  };
+}
+
+module.exports = {
+  PARSING_FORMATS: Object.keys(PARSERS),
+  PAYLOAD_FIELDS,
+  parsePayload
+};
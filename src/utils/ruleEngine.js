@@ -0,0 +1,345 @@
+/**
+ * Declarative rules for alert configuration conditions.
+ *
+ * A rule is a comparison `{ field, operator, value }` or a group
+ * `{ all: [rules] }`, `{ any: [rules] }` or `{ not: rule }`. Fields are paths into the
+ * facts built for an alert, e.g. `price`, `additionalData.metadata.rsi`, `time.weekday`
+ * or `trades.open` (the receiving user's open trades for the configuration).
+ *
+ * Matching conditions run their actions in priority order (high, medium, low); the
+ * first condition to set a priority, TP/SL level or plan routing wins, tags accumulate,
+ * and a suppress stops evaluation.
+ */
+
+const { getValueAtPath } = require('./jsonPath');
+const { getZonedParts, isValidTimeZone } = require('./tradingSession');
+
+const PRIORITY_ORDER = { high: 0, medium: 1, low: 2 };
+const TAG_PATTERN = /^[A-Za-z0-9_-]{1,30}$/;
+
+const toNumber = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(value)) {
+    return Number(value);
+  }
+  return NaN;
+};
+
+// Numbers compare numerically (numeric strings included), anything else as strings
+const compare = (actual, expected) => {
+  const a = toNumber(actual);
+  const b = toNumber(expected);
+  if (!isNaN(a) && !isNaN(b)) {
+    return a - b;
+  }
+  return String(actual).localeCompare(String(expected));
+};
+
+const isMissing = (value) => value === undefined || value === null;
+
+const OPERATORS = {
+  eq: (actual, expected) => !isMissing(actual) && compare(actual, expected) === 0,
+  ne: (actual, expected) => isMissing(actual) || compare(actual, expected) !== 0,
+  gt: (actual, expected) => !isMissing(actual) && compare(actual, expected) > 0,
+  gte: (actual, expected) => !isMissing(actual) && compare(actual, expected) >= 0,
+  lt: (actual, expected) => !isMissing(actual) && compare(actual, expected) < 0,
+  lte: (actual, expected) => !isMissing(actual) && compare(actual, expected) <= 0,
+  between: (actual, [min, max]) => !isMissing(actual) && compare(actual, min) >= 0 && compare(actual, max) <= 0,
+  in: (actual, expected) => !isMissing(actual) && expected.some(option => compare(actual, option) === 0),
+  not_in: (actual, expected) => isMissing(actual) || !expected.some(option => compare(actual, option) === 0),
+  exists: (actual, expected) => isMissing(actual) !== Boolean(expected)
+};
+
+const ACTION_TYPES = ['suppress', 'tag', 'set_priority', 'set_levels', 'route_plans'];
+
+/**
+ * Check a rule's structure
+ * @param {Object} rule - Rule or rule group
+ * @param {string} [path] - Location of the rule, used in messages
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+function validateRule(rule, path = 'rules') {
+  if (!rule || typeof rule !== 'object' || Array.isArray(rule)) {
+    return [`${path} must be an object`];
+  }
+
+  if (rule.all !== undefined || rule.any !== undefined) {
+    const key = rule.all !== undefined ? 'all' : 'any';
+    if (!Array.isArray(rule[key]) || rule[key].length === 0) {
+      return [`${path}.${key} must be a non-empty array of rules`];
+    }
+    return rule[key].flatMap((child, index) => validateRule(child, `${path}.${key}[${index}]`));
+  }
+
+  if (rule.not !== undefined) {
+    return validateRule(rule.not, `${path}.not`);
+  }
+
+  const errors = [];
+  if (typeof rule.field !== 'string' || rule.field.trim() === '') {
+    errors.push(`${path}.field must be a non-empty string`);
+  }
+  if (!OPERATORS[rule.operator]) {
+    errors.push(`${path}.operator must be one of: ${Object.keys(OPERATORS).join(', ')}`);
+  } else if (rule.operator === 'between' && !(Array.isArray(rule.value) && rule.value.length === 2)) {
+    errors.push(`${path}.value must be a [min, max] array for between`);
+  } else if (['in', 'not_in'].includes(rule.operator) && !Array.isArray(rule.value)) {
+    errors.push(`${path}.value must be an array for ${rule.operator}`);
+  } else if (rule.operator !== 'exists' && rule.value === undefined) {
+    errors.push(`${path}.value is required`);
+  }
+  return errors;
+}
+
+/**
+ * Check a condition's actions
+ * @param {Array} actions - Condition actions
+ * @param {string} [path] - Location of the actions, used in messages
+ * @returns {Array<string>} Problems found (empty when valid)
+ */
+function validateActions(actions, path = 'actions') {
+  if (!Array.isArray(actions)) {
+    return [`${path} must be an array`];
+  }
+
+  return actions.flatMap((action, index) => {
+    const at = `${path}[${index}]`;
+    if (!action || !ACTION_TYPES.includes(action.type)) {
+      return [`${at}.type must be one of: ${ACTION_TYPES.join(', ')}`];
+    }
+
+    switch (action.type) {
+      case 'tag':
+        return Array.isArray(action.tags) && action.tags.length > 0 && action.tags.every(tag => TAG_PATTERN.test(tag))
+          ? []
+          : [`${at}.tags must be a non-empty array of tags (letters, numbers, _ and -, up to 30 characters)`];
+      case 'set_priority':
+        return PRIORITY_ORDER[action.priority] !== undefined
+          ? []
+          : [`${at}.priority must be one of: ${Object.keys(PRIORITY_ORDER).join(', ')}`];
+      case 'set_levels': {
+        const levelKeys = ['takeProfitPrice', 'stopLossPrice', 'takeProfitPercent', 'stopLossPercent'];
+        const given = levelKeys.filter(key => action[key] !== undefined);
+        if (given.length === 0) {
+          return [`${at} must set at least one of: ${levelKeys.join(', ')}`];
+        }
+        return given.every(key => typeof action[key] === 'number' && action[key] > 0)
+          ? []
+          : [`${at} levels must be positive numbers`];
+      }
+      case 'route_plans':
+        return Array.isArray(action.planIds) && action.planIds.length > 0
+          ? []
+          : [`${at}.planIds must be a non-empty array`];
+      default:
+        return [];
+    }
+  });
+}
+
+/**
+ * Whether a rule reads any field under a prefix (e.g. `trades`)
+ * @param {Object} rule - Rule or rule group
+ * @param {string} prefix - Top-level fact name
+ * @returns {boolean} Whether the prefix is referenced
+ */
+function referencesFact(rule, prefix) {
+  if (!rule || typeof rule !== 'object') {
+    return false;
+  }
+  if (Array.isArray(rule.all) || Array.isArray(rule.any)) {
+    return (rule.all || rule.any).some(child => referencesFact(child, prefix));
+  }
+  if (rule.not !== undefined) {
+    return referencesFact(rule.not, prefix);
+  }
+  return typeof rule.field === 'string' &&
+    (rule.field === prefix || rule.field.startsWith(`${prefix}.`));
+}
+
+/**
+ * Evaluate a rule against facts
+ * @param {Object} rule - Rule or rule group
+ * @param {Object} facts - Facts built with buildFacts
+ * @returns {boolean} Whether the rule matches
+ */
+function evaluateRule(rule, facts) {
+  if (Array.isArray(rule.all)) {
+    return rule.all.every(child => evaluateRule(child, facts));
+  }
+  if (Array.isArray(rule.any)) {
+    return rule.any.some(child => evaluateRule(child, facts));
+  }
+  if (rule.not !== undefined) {
+    return !evaluateRule(rule.not, facts);
+  }
+
+  const operator = OPERATORS[rule.operator];
+  return Boolean(operator) && operator(getValueAtPath(facts, rule.field), rule.value);
+}
+
+/**
+ * Summarize a user's open trades for rule facts
+ * @param {Array} openTrades - Open trades for the configuration
+ * @param {string} signal - Alert signal
+ * @returns {Object} { open, long, short, sameSide, oppositeSide }
+ */
+function summarizeTrades(openTrades, signal) {
+  const long = openTrades.filter(trade => trade.tradeData.signal === 'BUY').length;
+  const short = openTrades.length - long;
+  const isEntry = signal === 'BUY' || signal === 'SELL';
+
+  return {
+    open: openTrades.length,
+    long,
+    short,
+    sameSide: isEntry ? (signal === 'BUY' ? long : short) : 0,
+    oppositeSide: isEntry ? (signal === 'BUY' ? short : long) : 0
+  };
+}
+
+/**
+ * Build the facts rules are evaluated against
+ * @param {Object} alertData - Alert data (symbol, signal, price, additionalData, ...)
+ * @param {Object} [options] - { now, timeZone, openTrades }
+ * @returns {Object} Facts
+ */
+function buildFacts(alertData, { now = new Date(), timeZone = 'UTC', openTrades = null } = {}) {
+  const zone = isValidTimeZone(timeZone) ? timeZone : 'UTC';
+  const local = getZonedParts(now, zone);
+  const additionalData = alertData.additionalData || {};
+
+  const facts = {
+    symbol: alertData.symbol,
+    timeframe: alertData.timeframe,
+    strategy: alertData.strategy,
+    signal: alertData.signal,
+    price: alertData.price,
+    takeProfitPrice: alertData.takeProfitPrice,
+    stopLossPrice: alertData.stopLossPrice,
+    volume: alertData.volume,
+    additionalData,
+    metadata: additionalData.metadata || {},
+    time: {
+      timezone: zone,
+      date: local.date,
+      weekday: local.weekday,
+      hour: Math.floor(local.minutes / 60),
+      minute: local.minutes % 60,
+      minutes: local.minutes
+    }
+  };
+
+  if (openTrades) {
+    facts.trades = summarizeTrades(openTrades, alertData.signal);
+  }
+  return facts;
+}
+
+/**
+ * Resolve TP/SL levels from a set_levels action for an entry
+ * @param {Object} action - set_levels action
+ * @param {Object} alertData - Alert data (signal and price)
+ * @returns {Object} { takeProfitPrice, stopLossPrice } (only the levels the action sets)
+ */
+function resolveLevels(action, { signal, price }) {
+  const direction = signal === 'SELL' ? -1 : 1;
+  const levels = {};
+
+  if (action.takeProfitPrice !== undefined) {
+    levels.takeProfitPrice = action.takeProfitPrice;
+  } else if (action.takeProfitPercent !== undefined) {
+    levels.takeProfitPrice = price * (1 + direction * action.takeProfitPercent / 100);
+  }
+
+  if (action.stopLossPrice !== undefined) {
+    levels.stopLossPrice = action.stopLossPrice;
+  } else if (action.stopLossPercent !== undefined) {
+    levels.stopLossPrice = price * (1 - direction * action.stopLossPercent / 100);
+  }
+  return levels;
+}
+
+/**
+ * Evaluate a configuration's conditions
+ * Conditions reading facts that are not available (e.g. `trades` before the receiving
+ * user is known) are skipped and reported as deferred.
+ * @param {Array} conditions - AlertConfiguration conditions
+ * @param {Object} facts - Facts built with buildFacts
+ * @returns {Object} { matched, suppressedBy, tags, priority, levels, planIds, deferred }
+ */
+function evaluateConditions(conditions, facts) {
+  const outcome = {
+    matched: [],
+    suppressedBy: null,
+    tags: [],
+    priority: null,
+    levels: {},
+    planIds: null,
+    deferred: false
+  };
+
+  const ordered = (conditions || [])
+    .map((condition, index) => ({ condition, index }))
+    .filter(({ condition }) => condition.enabled !== false)
+    .sort((a, b) =>
+      (PRIORITY_ORDER[a.condition.priority] ?? PRIORITY_ORDER.medium) -
+      (PRIORITY_ORDER[b.condition.priority] ?? PRIORITY_ORDER.medium) ||
+      a.index - b.index
+    )
+    .map(({ condition }) => condition);
+
+  for (const condition of ordered) {
+    if (!facts.trades && referencesFact(condition.rules, 'trades')) {
+      outcome.deferred = true;
+      continue;
+    }
+    if (!evaluateRule(condition.rules, facts)) {
+      continue;
+    }
+
+    const actions = condition.actions || [];
+    outcome.matched.push({
+      conditionId: condition.conditionId,
+      name: condition.name,
+      priority: condition.priority,
+      actions: actions.map(action => action.type)
+    });
+
+    for (const action of actions) {
+      if (action.type === 'suppress') {
+        outcome.suppressedBy = { conditionId: condition.conditionId, name: condition.name };
+        return outcome;
+      }
+      if (action.type === 'tag') {
+        action.tags.forEach(tag => {
+          if (!outcome.tags.includes(tag)) {
+            outcome.tags.push(tag);
+          }
+        });
+      } else if (action.type === 'set_priority' && !outcome.priority) {
+        outcome.priority = action.priority;
+      } else if (action.type === 'set_levels') {
+        outcome.levels = { ...resolveLevels(action, facts), ...outcome.levels };
+      } else if (action.type === 'route_plans' && !outcome.planIds) {
+        outcome.planIds = action.planIds.map(String);
+      }
+    }
+  }
+
+  return outcome;
+}
+
+module.exports = {
+  OPERATORS: Object.keys(OPERATORS),
+  ACTION_TYPES,
+  PRIORITIES: Object.keys(PRIORITY_ORDER),
+  validateRule,
+  validateActions,
+  referencesFact,
+  evaluateRule,
+  buildFacts,
+  evaluateConditions
+};
@@ -0,0 +1,116 @@
+/**
+ * Signal vocabulary.
+ * Entries open trades (BUY, SELL), exits close them (TP_HIT, SL_HIT, CLOSE; TP1_HIT..TP3_HIT
+ * close the share of one take-profit target) and management signals act on trades:
+ * REVERSE closes them and opens the opposite side, BREAKEVEN moves their stop loss to the
+ * entry price and CANCEL withdraws pending entries (limit orders not yet filled) without P&L.
+ * Strategies use many names for the same signal; aliases are mapped to the canonical
+ * signal when an alert is received.
+ */
+
+const ENTRY_SIGNALS = ['BUY', 'SELL'];
+// Targets of a take-profit ladder, in order
+const TAKE_PROFIT_SIGNALS = ['TP1_HIT', 'TP2_HIT', 'TP3_HIT'];
+const EXIT_SIGNALS = ['TP_HIT', ...TAKE_PROFIT_SIGNALS, 'SL_HIT', 'CLOSE'];
+const MANAGEMENT_SIGNALS = ['REVERSE', 'BREAKEVEN', 'CANCEL'];
+
+const SIGNALS = [...ENTRY_SIGNALS, ...EXIT_SIGNALS, ...MANAGEMENT_SIGNALS];
+
+// Alias -> canonical signal (keys without separators, see normalizeSignal)
+const SIGNAL_ALIASES = {
+  LONG: 'BUY',
+  GOLONG: 'BUY',
+  ENTERLONG: 'BUY',
+  ENTRYLONG: 'BUY',
+  OPENLONG: 'BUY',
+  BUYTOOPEN: 'BUY',
+  BULLISH: 'BUY',
+  SHORT: 'SELL',
+  GOSHORT: 'SELL',
+  ENTERSHORT: 'SELL',
+  ENTRYSHORT: 'SELL',
+  OPENSHORT: 'SELL',
+  SELLTOOPEN: 'SELL',
+  BEARISH: 'SELL',
+  TP: 'TP_HIT',
+  TAKEPROFIT: 'TP_HIT',
+  TP1: 'TP1_HIT',
+  TP2: 'TP2_HIT',
+  TP3: 'TP3_HIT',
+  SL: 'SL_HIT',
+  STOPLOSS: 'SL_HIT',
+  EXIT: 'CLOSE',
+  FLAT: 'CLOSE',
+  CLOSEALL: 'CLOSE',
+  REVERSAL: 'REVERSE',
+  FLIP: 'REVERSE',
+  BE: 'BREAKEVEN',
+  MOVETOBE: 'BREAKEVEN',
+  MOVETOBREAKEVEN: 'BREAKEVEN',
+  CANCELORDER: 'CANCEL',
+  CANCELENTRY: 'CANCEL'
+};
+
+/**
+ * Canonical signal for a received value
+ * Matching ignores case and separators, so `long`, `Enter Long` and `enter_long` all map to BUY.
+ * @param {string} value - Signal as received
+ * @returns {string|null} Canonical signal, or null when the value is not a known signal
+ */
+function normalizeSignal(value) {
+  if (value === undefined || value === null) {
+    return null;
+  }
+
+  const text = String(value).trim().toUpperCase();
+  if (SIGNALS.includes(text)) {
+    return text;
+  }
+
+  const compact = text.replace(/[\s_-]+/g, '');
+  return SIGNALS.find(signal => signal.replace(/_/g, '') === compact) || SIGNAL_ALIASES[compact] || null;
+}
+
+/**
+ * Kind of a canonical signal
+ * @param {string} signal - Canonical signal
+ * @returns {string|null} 'entry', 'exit' or 'management', or null for unknown signals
+ */
+function getSignalType(signal) {
+  if (ENTRY_SIGNALS.includes(signal)) return 'entry';
+  if (EXIT_SIGNALS.includes(signal)) return 'exit';
+  if (MANAGEMENT_SIGNALS.includes(signal)) return 'management';
+  return null;
+}
+
+/**
+ * Ladder target a take-profit signal refers to
+ * @param {string} signal - Canonical signal
+ * @returns {number|null} Target level (1 for TP1_HIT), or null for other signals
+ */
+function getTakeProfitLevel(signal) {
+  const index = TAKE_PROFIT_SIGNALS.indexOf(signal);
+  return index >= 0 ? index + 1 : null;
+}
+
+/**
+ * Opposite side of an entry signal
+ * @param {string} signal - BUY or SELL
+ * @returns {string} SELL or BUY
+ */
+function getOppositeSignal(signal) {
+  return signal === 'BUY' ? 'SELL' : 'BUY';
+}
+
+module.exports = {
+  ENTRY_SIGNALS,
+  TAKE_PROFIT_SIGNALS,
+  EXIT_SIGNALS,
+  MANAGEMENT_SIGNALS,
+  SIGNALS,
+  SIGNAL_ALIASES,
+  normalizeSignal,
+  getSignalType,
+  getTakeProfitLevel,
+  getOppositeSignal
+};
@@ -0,0 +1,63 @@
+/**
+ * Symbol parsing for the instrument registry.
+ * TradingView sends tickers with an exchange prefix (`BINANCE:BTCUSDT`), a perpetual
+ * suffix (`BTCUSDT.P`) or as a continuous future (`NSE:NIFTY1!`); these are split into
+ * the parts the registry looks up.
+ */
+
+const SYMBOL_PATTERN = /^([A-Z0-9_-]{1,20}:)?[A-Z0-9._&!-]{1,30}$/i;
+
+// Wildcard over canonical symbols: `*` any characters, `?` exactly one (e.g. `*USDT`)
+const SYMBOL_WILDCARD_PATTERN = /^[A-Z0-9._&!*?-]{1,30}$/i;
+
+// Suffixes that name a contract form rather than a different instrument
+const CONTRACT_SUFFIXES = [
+  /\.P$/, // perpetual swap
+  /\d+!$/ // continuous future (1! front month, 2! next month)
+];
+
+/**
+ * Split a raw symbol into exchange prefix, ticker and base ticker
+ * @param {string} rawSymbol - Symbol as received, e.g. `BINANCE:BTCUSDT.P`
+ * @returns {Object} { exchange, ticker, base } (exchange is null without a prefix)
+ */
+function parseSymbol(rawSymbol) {
+  const value = String(rawSymbol).trim().toUpperCase();
+  const separator = value.indexOf(':');
+  const exchange = separator > 0 ? value.slice(0, separator) : null;
+  const ticker = separator >= 0 ? value.slice(separator + 1) : value;
+
+  const base = CONTRACT_SUFFIXES.reduce((result, suffix) => result.replace(suffix, ''), ticker) || ticker;
+  return { exchange, ticker, base };
+}
+
+/**
+ * Tickers to look up in the registry for a raw symbol, most specific first
+ * @param {string} rawSymbol - Symbol as received
+ * @returns {Array<string>} Candidate tickers
+ */
+function getSymbolCandidates(rawSymbol) {
+  const { ticker, base } = parseSymbol(rawSymbol);
+  return ticker === base ? [ticker] : [ticker, base];
+}
+
+/**
+ * Convert a symbol wildcard to a regular expression
+ * @param {string} pattern - Wildcard, e.g. `*USDT` or `NIFTY?`
+ * @returns {RegExp} Case-insensitive expression matching whole symbols
+ */
+function wildcardToRegExp(pattern) {
+  const source = String(pattern)
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+module.exports = {
+  SYMBOL_PATTERN,
+  SYMBOL_WILDCARD_PATTERN,
+  parseSymbol,
+  getSymbolCandidates,
+  wildcardToRegExp
+};
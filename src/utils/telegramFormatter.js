@@ -1,4 +1,5 @@
 const moment = require('moment');
+const { formatTimeframe } = require('./timeframes');
 
 /**
  * Format alert message for Telegram
@@ -29,11 +30,33 @@ function formatAlertMessage(alert) {
       emoji = '💰';
       signalText = '💰 TAKE PROFIT HIT';
       break;
+    case 'tp1_hit':
+    case 'tp2_hit':
+    case 'tp3_hit':
+      emoji = '💰';
+      signalText = `💰 ${alertData.signal.slice(0, 3).toUpperCase()} HIT`;
+      break;
     case 'sl_hit':
     case 'stop_loss':
       emoji = '⛔';
       signalText = '⛔ STOP LOSS HIT';
       break;
+    case 'close':
+      emoji = '✅';
+      signalText = '✅ CLOSE POSITION';
+      break;
+    case 'reverse':
+      emoji = '🔁';
+      signalText = '🔁 REVERSE POSITION';
+      break;
+    case 'breakeven':
+      emoji = '🛡️';
+      signalText = '🛡️ MOVE STOP TO BREAKEVEN';
+      break;
+    case 'cancel':
+      emoji = '❌';
+      signalText = '❌ CANCEL ENTRY';
+      break;
     default:
       emoji = '📊';
       signalText = `📊 ${alertData.signal?.toUpperCase() || 'SIGNAL'}`;
@@ -43,7 +66,7 @@ function formatAlertMessage(alert) {
   
   // Basic alert information
   message += `📈 *Symbol:* ${alertData.symbol}\n`;
-  message += `⏰ *Timeframe:* ${alertData.timeframe}\n`;
+  message += `⏰ *Timeframe:* ${formatTimeframe(alertData.timeframe)}\n`;
   message += `🎯 *Strategy:* ${alertData.strategy}\n`;
   
   if (alertData.price) {
@@ -59,6 +82,10 @@ function formatAlertMessage(alert) {
     message += `🛑 *Stop Loss:* $${parseFloat(alertData.stopLossPrice).toFixed(4)}\n`;
   }
   
+  if (alertData.takeProfits && alertData.takeProfits.length > 0) {
+    message += `🪜 *Targets:*\n${formatTakeProfitTargets(alertData.takeProfits).map(line => `   ${line}`).join('\n')}\n`;
+  }
+  
   // Add trade number if available
   if (alertData.tradeNumber) {
     message += `🔢 *Trade #:* ${alertData.tradeNumber}\n`;
@@ -127,7 +154,7 @@ function formatTradeMessage(trade) {
   // Trade information
   message += `🔢 *Trade #:* ${trade.tradeNumber}\n`;
   message += `📈 *Symbol:* ${tradeData.symbol}\n`;
-  message += `⏰ *Timeframe:* ${tradeData.timeframe}\n`;
+  message += `⏰ *Timeframe:* ${formatTimeframe(tradeData.timeframe)}\n`;
   message += `🎯 *Strategy:* ${tradeData.strategy}\n`;
   message += `📊 *Signal:* ${tradeData.signal?.toUpperCase()}\n`;
   
@@ -147,6 +174,10 @@ function formatTradeMessage(trade) {
     message += `🛑 *Stop Loss:* $${parseFloat(tradeData.stopLossPrice).toFixed(4)}\n`;
   }
   
+  if (tradeData.takeProfits && tradeData.takeProfits.length > 0) {
+    message += `🪜 *Targets:*\n${formatTakeProfitTargets(tradeData.takeProfits).map(line => `   ${line}`).join('\n')}\n`;
+  }
+  
   // P&L information
   if (pnl !== undefined && pnl !== null) {
     const pnlEmoji = pnl >= 0 ? '📈' : '📉';
@@ -167,6 +198,105 @@ function formatTradeMessage(trade) {
   return message;
 }
 
+/**
+ * Lines describing a take-profit ladder, marking targets already hit
+ * @param {Array} takeProfits - Targets ({ level, price, allocation, hit })
+ * @returns {Array<string>} One line per target, e.g. `TP1 $110 (50%) ✅`
+ */
+function formatTakeProfitTargets(takeProfits = []) {
+  return takeProfits.map((target, index) => {
+    const allocation = target.allocation !== undefined && target.allocation !== null ? ` (${target.allocation}%)` : '';
+    const state = target.hit === undefined ? '' : target.hit ? ' ✅' : ' ⏳';
+    return `TP${target.level || index + 1} $${target.price}${allocation}${state}`;
+  });
+}
+
+/**
+ * Format TP/SL levels update message for Telegram
+ * @param {Object} trade - Trade object from database
+ * @param {Object} change - Level change entry recorded on the trade
+ * @returns {string} Formatted message
+ */
+function formatLevelsUpdateMessage(trade, change) {
+  const { tradeData } = trade;
+  const timestamp = moment(change.changedAt).format('YYYY-MM-DD HH:mm:ss UTC');
+  const formatLevel = (value) => (value ? `$${parseFloat(value).toFixed(4)}` : 'None');
+
+  let message = `🔧 *LEVELS UPDATED*\n\n`;
+
+  message += `🔢 *Trade #:* ${trade.tradeNumber}\n`;
+  message += `📈 *Symbol:* ${tradeData.symbol}\n`;
+  message += `🎯 *Strategy:* ${tradeData.strategy}\n`;
+  message += `📊 *Signal:* ${tradeData.signal}\n`;
+  message += `📍 *Entry Price:* $${parseFloat(tradeData.entryPrice).toFixed(4)}\n`;
+
+  if (change.takeProfitPrice) {
+    message += `🎯 *Take Profit:* ${formatLevel(change.takeProfitPrice.from)} ➡️ ${formatLevel(change.takeProfitPrice.to)}\n`;
+  }
+
+  if (change.stopLossPrice) {
+    message += `🛑 *Stop Loss:* ${formatLevel(change.stopLossPrice.from)} ➡️ ${formatLevel(change.stopLossPrice.to)}\n`;
+  }
+
+  if (change.reason) {
+    message += `📝 *Reason:* ${change.reason}\n`;
+  }
+
+  message += `\n🕐 *Time:* ${timestamp}`;
+
+  return message;
+}
+
+/**
+ * Format pending entry update message for Telegram
+ * @param {Object} trade - Trade object from database
+ * @param {string} event - 'filled', 'expired' or 'cancelled'
+ * @param {Object} [details] - { price } that filled the entry, or { reason } it was cancelled for
+ * @returns {string} Formatted message
+ */
+function formatPendingEntryMessage(trade, event, details = {}) {
+  const { tradeData, timestamps } = trade;
+  const filled = event === 'filled';
+  const timestamp = moment(filled ? timestamps.openedAt : timestamps.cancelledAt).format('YYYY-MM-DD HH:mm:ss UTC');
+
+  let message;
+  if (filled) {
+    message = `✅ *LIMIT ORDER FILLED*\n\n`;
+  } else if (event === 'cancelled') {
+    message = `🚫 *LIMIT ORDER CANCELLED*\n\n`;
+  } else {
+    message = `⌛ *LIMIT ORDER EXPIRED*\n\n`;
+  }
+
+  message += `🔢 *Trade #:* ${trade.tradeNumber}\n`;
+  message += `📈 *Symbol:* ${tradeData.symbol}\n`;
+  message += `🎯 *Strategy:* ${tradeData.strategy}\n`;
+  message += `📊 *Signal:* ${tradeData.signal}\n`;
+  message += `📍 *Entry Price:* $${parseFloat(tradeData.entryPrice).toFixed(4)}\n`;
+
+  if (filled && details.price) {
+    message += `💹 *Triggered At:* $${parseFloat(details.price).toFixed(4)}\n`;
+  }
+
+  if (filled && tradeData.takeProfitPrice) {
+    message += `🎯 *Take Profit:* $${parseFloat(tradeData.takeProfitPrice).toFixed(4)}\n`;
+  }
+
+  if (filled && tradeData.stopLossPrice) {
+    message += `🛑 *Stop Loss:* $${parseFloat(tradeData.stopLossPrice).toFixed(4)}\n`;
+  }
+
+  if (event === 'cancelled') {
+    message += `📝 *Reason:* ${details.reason || 'Cancelled'} when the price reached the entry\n`;
+  } else if (!filled) {
+    message += `📝 *Reason:* Price did not reach the entry before ${moment(tradeData.entryTrigger.expiresAt).format('YYYY-MM-DD HH:mm:ss UTC')}\n`;
+  }
+
+  message += `\n🕐 *Time:* ${timestamp}`;
+
+  return message;
+}
+
 /**
  * Format help message for Telegram
  * @returns {string} Formatted help message
@@ -265,8 +395,13 @@ function formatSubscriptionMessage(user, alertConfigs = []) {
     
     message += `${index + 1}. ${statusEmoji} *${config.name}*\n`;
     message += `   📈 Strategy: ${config.strategy}\n`;
-    message += `   📊 Symbols: ${config.symbols.join(', ')}\n`;
-    message += `   ⏰ Timeframes: ${config.timeframes.join(', ')}\n\n`;
+    const symbols = [config.symbol, ...(config.symbols || []), config.symbolPattern].filter(Boolean);
+    if (config.watchlist) {
+      symbols.push(`${config.watchlist.name || 'watchlist'} watchlist`);
+    }
+    const timeframes = [config.timeframe, ...(config.timeframes || [])].filter(Boolean);
+    message += `   📊 Symbols: ${symbols.join(', ')}\n`;
+    message += `   ⏰ Timeframes: ${[...new Set(timeframes)].map(formatTimeframe).join(', ')}\n\n`;
   });
   
   message += `Use the buttons below to subscribe or unsubscribe from alerts.`;
@@ -369,6 +504,9 @@ function formatSuccessMessage(action, details = '') {
 module.exports = {
   formatAlertMessage,
   formatTradeMessage,
+  formatLevelsUpdateMessage,
+  formatPendingEntryMessage,
+  formatTakeProfitTargets,
   formatHelpMessage,
   formatUserStatsMessage,
   formatSubscriptionMessage,
@@ -0,0 +1,156 @@
+/**
+ * Timeframe registry.
+ * Chart intervals arrive in several notations: TradingView (`60`, `240`, `D`, `1W`, `30S`),
+ * Binance (`1m`, `4h`, `1d`, `1M`), MetaTrader (`M15`, `H1`, `D1`, `MN`) and plain
+ * English (`15 min`, `4 hours`, `daily`). They are parsed to a canonical value in
+ * Binance notation (`s`, `m`, `h`, `d`, `w`, `M`), promoted to the largest whole unit,
+ * with a duration in seconds. Months count as 30 days.
+ */
+
+const UNITS = {
+  s: { seconds: 1, name: 'second' },
+  m: { seconds: 60, name: 'minute' },
+  h: { seconds: 60 * 60, name: 'hour' },
+  d: { seconds: 24 * 60 * 60, name: 'day' },
+  w: { seconds: 7 * 24 * 60 * 60, name: 'week' },
+  M: { seconds: 30 * 24 * 60 * 60, name: 'month' }
+};
+
+// Promotion order for canonical values (months are never derived from days)
+const PROMOTION = ['w', 'd', 'h', 'm', 's'];
+
+// Longest accepted timeframe (12 months)
+const MAX_SECONDS = 12 * UNITS.M.seconds;
+
+// Common timeframes, for documentation and pickers
+const TIMEFRAMES = ['1m', '3m', '5m', '15m', '30m', '45m', '1h', '2h', '3h', '4h', '6h', '8h', '12h', '1d', '3d', '1w', '1M'];
+
+const WORD_UNITS = {
+  s: 's', sec: 's', secs: 's', second: 's', seconds: 's',
+  m: 'm', min: 'm', mins: 'm', minute: 'm', minutes: 'm',
+  h: 'h', hr: 'h', hrs: 'h', hour: 'h', hours: 'h',
+  d: 'd', day: 'd', days: 'd',
+  w: 'w', wk: 'w', wks: 'w', week: 'w', weeks: 'w',
+  mo: 'M', mon: 'M', month: 'M', months: 'M'
+};
+
+const NAMED = {
+  daily: [1, 'd'],
+  weekly: [1, 'w'],
+  monthly: [1, 'M']
+};
+
+// Count and unit of a timeframe in any supported notation
+const parseParts = (value) => {
+  const text = String(value).trim();
+  let match;
+
+  // TradingView minutes: "1", "60", "240"
+  if ((match = /^(\d+)$/.exec(text))) {
+    return [parseInt(match[1], 10), 'm'];
+  }
+  // TradingView / Binance: "30S", "1D", "D", "1W", "1M", "3M"; upper-case M is months
+  if ((match = /^(\d*)([SDWM])$/.exec(text))) {
+    return [match[1] ? parseInt(match[1], 10) : 1, match[2] === 'M' ? 'M' : match[2].toLowerCase()];
+  }
+  // Binance and lower-case human short forms: "15m", "4h", "1d", "1w"
+  if ((match = /^(\d+)([smhdw])$/.exec(text))) {
+    return [parseInt(match[1], 10), match[2]];
+  }
+  // MetaTrader: "M15", "H4", "D1", "W1", "MN", "MN1"
+  if ((match = /^(MN|[MHDW])(\d*)$/i.exec(text))) {
+    const prefix = match[1].toUpperCase();
+    const count = match[2] ? parseInt(match[2], 10) : 1;
+    return [count, prefix === 'MN' ? 'M' : prefix.toLowerCase()];
+  }
+
+  const lower = text.toLowerCase();
+  if (NAMED[lower]) {
+    return NAMED[lower];
+  }
+  // Human: "15 min", "4 hours", "1hr", "2 weeks", "hour"
+  if ((match = /^(\d*)\s*([a-z]+)$/.exec(lower)) && WORD_UNITS[match[2]]) {
+    return [match[1] ? parseInt(match[1], 10) : 1, WORD_UNITS[match[2]]];
+  }
+  return null;
+};
+
+/**
+ * Parse a timeframe in any supported notation
+ * @param {string|number} value - Timeframe, e.g. `240`, `4h`, `H4` or `4 hours`
+ * @returns {Object|null} { timeframe, seconds, count, unit } or null when not a timeframe
+ */
+function parseTimeframe(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const parts = parseParts(value);
+  if (!parts || parts[0] < 1) {
+    return null;
+  }
+
+  let [count, unit] = parts;
+  const seconds = count * UNITS[unit].seconds;
+  if (seconds > MAX_SECONDS) {
+    return null;
+  }
+  if (unit !== 'M') {
+    unit = PROMOTION.find(candidate => seconds % UNITS[candidate].seconds === 0);
+    count = seconds / UNITS[unit].seconds;
+  }
+
+  return { timeframe: `${count}${unit}`, seconds, count, unit };
+}
+
+/**
+ * Canonical value of a timeframe
+ * @param {string|number} value - Timeframe in any supported notation
+ * @returns {string|null} Canonical timeframe, e.g. `4h`, or null when not a timeframe
+ */
+function normalizeTimeframe(value) {
+  const parsed = parseTimeframe(value);
+  return parsed ? parsed.timeframe : null;
+}
+
+/**
+ * Whether a value is a timeframe in any supported notation
+ * @param {string|number} value - Timeframe
+ * @returns {boolean} Whether the value parses
+ */
+function isValidTimeframe(value) {
+  return parseTimeframe(value) !== null;
+}
+
+/**
+ * Duration of a timeframe
+ * @param {string|number} value - Timeframe in any supported notation
+ * @returns {number|null} Seconds, or null when not a timeframe
+ */
+function getTimeframeSeconds(value) {
+  const parsed = parseTimeframe(value);
+  return parsed ? parsed.seconds : null;
+}
+
+/**
+ * Human-readable timeframe for messages
+ * @param {string|number} value - Timeframe in any supported notation
+ * @returns {string} e.g. `4 hours`; the value itself when it does not parse
+ */
+function formatTimeframe(value) {
+  const parsed = parseTimeframe(value);
+  if (!parsed) {
+    return String(value);
+  }
+  const { name } = UNITS[parsed.unit];
+  return `${parsed.count} ${name}${parsed.count === 1 ? '' : 's'}`;
+}
+
+module.exports = {
+  TIMEFRAMES,
+  parseTimeframe,
+  normalizeTimeframe,
+  isValidTimeframe,
+  getTimeframeSeconds,
+  formatTimeframe
+};
@@ -0,0 +1,145 @@
+/**
+ * Timezone-aware trading session helpers.
+ * Session times are wall-clock `HH:MM` values in an IANA timezone (e.g. `Asia/Kolkata`);
+ * a session whose end is before its start runs overnight into the next day.
+ * Weekdays are numbered 0 (Sunday) to 6 (Saturday), dates are local `YYYY-MM-DD` strings.
+ */
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/;
+
+const formatters = new Map();
+
+/**
+ * Check that a timezone name is known to the runtime
+ * @param {string} timeZone - IANA timezone name
+ * @returns {boolean} Whether the timezone is valid
+ */
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return Boolean(timeZone);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Convert an `HH:MM` time to minutes since midnight
+ * @param {string} time - Time of day
+ * @returns {number|null} Minutes, or null when the time is not valid
+ */
+function parseTime(time) {
+  const match = TIME_PATTERN.exec(String(time));
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+}
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+/**
+ * Wall-clock date and time of an instant in a timezone
+ * @param {Date} date - Instant
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Object} { date: 'YYYY-MM-DD', weekday, minutes, seconds }
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = value;
+  });
+
+  const localDate = `${parts.year}-${parts.month}-${parts.day}`;
+  return {
+    date: localDate,
+    weekday: getWeekday(localDate),
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10),
+    seconds: parseInt(parts.second, 10)
+  };
+}
+
+/**
+ * Weekday of a local date
+ * @param {string} localDate - Date as YYYY-MM-DD
+ * @returns {number} 0 (Sunday) to 6 (Saturday)
+ */
+function getWeekday(localDate) {
+  const [year, month, day] = localDate.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * Shift a local date by a number of days
+ * @param {string} localDate - Date as YYYY-MM-DD
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} Shifted date as YYYY-MM-DD
+ */
+function addDays(localDate, days) {
+  const [year, month, day] = localDate.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().slice(0, 10);
+}
+
+/**
+ * Instant at which a wall-clock time occurs in a timezone
+ * @param {string} localDate - Date as YYYY-MM-DD
+ * @param {string} time - Time as HH:MM
+ * @param {string} timeZone - IANA timezone name
+ * @returns {Date} Instant
+ */
+function zonedTimeToUtc(localDate, time, timeZone) {
+  const [year, month, day] = localDate.split('-').map(Number);
+  const minutes = parseTime(time);
+  const wallClock = Date.UTC(year, month - 1, day, Math.floor(minutes / 60), minutes % 60);
+
+  // Offset of the zone at a given instant, applied twice to settle across DST changes
+  const offsetAt = (instant) => {
+    const parts = getZonedParts(new Date(instant), timeZone);
+    const [y, m, d] = parts.date.split('-').map(Number);
+    return Date.UTC(y, m - 1, d, Math.floor(parts.minutes / 60), parts.minutes % 60, parts.seconds) - instant;
+  };
+
+  let instant = wallClock - offsetAt(wallClock);
+  instant = wallClock - offsetAt(instant);
+  return new Date(instant);
+}
+
+/**
+ * Whether a time of day falls within a window (end exclusive, overnight when end < start)
+ * @param {number} minutes - Minutes since midnight
+ * @param {string} start - Window start as HH:MM
+ * @param {string} end - Window end as HH:MM
+ * @returns {boolean} Whether the time is inside the window
+ */
+function isWithinWindow(minutes, start, end) {
+  const startMinutes = parseTime(start);
+  const endMinutes = parseTime(end);
+  if (startMinutes <= endMinutes) {
+    return minutes >= startMinutes && minutes < endMinutes;
+  }
+  return minutes >= startMinutes || minutes < endMinutes;
+}
+
+module.exports = {
+  TIME_PATTERN,
+  DATE_PATTERN,
+  isValidTimeZone,
+  parseTime,
+  getZonedParts,
+  getWeekday,
+  addDays,
+  zonedTimeToUtc,
+  isWithinWindow
+};
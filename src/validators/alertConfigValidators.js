@@ -0,0 +1,285 @@
+const { body, param } = require('express-validator');
+const { PRIORITIES, validateRule, validateActions } = require('../utils/ruleEngine');
+const { SYMBOL_PATTERN, SYMBOL_WILDCARD_PATTERN } = require('../utils/symbolNormalizer');
+const { isValidTimeframe } = require('../utils/timeframes');
+const { TAKE_PROFIT_SIGNALS } = require('../utils/signals');
+
+const validateConditionEntries = (field) => [
+  body(`${field}.*.conditionId`)
+    .isString()
+    .withMessage('Condition ID must be a string')
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Condition ID must be between 1 and 50 characters'),
+  body(`${field}.*.name`)
+    .isString()
+    .withMessage('Condition name must be a string')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Condition name must be between 1 and 100 characters'),
+  body(`${field}.*.rules`)
+    .custom(rules => {
+      const errors = validateRule(rules, 'rules');
+      if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+      }
+      return true;
+    }),
+  body(`${field}.*.actions`)
+    .optional()
+    .custom(actions => {
+      const errors = validateActions(actions, 'actions');
+      if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+      }
+      return true;
+    }),
+  body(`${field}.*.priority`)
+    .optional()
+    .isIn(PRIORITIES)
+    .withMessage(`Condition priority must be one of: ${PRIORITIES.join(', ')}`),
+  body(`${field}.*.enabled`)
+    .optional()
+    .isBoolean()
+    .withMessage('Condition enabled must be a boolean value')
+];
+
+// Alert age window of a configuration; null clears a limit
+const validateAlertAgePolicy = [
+  param('configId')
+    .isMongoId()
+    .withMessage('Invalid alert configuration ID'),
+  body('maxAgeSeconds')
+    .optional({ values: 'null' })
+    .isInt({ min: 1, max: 7 * 24 * 60 * 60 })
+    .withMessage('Maximum age must be between 1 second and 7 days'),
+  body('maxFutureSkewSeconds')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 24 * 60 * 60 })
+    .withMessage('Maximum future skew must be between 0 seconds and 1 day'),
+  body('notifyAdmins')
+    .optional()
+    .isBoolean()
+    .withMessage('notifyAdmins must be a boolean value')
+];
+
+// Volume filter of a configuration; null clears a threshold
+const validateVolumeFilter = [
+  param('configId')
+    .isMongoId()
+    .withMessage('Invalid alert configuration ID'),
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('enabled must be a boolean value'),
+  body('mode')
+    .optional()
+    .isIn(['absolute', 'relative'])
+    .withMessage('Mode must be one of: absolute, relative'),
+  body('minVolume')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0 })
+    .withMessage('Minimum volume must be a non-negative number'),
+  body('minRelativeVolume')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0.01, max: 100 })
+    .withMessage('Minimum relative volume must be between 0.01 and 100'),
+  body('lookbackAlerts')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Lookback must be between 1 and 500 alerts'),
+  body('minSamples')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Minimum samples must be between 1 and 500 alerts')
+];
+
+// Trading session calendar of a configuration; a null calendarId removes it
+const validateConfigSession = [
+  param('configId')
+    .isMongoId()
+    .withMessage('Invalid alert configuration ID'),
+  body('calendarId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid session calendar ID'),
+  body('policy')
+    .optional()
+    .isIn(['hold', 'drop'])
+    .withMessage('Policy must be one of: hold, drop')
+];
+
+// Symbols and timeframes a configuration covers; null clears a field
+const validateConfigSymbols = [
+  param('configId')
+    .isMongoId()
+    .withMessage('Invalid alert configuration ID'),
+  body('symbol')
+    .optional({ values: 'null' })
+    .matches(SYMBOL_PATTERN)
+    .withMessage('Symbol contains invalid characters'),
+  body('symbols')
+    .optional({ values: 'null' })
+    .isArray({ max: 500 })
+    .withMessage('Symbols must be an array of at most 500 symbols'),
+  body('symbols.*')
+    .matches(SYMBOL_PATTERN)
+    .withMessage('Symbol contains invalid characters'),
+  body('symbolPattern')
+    .optional({ values: 'null' })
+    .matches(SYMBOL_WILDCARD_PATTERN)
+    .withMessage('Symbol pattern may only contain symbol characters and the wildcards * and ?'),
+  body('watchlistId')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid watchlist ID'),
+  body('timeframe')
+    .optional({ values: 'null' })
+    .custom(isValidTimeframe)
+    .withMessage('Invalid timeframe, e.g. 15m, 4h, 1d, 240 or D'),
+  body('timeframes')
+    .optional({ values: 'null' })
+    .isArray({ max: 20 })
+    .withMessage('Timeframes must be an array of at most 20 timeframes'),
+  body('timeframes.*')
+    .custom(isValidTimeframe)
+    .withMessage('Invalid timeframe, e.g. 15m, 4h, 1d, 240 or D')
+];
+
+// Take-profit ladder policy of a configuration; null clears the default allocations
+const validateTakeProfitLadder = [
+  param('configId')
+    .isMongoId()
+    .withMessage('Invalid alert configuration ID'),
+  body('allocations')
+    .optional({ values: 'null' })
+    .isArray({ max: TAKE_PROFIT_SIGNALS.length })
+    .withMessage(`Allocations must be an array of at most ${TAKE_PROFIT_SIGNALS.length} percentages`)
+    .custom(allocations => allocations.reduce((sum, allocation) => sum + Number(allocation), 0) <= 100)
+    .withMessage('Allocations must not exceed 100% in total'),
+  body('allocations.*')
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Allocation must be between 0 and 100 percent'),
+  body('breakevenAfterTP1')
+    .optional()
+    .isBoolean()
+    .withMessage('breakevenAfterTP1 must be a boolean value')
+];
+
+// Trade number sequence; null follows the TRADE_NUMBERING default
+const validateConfigTradeNumbering = [
+  param('configId')
+    .isMongoId()
+    .withMessage('Invalid alert configuration ID'),
+  body('tradeNumbering')
+    .custom(value => value === null || ['global', 'config'].includes(value))
+    .withMessage('tradeNumbering must be one of: global, config (or null for the default)')
+];
+
+// Pending (limit) entries placed by entry alerts with a limitPrice
+const validateConfigPendingEntries = [
+  param('configId')
+    .isMongoId()
+    .withMessage('Invalid alert configuration ID'),
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('enabled must be a boolean value'),
+  body('expirySeconds')
+    .optional()
+    .isInt({ min: 60, max: 30 * 24 * 60 * 60 })
+    .withMessage('Expiry must be between 60 seconds and 30 days')
+];
+
+// Cooldown between alerts with the same symbol and signal
+const validateConfigCooldown = [
+  param('configId')
+    .isMongoId()
+    .withMessage('Invalid alert configuration ID'),
+  body('enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('enabled must be a boolean value'),
+  body('seconds')
+    .optional()
+    .isInt({ min: 1, max: 86400 })
+    .withMessage('Cooldown must be between 1 and 86400 seconds'),
+  body('mode')
+    .optional()
+    .isIn(['drop', 'coalesce', 'queue'])
+    .withMessage('Mode must be one of: drop, coalesce, queue')
+];
+
+// Confluence sources and agreement rule; null sources turns the configuration back to standard
+const validateConfigConfluence = [
+  param('configId')
+    .isMongoId()
+    .withMessage('Invalid alert configuration ID'),
+  body('sources')
+    .optional({ values: 'null' })
+    .isArray({ min: 2, max: 10 })
+    .withMessage('Sources must be an array of 2 to 10 alert configuration IDs'),
+  body('sources.*')
+    .isMongoId()
+    .withMessage('Invalid source configuration ID'),
+  body('windowSeconds')
+    .optional()
+    .isInt({ min: 1, max: 86400 })
+    .withMessage('Window must be between 1 and 86400 seconds'),
+  body('minSources')
+    .optional({ values: 'null' })
+    .isInt({ min: 2, max: 10 })
+    .withMessage('minSources must be between 2 and 10')
+];
+
+// Replaces all conditions of a configuration
+const validateConfigConditions = [
+  param('configId')
+    .isMongoId()
+    .withMessage('Invalid alert configuration ID'),
+  body('conditions')
+    .isArray({ max: 50 })
+    .withMessage('Conditions must be an array of at most 50 conditions'),
+  ...validateConditionEntries('conditions')
+];
+
+// Sample alerts run against the stored conditions, or draft conditions when given
+const validateConditionsTest = [
+  param('configId')
+    .isMongoId()
+    .withMessage('Invalid alert configuration ID'),
+  body('alerts')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Alerts must be an array of 1 to 50 sample payloads'),
+  body('alerts.*')
+    .isObject()
+    .withMessage('Each sample alert must be an object'),
+  body('conditions')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Conditions must be an array of at most 50 conditions'),
+  ...validateConditionEntries('conditions'),
+  body('trades')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Trades must be an array of at most 100 open trades'),
+  body('trades.*.signal')
+    .isIn(['BUY', 'SELL'])
+    .withMessage('Trade signal must be one of: BUY, SELL'),
+  body('at')
+    .optional()
+    .isISO8601()
+    .withMessage('at must be a valid ISO 8601 date')
+];
+
+module.exports = {
+  validateAlertAgePolicy,
+  validateVolumeFilter,
+  validateConfigSession,
+  validateConfigSymbols,
+  validateTakeProfitLadder,
+  validateConfigTradeNumbering,
+  validateConfigPendingEntries,
+  validateConfigCooldown,
+  validateConfigConfluence,
+  validateConfigConditions,
+  validateConditionsTest
+};
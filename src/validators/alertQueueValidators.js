@@ -0,0 +1,102 @@
+const { body, param, query } = require('express-validator');
+
+// Select dead-lettered alerts by path ID or by a list of IDs (all when neither is given)
+const validateDeadLetterSelection = [
+  param('alertId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid alert ID'),
+  body('alertIds')
+    .optional()
+    .isArray({ min: 1, max: 500 })
+    .withMessage('Alert IDs must be an array of 1 to 500 IDs'),
+  body('alertIds.*')
+    .isMongoId()
+    .withMessage('Invalid alert ID')
+];
+
+const validateAlertReprocess = [
+  param('alertId')
+    .isMongoId()
+    .withMessage('Invalid alert ID'),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean value')
+];
+
+const validateAlertReplay = [
+  body('from')
+    .notEmpty()
+    .withMessage('from is required')
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date'),
+  body('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date')
+    .custom((to, { req }) => new Date(to) > new Date(req.body.from))
+    .withMessage('to must be after from'),
+  body('symbol')
+    .optional()
+    .isString()
+    .withMessage('Symbol must be a string'),
+  body('strategy')
+    .optional()
+    .isString()
+    .withMessage('Strategy must be a string'),
+  body('source')
+    .optional()
+    .isString()
+    .withMessage('Source must be a string'),
+  body('statuses')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Statuses must be a non-empty array'),
+  body('statuses.*')
+    .isIn(['processed', 'failed'])
+    .withMessage('Only processed or failed alerts can be replayed'),
+  body('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500'),
+  body('dryRun')
+    .optional()
+    .isBoolean()
+    .withMessage('dryRun must be a boolean value')
+];
+
+const validateQuarantineList = [
+  query('symbol')
+    .optional()
+    .isString()
+    .withMessage('Symbol must be a string'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+const validateQuarantineReview = [
+  param('alertId')
+    .isMongoId()
+    .withMessage('Invalid alert ID'),
+  body('note')
+    .optional()
+    .isString()
+    .withMessage('Note must be a string')
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters')
+];
+
+module.exports = {
+  validateDeadLetterSelection,
+  validateAlertReprocess,
+  validateAlertReplay,
+  validateQuarantineList,
+  validateQuarantineReview
+};
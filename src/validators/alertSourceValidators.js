@@ -0,0 +1,93 @@
+const { body } = require('express-validator');
+const { PAYLOAD_FIELDS } = require('../utils/payloadParser');
+const { isValidPath } = require('../utils/jsonPath');
+
+const AUTH_METHODS = ['none', 'api_key', 'hmac', 'passphrase'];
+
+// Built-in webhook and the source of alerts emitted by confluence configurations
+const RESERVED_NAMES = ['tradingview', 'confluence'];
+
+const validateAlertSource = [
+  body('name')
+    .optional()
+    .isString()
+    .withMessage('Name must be a string')
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Name must be between 3 and 50 characters')
+    .matches(/^[a-z0-9_-]+$/i)
+    .withMessage('Name may only contain letters, numbers, dashes and underscores')
+    .custom(name => !RESERVED_NAMES.includes(name.toLowerCase()))
+    .withMessage(`Names ${RESERVED_NAMES.map(name => `"${name}"`).join(' and ')} are reserved`),
+  body('displayName')
+    .optional()
+    .isLength({ max: 100 })
+    .withMessage('Display name cannot exceed 100 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('auth')
+    .optional()
+    .isObject()
+    .withMessage('Auth must be an object'),
+  body('auth.method')
+    .optional()
+    .isIn(AUTH_METHODS)
+    .withMessage(`Auth method must be one of: ${AUTH_METHODS.join(', ')}`),
+  body('auth.headerName')
+    .optional()
+    .matches(/^[A-Za-z0-9-]+$/)
+    .withMessage('Header name may only contain letters, numbers and dashes'),
+  body('auth.passphraseField')
+    .optional()
+    .matches(/^[A-Za-z0-9_]+$/)
+    .withMessage('Passphrase field may only contain letters, numbers and underscores'),
+  body('auth.replayProtection')
+    .optional()
+    .isBoolean()
+    .withMessage('Replay protection must be a boolean'),
+  body('auth.secret')
+    .optional()
+    .isString()
+    .withMessage('Secret must be a string')
+    .isLength({ min: 16 })
+    .withMessage('Secret must be at least 16 characters'),
+  body('fieldMapping')
+    .optional()
+    .isObject()
+    .withMessage('Field mapping must be an object')
+    .custom(fieldMapping => Object.keys(fieldMapping).every(field => PAYLOAD_FIELDS.includes(field)))
+    .withMessage(`Field mapping keys must be alert fields: ${PAYLOAD_FIELDS.join(', ')}`)
+    .custom(fieldMapping => Object.values(fieldMapping).every(isValidPath))
+    .withMessage('Field mapping values must be JSON paths, e.g. $.instrument.name'),
+  body('extraDataMapping')
+    .optional()
+    .isObject()
+    .withMessage('Extra data mapping must be an object')
+    .custom(extraDataMapping => Object.values(extraDataMapping).every(isValidPath))
+    .withMessage('Extra data mapping values must be JSON paths, e.g. $.meta.confidence'),
+  body('signalMap')
+    .optional()
+    .isObject()
+    .withMessage('Signal map must be an object'),
+  body('defaults')
+    .optional()
+    .isObject()
+    .withMessage('Defaults must be an object'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('Must be a boolean value')
+];
+
+const validateAlertSourceCreate = [
+  body('name')
+    .notEmpty()
+    .withMessage('Name is required'),
+  ...validateAlertSource
+];
+
+module.exports = {
+  validateAlertSource,
+  validateAlertSourceCreate
+};
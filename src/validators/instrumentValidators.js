@@ -0,0 +1,88 @@
+const { body, param, query } = require('express-validator');
+
+const TICKER_PATTERN = /^[A-Z0-9._&!-]{1,30}$/i;
+const EXCHANGE_PATTERN = /^[A-Z0-9_-]{1,20}$/i;
+
+const validateAliasEntries = (field) => [
+  body(field)
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Aliases must be an array of at most 50 tickers'),
+  body(`${field}.*`)
+    .matches(TICKER_PATTERN)
+    .withMessage('Alias must be a ticker without exchange prefix (letters, numbers, . _ & ! -)')
+];
+
+const validateInstrument = [
+  body('symbol')
+    .optional()
+    .matches(TICKER_PATTERN)
+    .withMessage('Symbol must be a ticker without exchange prefix (letters, numbers, . _ & ! -)'),
+  body('name')
+    .optional()
+    .isString()
+    .withMessage('Name must be a string')
+    .isLength({ max: 100 })
+    .withMessage('Name cannot exceed 100 characters'),
+  body('assetClass')
+    .optional()
+    .isIn(['crypto', 'equity', 'index', 'forex', 'commodity', 'futures', 'other'])
+    .withMessage('Asset class must be one of: crypto, equity, index, forex, commodity, futures, other'),
+  body('exchanges')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Exchanges must be an array of at most 20 exchange prefixes'),
+  body('exchanges.*')
+    .matches(EXCHANGE_PATTERN)
+    .withMessage('Exchange must be an exchange prefix, e.g. BINANCE'),
+  ...validateAliasEntries('aliases'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('Must be a boolean value')
+];
+
+const validateInstrumentCreate = [
+  body('symbol')
+    .notEmpty()
+    .withMessage('Symbol is required'),
+  ...validateInstrument
+];
+
+// Aliases added to an instrument, typically unknown symbols reported in webhook stats
+const validateInstrumentAliases = [
+  param('instrumentId')
+    .isMongoId()
+    .withMessage('Invalid instrument ID'),
+  body('aliases')
+    .isArray({ min: 1 })
+    .withMessage('Aliases must be a non-empty array'),
+  ...validateAliasEntries('aliases')
+];
+
+const validateSymbolResolve = [
+  query('symbol')
+    .notEmpty()
+    .withMessage('Symbol is required')
+    .isLength({ max: 50 })
+    .withMessage('Symbol must not exceed 50 characters')
+];
+
+const validateUnknownSymbols = [
+  query('since')
+    .optional()
+    .isISO8601()
+    .withMessage('since must be a valid ISO 8601 date'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500')
+];
+
+module.exports = {
+  validateInstrument,
+  validateInstrumentCreate,
+  validateInstrumentAliases,
+  validateSymbolResolve,
+  validateUnknownSymbols
+};
@@ -0,0 +1,87 @@
+const { body } = require('express-validator');
+const { PARSING_FORMATS, PAYLOAD_FIELDS } = require('../utils/payloadParser');
+
+const validateParsingTemplate = [
+  body('name')
+    .optional()
+    .isString()
+    .withMessage('Name must be a string')
+    .isLength({ min: 3, max: 50 })
+    .withMessage('Name must be between 3 and 50 characters')
+    .matches(/^[A-Za-z0-9._-]+$/)
+    .withMessage('Name may only contain letters, numbers, dots, dashes and underscores'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('format')
+    .optional()
+    .isIn(PARSING_FORMATS)
+    .withMessage(`Format must be one of: ${PARSING_FORMATS.join(', ')}`),
+  body('options')
+    .optional()
+    .isObject()
+    .withMessage('Options must be an object'),
+  body('options.columns')
+    .optional()
+    .isArray()
+    .withMessage('Columns must be an array'),
+  body('options.pattern')
+    .optional()
+    .isString()
+    .withMessage('Pattern must be a string')
+    .custom((pattern, { req }) => {
+      new RegExp(pattern, (req.body.options && req.body.options.flags) || '');
+      return true;
+    })
+    .withMessage('Pattern must be a valid regular expression'),
+  body('options.template')
+    .optional()
+    .isString()
+    .withMessage('Template must be a string'),
+  body('fieldMap')
+    .optional()
+    .isObject()
+    .withMessage('Field map must be an object')
+    .custom(fieldMap => Object.keys(fieldMap).every(field => PAYLOAD_FIELDS.includes(field)))
+    .withMessage(`Field map keys must be payload fields: ${PAYLOAD_FIELDS.join(', ')}`),
+  body('defaults')
+    .optional()
+    .isObject()
+    .withMessage('Defaults must be an object'),
+  body('samples')
+    .optional()
+    .isArray()
+    .withMessage('Samples must be an array'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('Must be a boolean value')
+];
+
+const validateParsingTemplateCreate = [
+  body('name')
+    .notEmpty()
+    .withMessage('Name is required'),
+  body('format')
+    .notEmpty()
+    .withMessage('Format is required'),
+  ...validateParsingTemplate
+];
+
+const validateParsingTemplateTest = [
+  body('samples')
+    .optional()
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Samples must be an array of 1 to 50 payloads'),
+  body('template')
+    .optional()
+    .isObject()
+    .withMessage('Template must be an object')
+];
+
+module.exports = {
+  validateParsingTemplate,
+  validateParsingTemplateCreate,
+  validateParsingTemplateTest
+};
@@ -0,0 +1,123 @@
+const { body, param, query } = require('express-validator');
+const { TIME_PATTERN, DATE_PATTERN, isValidTimeZone } = require('../utils/tradingSession');
+
+const validateHolidayEntries = (field) => [
+  body(field)
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('Holidays must be an array of at most 500 dates'),
+  body(`${field}.*.date`)
+    .matches(DATE_PATTERN)
+    .withMessage('Holiday date must be in YYYY-MM-DD format'),
+  body(`${field}.*.name`)
+    .optional()
+    .isString()
+    .withMessage('Holiday name must be a string')
+    .isLength({ max: 100 })
+    .withMessage('Holiday name cannot exceed 100 characters')
+];
+
+const validateSessionCalendar = [
+  body('name')
+    .optional()
+    .isString()
+    .withMessage('Name must be a string')
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('exchange')
+    .optional()
+    .isString()
+    .withMessage('Exchange must be a string')
+    .isLength({ max: 20 })
+    .withMessage('Exchange cannot exceed 20 characters'),
+  body('timezone')
+    .optional()
+    .custom(isValidTimeZone)
+    .withMessage('Timezone must be a valid IANA timezone, e.g. Asia/Kolkata'),
+  body('sessions')
+    .optional()
+    .isArray({ min: 1, max: 10 })
+    .withMessage('Sessions must be an array of 1 to 10 sessions'),
+  body('sessions.*.name')
+    .optional()
+    .isString()
+    .withMessage('Session name must be a string'),
+  body('sessions.*.start')
+    .matches(TIME_PATTERN)
+    .withMessage('Session start must be in HH:MM format'),
+  body('sessions.*.end')
+    .matches(TIME_PATTERN)
+    .withMessage('Session end must be in HH:MM format')
+    .custom((end, { req, path }) => {
+      const index = path.match(/\[(\d+)\]/)[1];
+      return end !== req.body.sessions[index].start;
+    })
+    .withMessage('Session end must differ from its start'),
+  body('sessions.*.days')
+    .optional()
+    .isArray({ min: 1, max: 7 })
+    .withMessage('Session days must be an array of weekdays'),
+  body('sessions.*.days.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Session days must be weekdays from 0 (Sunday) to 6 (Saturday)'),
+  ...validateHolidayEntries('holidays'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('Must be a boolean value')
+];
+
+const validateSessionCalendarCreate = [
+  body('name')
+    .notEmpty()
+    .withMessage('Name is required'),
+  body('timezone')
+    .notEmpty()
+    .withMessage('Timezone is required'),
+  body('sessions')
+    .notEmpty()
+    .withMessage('At least one session is required'),
+  ...validateSessionCalendar
+];
+
+// Holidays added to (or replaced on) a calendar, matched by date
+const validateSessionCalendarHolidays = [
+  param('calendarId')
+    .isMongoId()
+    .withMessage('Invalid session calendar ID'),
+  body('holidays')
+    .isArray({ min: 1 })
+    .withMessage('Holidays must be a non-empty array'),
+  ...validateHolidayEntries('holidays')
+];
+
+const validateSessionCalendarHolidayDelete = [
+  param('calendarId')
+    .isMongoId()
+    .withMessage('Invalid session calendar ID'),
+  param('date')
+    .matches(DATE_PATTERN)
+    .withMessage('Holiday date must be in YYYY-MM-DD format')
+];
+
+const validateSessionCalendarStatus = [
+  param('calendarId')
+    .isMongoId()
+    .withMessage('Invalid session calendar ID'),
+  query('at')
+    .optional()
+    .isISO8601()
+    .withMessage('at must be a valid ISO 8601 date')
+];
+
+module.exports = {
+  validateSessionCalendar,
+  validateSessionCalendarCreate,
+  validateSessionCalendarHolidays,
+  validateSessionCalendarHolidayDelete,
+  validateSessionCalendarStatus
+};
@@ -0,0 +1,63 @@
+const { body, param } = require('express-validator');
+const { SYMBOL_PATTERN } = require('../utils/symbolNormalizer');
+
+const validateWatchlist = [
+  body('name')
+    .optional()
+    .isString()
+    .withMessage('Name must be a string')
+    .isLength({ min: 2, max: 50 })
+    .withMessage('Name must be between 2 and 50 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('symbols')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('Symbols must be an array of at most 500 symbols'),
+  body('symbols.*')
+    .matches(SYMBOL_PATTERN)
+    .withMessage('Symbol contains invalid characters'),
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('Must be a boolean value')
+];
+
+const validateWatchlistCreate = [
+  body('name')
+    .notEmpty()
+    .withMessage('Name is required'),
+  body('symbols')
+    .isArray({ min: 1 })
+    .withMessage('At least one symbol is required'),
+  ...validateWatchlist
+];
+
+// Symbols added to or removed from a watchlist
+const validateWatchlistSymbols = [
+  param('watchlistId')
+    .isMongoId()
+    .withMessage('Invalid watchlist ID'),
+  body('add')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('add must be an array of at most 500 symbols'),
+  body('add.*')
+    .matches(SYMBOL_PATTERN)
+    .withMessage('Symbol contains invalid characters'),
+  body('remove')
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage('remove must be an array of at most 500 symbols'),
+  body('remove.*')
+    .matches(SYMBOL_PATTERN)
+    .withMessage('Symbol contains invalid characters')
+];
+
+module.exports = {
+  validateWatchlist,
+  validateWatchlistCreate,
+  validateWatchlistSymbols
+};
@@ -0,0 +1,71 @@
+const { body, param, query } = require('express-validator');
+const WebhookInboxEntry = require('../models/WebhookInboxEntry');
+
+const OUTCOMES = WebhookInboxEntry.schema.path('outcome').enumValues;
+const ENDPOINTS = WebhookInboxEntry.schema.path('endpoint').enumValues;
+
+/**
+ * Validation for searching the webhook inbox
+ */
+const validateWebhookInboxSearch = [
+  query('outcome')
+    .optional()
+    .isIn(OUTCOMES)
+    .withMessage(`Outcome must be one of: ${OUTCOMES.join(', ')}`),
+  query('endpoint')
+    .optional()
+    .isIn(ENDPOINTS)
+    .withMessage(`Endpoint must be one of: ${ENDPOINTS.join(', ')}`),
+  query('alertId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid alert ID format'),
+  query('alertConfigId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid alert configuration ID format'),
+  query('ip')
+    .optional()
+    .isIP()
+    .withMessage('Invalid IP address'),
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date'),
+  query('q')
+    .optional()
+    .isLength({ min: 2, max: 200 })
+    .withMessage('Search text must be between 2 and 200 characters'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+];
+
+/**
+ * Validation for resubmitting a webhook inbox entry
+ */
+const validateWebhookInboxResubmit = [
+  param('entryId')
+    .isMongoId()
+    .withMessage('Invalid inbox entry ID format'),
+  body('rawBody')
+    .optional()
+    .isString()
+    .withMessage('Body must be a string')
+    .isLength({ min: 1, max: 1024 * 1024 })
+    .withMessage('Body must be between 1 byte and 1 MB')
+];
+
+module.exports = {
+  validateWebhookInboxSearch,
+  validateWebhookInboxResubmit
+};
@@ -1,4 +1,9 @@
-const { body, header } = require('express-validator');
+const { body } = require('express-validator');
+const { SYMBOL_PATTERN } = require('../utils/symbolNormalizer');
+const { isValidTimeframe } = require('../utils/timeframes');
+const { SIGNALS, TAKE_PROFIT_SIGNALS, normalizeSignal } = require('../utils/signals');
+
+const MAX_BATCH_ALERTS = parseInt(process.env.WEBHOOK_BATCH_MAX_ALERTS, 10) || 100;
 
 // Validate TradingView webhook payload
 const validateTradingViewWebhook = [
@@ -7,9 +12,9 @@ const validateTradingViewWebhook = [
     .withMessage('Symbol is required')
     .isString()
     .withMessage('Symbol must be a string')
-    .isLength({ min: 1, max: 20 })
-    .withMessage('Symbol must be between 1 and 20 characters')
-    .matches(/^[A-Z0-9._-]+$/i)
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Symbol must be between 1 and 50 characters')
+    .matches(SYMBOL_PATTERN)
     .withMessage('Symbol contains invalid characters'),
     
   body('timeframe')
@@ -17,8 +22,8 @@ const validateTradingViewWebhook = [
     .withMessage('Timeframe is required')
     .isString()
     .withMessage('Timeframe must be a string')
-    .isIn(['1m', '3m', '5m', '15m', '30m', '1h', '2h', '4h', '6h', '8h', '12h', '1d', '3d', '1w', '1M'])
-    .withMessage('Invalid timeframe. Must be one of: 1m, 3m, 5m, 15m, 30m, 1h, 2h, 4h, 6h, 8h, 12h, 1d, 3d, 1w, 1M'),
+    .custom(isValidTimeframe)
+    .withMessage('Invalid timeframe. Use e.g. 1m, 15m, 4h, 1d, 1w, 1M or a TradingView interval such as 60, 240 or D'),
     
   body('strategy')
     .notEmpty()
@@ -33,8 +38,10 @@ const validateTradingViewWebhook = [
     .withMessage('Signal is required')
     .isString()
     .withMessage('Signal must be a string')
-    .isIn(['BUY', 'SELL', 'TP_HIT', 'SL_HIT', 'buy', 'sell', 'tp_hit', 'sl_hit'])
-    .withMessage('Invalid signal. Must be one of: BUY, SELL, TP_HIT, SL_HIT'),
+    // Aliases such as LONG/SHORT become the canonical signal
+    .customSanitizer(value => normalizeSignal(value) || value)
+    .isIn(SIGNALS)
+    .withMessage(`Invalid signal. Must be one of: ${SIGNALS.join(', ')} (or an alias such as LONG, SHORT)`),
     
   body('price')
     .notEmpty()
@@ -51,6 +58,21 @@ const validateTradingViewWebhook = [
     .isFloat({ min: 0.000001 })
     .withMessage('Take profit price must be a positive number'),
     
+  // Take-profit ladder: TP1, TP2, ... with the percent of the position each closes
+  body('takeProfits')
+    .optional()
+    .isArray({ min: 1, max: TAKE_PROFIT_SIGNALS.length })
+    .withMessage(`Take profits must be an array of 1 to ${TAKE_PROFIT_SIGNALS.length} targets`),
+    
+  body('takeProfits.*.price')
+    .isFloat({ min: 0.000001 })
+    .withMessage('Take profit target price must be a positive number'),
+    
+  body('takeProfits.*.allocation')
+    .optional({ values: 'null' })
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Take profit allocation must be between 0 and 100 percent'),
+    
   body('stopLossPrice')
     .optional()
     .isNumeric()
@@ -58,6 +80,26 @@ const validateTradingViewWebhook = [
     .isFloat({ min: 0.000001 })
     .withMessage('Stop loss price must be a positive number'),
     
+  // Limit entry: the trade is pending until the price reaches limitPrice
+  body('limitPrice')
+    .optional()
+    .isNumeric()
+    .withMessage('Limit price must be a number')
+    .isFloat({ min: 0.000001 })
+    .withMessage('Limit price must be a positive number'),
+    
+  body('expiresIn')
+    .optional()
+    .isInt({ min: 60, max: 30 * 24 * 60 * 60 })
+    .withMessage('expiresIn must be between 60 seconds and 30 days'),
+    
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('expiresAt must be a valid ISO 8601 date')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('expiresAt must be in the future'),
+    
   body('timestamp')
     .optional()
     .isISO8601()
@@ -77,6 +119,13 @@ const validateTradingViewWebhook = [
     .isFloat({ min: 0.000001 })
     .withMessage('Original entry price must be a positive number'),
     
+  body('volume')
+    .optional()
+    .isNumeric()
+    .withMessage('Volume must be a number')
+    .isFloat({ min: 0 })
+    .withMessage('Volume must not be negative'),
+    
   body('metadata')
     .optional()
     .isObject()
@@ -84,24 +133,52 @@ const validateTradingViewWebhook = [
     
   // Custom validation for signal-specific requirements
   body().custom((value, { req }) => {
-    const { signal, takeProfitPrice, stopLossPrice } = req.body;
+    const { signal, takeProfitPrice, stopLossPrice, takeProfits, limitPrice, expiresIn, expiresAt } = req.body;
+    // Levels are checked against the limit price for limit entries
+    const entryPrice = parseFloat(limitPrice || req.body.price);
+    
+    if ((limitPrice || expiresIn || expiresAt) && !['BUY', 'SELL'].includes(signal)) {
+      throw new Error('limitPrice, expiresIn and expiresAt are only allowed on BUY and SELL signals');
+    }
+    if ((expiresIn || expiresAt) && !limitPrice) {
+      throw new Error('expiresIn and expiresAt require a limitPrice');
+    }
+    if (expiresIn && expiresAt) {
+      throw new Error('Send either expiresIn or expiresAt, not both');
+    }
+    
+    if (Array.isArray(takeProfits)) {
+      const total = takeProfits.reduce((sum, target) => sum + (parseFloat(target && target.allocation) || 0), 0);
+      if (total > 100) {
+        throw new Error('Take profit allocations must not exceed 100% in total');
+      }
+      
+      // Targets move away from the entry in order
+      if (['BUY', 'SELL'].includes(signal)) {
+        const direction = signal === 'BUY' ? 1 : -1;
+        const prices = [entryPrice, ...takeProfits.map(target => parseFloat(target && target.price))];
+        if (prices.some((price, index) => index > 0 && (price - prices[index - 1]) * direction <= 0)) {
+          throw new Error(`Take profit targets must be ${signal === 'BUY' ? 'above' : 'below'} the entry price and in order for ${signal} signals`);
+        }
+      }
+    }
     
     // For entry signals (BUY/SELL), TP and SL are recommended but not required
-    if (['BUY', 'buy', 'SELL', 'sell'].includes(signal)) {
+    if (['BUY', 'SELL'].includes(signal)) {
       // Optional: Add validation for TP/SL relationship with entry price
       if (takeProfitPrice && stopLossPrice) {
-        const price = parseFloat(req.body.price);
+        const price = entryPrice;
         const tp = parseFloat(takeProfitPrice);
         const sl = parseFloat(stopLossPrice);
         
-        if (signal.toUpperCase() === 'BUY') {
+        if (signal === 'BUY') {
           if (tp <= price) {
             throw new Error('Take profit price must be higher than entry price for BUY signals');
           }
           if (sl >= price) {
             throw new Error('Stop loss price must be lower than entry price for BUY signals');
           }
-        } else if (signal.toUpperCase() === 'SELL') {
+        } else if (signal === 'SELL') {
           if (tp >= price) {
             throw new Error('Take profit price must be lower than entry price for SELL signals');
           }
@@ -112,8 +189,8 @@ const validateTradingViewWebhook = [
       }
     }
     
-    // For exit signals (TP_HIT/SL_HIT), trade number is recommended
-    if (['TP_HIT', 'tp_hit', 'SL_HIT', 'sl_hit'].includes(signal)) {
+    // For exit and management signals, trade number is recommended
+    if (!['BUY', 'SELL'].includes(signal)) {
       // This is just a warning - we don't enforce it as required
       // because some strategies might not use trade numbers
     }
@@ -122,14 +199,102 @@ const validateTradingViewWebhook = [
   })
 ];
 
-// Validate webhook signature header (optional)
-const validateWebhookSignature = [
-  header('x-tradingview-signature')
+// Validate TP/SL modification webhook payload
+const validateTpSlWebhook = [
+  body('tradeNumber')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Trade number must be a positive integer'),
+
+  body('symbol')
+    .optional()
+    .isString()
+    .withMessage('Symbol must be a string')
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Symbol must be between 1 and 50 characters')
+    .matches(SYMBOL_PATTERN)
+    .withMessage('Symbol contains invalid characters'),
+
+  body('strategy')
+    .optional()
+    .isString()
+    .withMessage('Strategy must be a string')
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Strategy name must be between 1 and 100 characters'),
+
+  body('alertConfigId')
+    .optional()
+    .isMongoId()
+    .withMessage('Alert configuration ID must be a valid ID'),
+
+  body('takeProfitPrice')
+    .optional()
+    .isNumeric()
+    .withMessage('Take profit price must be a number')
+    .isFloat({ min: 0.000001 })
+    .withMessage('Take profit price must be a positive number'),
+
+  body('stopLossPrice')
+    .optional()
+    .isNumeric()
+    .withMessage('Stop loss price must be a number')
+    .isFloat({ min: 0.000001 })
+    .withMessage('Stop loss price must be a positive number'),
+
+  body('reason')
     .optional()
     .isString()
-    .withMessage('Webhook signature must be a string')
-    .matches(/^sha256=[a-f0-9]{64}$/)
-    .withMessage('Invalid webhook signature format. Must be sha256=<hex>')
+    .withMessage('Reason must be a string')
+    .isLength({ max: 200 })
+    .withMessage('Reason must not exceed 200 characters'),
+
+  // Trades are identified either by number or by symbol + strategy/config
+  body().custom((value, { req }) => {
+    const { tradeNumber, symbol, strategy, alertConfigId, takeProfitPrice, stopLossPrice } = req.body;
+
+    if (!tradeNumber && !(symbol && (strategy || alertConfigId))) {
+      throw new Error('Either tradeNumber or symbol with strategy/alertConfigId is required');
+    }
+
+    if (takeProfitPrice === undefined && stopLossPrice === undefined) {
+      throw new Error('At least one of takeProfitPrice or stopLossPrice is required');
+    }
+
+    return true;
+  })
+];
+
+// Validate price update webhook payload (fills pending entries)
+const validatePriceUpdateWebhook = [
+  body('symbol')
+    .notEmpty()
+    .withMessage('Symbol is required')
+    .isString()
+    .withMessage('Symbol must be a string')
+    .isLength({ min: 1, max: 50 })
+    .withMessage('Symbol must be between 1 and 50 characters')
+    .matches(SYMBOL_PATTERN)
+    .withMessage('Symbol contains invalid characters'),
+
+  body('price')
+    .notEmpty()
+    .withMessage('Price is required')
+    .isNumeric()
+    .withMessage('Price must be a number')
+    .isFloat({ min: 0.000001 })
+    .withMessage('Price must be a positive number'),
+
+  body('timestamp')
+    .optional()
+    .isISO8601()
+    .withMessage('Timestamp must be a valid ISO 8601 date')
+];
+
+// Validate batch webhook envelope (items are validated one by one by the controller)
+const validateBatchWebhook = [
+  body('alerts')
+    .isArray({ min: 1, max: MAX_BATCH_ALERTS })
+    .withMessage(`Alerts must be an array of 1 to ${MAX_BATCH_ALERTS} alert objects`)
 ];
 
 // Validate test webhook payload (more lenient)
@@ -177,13 +342,15 @@ const validateWebhookStatsQuery = [
     .optional()
     .isString()
     .withMessage('Status must be a string')
-    .isIn(['received', 'processing', 'processed', 'failed'])
-    .withMessage('Invalid status. Must be one of: received, processing, processed, failed')
+    .isIn(['received', 'processing', 'processed', 'failed', 'duplicate', 'rejected_stale', 'quarantined', 'dismissed', 'held', 'throttled'])
+    .withMessage('Invalid status. Must be one of: received, processing, processed, failed, duplicate, rejected_stale, quarantined, dismissed, held, throttled')
 ];
 
 module.exports = {
   validateTradingViewWebhook,
-  validateWebhookSignature,
+  validateTpSlWebhook,
+  validatePriceUpdateWebhook,
+  validateBatchWebhook,
   validateTestWebhook,
   validateWebhookStatsQuery
 };
\ No newline at end of file